@@ -6,6 +6,12 @@ import { authenticateRequest, corsHeaders } from '../../lib/auth.js';
 import { createJsonRpcResponse, createJsonRpcError, parseJsonRpcRequest, JSON_RPC_ERRORS } from '../../lib/jsonrpc.js';
 import { MCP_VERSION, SERVER_INFO, CAPABILITIES, HTTP_STATUS } from '../../lib/constants.js';
 import { withPerformanceMonitoring, PerformanceTimer } from '../../lib/performance.js';
+import { CancellationRegistry, RequestCancelledError, RequestTimeoutError } from '../../lib/cancellation.js';
+import { StoreAccessError, resolveStoreHeader } from '../../lib/profiles.js';
+import { checkRequestRate, RateLimitError } from '../../lib/rate-limit.js';
+import { listResources, listResourceTemplates, readResource, ResourceNotFoundError } from '../../lib/resources.js';
+import { listPrompts, getPrompt, PromptError } from '../../lib/prompts.js';
+import { PolicyError } from '../../lib/policy.js';
 import dotenv from 'dotenv';
 
 // Initialize environment once
@@ -31,20 +37,24 @@ Object.freeze(INITIALIZE_RESPONSE);
 Object.freeze(SERVER_INFO);
 Object.freeze(CAPABILITIES);
 
+// In-flight tool calls on this instance, so notifications/cancelled can abort them.
+// Keyed by principal and JSON-RPC id: callers only reach their own calls.
+const inFlight = new CancellationRegistry();
+
 // Optimized method handlers with caching
 const methodHandlers = {
   'initialize': async (id, params) => {
     return createJsonRpcResponse(id, INITIALIZE_RESPONSE);
   },
   
-  'tools/list': async (id, params, tools) => {
+  'tools/list': async (id, params, tools, { role } = {}) => {
     const timer = new PerformanceTimer('tools/list');
-    const mcpTools = transformToolsToMcp(tools);
+    const mcpTools = transformToolsToMcp(tools, role);
     timer.endAndLog(false);
     return createJsonRpcResponse(id, { tools: mcpTools });
   },
   
-  'tools/call': async (id, params, tools) => {
+  'tools/call': async (id, params, tools, { signal, store, storeLocked, principal, role } = {}) => {
     const { name, arguments: args = {} } = params;
     
     if (!name) {
@@ -52,8 +62,17 @@ const methodHandlers = {
     }
     
     const timer = new PerformanceTimer(`Tool: ${name}`);
+    const requestKey = `${principal || 'anonymous'}:${id}`;
+    const cancelSignal = inFlight.track(requestKey);
     try {
-      const result = await executeToolOptimized(tools, name, args);
+      const result = await executeToolOptimized(tools, name, args, {
+        signal: signal ? AbortSignal.any([cancelSignal, signal]) : cancelSignal,
+        store,
+        storeLocked,
+        principal,
+        role,
+        transport: 'vercel'
+      });
       const duration = timer.end();
       
       if (duration > 3000) {
@@ -63,8 +82,73 @@ const methodHandlers = {
       return createJsonRpcResponse(id, result);
     } catch (error) {
       timer.end();
+      if (error instanceof RequestCancelledError) {
+        return null;
+      }
+      if (error instanceof RequestTimeoutError || error instanceof StoreAccessError) {
+        return createJsonRpcError(id, error.code, error.message);
+      }
+      if (error instanceof RateLimitError) {
+        return createJsonRpcError(id, error.code, error.message, error.data);
+      }
+      throw error;
+    } finally {
+      inFlight.release(requestKey, cancelSignal);
+    }
+  },
+  
+  'resources/list': async (id, params, tools, { role } = {}) => {
+    return createJsonRpcResponse(id, listResources(role));
+  },
+  
+  'resources/templates/list': async (id, params, tools, { role } = {}) => {
+    return createJsonRpcResponse(id, listResourceTemplates(role));
+  },
+  
+  'resources/read': async (id, params, tools, { signal, store, storeLocked, principal, role } = {}) => {
+    if (!params.uri) {
+      return createJsonRpcError(id, JSON_RPC_ERRORS.INVALID_PARAMS, 'Missing resource uri');
+    }
+    
+    try {
+      return createJsonRpcResponse(id, await readResource(params.uri, { signal, store, storeLocked, principal, role }));
+    } catch (error) {
+      if (error instanceof RequestCancelledError) {
+        return null;
+      }
+      if (error instanceof ResourceNotFoundError || error instanceof PolicyError) {
+        return createJsonRpcError(id, error.code, error.message, error.data);
+      }
+      if (error instanceof RequestTimeoutError || error instanceof StoreAccessError) {
+        return createJsonRpcError(id, error.code, error.message);
+      }
+      throw error;
+    }
+  },
+  
+  'prompts/list': async (id) => {
+    return createJsonRpcResponse(id, await listPrompts());
+  },
+  
+  'prompts/get': async (id, params) => {
+    if (!params.name) {
+      return createJsonRpcError(id, JSON_RPC_ERRORS.INVALID_PARAMS, 'Missing prompt name');
+    }
+    
+    try {
+      return createJsonRpcResponse(id, await getPrompt(params.name, params.arguments));
+    } catch (error) {
+      if (error instanceof PromptError) {
+        return createJsonRpcError(id, error.code, error.message);
+      }
       throw error;
     }
+  },
+  
+  // Best effort: only reaches calls running on the same warm instance
+  'notifications/cancelled': async (id, params, tools, { principal } = {}) => {
+    inFlight.cancel(`${principal || 'anonymous'}:${params.requestId}`, params.reason);
+    return null;
   }
 };
 
@@ -90,8 +174,15 @@ const handleMcpRequest = async (req) => {
       toolTimer.endAndLog(false);
     }
     
-    // Execute method handler
-    const result = await handler(id, params, tools);
+    // Execute method handler (req.signal fires when the client disconnects).
+    // Profile-scoped tokens lock the store; otherwise X-Medusa-Store selects it.
+    const result = await handler(id, params, tools, {
+      signal: req.signal,
+      store: req.mcpStore || req.headers['x-medusa-store'],
+      storeLocked: Boolean(req.mcpStore),
+      principal: req.mcpPrincipal,
+      role: req.mcpRole
+    });
     const duration = timer.end();
     
     if (duration > 1000) {
@@ -142,6 +233,40 @@ const handler = async (req, res) => {
       );
     }
 
+    // Per-principal request rate limit (per warm instance)
+    try {
+      checkRequestRate({ principal: req.mcpPrincipal, role: req.mcpRole });
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) {
+        throw error;
+      }
+      requestTimer.end();
+      return new Response(
+        JSON.stringify(createJsonRpcError(null, error.code, error.message, error.data)),
+        {
+          status: HTTP_STATUS.TOO_MANY_REQUESTS,
+          headers: { ...corsHeaders, 'Retry-After': String(error.retryAfter) },
+        }
+      );
+    }
+
+    // X-Medusa-Store follows the same rules as the `store` argument
+    try {
+      resolveStoreHeader(req.headers['x-medusa-store'], { bound: req.mcpStore, locked: Boolean(req.mcpStore) });
+    } catch (error) {
+      if (!(error instanceof StoreAccessError)) {
+        throw error;
+      }
+      requestTimer.end();
+      return new Response(
+        JSON.stringify(createJsonRpcError(null, error.code, error.message)),
+        {
+          status: HTTP_STATUS.BAD_REQUEST,
+          headers: corsHeaders,
+        }
+      );
+    }
+
     // Handle GET request for health check
     if (req.method === 'GET') {
       const duration = requestTimer.end();
@@ -159,6 +284,14 @@ const handler = async (req, res) => {
       const response = await handleMcpRequest(req);
       const duration = requestTimer.end();
       
+      // Notifications and cancelled requests get no JSON-RPC response
+      if (response === null) {
+        return new Response(null, {
+          status: HTTP_STATUS.NO_CONTENT,
+          headers: corsHeaders,
+        });
+      }
+      
       return new Response(JSON.stringify(response), {
         status: HTTP_STATUS.OK,
         headers: corsHeaders,
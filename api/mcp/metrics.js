@@ -69,6 +69,12 @@ async function metricsHandler(req, res) {
           errors: {
             total: metrics.errors.total
           },
+          retries: {
+            total: metrics.retries.total
+          },
+          rateLimits: {
+            total: metrics.rateLimits.total
+          },
           health: globalMetrics.getHealthStatus().status
         };
         break;
@@ -139,6 +145,14 @@ function convertToPrometheusFormat(metrics) {
     addMetric('mcp_errors_total', metrics.errors.total || 0, {}, 'Total number of errors');
   }
   
+  if (metrics.retries) {
+    addMetric('mcp_upstream_retries_total', metrics.retries.total || 0, {}, 'Total number of retried Medusa API calls');
+  }
+  
+  if (metrics.rateLimits) {
+    addMetric('mcp_rate_limited_total', metrics.rateLimits.total || 0, {}, 'Total number of requests and tool calls refused by rate limits');
+  }
+  
   addMetric('mcp_uptime_seconds', (metrics.uptime || 0) / 1000, {}, 'Uptime in seconds');
   
   return lines.join('\n') + '\n';
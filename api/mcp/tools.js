@@ -6,6 +6,9 @@ import { authenticateRequest, applyCorsHeaders, handleCorsOptions } from '../../
 import { createJsonRpcResponse, createJsonRpcError, parseJsonRpcRequest, JSON_RPC_ERRORS } from '../../lib/jsonrpc.js';
 import { HTTP_STATUS } from '../../lib/constants.js';
 import { withPerformanceMonitoring, PerformanceTimer } from '../../lib/performance.js';
+import { RequestTimeoutError } from '../../lib/cancellation.js';
+import { StoreAccessError, resolveStoreHeader } from '../../lib/profiles.js';
+import { checkRequestRate, RateLimitError } from '../../lib/rate-limit.js';
 import dotenv from 'dotenv';
 
 // Initialize environment once
@@ -13,14 +16,14 @@ dotenv.config();
 
 // Method handlers for better code organization and performance
 const methodHandlers = {
-  'tools/list': async (id, params, tools) => {
+  'tools/list': async (id, params, tools, { role } = {}) => {
     const timer = new PerformanceTimer('tools/list transformation');
-    const mcpTools = transformToolsToMcp(tools);
+    const mcpTools = transformToolsToMcp(tools, role);
     timer.endAndLog(false); // Only log if slow
     return createJsonRpcResponse(id, { tools: mcpTools });
   },
   
-  'tools/call': async (id, params, tools) => {
+  'tools/call': async (id, params, tools, { store, storeLocked, principal, role } = {}) => {
     const { name, arguments: args = {} } = params;
     
     if (!name) {
@@ -29,7 +32,7 @@ const methodHandlers = {
     
     const timer = new PerformanceTimer(`Tool execution: ${name}`);
     try {
-      const result = await executeToolOptimized(tools, name, args);
+      const result = await executeToolOptimized(tools, name, args, { store, storeLocked, principal, role, transport: 'vercel' });
       const duration = timer.end();
       
       // Log slow tool executions
@@ -40,6 +43,12 @@ const methodHandlers = {
       return createJsonRpcResponse(id, result);
     } catch (error) {
       timer.end();
+      if (error instanceof RequestTimeoutError || error instanceof StoreAccessError) {
+        return createJsonRpcError(id, error.code, error.message);
+      }
+      if (error instanceof RateLimitError) {
+        return createJsonRpcError(id, error.code, error.message, error.data);
+      }
       throw error;
     }
   }
@@ -66,6 +75,29 @@ async function toolsHandler(req, res) {
       .json(createJsonRpcError(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Unauthorized'));
   }
   
+  // Per-principal request rate limit (per warm instance)
+  try {
+    checkRequestRate({ principal: req.mcpPrincipal, role: req.mcpRole });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS)
+        .json(createJsonRpcError(null, error.code, error.message, error.data));
+    }
+    throw error;
+  }
+
+  // X-Medusa-Store follows the same rules as the `store` argument
+  try {
+    resolveStoreHeader(req.headers['x-medusa-store'], { bound: req.mcpStore, locked: Boolean(req.mcpStore) });
+  } catch (error) {
+    if (error instanceof StoreAccessError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST)
+        .json(createJsonRpcError(null, error.code, error.message));
+    }
+    throw error;
+  }
+  
   try {
     // Parse JSON-RPC request
     const { id, method, params = {} } = parseJsonRpcRequest(req);
@@ -87,8 +119,13 @@ async function toolsHandler(req, res) {
     const tools = await discoverTools();
     toolsTimer.endAndLog(tools.length === 0); // Log if no tools found
 
-    // Execute method handler
-    const response = await handler(id, params, tools);
+    // Execute method handler (profile-scoped tokens lock the store, X-Medusa-Store selects it)
+    const response = await handler(id, params, tools, {
+      store: req.mcpStore || req.headers['x-medusa-store'],
+      storeLocked: Boolean(req.mcpStore),
+      principal: req.mcpPrincipal,
+      role: req.mcpRole
+    });
     return res.status(HTTP_STATUS.OK).json(response);
     
   } catch (error) {
@@ -0,0 +1,56 @@
+import { queryAuditLog } from "../lib/audit.js";
+
+export function registerAuditCommand(program) {
+  program
+    .command("audit")
+    .description("Query the tool invocation audit log (JSONL written when MCP_AUDIT_LOG is set)")
+    .option("-f, --file <path>", "Audit log file", process.env.MCP_AUDIT_LOG || "mcp-audit.jsonl")
+    .option("--tool <name>", "Only calls of this tool")
+    .option("--action <action>", "Only calls of this action")
+    .option("--session <id>", "Only calls from this MCP session")
+    .option("--principal <principal>", "Only calls by this principal (e.g. profile:eu, mcp-auth-token)")
+    .option("--outcome <outcome>", "Only calls with this outcome: success, error or failed")
+    .option("--since <time>", "Only calls after an ISO date or a duration back from now (30m, 12h, 7d)")
+    .option("--until <time>", "Only calls before an ISO date or a duration back from now")
+    .option("-n, --limit <count>", "Show the last N matching calls", "50")
+    .option("--json", "Print the matching entries as JSON lines")
+    .action(async (options) => {
+      let entries;
+      try {
+        entries = await queryAuditLog(options.file, {
+          ...options,
+          limit: Number(options.limit) || undefined,
+        });
+      } catch (error) {
+        console.error(`Cannot read audit log: ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      if (options.json) {
+        entries.forEach((entry) => console.log(JSON.stringify(entry)));
+        return;
+      }
+      if (entries.length === 0) {
+        console.log("No matching audit entries.");
+        return;
+      }
+
+      for (const entry of entries) {
+        const target = entry.action ? `${entry.tool}:${entry.action}` : entry.tool;
+        const outcome = entry.error ? `${entry.outcome} (${entry.error.code})` : entry.outcome;
+        const requests = (entry.medusa || []).map((request) => `${request.method} ${request.path}`).join(", ");
+        console.log(
+          [
+            entry.timestamp,
+            outcome,
+            target,
+            entry.principal || "-",
+            entry.session_id || "-",
+            `${entry.duration_ms}ms`,
+            entry.dry_run ? "dry run" : requests,
+          ].join("  ")
+        );
+      }
+    });
+}
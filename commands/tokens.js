@@ -0,0 +1,107 @@
+import { createToken, getTokensFile, readTokenFile, writeTokenFile } from "../lib/tokens.js";
+import { ROLES } from "../lib/policy.js";
+
+const DURATION_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse --expires: an ISO date or a duration from now (12h, 30d)
+ * @param {string} [value] - Value
+ * @returns {string|undefined} ISO expiry
+ */
+function parseExpiry(value) {
+  if (!value) {
+    return undefined;
+  }
+  const duration = /^(\d+)([hd])$/.exec(value);
+  const time = duration ? Date.now() + Number(duration[1]) * DURATION_UNITS[duration[2]] : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid expiry: ${value}`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Run a command body, printing errors instead of stack traces
+ * @param {Function} body - Command body
+ * @returns {Function} Commander action
+ */
+function withErrors(body) {
+  return (...args) => {
+    try {
+      body(...args);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  };
+}
+
+export function registerTokenCommand(program) {
+  const token = program
+    .command("token")
+    .description("Manage the named HTTP auth tokens in the tokens file (MCP_TOKENS_FILE)");
+
+  token
+    .command("create")
+    .description("Create a token and print it once; only its hash is stored")
+    .requiredOption("--name <name>", "Unique name, recorded as the token:<name> principal")
+    .requiredOption("--role <role>", `Role: ${Object.keys(ROLES).join(", ")}`)
+    .option("--store <profile>", "Lock the token to this backend profile")
+    .option("--expires <time>", "ISO date or a duration from now (12h, 30d)")
+    .option("-f, --file <path>", "Tokens file", getTokensFile())
+    .action(withErrors((options) => {
+      const raw = readTokenFile(options.file);
+      if (raw.tokens.some((entry) => entry.name === options.name)) {
+        throw new Error(`A token named "${options.name}" already exists`);
+      }
+      const created = createToken({
+        name: options.name,
+        role: options.role,
+        store: options.store,
+        expiresAt: parseExpiry(options.expires),
+      });
+      writeTokenFile(options.file, { ...raw, tokens: [...raw.tokens, created.entry] });
+
+      console.log(`Token "${options.name}" (${options.role}) added to ${options.file}. Restart the server to apply.`);
+      console.log("Copy it now, it is not shown again:\n");
+      console.log(created.token);
+    }));
+
+  token
+    .command("list")
+    .description("List tokens without their hashes")
+    .option("-f, --file <path>", "Tokens file", getTokensFile())
+    .action(withErrors((options) => {
+      const { tokens } = readTokenFile(options.file);
+      if (tokens.length === 0) {
+        console.log(`No tokens in ${options.file}.`);
+        return;
+      }
+      for (const entry of tokens) {
+        const expired = entry.expires_at && Date.parse(entry.expires_at) <= Date.now();
+        console.log(
+          [
+            entry.name,
+            entry.role,
+            entry.store ? `store: ${entry.store}` : "any store",
+            entry.expires_at ? `${expired ? "expired" : "expires"} ${entry.expires_at}` : "no expiry",
+          ].join("  ")
+        );
+      }
+    }));
+
+  token
+    .command("revoke")
+    .description("Remove a token from the tokens file")
+    .requiredOption("--name <name>", "Token name")
+    .option("-f, --file <path>", "Tokens file", getTokensFile())
+    .action(withErrors((options) => {
+      const raw = readTokenFile(options.file, true);
+      const tokens = raw.tokens.filter((entry) => entry.name !== options.name);
+      if (tokens.length === raw.tokens.length) {
+        throw new Error(`No token named "${options.name}"`);
+      }
+      writeTokenFile(options.file, { ...raw, tokens });
+      console.log(`Token "${options.name}" revoked. Restart the server to apply.`);
+    }));
+}
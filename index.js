@@ -1,9 +1,13 @@
 import { Command } from "commander";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerAuditCommand } from "./commands/audit.js";
+import { registerTokenCommand } from "./commands/tokens.js";
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerAuditCommand(program);
+registerTokenCommand(program);
 
 program.parse(process.argv);
@@ -0,0 +1,145 @@
+// Per-action input schemas for the grouped manage_medusa_admin_* tools
+// Turns definition.actions into a JSON Schema discriminated union on `action` and enforces it before a tool runs
+
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+
+/**
+ * Error raised when tool arguments do not match the selected action's schema
+ */
+export class ToolInputError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [data] - Details (action, missing fields)
+   */
+  constructor(message, data) {
+    super(message);
+    this.name = 'ToolInputError';
+    this.code = JSON_RPC_ERRORS.INVALID_PARAMS;
+    this.data = data;
+  }
+}
+
+/**
+ * Action names a tool accepts
+ * @param {Object} definition - Tool definition
+ * @returns {string[]} Values of the `action` enum (empty for tools without actions)
+ */
+function getActions(definition) {
+  return definition.parameters?.properties?.action?.enum || [];
+}
+
+/**
+ * Fields that must be present for an action: the tool-level `required` plus the action's own
+ * @param {Object} definition - Tool definition
+ * @param {string} action - Action name
+ * @returns {string[]} Required field names
+ */
+export function getRequiredFields(definition, action) {
+  const required = definition.parameters?.required || [];
+  const own = definition.actions?.[action]?.required || [];
+  return [...new Set([...required, ...own])];
+}
+
+/**
+ * Build a tool's input schema as a discriminated union on `action`.
+ * The flat `properties` stay for clients that ignore `oneOf`; each branch pins
+ * `action` to one value and lists the fields that action needs, with per-action
+ * descriptions where a field means something different (e.g. customer_id on transfer).
+ * @param {Object} definition - Tool definition ({ parameters, actions })
+ * @param {Object} [env=process.env] - MCP_FLAT_TOOL_SCHEMAS=true omits `oneOf` for clients that reject it
+ * @returns {Object} JSON Schema
+ */
+export function buildInputSchema(definition, env = process.env) {
+  const { parameters } = definition;
+  const actions = getActions(definition);
+  if (actions.length === 0 || env.MCP_FLAT_TOOL_SCHEMAS === 'true') {
+    return parameters;
+  }
+
+  return {
+    ...parameters,
+    oneOf: actions.map((action) => ({
+      properties: {
+        action: { const: action },
+        ...definition.actions?.[action]?.properties
+      },
+      required: getRequiredFields(definition, action)
+    }))
+  };
+}
+
+/**
+ * JSON Schema type of an argument value
+ * @param {*} value - Argument value
+ * @returns {string} 'array', 'object', 'number', 'string', 'boolean' or the typeof name
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Arguments whose value does not have the type (or enum value) their property declares
+ * @param {Object} definition - Tool definition
+ * @param {Object} args - Tool arguments
+ * @returns {Array<{ field: string, expected: string }>} Mismatched fields
+ */
+function findInvalidFields(definition, args) {
+  const invalid = [];
+  for (const [field, value] of Object.entries(args)) {
+    if (value === undefined || value === null || field === 'action') {
+      continue;
+    }
+    const property = {
+      ...definition.parameters?.properties?.[field],
+      ...definition.actions?.[args.action]?.properties?.[field]
+    };
+    if (property.type && typeOf(value) !== property.type) {
+      invalid.push({ field, expected: property.type });
+    } else if (property.type === 'number' && !Number.isFinite(value)) {
+      invalid.push({ field, expected: 'finite number' });
+    } else if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+      invalid.push({ field, expected: `one of ${property.enum.join(', ')}` });
+    }
+  }
+  return invalid;
+}
+
+/**
+ * Check tool arguments against the selected action before any Medusa call.
+ * Covers the action, required fields, and the top-level type and enum of each argument;
+ * nested items and object fields are left to Medusa.
+ * @param {Object} definition - Tool definition
+ * @param {Object} args - Tool arguments
+ * @throws {ToolInputError} When the action is unknown, required fields are missing or an argument has the wrong type
+ */
+export function validateToolArguments(definition, args) {
+  const actions = getActions(definition);
+  if (actions.length > 0 && args.action !== undefined && !actions.includes(args.action)) {
+    throw new ToolInputError(
+      `Invalid action "${args.action}" for ${definition.name}. Valid actions: ${actions.join(', ')}`,
+      { action: args.action }
+    );
+  }
+
+  const missing = getRequiredFields(definition, args.action)
+    .filter((field) => args[field] === undefined || args[field] === null || args[field] === '');
+  if (missing.length > 0) {
+    const target = args.action ? `action "${args.action}"` : definition.name;
+    throw new ToolInputError(
+      `Missing required parameter${missing.length > 1 ? 's' : ''} for ${target}: ${missing.join(', ')}`,
+      { action: args.action, missing }
+    );
+  }
+
+  const invalid = findInvalidFields(definition, args);
+  if (invalid.length > 0) {
+    const target = args.action ? `action "${args.action}"` : definition.name;
+    throw new ToolInputError(
+      `Invalid parameter${invalid.length > 1 ? 's' : ''} for ${target}: ${invalid.map(({ field, expected }) => `${field} (expected ${expected})`).join(', ')}`,
+      { action: args.action, invalid }
+    );
+  }
+}
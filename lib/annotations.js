@@ -0,0 +1,97 @@
+// Tool annotations: read-only / destructive / idempotent classification of every action
+// Advertised in tools/list and exported for server-side policy decisions
+
+/**
+ * Verbs (the first word of an action name) that only read data
+ */
+const READ_ONLY_VERBS = ['list', 'get'];
+
+/**
+ * Verbs that delete data or reverse a business event (cancel, refund, revoke)
+ */
+const DESTRUCTIVE_VERBS = ['delete', 'remove', 'cancel', 'refund', 'revoke'];
+
+/**
+ * Verbs whose repeated calls have no additional effect. `add` is not one of them (adding a line twice
+ * gives two lines); actions that add to a set mark themselves idempotent with `annotations`.
+ */
+const IDEMPOTENT_VERBS = ['update', 'delete', 'remove', 'cancel', 'revoke', 'archive', 'complete'];
+
+/**
+ * Classify one action of a tool.
+ * The verb rules can be overridden per action with `definition.actions[action].annotations`.
+ * @param {Object} definition - Tool definition (grouped)
+ * @param {string} action - Action name (e.g. delete_variant)
+ * @returns {{ readOnlyHint: boolean, destructiveHint: boolean, idempotentHint: boolean }} Annotations
+ */
+export function getActionAnnotations(definition, action) {
+  const verb = action.split('_')[0];
+  const readOnly = READ_ONLY_VERBS.includes(verb);
+  return {
+    readOnlyHint: readOnly,
+    destructiveHint: DESTRUCTIVE_VERBS.includes(verb),
+    idempotentHint: readOnly || IDEMPOTENT_VERBS.includes(verb),
+    ...definition.actions?.[action]?.annotations
+  };
+}
+
+/**
+ * Annotations of a tool as advertised in tools/list.
+ * A split tool gets its action's annotations; a grouped tool is read-only or idempotent
+ * only if every action is, and destructive if any action is.
+ * @param {Object} tool - Tool object `{ definition, action?, groupDefinition? }`
+ * @returns {Object|undefined} Annotations, or undefined for tools without actions
+ */
+export function getToolAnnotations(tool) {
+  const { definition } = tool;
+  if (tool.action) {
+    return getActionAnnotations(tool.groupDefinition, tool.action);
+  }
+
+  const actions = definition.parameters?.properties?.action?.enum || [];
+  if (actions.length === 0) {
+    return undefined;
+  }
+  const all = actions.map((action) => getActionAnnotations(definition, action));
+  return {
+    readOnlyHint: all.every((a) => a.readOnlyHint),
+    destructiveHint: all.some((a) => a.destructiveHint),
+    idempotentHint: all.every((a) => a.idempotentHint)
+  };
+}
+
+/**
+ * Annotations of the action a tools/call will run, for policy checks before execution
+ * @param {Object} tool - Tool object (grouped or split)
+ * @param {Object} args - Tool arguments
+ * @returns {Object|undefined} Annotations, or undefined when no action is selected
+ */
+export function getCallAnnotations(tool, args) {
+  const action = tool.action ?? args.action;
+  if (!action) {
+    return undefined;
+  }
+  return getActionAnnotations(tool.groupDefinition || tool.definition, action);
+}
+
+/**
+ * The read action returning the entity a mutating action targets, and its arguments.
+ * `definition.actions[action].read` names it; otherwise `<verb>_<entity>` reads through `get_<entity>`,
+ * falling back to `get`. The call must carry every argument the read action requires.
+ * @param {Object} definition - Tool definition (grouped)
+ * @param {string} action - Mutating action
+ * @param {Object} args - Tool arguments
+ * @returns {{ action: string, args: Object }|null} Read call, or null when the action has none
+ */
+export function findReadAction(definition, action, args) {
+  const actions = definition.actions || {};
+  const entity = action.split('_').slice(1).join('_');
+  const candidates = actions[action]?.read ? [actions[action].read] : [entity && `get_${entity}`, 'get'];
+  for (const name of candidates.filter(Boolean)) {
+    const required = actions[name]?.required || [];
+    if (required.length > 0 && required.every((field) => args[field] !== undefined && args[field] !== '')) {
+      return { action: name, args: Object.fromEntries(required.map((field) => [field, args[field]])) };
+    }
+  }
+  return null;
+}
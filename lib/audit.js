@@ -0,0 +1,212 @@
+// Append-only audit trail of tool invocations
+// Entries go to pluggable sinks; MCP_AUDIT_LOG enables the JSONL file sink that `node index.js audit` queries
+
+import fs from 'fs';
+import readline from 'readline';
+
+/**
+ * Argument names whose values are never written to the audit log
+ */
+const SECRET_ARGUMENT = /pass(word)?|secret|token|api_?key|authorization/i;
+
+/**
+ * Replace secret-looking values in tool arguments, at any depth
+ * @param {*} value - Tool arguments (or a nested value)
+ * @returns {*} Copy safe to log
+ */
+export function redactArguments(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactArguments);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      SECRET_ARGUMENT.test(key) ? '[REDACTED]' : redactArguments(nested)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Audit sink writing one JSON object per line to an append-only file
+ */
+export class JsonlFileSink {
+  /**
+   * @param {string} file - Path of the JSONL file (created if missing)
+   */
+  constructor(file) {
+    this.file = file;
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (error) => console.error(`[Audit] Cannot write ${file}:`, error.message));
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - Audit entry
+   */
+  write(entry) {
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Flush pending lines and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+let sinks = null;
+
+/**
+ * Sinks configured from the environment: a JsonlFileSink when MCP_AUDIT_LOG names a file
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Array<{ write: Function, close?: Function }>} Sinks
+ */
+function sinksFromEnv(env = process.env) {
+  return env.MCP_AUDIT_LOG ? [new JsonlFileSink(env.MCP_AUDIT_LOG)] : [];
+}
+
+/**
+ * Get the audit sinks (configured from the environment on first use)
+ * @returns {Array<{ write: Function, close?: Function }>} Sinks
+ */
+export function getAuditSinks() {
+  if (!sinks) {
+    sinks = sinksFromEnv();
+  }
+  return sinks;
+}
+
+/**
+ * Add a sink, e.g. one shipping entries to a log service.
+ * A sink is any object with `write(entry)`; it may return a promise and may have `close()`.
+ * @param {{ write: Function, close?: Function }} sink - Sink
+ */
+export function addAuditSink(sink) {
+  getAuditSinks().push(sink);
+}
+
+/**
+ * Replace the audit sinks
+ * @param {Array|null} value - Sinks to use, or null to reconfigure from the environment
+ */
+export function setAuditSinks(value) {
+  sinks = value;
+}
+
+/**
+ * Close every sink that can be closed, so buffered entries reach their destination before the process exits.
+ * Failures are logged; the remaining sinks still close.
+ * @returns {Promise<void>}
+ */
+export async function closeAuditSinks() {
+  if (!sinks) {
+    return;
+  }
+  const results = await Promise.allSettled(sinks.map((sink) => sink.close?.()));
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error('[Audit] Cannot close sink:', result.reason?.message);
+    }
+  }
+  sinks = null;
+}
+
+/**
+ * Hand an entry to every sink. Sink failures are logged and never fail the tool call.
+ * @param {Object} entry - Audit entry
+ */
+export function recordAudit(entry) {
+  for (const sink of getAuditSinks()) {
+    try {
+      Promise.resolve(sink.write(entry)).catch((error) => console.error('[Audit] Sink failed:', error.message));
+    } catch (error) {
+      console.error('[Audit] Sink failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Derive a client that reports every Medusa request it sends.
+ * Clients derived from it with withSignal keep reporting.
+ * @param {MedusaClient} client - Client
+ * @param {Function} onRequest - Called with `{ method, path, ok, status? }` once each request settles
+ * @returns {MedusaClient} Client sharing the original's configuration
+ */
+export function trackRequests(client, onRequest) {
+  const tracked = Object.create(client);
+  tracked.request = async function (method, path, options) {
+    try {
+      const data = await client.request.call(this, method, path, options);
+      onRequest({ method, path, ok: true });
+      return data;
+    } catch (error) {
+      onRequest({ method, path, ok: false, ...(error?.status && { status: error.status }) });
+      throw error;
+    }
+  };
+  return tracked;
+}
+
+/**
+ * Parse a --since / --until value: an ISO date or a duration back from now (30m, 12h, 7d)
+ * @param {string} [value] - Value
+ * @returns {number|undefined} Epoch milliseconds
+ */
+function parseTime(value) {
+  if (!value) {
+    return undefined;
+  }
+  const duration = /^(\d+)([mhd])$/.exec(value);
+  if (duration) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[duration[2]];
+    return Date.now() - Number(duration[1]) * unit;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Read matching entries from a JSONL audit file
+ * @param {string} file - Audit file
+ * @param {Object} [filters] - Filters; string filters match exactly
+ * @param {string} [filters.tool] - Tool name
+ * @param {string} [filters.action] - Action
+ * @param {string} [filters.session] - Session id
+ * @param {string} [filters.principal] - Authenticated principal
+ * @param {string} [filters.outcome] - success, error or failed
+ * @param {string} [filters.since] - ISO date or duration (e.g. 24h)
+ * @param {string} [filters.until] - ISO date or duration
+ * @param {number} [filters.limit] - Keep only the last N matches
+ * @returns {Promise<Array<Object>>} Entries, oldest first
+ */
+export async function queryAuditLog(file, filters = {}) {
+  const since = parseTime(filters.since);
+  const until = parseTime(filters.until);
+  const fields = { tool: 'tool', action: 'action', session: 'session_id', principal: 'principal', outcome: 'outcome' };
+  const matches = [];
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // A line cut short by a crash; keep reading
+      continue;
+    }
+    const time = Date.parse(entry.timestamp);
+    if (since !== undefined && time < since) continue;
+    if (until !== undefined && time > until) continue;
+    if (Object.entries(fields).some(([filter, field]) => filters[filter] !== undefined && entry[field] !== filters[filter])) continue;
+    matches.push(entry);
+  }
+
+  return filters.limit ? matches.slice(-filters.limit) : matches;
+}
@@ -1,30 +1,75 @@
 // Shared authentication module for performance optimization
 // Reduces code duplication and improves maintainability
 
+import { findProfileByAuthToken } from './profiles.js';
+import { findToken, getTokenRegistry, isTokenExpired, safeEqual } from './tokens.js';
+
 /**
- * Optimized authentication middleware with caching
+ * Resolve a bearer token to the caller it identifies. Checked in order:
+ * registry tokens (`token:<name>`, with their role and optional store), profile-scoped tokens
+ * (`profile:<name>`, admin) and MCP_AUTH_TOKEN (`mcp-auth-token`, admin). Comparisons are constant-time.
+ * @param {string} token - Bearer token
+ * @returns {{ principal?: string, role?: string, store?: string, expiresAt?: number, error?: string }} The caller, or an error:
+ *   `expired` for an expired registry token, `unconfigured` when no token source is set, `invalid` otherwise
+ */
+export function resolveBearerToken(token) {
+  const entry = findToken(token);
+  if (entry) {
+    if (isTokenExpired(entry)) {
+      return { error: 'expired' };
+    }
+    return {
+      principal: `token:${entry.name}`,
+      role: entry.role,
+      ...(entry.store && { store: entry.store }),
+      ...(entry.expiresAt !== undefined && { expiresAt: entry.expiresAt })
+    };
+  }
+
+  const boundStore = findProfileByAuthToken(token);
+  if (boundStore) {
+    return { principal: `profile:${boundStore}`, role: 'admin', store: boundStore };
+  }
+
+  const expectedToken = process.env.MCP_AUTH_TOKEN;
+  if (!expectedToken) {
+    return { error: getTokenRegistry().tokens.length > 0 ? 'invalid' : 'unconfigured' };
+  }
+  return safeEqual(token, expectedToken) ? { principal: 'mcp-auth-token', role: 'admin' } : { error: 'invalid' };
+}
+
+/**
+ * Optimized authentication middleware with caching.
+ * Tokens bound to a profile set `req.mcpStore` to it.
+ * The caller is recorded in `req.mcpPrincipal` and its role in `req.mcpRole`, for the policy and the audit log.
  * @param {Object} req - Request object
  * @returns {boolean} Authentication result
  */
 export function authenticateRequest(req) {
   // Extract authorization header efficiently
   const authHeader = req.headers.authorization || req.headers.Authorization;
-  const expectedToken = process.env.MCP_AUTH_TOKEN;
-  
-  // Fast path for missing configuration
-  if (!expectedToken) {
-    console.error('MCP_AUTH_TOKEN environment variable not configured');
-    return false;
-  }
   
   // Fast path for missing or malformed header
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return false;
   }
   
-  // Extract and compare token
+  // Extract and resolve token
   const token = authHeader.slice(7); // Remove "Bearer " prefix
-  return token === expectedToken;
+  const caller = resolveBearerToken(token);
+  if (caller.error) {
+    if (caller.error === 'unconfigured') {
+      console.error('MCP_AUTH_TOKEN environment variable not configured');
+    }
+    return false;
+  }
+  
+  if (caller.store) {
+    req.mcpStore = caller.store;
+  }
+  req.mcpPrincipal = caller.principal;
+  req.mcpRole = caller.role;
+  return true;
 }
 
 /**
@@ -33,7 +78,7 @@ export function authenticateRequest(req) {
 export const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Medusa-Store',
   'Content-Type': 'application/json'
 };
 
@@ -0,0 +1,136 @@
+// Request timeouts and cancellation
+// Builds the AbortSignal threaded from each transport into tool execution and Medusa fetches
+
+import { PERFORMANCE_CONFIG } from './constants.js';
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+
+/**
+ * Error raised when a tool call exceeds its time budget
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(timeout) {
+    super(`Request timed out after ${timeout}ms`);
+    this.name = 'RequestTimeoutError';
+    this.code = JSON_RPC_ERRORS.REQUEST_TIMEOUT;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error raised when the client cancels an in-flight request
+ */
+export class RequestCancelledError extends Error {
+  /**
+   * @param {string} [reason] - Reason given by the client
+   */
+  constructor(reason) {
+    super(reason ? `Request cancelled: ${reason}` : 'Request cancelled');
+    this.name = 'RequestCancelledError';
+    this.code = JSON_RPC_ERRORS.INTERNAL_ERROR;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Resolve the tool call timeout (MCP_REQUEST_TIMEOUT_MS, falling back to PERFORMANCE_CONFIG)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} Timeout in milliseconds, 0 disables it
+ */
+export function getRequestTimeout(env = process.env) {
+  if (!env.MCP_REQUEST_TIMEOUT_MS) {
+    return PERFORMANCE_CONFIG.REQUEST_TIMEOUT;
+  }
+  const value = Number(env.MCP_REQUEST_TIMEOUT_MS);
+  return Number.isFinite(value) && value >= 0 ? value : PERFORMANCE_CONFIG.REQUEST_TIMEOUT;
+}
+
+/**
+ * Combine a caller signal with a timeout.
+ * The resulting signal aborts with RequestTimeoutError or RequestCancelledError,
+ * so callers can rethrow `signal.reason` as-is.
+ * @param {Object} [options] - Signal options
+ * @param {AbortSignal} [options.signal] - Signal from the transport (client cancellation)
+ * @param {number} [options.timeout] - Timeout in milliseconds, 0 disables it
+ * @returns {{ signal: AbortSignal, dispose: Function }} Combined signal and cleanup callback
+ */
+export function createRequestSignal({ signal, timeout = getRequestTimeout() } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => {
+    const reason = signal.reason;
+    // Keep our own errors, normalize anything else (e.g. a bare DOMException) to a cancellation
+    if (reason instanceof RequestCancelledError || reason instanceof RequestTimeoutError) {
+      controller.abort(reason);
+    } else {
+      controller.abort(new RequestCancelledError(typeof reason === 'string' ? reason : undefined));
+    }
+  };
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const timer = timeout > 0
+    ? setTimeout(() => controller.abort(new RequestTimeoutError(timeout)), timeout)
+    : null;
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Tracks in-flight requests so `notifications/cancelled` can abort them
+ */
+export class CancellationRegistry {
+  constructor() {
+    this.controllers = new Map();
+  }
+
+  /**
+   * Register an in-flight request
+   * @param {string} key - Request key (scope + JSON-RPC id)
+   * @returns {AbortSignal} Signal aborted when the request is cancelled
+   */
+  track(key) {
+    const controller = new AbortController();
+    this.controllers.set(key, controller);
+    return controller.signal;
+  }
+
+  /**
+   * Cancel an in-flight request
+   * @param {string} key - Request key
+   * @param {string} [reason] - Reason given by the client
+   * @returns {boolean} Whether a request was found
+   */
+  cancel(key, reason) {
+    const controller = this.controllers.get(key);
+    if (!controller) {
+      return false;
+    }
+    controller.abort(new RequestCancelledError(reason));
+    this.controllers.delete(key);
+    return true;
+  }
+
+  /**
+   * Forget a finished request
+   * @param {string} key - Request key
+   * @param {AbortSignal} [signal] - Signal returned by track(); when given, a later request tracked
+   *   under the same key is left alone
+   */
+  release(key, signal) {
+    if (!signal || this.controllers.get(key)?.signal === signal) {
+      this.controllers.delete(key);
+    }
+  }
+}
@@ -0,0 +1,295 @@
+// Two-phase confirmation for destructive actions
+// Asks the user through MCP elicitation, or issues a short-lived token the caller must echo back
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { CONFIRMATION_CONFIG } from './constants.js';
+import { findReadAction, getActionAnnotations } from './annotations.js';
+import { redactResult } from './redaction.js';
+
+/**
+ * Fields of the target entity shown in the impact summary, in this order
+ */
+const SUMMARY_FIELDS = ['display_id', 'title', 'name', 'handle', 'email', 'status', 'total', 'currency_code', 'amount'];
+
+/**
+ * JSON Schema property added to every tool that has destructive actions
+ */
+export const CONFIRMATION_PARAMETERS = {
+  confirmation_token: {
+    type: 'string',
+    description: 'Destructive actions only: token returned by a CONFIRMATION_REQUIRED error. Repeat the same call with it once the user has agreed.'
+  }
+};
+
+/**
+ * Error raised when a destructive action has not been confirmed
+ */
+export class ConfirmationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} data - Details (summary, and confirmation_token/expires_at when a token was issued)
+   * @param {boolean} [declined=false] - The user declined the elicitation prompt
+   */
+  constructor(message, data, declined = false) {
+    super(message);
+    this.name = 'ConfirmationError';
+    this.data = data;
+    this.declined = declined;
+  }
+}
+
+/**
+ * Whether destructive actions need confirmation (MCP_CONFIRM_DESTRUCTIVE, on unless "false")
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {boolean} True when confirmation is enabled
+ */
+export function isConfirmationEnabled(env = process.env) {
+  return env.MCP_CONFIRM_DESTRUCTIVE !== 'false';
+}
+
+/**
+ * Resolve how long a confirmation stays valid (MCP_CONFIRMATION_TTL_MINUTES, falling back to CONFIRMATION_CONFIG)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} Time to live in milliseconds
+ */
+export function getConfirmationTtl(env = process.env) {
+  const value = Number(env.MCP_CONFIRMATION_TTL_MINUTES);
+  const minutes = env.MCP_CONFIRMATION_TTL_MINUTES && Number.isFinite(value) && value > 0
+    ? value
+    : CONFIRMATION_CONFIG.TTL_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Whether an action must be confirmed before it runs
+ * @param {Object} definition - Tool definition (grouped)
+ * @param {string} [action] - Action name
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {boolean} True for destructive actions while confirmation is enabled
+ */
+export function requiresConfirmation(definition, action, env = process.env) {
+  return isConfirmationEnabled(env) && typeof action === 'string' && getActionAnnotations(definition, action).destructiveHint;
+}
+
+// Tokens are signed rather than stored so any instance behind a load balancer can check them;
+// without MCP_CONFIRMATION_SECRET they only verify on the process that issued them
+let secret = null;
+
+/**
+ * Signing key for confirmation tokens
+ * @returns {Buffer|string} MCP_CONFIRMATION_SECRET, or a random per-process key
+ */
+function getSecret() {
+  if (!secret) {
+    secret = process.env.MCP_CONFIRMATION_SECRET || randomBytes(32);
+  }
+  return secret;
+}
+
+// Tokens already used, with their expiry, so a token confirms a single call. The set is per process:
+// behind several instances sharing MCP_CONFIRMATION_SECRET, a token could confirm the same call once
+// on each instance until it expires (the arguments, store and TTL it is bound to still apply).
+const usedTokens = new Map();
+
+/**
+ * Serialize a value with object keys sorted, so equal arguments give equal fingerprints
+ * @param {*} value - Value
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash of the call a token confirms: tool, action, arguments and store
+ * @param {Object} definition - Tool definition (grouped)
+ * @param {Object} args - Tool arguments (without confirmation_token)
+ * @param {string} [store] - Backend profile
+ * @returns {string} Hex digest
+ */
+function fingerprint(definition, args, store) {
+  return createHash('sha256').update(stableStringify({ tool: definition.name, args, store: store ?? null })).digest('hex');
+}
+
+/**
+ * Sign the expiry and fingerprint of a call
+ * @param {number} expiresAt - Expiry (epoch ms)
+ * @param {string} hash - Call fingerprint
+ * @returns {string} base64url HMAC
+ */
+function sign(expiresAt, hash) {
+  return createHmac('sha256', getSecret()).update(`${expiresAt}.${hash}`).digest('base64url');
+}
+
+/**
+ * Issue a token confirming one call
+ * @param {string} hash - Call fingerprint
+ * @returns {{ token: string, expiresAt: number }} Token `<expiry>.<signature>` and its expiry
+ */
+function issueToken(hash) {
+  const expiresAt = Date.now() + getConfirmationTtl();
+  return { token: `${expiresAt}.${sign(expiresAt, hash)}`, expiresAt };
+}
+
+/**
+ * Check a token for a call without using it up
+ * @param {string} token - Token sent by the caller
+ * @param {string} hash - Fingerprint of the call being made
+ * @returns {boolean} True when the token was issued for this call, has not expired and was not used
+ */
+function checkToken(token, hash) {
+  const [expiry, signature] = String(token).split('.');
+  const expiresAt = Number(expiry);
+  if (!signature || !Number.isFinite(expiresAt) || expiresAt < Date.now() || usedTokens.has(token)) {
+    return false;
+  }
+  const expected = Buffer.from(sign(expiresAt, hash));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check and use up a token for a call
+ * @param {string} token - Token sent by the caller
+ * @param {string} hash - Fingerprint of the call being made
+ * @returns {boolean} True when the token was valid and is now used
+ */
+function consumeToken(token, hash) {
+  if (!checkToken(token, hash)) {
+    return false;
+  }
+  for (const [used, usedExpiry] of usedTokens) {
+    if (usedExpiry < Date.now()) usedTokens.delete(used);
+  }
+  usedTokens.set(token, Number(String(token).split('.')[0]));
+  return true;
+}
+
+/**
+ * Fetch the entity an action targets through its read action (see findReadAction), for the summary
+ * @param {Object} tool - Tool object (grouped or split)
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Tool context with the client
+ * @returns {Promise<Object|undefined>} The entity, or undefined when it cannot be fetched
+ */
+async function fetchTarget(tool, args, context) {
+  const read = findReadAction(tool.groupDefinition || tool.definition, tool.action ?? args.action, args);
+  if (!read) {
+    return undefined;
+  }
+  try {
+    const result = redactResult(
+      await (tool.groupFunction || tool.function)({ action: read.action, ...read.args }, context),
+      context
+    );
+    return Object.values(result || {}).find((value) => value && typeof value === 'object' && !Array.isArray(value));
+  } catch {
+    // The summary still names the action and id, and says the state is unknown
+    return undefined;
+  }
+}
+
+/**
+ * Human-readable impact of a destructive call, e.g.
+ * "Cancel order order_01H... (display_id: 1001, email: jane@example.com, total: 4200, currency_code: eur)"
+ * @param {Object} definition - Tool definition (grouped)
+ * @param {string} action - Action name
+ * @param {Object} args - Tool arguments
+ * @param {Object} [target] - Current state of the target entity; without it the summary says it is unknown
+ * @returns {string} Summary
+ */
+function summarizeImpact(definition, action, args, target) {
+  const [verb, ...rest] = action.split('_');
+  const subject = rest.length > 0
+    ? rest.join(' ')
+    : definition.name.replace(/^manage_medusa_admin_/, '').replace(/_/g, ' ').replace(/s$/, '');
+  const facts = target
+    ? SUMMARY_FIELDS.filter((field) => target[field] !== undefined && target[field] !== null)
+        .map((field) => `${field}: ${target[field]}`)
+    : ['current state could not be fetched'];
+  return [
+    `${verb[0].toUpperCase()}${verb.slice(1)} ${subject}${args.id ? ` ${args.id}` : ''}`,
+    facts.length > 0 ? ` (${facts.join(', ')})` : '',
+    '. This action cannot be undone.'
+  ].join('');
+}
+
+/**
+ * Ask the user to confirm through MCP elicitation
+ * @param {Function} elicit - Sends elicitation/create and resolves with the client's result
+ * @param {string} summary - Impact summary
+ * @returns {Promise<boolean|undefined>} Whether the user confirmed, or undefined when the client could not ask
+ */
+async function askUser(elicit, summary) {
+  try {
+    const result = await elicit({
+      message: summary,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: { type: 'boolean', title: 'Confirm', description: 'Run this action' }
+        },
+        required: ['confirm']
+      }
+    });
+    return result.action === 'accept' && result.content?.confirm === true;
+  } catch (error) {
+    console.warn('[Confirmation] Elicitation failed, falling back to a confirmation token:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Make sure a destructive call was confirmed before it runs.
+ * A valid `confirmation_token` confirms it; otherwise clients that support elicitation are asked,
+ * and the others get a CONFIRMATION_REQUIRED error carrying a token to send back with the same call.
+ * The token is only used up by the returned function, so a call refused afterwards (rate limits) can be repeated with it.
+ * @param {Object} tool - Tool object (grouped or split)
+ * @param {Object} args - Tool arguments without the centrally handled ones
+ * @param {string} [token] - `confirmation_token` sent with the call
+ * @param {Object} context - Tool context
+ * @param {MedusaClient} context.client - Client used to fetch the target for the summary
+ * @param {string} [context.store] - Resolved backend profile
+ * @param {Function} [context.elicit] - Sends elicitation/create when the client supports it
+ * @returns {Promise<Function>} Uses up the confirmation once the call is admitted; it throws a ConfirmationError
+ *   when a concurrent call used the same token first
+ * @throws {ConfirmationError} When the call is not confirmed
+ */
+export async function confirmToolCall(tool, args, token, context) {
+  const definition = tool.groupDefinition || tool.definition;
+  const action = tool.action ?? args.action;
+  const hash = fingerprint(definition, { ...args, action }, context.store);
+  if (token !== undefined && checkToken(token, hash)) {
+    return () => {
+      if (!consumeToken(token, hash)) {
+        throw new ConfirmationError('The confirmation token was already used by another call', {});
+      }
+    };
+  }
+
+  const summary = summarizeImpact(definition, action, args, await fetchTarget(tool, args, context));
+  if (token === undefined && context.elicit) {
+    const confirmed = await askUser(context.elicit, summary);
+    if (confirmed === true) {
+      return () => {};
+    }
+    if (confirmed === false) {
+      throw new ConfirmationError(`The user declined: ${summary}`, { summary }, true);
+    }
+  }
+
+  const issued = issueToken(hash);
+  const reason = token === undefined
+    ? 'Confirmation required'
+    : 'The confirmation token is invalid, expired or was issued for different arguments';
+  throw new ConfirmationError(
+    `${reason}. ${summary} Ask the user, then repeat the same call with confirmation_token.`,
+    { summary, confirmation_token: issued.token, expires_at: new Date(issued.expiresAt).toISOString() }
+  );
+}
@@ -21,7 +21,9 @@ export const SERVER_INFO = {
  * Server capabilities
  */
 export const CAPABILITIES = {
-  tools: {}
+  tools: {},
+  resources: {},
+  prompts: {}
 };
 
 /**
@@ -30,10 +32,113 @@ export const CAPABILITIES = {
 export const PERFORMANCE_CONFIG = {
   TOOL_CACHE_TTL: 5 * 60 * 1000, // 5 minutes
   MAX_REQUEST_SIZE: 10 * 1024 * 1024, // 10MB
-  REQUEST_TIMEOUT: 30000, // 30 seconds
+  REQUEST_TIMEOUT: 25000, // 25 seconds, below the 30s Vercel maxDuration
   MEMORY_WARNING_THRESHOLD: 100 * 1024 * 1024 // 100MB
 };
 
+/**
+ * Retry policy for Medusa API calls
+ * Only idempotent methods are retried unless the request carries an idempotency key
+ */
+export const RETRY_CONFIG = {
+  MAX_ATTEMPTS: 3, // including the first attempt
+  BASE_DELAY_MS: 250,
+  MAX_DELAY_MS: 5000,
+  MAX_RETRY_AFTER_MS: 30000, // Retry-After values above this are not waited for
+  RETRY_STATUSES: [408, 429, 500, 502, 503, 504],
+  RETRY_AFTER_STATUSES: [429, 503],
+  IDEMPOTENT_METHODS: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+/**
+ * Medusa admin user (emailpass) authentication
+ */
+export const AUTH_CONFIG = {
+  TOKEN_REFRESH_MARGIN_MS: 60000, // refresh this long before the JWT expires
+  DEFAULT_TOKEN_TTL_MS: 15 * 60 * 1000, // for tokens without an exp claim
+  LOGIN_RETRY_COOLDOWN_MS: 60000, // use the API key fallback this long after a failed login
+  LOGIN_TIMEOUT_MS: 10000
+};
+
+/**
+ * Auto-pagination for list actions (`paginate: "all"` / `max_items`)
+ * MAX_ITEMS is a hard cap that max_items cannot raise
+ */
+export const PAGINATION_CONFIG = {
+  PAGE_SIZE: 100,
+  DEFAULT_MAX_ITEMS: 500,
+  MAX_ITEMS: 2000
+};
+
+/**
+ * Progress reporting for bulk tool actions (add_products, remove_products)
+ */
+export const PROGRESS_CONFIG = {
+  BATCH_SIZE: 50 // product IDs per Medusa call once a bulk action is split
+};
+
+/**
+ * Confirmation of destructive actions (elicitation or confirmation token)
+ */
+export const CONFIRMATION_CONFIG = {
+  TTL_MINUTES: 5 // how long a confirmation token, or an elicitation prompt, stays valid
+};
+
+/**
+ * OAuth 2.1 access tokens (HTTP transport) and the optional built-in authorization server
+ */
+export const OAUTH_CONFIG = {
+  ACCESS_TOKEN_TTL_SECONDS: 3600,
+  REFRESH_TOKEN_TTL_SECONDS: 30 * 24 * 3600,
+  AUTHORIZATION_CODE_TTL_SECONDS: 60,
+  MAX_CLIENTS: 1000, // dynamically registered clients kept at once
+  UNUSED_CLIENT_TTL_SECONDS: 3600, // a registration nobody signs in with expires after this
+  REGISTER_RATE: '20/hour', // per client IP address
+  AUTHORIZE_RATE: '10/min', // sign-in attempts per client IP address
+  CLOCK_SKEW_SECONDS: 60, // tolerated difference with the issuer's clock for exp/nbf
+  JWKS_CACHE_MS: 10 * 60 * 1000,
+  JWKS_MIN_REFRESH_MS: 30 * 1000, // an unknown key id refetches the JWKS at most this often
+  FETCH_TIMEOUT_MS: 5000 // issuer metadata and JWKS requests
+};
+
+/**
+ * Default per-principal limits (see lib/rate-limit.js); a rate's count is also its burst unless set
+ */
+export const RATE_LIMIT_CONFIG = {
+  REQUESTS: '600/min', // HTTP requests to /mcp
+  CALLS: { rate: '120/min', concurrency: 8 }, // all tool calls
+  WRITES: { rate: '30/min', concurrency: 2 }, // tool calls of mutating actions (dry runs excluded)
+  MAX_BUCKETS: 10000 // idle buckets are dropped beyond this many
+};
+
+/**
+ * Streamable HTTP sessions (see server/sessions/session-store.js)
+ */
+export const SESSION_CONFIG = {
+  TTL_MINUTES: 30, // sessions idle for longer expire
+  CLEANUP_INTERVAL_MS: 5 * 60 * 1000,
+  FILE_FLUSH_DELAY_MS: 1000, // the file store batches activity updates for this long
+  REDIS_KEY_PREFIX: 'mcp:session:',
+  REDIS_TIMEOUT_MS: 5000 // connecting, and waiting for a reply
+};
+
+/**
+ * SSE event log kept for Last-Event-ID replay (see server/transports/event-store.js)
+ */
+export const SSE_CONFIG = {
+  MAX_EVENTS_PER_SESSION: 100, // older events are dropped first
+  EVENT_TTL_MS: 5 * 60 * 1000 // how long a client has to reconnect and catch up
+};
+
+/**
+ * Resource subscriptions (polling change detection)
+ */
+export const SUBSCRIPTION_CONFIG = {
+  POLL_INTERVAL_MS: 30000,
+  MIN_POLL_INTERVAL_MS: 5000,
+  MAX_PER_SUBSCRIBER: 50
+};
+
 /**
  * HTTP status codes for consistent responses
  */
@@ -43,5 +148,6 @@ export const HTTP_STATUS = {
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   METHOD_NOT_ALLOWED: 405,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+// Dry-run (plan) mode for mutating actions
+// Runs the tool against a client that records writes instead of sending them, then reports the plan
+
+import { findReadAction, getActionAnnotations } from './annotations.js';
+import { classifyToolError } from './tool-errors.js';
+import { redactResult } from './redaction.js';
+
+/**
+ * JSON Schema property added to every tool that has mutating actions
+ */
+export const DRY_RUN_PARAMETERS = {
+  dry_run: {
+    type: 'boolean',
+    description: 'Mutating actions only: return the HTTP requests the action would send (and the current state of the target when it has an id) without changing anything.'
+  }
+};
+
+/**
+ * Result of a dry run, advertised next to the actions' own output schemas
+ */
+export const DRY_RUN_OUTPUT = {
+  type: 'object',
+  properties: {
+    dry_run: { const: true },
+    action: { type: 'string' },
+    requests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          method: { type: 'string' },
+          url: { type: 'string' },
+          body: {}
+        },
+        required: ['method', 'url']
+      }
+    },
+    current: { type: 'object' },
+    current_error: { type: 'object' },
+    current_unavailable: { type: 'string' },
+    stopped: { type: 'string' }
+  },
+  required: ['dry_run', 'requests']
+};
+
+/**
+ * Whether an action writes to Medusa (anything not annotated read-only)
+ * @param {Object} definition - Tool definition (grouped)
+ * @param {string} [action] - Action name
+ * @returns {boolean} True for mutating actions
+ */
+export function isMutatingAction(definition, action) {
+  return typeof action === 'string' && !getActionAnnotations(definition, action).readOnlyHint;
+}
+
+/**
+ * Derive a client that lets reads through and records writes.
+ * Recorded writes resolve to an empty body, so tools carry on to their next request.
+ * @param {MedusaClient} client - Client bound to the request signal
+ * @returns {{ client: MedusaClient, requests: Array<{ method: string, url: string, body?: * }> }} Recording client and its log
+ */
+function createRecordingClient(client) {
+  const requests = [];
+  const recorder = Object.create(client);
+  recorder.request = (method, path, options = {}) => {
+    if (method === 'GET') {
+      return client.request(method, path, options);
+    }
+    requests.push({
+      method,
+      url: client.buildUrl(path, options.query),
+      ...(options.body !== undefined && { body: options.body })
+    });
+    return Promise.resolve({});
+  };
+  return { client: recorder, requests };
+}
+
+/**
+ * Fetch the current state of the entity a mutating action targets (see findReadAction)
+ * @param {Object} tool - Tool object (grouped or split)
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Tool context with the real client
+ * @returns {Promise<Object>} `{ current }`, `{ current_error }` when the read failed, `{ current_unavailable }`
+ *   when the action has no read action for these arguments, or nothing for create actions
+ */
+async function fetchCurrentState(tool, args, context) {
+  const definition = tool.groupDefinition || tool.definition;
+  const action = tool.action ?? args.action;
+  const read = findReadAction(definition, action, args);
+  if (!read) {
+    return action.startsWith('create') ? {} : { current_unavailable: `${action} has no read action for these arguments` };
+  }
+  try {
+    const run = tool.groupFunction || tool.function;
+    return { current: redactResult(await run({ action: read.action, ...read.args }, context), context) };
+  } catch (error) {
+    const { code, message } = classifyToolError(error);
+    return { current_error: { code, message } };
+  }
+}
+
+/**
+ * Plan a mutating tool call without performing it
+ * @param {Object} tool - Tool object (grouped or split)
+ * @param {Object} args - Tool arguments without the centrally handled ones
+ * @param {Object} context - Tool context (client, signal, store, ...)
+ * @returns {Promise<Object>} `{ dry_run: true, action, requests, current?, current_error?, current_unavailable?, stopped? }`
+ * @throws {Error} When the tool fails before its first write (e.g. a missing argument)
+ */
+export async function planToolCall(tool, args, context) {
+  const { client, requests } = createRecordingClient(context.client);
+  let stopped;
+  try {
+    await tool.function(args, { ...context, client });
+  } catch (error) {
+    if (requests.length === 0) {
+      throw error;
+    }
+    // A later step needed data from a simulated response; report what was planned so far
+    stopped = error.message;
+  }
+  context.signal?.throwIfAborted();
+
+  return {
+    dry_run: true,
+    action: tool.action ?? args.action,
+    requests,
+    ...(await fetchCurrentState(tool, args, context)),
+    ...(stopped && { stopped })
+  };
+}
@@ -61,7 +61,11 @@ export const JSON_RPC_ERRORS = {
   INVALID_REQUEST: -32600,
   METHOD_NOT_FOUND: -32601,
   INVALID_PARAMS: -32602,
-  INTERNAL_ERROR: -32603
+  INTERNAL_ERROR: -32603,
+  REQUEST_TIMEOUT: -32001, // MCP SDK ErrorCode.RequestTimeout
+  RESOURCE_NOT_FOUND: -32002, // MCP spec: resources/read for an unknown URI
+  POLICY_DENIED: -32003, // server-defined: the server policy or the caller's role forbids the request
+  RATE_LIMITED: -32029 // server-defined: rate limit or concurrency quota exceeded, data.retryAfter in seconds
 };
 
 /**
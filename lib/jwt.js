@@ -0,0 +1,182 @@
+// JSON Web Tokens (JWS compact form) on node:crypto
+// Signing for the built-in authorization server, signature and claim checks for access tokens
+
+import { Buffer } from 'buffer';
+import { constants, createHash, createPublicKey, sign, verify } from 'crypto';
+
+/**
+ * Supported `alg` values and how node:crypto computes them
+ */
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', pss: true },
+  PS384: { hash: 'sha384', pss: true },
+  PS512: { hash: 'sha512', pss: true },
+  ES256: { hash: 'sha256', ecdsa: true },
+  ES384: { hash: 'sha384', ecdsa: true },
+  ES512: { hash: 'sha512', ecdsa: true },
+  EdDSA: { hash: null }
+};
+
+/**
+ * Error raised for a malformed, badly signed or unacceptable token
+ */
+export class JwtError extends Error {
+  /**
+   * @param {string} message - Error message (safe to return to the client)
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+/**
+ * Look up an algorithm by its `alg` name
+ * @param {string} alg - Algorithm name
+ * @returns {Object} Entry of ALGORITHMS
+ * @throws {JwtError} For unsupported algorithms, including `none`
+ */
+function getAlgorithm(alg) {
+  if (typeof alg !== 'string' || !Object.hasOwn(ALGORITHMS, alg)) {
+    throw new JwtError(`Unsupported algorithm ${alg}`);
+  }
+  return ALGORITHMS[alg];
+}
+
+/**
+ * Encode a JSON value as base64url
+ * @param {Object} value - Value
+ * @returns {string} base64url text
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Split a token and parse its header and payload, without verifying it
+ * @param {string} token - JWT
+ * @returns {{ header: Object, payload: Object, signingInput: string, signature: Buffer }} Parts
+ * @throws {JwtError} When the token is not a JWS compact JWT
+ */
+export function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token');
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw new JwtError('Malformed token');
+  }
+}
+
+/**
+ * Whether a bearer token looks like a JWT (as opposed to an opaque static token)
+ * @param {string} token - Bearer token
+ * @returns {boolean} True when it has a JSON header naming an algorithm
+ */
+export function isJwt(token) {
+  try {
+    return typeof decodeJwt(token).header.alg === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Options for crypto.sign / crypto.verify
+ * @param {Object} algorithm - Entry of ALGORITHMS
+ * @param {KeyObject} key - Key
+ * @returns {Object} Key with padding / DSA encoding
+ */
+function keyOptions(algorithm, key) {
+  return {
+    key,
+    ...(algorithm.pss && { padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST }),
+    ...(algorithm.ecdsa && { dsaEncoding: 'ieee-p1363' })
+  };
+}
+
+/**
+ * Sign an access token (`typ: at+jwt`, RFC 9068)
+ * @param {Object} payload - Claims
+ * @param {Object} options - Signing key
+ * @param {KeyObject} options.key - Private key
+ * @param {string} options.alg - Algorithm matching the key (e.g. ES256)
+ * @param {string} [options.kid] - Key id published in the JWKS
+ * @returns {string} Token
+ */
+export function signJwt(payload, { key, alg, kid }) {
+  const algorithm = getAlgorithm(alg);
+  const signingInput = `${encodeSegment({ alg, typ: 'at+jwt', ...(kid && { kid }) })}.${encodeSegment(payload)}`;
+  const signature = sign(algorithm.hash, Buffer.from(signingInput), keyOptions(algorithm, key));
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Check a decoded token's signature
+ * @param {Object} decoded - Result of decodeJwt
+ * @param {Object} jwk - Public key as a JWK
+ * @throws {JwtError} When the algorithm is unsupported or the signature does not match
+ */
+export function verifyJwtSignature(decoded, jwk) {
+  const algorithm = getAlgorithm(decoded.header.alg);
+  if (jwk.alg && jwk.alg !== decoded.header.alg) {
+    throw new JwtError('Token algorithm does not match the signing key');
+  }
+  let valid;
+  try {
+    const key = createPublicKey({ key: jwk, format: 'jwk' });
+    valid = verify(algorithm.hash, Buffer.from(decoded.signingInput), keyOptions(algorithm, key), decoded.signature);
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new JwtError('Invalid token signature');
+  }
+}
+
+/**
+ * Check the registered claims of a verified token
+ * @param {Object} payload - Claims
+ * @param {Object} expected - Expected values
+ * @param {string} expected.issuer - `iss`
+ * @param {string} expected.audience - Must be `aud`, or one of its entries
+ * @param {number} [expected.clockSkew=0] - Tolerance in seconds for exp and nbf
+ * @throws {JwtError} When a claim does not match
+ */
+export function validateClaims(payload, { issuer, audience, clockSkew = 0 }) {
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.iss !== issuer) {
+    throw new JwtError('Token issuer is not trusted');
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(audience)) {
+    throw new JwtError('Token was not issued for this server');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + clockSkew <= now) {
+    throw new JwtError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - clockSkew > now) {
+    throw new JwtError('Token not yet valid');
+  }
+}
+
+/**
+ * RFC 7638 thumbprint of a public JWK, used as its key id
+ * @param {Object} jwk - Public key
+ * @returns {string} base64url SHA-256 thumbprint
+ */
+export function getJwkThumbprint(jwk) {
+  const members = { EC: ['crv', 'kty', 'x', 'y'], RSA: ['e', 'kty', 'n'], OKP: ['crv', 'kty', 'x'] }[jwk.kty] || Object.keys(jwk).sort();
+  const canonical = JSON.stringify(Object.fromEntries(members.map((name) => [name, jwk[name]])));
+  return createHash('sha256').update(canonical).digest('base64url');
+}
@@ -0,0 +1,214 @@
+// Medusa Admin API authentication providers
+// Secret API key (HTTP Basic) or admin user login (emailpass JWT) with caching and refresh
+
+import { Buffer } from 'buffer';
+import { AUTH_CONFIG } from './constants.js';
+
+/**
+ * Error raised when logging in to Medusa fails
+ */
+export class MedusaAuthError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [status] - HTTP status of the auth endpoint
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'MedusaAuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the expiry of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry as epoch milliseconds, or null when absent
+ */
+export function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * HTTP Basic auth with a secret admin API key
+ */
+export class ApiKeyAuthProvider {
+  /**
+   * @param {string} apiKey - Secret admin API key
+   */
+  constructor(apiKey) {
+    this.type = 'api-key';
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * @returns {Promise<Object>} Authorization header
+   */
+  async getHeaders() {
+    return { 'Authorization': `Basic ${Buffer.from(`${this.apiKey}:`).toString('base64')}` };
+  }
+
+  /**
+   * API keys cannot be renewed
+   * @returns {boolean} Always false
+   */
+  invalidate() {
+    return false;
+  }
+}
+
+/**
+ * Admin user login via POST /auth/user/emailpass.
+ * The bearer JWT is cached, refreshed shortly before it expires, and shared by
+ * concurrent requests. When login fails and a fallback provider is configured
+ * (usually an API key), requests use the fallback until the next login attempt.
+ */
+export class EmailPassAuthProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.email - Admin user email
+   * @param {string} options.password - Admin user password
+   * @param {ApiKeyAuthProvider} [options.fallback] - Provider used while login fails
+   */
+  constructor({ email, password, fallback }) {
+    this.type = 'emailpass';
+    this.email = email;
+    this.password = password;
+    this.fallback = fallback || null;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+    this.failedAt = 0;
+  }
+
+  /**
+   * @param {Object} transport - Where to send auth requests
+   * @param {string} transport.baseUrl - Medusa backend URL
+   * @param {Function} transport.fetch - fetch implementation
+   * @returns {Promise<Object>} Authorization header
+   */
+  async getHeaders(transport) {
+    if (this.fallback && this.failedAt && Date.now() - this.failedAt < AUTH_CONFIG.LOGIN_RETRY_COOLDOWN_MS) {
+      return this.fallback.getHeaders();
+    }
+    try {
+      const token = await this.getToken(transport);
+      this.failedAt = 0;
+      return { 'Authorization': `Bearer ${token}` };
+    } catch (error) {
+      if (!this.fallback) {
+        throw error;
+      }
+      console.warn(`Medusa login for ${this.email} failed, falling back to API key: ${error.message}`);
+      this.failedAt = Date.now();
+      return this.fallback.getHeaders();
+    }
+  }
+
+  /**
+   * Get a valid token, logging in or refreshing when needed
+   * @param {Object} transport - See getHeaders()
+   * @returns {Promise<string>} Bearer JWT
+   */
+  async getToken(transport) {
+    if (this.token && Date.now() < this.expiresAt - AUTH_CONFIG.TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+    if (!this.pending) {
+      const renew = this.token
+        ? this.refresh(transport).catch(() => this.login(transport))
+        : this.login(transport);
+      this.pending = renew
+        .then((token) => this.store(token))
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Log in with email and password
+   * @param {Object} transport - See getHeaders()
+   * @returns {Promise<string>} Bearer JWT
+   */
+  async login(transport) {
+    return this.requestToken(transport, '/auth/user/emailpass', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: this.email, password: this.password })
+    });
+  }
+
+  /**
+   * Exchange the current token for a fresh one
+   * @param {Object} transport - See getHeaders()
+   * @returns {Promise<string>} Bearer JWT
+   */
+  async refresh(transport) {
+    return this.requestToken(transport, '/auth/token/refresh', {
+      headers: { 'Authorization': `Bearer ${this.token}` }
+    });
+  }
+
+  /**
+   * POST to an auth endpoint and extract the token
+   * @param {Object} transport - See getHeaders()
+   * @param {string} path - Auth endpoint path
+   * @param {Object} init - fetch options
+   * @returns {Promise<string>} Bearer JWT
+   */
+  async requestToken({ baseUrl, fetch }, path, init) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      ...init,
+      signal: AbortSignal.timeout(AUTH_CONFIG.LOGIN_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.token) {
+      throw new MedusaAuthError(`Medusa authentication failed (${path}): HTTP ${response.status}`, response.status);
+    }
+    return data.token;
+  }
+
+  /**
+   * Cache a token until shortly before it expires
+   * @param {string} token - Bearer JWT
+   * @returns {string} The same token
+   */
+  store(token) {
+    this.token = token;
+    this.expiresAt = getTokenExpiry(token) ?? Date.now() + AUTH_CONFIG.DEFAULT_TOKEN_TTL_MS;
+    return token;
+  }
+
+  /**
+   * Drop the cached token after the API rejected it
+   * @returns {boolean} True, a new token can be obtained
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+    return true;
+  }
+}
+
+/**
+ * Build the auth provider for a backend
+ * @param {Object} options - Auth settings
+ * @param {string} [options.authType] - "api-key" (default) or "emailpass"
+ * @param {string} [options.apiKey] - Secret API key (also the emailpass fallback)
+ * @param {string} [options.email] - Admin user email for emailpass
+ * @param {string} [options.password] - Admin user password for emailpass
+ * @returns {ApiKeyAuthProvider|EmailPassAuthProvider|null} Provider, or null when nothing is configured
+ */
+export function createAuthProvider({ authType, apiKey, email, password } = {}) {
+  const apiKeyProvider = apiKey ? new ApiKeyAuthProvider(apiKey) : null;
+  if (authType === 'emailpass' && email && password) {
+    return new EmailPassAuthProvider({ email, password, fallback: apiKeyProvider });
+  }
+  return apiKeyProvider;
+}
@@ -0,0 +1,398 @@
+// Shared Medusa Admin API client
+// Single place for base URL handling, authentication, query serialization and error mapping
+
+import { RETRY_CONFIG } from './constants.js';
+import { globalMetrics } from './monitoring.js';
+import { ApiKeyAuthProvider, createAuthProvider } from './medusa-auth.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:9000';
+
+/**
+ * Default retry policy, see RETRY_CONFIG
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: RETRY_CONFIG.MAX_ATTEMPTS,
+  baseDelayMs: RETRY_CONFIG.BASE_DELAY_MS,
+  maxDelayMs: RETRY_CONFIG.MAX_DELAY_MS,
+  maxRetryAfterMs: RETRY_CONFIG.MAX_RETRY_AFTER_MS,
+  retryStatuses: RETRY_CONFIG.RETRY_STATUSES,
+  retryAfterStatuses: RETRY_CONFIG.RETRY_AFTER_STATUSES,
+  idempotentMethods: RETRY_CONFIG.IDEMPOTENT_METHODS
+};
+
+/**
+ * Error raised when the client is missing required configuration
+ */
+export class MedusaConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MedusaConfigError';
+  }
+}
+
+/**
+ * Error raised for non-2xx responses from the Medusa API
+ */
+export class MedusaApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {*} body - Parsed JSON body, or raw text when the body is not JSON
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full request URL
+   */
+  constructor(status, body, { method, url }) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    super(`HTTP ${status}: ${text}`);
+    this.name = 'MedusaApiError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url - Base URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeBaseUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Serialize query parameters using the bracket notation Medusa expects.
+ * Arrays become `key[]=a&key[]=b`, nested objects become `key[sub]=value`,
+ * and undefined, null or empty-string values are skipped.
+ * @param {Object} query - Query parameters
+ * @returns {URLSearchParams} Serialized parameters
+ */
+export function serializeQuery(query = {}) {
+  const params = new URLSearchParams();
+
+  const append = (key, value) => {
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item) => append(`${key}[]`, item));
+      return;
+    }
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([subKey, subValue]) => append(`${key}[${subKey}]`, subValue));
+      return;
+    }
+    params.append(key, String(value));
+  };
+
+  Object.entries(query).forEach(([key, value]) => append(key, value));
+  return params;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Wait for a delay, rejecting early with the abort reason if the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * MedusaClient - Thin fetch wrapper around the Medusa Admin API
+ */
+export class MedusaClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} [options.baseUrl] - Medusa backend URL
+   * @param {string} [options.apiKey] - Secret admin API key
+   * @param {Object} [options.auth] - Auth provider (see medusa-auth.js), defaults to Basic auth with apiKey
+   * @param {AbortSignal} [options.signal] - Default signal for every request
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   * @param {Object} [options.retry] - Overrides for DEFAULT_RETRY_POLICY
+   * @param {MetricsCollector} [options.metrics] - Collector that receives retry counts
+   */
+  constructor(options = {}) {
+    this.baseUrl = normalizeBaseUrl(options.baseUrl || DEFAULT_BASE_URL);
+    this.apiKey = options.apiKey;
+    this.auth = options.auth || (options.apiKey ? new ApiKeyAuthProvider(options.apiKey) : null);
+    this.fetch = options.fetch || globalThis.fetch;
+    this.retry = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.metrics = options.metrics || globalMetrics;
+    this.signal = options.signal;
+  }
+
+  /**
+   * Derive a client whose requests are all bound to an AbortSignal.
+   * Tools keep calling get/post/delete unchanged; the signal rides along.
+   * @param {AbortSignal} signal - Signal that cancels in-flight and pending requests
+   * @returns {MedusaClient} Client sharing this client's configuration
+   */
+  withSignal(signal) {
+    const bound = Object.create(this);
+    bound.signal = signal;
+    return bound;
+  }
+
+  /**
+   * Build headers for an API request
+   * @returns {Promise<Object>} Request headers
+   */
+  async createHeaders() {
+    if (!this.auth) {
+      throw new MedusaConfigError('MEDUSA_API_KEY environment variable is required');
+    }
+    return {
+      ...(await this.auth.getHeaders({ baseUrl: this.baseUrl, fetch: this.fetch })),
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build a full URL for an API path
+   * @param {string} path - API path (e.g. /admin/orders)
+   * @param {Object} [query] - Query parameters
+   * @returns {string} Full URL
+   */
+  buildUrl(path, query) {
+    const search = query ? serializeQuery(query).toString() : '';
+    return `${this.baseUrl}${path}${search ? `?${search}` : ''}`;
+  }
+
+  /**
+   * Perform an API request, retrying transient failures.
+   * Idempotent methods are retried by default; other methods only when an
+   * idempotency key is supplied.
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.query] - Query parameters
+   * @param {*} [options.body] - JSON request body
+   * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key and enables retries for non-idempotent methods
+   * @param {Object} [options.retry] - Per-request retry policy overrides
+   * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry (defaults to the bound signal)
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(method, path, { query, body, idempotencyKey, retry, signal = this.signal } = {}) {
+    const url = this.buildUrl(path, query);
+    const policy = retry ? { ...this.retry, ...retry } : this.retry;
+    const retryable = policy.idempotentMethods.includes(method) || Boolean(idempotencyKey);
+    const maxAttempts = retryable ? Math.max(1, policy.maxAttempts) : 1;
+    const buildHeaders = async () => ({
+      ...(await this.createHeaders()),
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+    });
+    let headers = await buildHeaders();
+    let reauthenticated = false;
+
+    for (let attempt = 1; ; attempt++) {
+      signal?.throwIfAborted();
+
+      let response;
+      let text;
+      try {
+        response = await this.fetch(url, {
+          method,
+          headers,
+          signal,
+          ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+        text = await response.text();
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        // Network-level failure (connection refused, reset, DNS)
+        if (attempt >= maxAttempts) {
+          throw error;
+        }
+        await this.waitForRetry(attempt, policy, null, { method, path, reason: error.cause?.code || error.name }, signal);
+        continue;
+      }
+
+      let data = text;
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch {
+        // Keep raw text for non-JSON bodies
+      }
+
+      if (response.ok) {
+        return data;
+      }
+
+      // Expired or revoked session token: get a new one and replay once (not counted as a retry)
+      if (response.status === 401 && !reauthenticated && this.auth.invalidate()) {
+        reauthenticated = true;
+        headers = await buildHeaders();
+        attempt--;
+        continue;
+      }
+
+      const error = new MedusaApiError(response.status, data, { method, url });
+      if (attempt >= maxAttempts || !policy.retryStatuses.includes(response.status)) {
+        throw error;
+      }
+
+      const retryAfter = policy.retryAfterStatuses.includes(response.status)
+        ? parseRetryAfter(response.headers.get('retry-after'))
+        : null;
+      if (retryAfter !== null && retryAfter > policy.maxRetryAfterMs) {
+        throw error;
+      }
+      await this.waitForRetry(attempt, policy, retryAfter, { method, path, reason: `HTTP ${response.status}` }, signal);
+    }
+  }
+
+  /**
+   * Record a retry and wait before the next attempt
+   * @param {number} attempt - Attempt that just failed
+   * @param {Object} policy - Retry policy
+   * @param {number|null} retryAfter - Server-provided delay in milliseconds
+   * @param {Object} info - Retry details for metrics
+   * @param {AbortSignal} [signal] - Abort signal that cuts the wait short
+   */
+  async waitForRetry(attempt, policy, retryAfter, info, signal) {
+    const delay = retryAfter ?? computeBackoff(attempt, policy);
+    this.metrics?.recordRetry({ ...info, attempt, delay });
+    await sleep(delay, signal);
+  }
+
+  /**
+   * GET request
+   * @param {string} path - API path
+   * @param {Object} [query] - Query parameters
+   */
+  get(path, query) {
+    return this.request('GET', path, { query });
+  }
+
+  /**
+   * POST request
+   * @param {string} path - API path
+   * @param {*} [body] - JSON request body
+   * @param {Object} [options] - Extra request options (e.g. idempotencyKey)
+   */
+  post(path, body, options = {}) {
+    return this.request('POST', path, { ...options, body });
+  }
+
+  /**
+   * DELETE request
+   * @param {string} path - API path
+   * @param {*} [body] - JSON request body
+   */
+  delete(path, body) {
+    return this.request('DELETE', path, { body });
+  }
+}
+
+/**
+ * Read retry policy overrides from MEDUSA_RETRY_* variables
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Retry policy overrides
+ * @throws {MedusaConfigError} When a value is not a positive integer
+ */
+export function retryPolicyFromEnv(env = process.env) {
+  const variables = {
+    maxAttempts: 'MEDUSA_RETRY_MAX_ATTEMPTS',
+    baseDelayMs: 'MEDUSA_RETRY_BASE_DELAY_MS',
+    maxDelayMs: 'MEDUSA_RETRY_MAX_DELAY_MS'
+  };
+  const policy = {};
+  for (const [field, name] of Object.entries(variables)) {
+    const value = env[name];
+    if (value === undefined || value === '') continue;
+    const number = Number(value);
+    if (!/^\d+$/.test(value.trim()) || !Number.isSafeInteger(number) || number <= 0) {
+      throw new MedusaConfigError(`Invalid ${name} "${value}": expected a positive integer`);
+    }
+    policy[field] = number;
+  }
+  return policy;
+}
+
+/**
+ * Create a client from MEDUSA_BASE_URL / MEDUSA_API_KEY
+ * (or MEDUSA_AUTH_TYPE=emailpass with MEDUSA_ADMIN_EMAIL / MEDUSA_ADMIN_PASSWORD)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {MedusaClient} Client instance
+ */
+export function createClientFromEnv(env = process.env) {
+  return new MedusaClient({
+    baseUrl: env.MEDUSA_BASE_URL,
+    apiKey: env.MEDUSA_API_KEY,
+    auth: createAuthProvider({
+      authType: env.MEDUSA_AUTH_TYPE,
+      apiKey: env.MEDUSA_API_KEY,
+      email: env.MEDUSA_ADMIN_EMAIL,
+      password: env.MEDUSA_ADMIN_PASSWORD
+    }),
+    retry: retryPolicyFromEnv(env)
+  });
+}
+
+let defaultClient = null;
+
+/**
+ * Get the process-wide client used when a tool is called without one
+ * @returns {MedusaClient} Default client
+ */
+export function getDefaultClient() {
+  if (!defaultClient) {
+    defaultClient = createClientFromEnv();
+  }
+  return defaultClient;
+}
+
+/**
+ * Replace the process-wide default client
+ * @param {MedusaClient|null} client - Client to use, or null to rebuild from the environment
+ */
+export function setDefaultClient(client) {
+  defaultClient = client;
+}
@@ -1,5 +1,5 @@
 import { toolPaths } from "../tools/paths.js";
-import { ToolSchemas, type ToolName } from "./tool-schemas.js";
+import { ToolSchemas, toActionUnion, type ActionRequirements, type ToolName } from "./tool-schemas.js";
 import type { z } from "zod";
 
 // Type definition for a tool function
@@ -14,6 +14,7 @@ export interface ToolDefinition {
     properties: Record<string, any>;
     required: string[];
   };
+  actions?: ActionRequirements;
 }
 
 // Type definition for an API tool
@@ -47,7 +48,8 @@ export async function discoverTools(): Promise<ApiTool[]> {
 }
 
 /**
- * Loads all Medusa tools with TypeScript types and Zod validation
+ * Loads all Medusa tools with TypeScript types and Zod validation.
+ * Each schema is a discriminated union on `action` built from the tool's `definition.actions`.
  * @returns {Promise<MedusaTool[]>} Array of typed Medusa tools
  */
 export async function loadMedusaTools(): Promise<MedusaTool[]> {
@@ -64,7 +66,7 @@ export async function loadMedusaTools(): Promise<MedusaTool[]> {
     return {
       name: toolName,
       description: tool.definition.description,
-      schema,
+      schema: toActionUnion(schema, tool.definition.actions),
       handler: tool.function,
     };
   });
@@ -4,6 +4,16 @@
 import { performance } from 'perf_hooks';
 import { getCacheStats } from './tools.js';
 
+/**
+ * Resource an API path belongs to, e.g. /admin/products for /admin/products/prod_01H.../variants.
+ * Keys metrics by a fixed set of routes instead of one entry per record ID.
+ * @param {string} path - API path
+ * @returns {string} First two path segments
+ */
+function resourcePrefix(path) {
+  return `/${path.split('?')[0].split('/').filter(Boolean).slice(0, 2).join('/')}`;
+}
+
 /**
  * Metrics collector for performance monitoring
  */
@@ -39,6 +49,17 @@ class MetricsCollector {
         total: 0,
         byType: {},
         recent: []
+      },
+      retries: {
+        total: 0,
+        byReason: {},
+        byEndpoint: {}
+      },
+      rateLimits: {
+        total: 0,
+        byScope: {},
+        byPrincipal: {},
+        byRule: {}
       }
     };
     
@@ -163,11 +184,48 @@ class MetricsCollector {
     }
   }
   
+  /**
+   * Record a retried upstream (Medusa API) call
+   * @param {Object} info - Retry details
+   * @param {string} info.method - HTTP method
+   * @param {string} info.path - API path, counted under its resource (see resourcePrefix)
+   * @param {string} info.reason - Why the attempt failed (e.g. "HTTP 503")
+   */
+  recordRetry({ method, path, reason }) {
+    this.metrics.retries.total++;
+    this.metrics.retries.byReason[reason] = (this.metrics.retries.byReason[reason] || 0) + 1;
+
+    const endpoint = `${method} ${resourcePrefix(path)}`;
+    this.metrics.retries.byEndpoint[endpoint] = (this.metrics.retries.byEndpoint[endpoint] || 0) + 1;
+  }
+  
+  /**
+   * Record a request or tool call refused by a rate limit or concurrency quota
+   * @param {Object} info - Rejection details
+   * @param {string} info.principal - Caller; not counted for the address scope, whose callers are IP addresses
+   * @param {string} info.scope - requests, calls, rule or address
+   * @param {string} [info.rule] - Rule match, for the rule scope
+   * @param {boolean} [info.concurrency] - Refused by a concurrency quota rather than a rate
+   */
+  recordRateLimit({ principal, scope, rule, concurrency = false }) {
+    const limits = this.metrics.rateLimits;
+    const key = concurrency ? `${scope}:concurrency` : scope;
+    limits.total++;
+    limits.byScope[key] = (limits.byScope[key] || 0) + 1;
+    // One key per client address would grow without bound; byScope.address counts those
+    if (scope !== 'address') {
+      limits.byPrincipal[principal] = (limits.byPrincipal[principal] || 0) + 1;
+    }
+    if (rule) {
+      limits.byRule[rule] = (limits.byRule[rule] || 0) + 1;
+    }
+  }
+  
   /**
    * Start memory monitoring
    */
   startMemoryMonitoring() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       const usage = process.memoryUsage();
       const heapUsed = Math.round(usage.heapUsed / 1024 / 1024); // MB
       
@@ -185,6 +243,9 @@ class MetricsCollector {
         this.metrics.memory.samples = this.metrics.memory.samples.slice(-100);
       }
     }, 30000); // Sample every 30 seconds
+
+    // Don't keep short-lived processes (CLI, scripts) alive just for sampling
+    timer.unref?.();
   }
   
   /**
@@ -212,6 +273,8 @@ class MetricsCollector {
       memory: this.metrics.memory,
       tools: this.metrics.tools,
       errors: this.metrics.errors,
+      retries: this.metrics.retries,
+      rateLimits: this.metrics.rateLimits,
       cache: getCacheStats(),
       timestamp: Date.now()
     };
@@ -307,6 +370,8 @@ class MetricsCollector {
         byType: metrics.errors.byType,
         recent: metrics.errors.recent.slice(-10) // Last 10 errors
       },
+      retries: metrics.retries,
+      rateLimits: metrics.rateLimits,
       cache: metrics.cache
     };
   }
@@ -320,7 +385,9 @@ class MetricsCollector {
       responseTime: { total: 0, count: 0, min: Infinity, max: 0, p95: 0, p99: 0, history: [] },
       memory: { peak: 0, current: 0, samples: [] },
       tools: { executions: 0, totalTime: 0, byTool: {} },
-      errors: { total: 0, byType: {}, recent: [] }
+      errors: { total: 0, byType: {}, recent: [] },
+      retries: { total: 0, byReason: {}, byEndpoint: {} },
+      rateLimits: { total: 0, byScope: {}, byPrincipal: {}, byRule: {} }
     };
     this.startTime = Date.now();
   }
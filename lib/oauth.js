@@ -0,0 +1,234 @@
+// OAuth 2.1 resource server side of the MCP authorization spec for the Streamable HTTP endpoint
+// Protected resource metadata (RFC 9728) and validation of JWT access tokens against the issuer's JWKS
+
+import { OAUTH_CONFIG } from './constants.js';
+import { ROLES } from './policy.js';
+import { JwtError, decodeJwt, validateClaims, verifyJwtSignature } from './jwt.js';
+
+/**
+ * Scope granting a role (see ROLES in lib/policy.js)
+ * @param {string} role - Role name
+ * @returns {string} e.g. "medusa:support"
+ */
+export function roleScope(role) {
+  return `medusa:${role}`;
+}
+
+/**
+ * Load the OAuth settings.
+ * MCP_OAUTH_ISSUER trusts an external authorization server; MCP_OAUTH_SERVER=true runs the built-in one
+ * (server/oauth/authorization-server.js) with MCP_PUBLIC_URL as its issuer.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} `{ enabled, builtIn, issuer, publicUrl, resource, audience, jwksUrl, defaultRole, metadataUrl, scopes }`
+ */
+export function loadOAuthConfig(env = process.env) {
+  const publicUrl = (env.MCP_PUBLIC_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, '');
+  const builtIn = env.MCP_OAUTH_SERVER === 'true';
+  if (builtIn && env.MCP_OAUTH_ISSUER) {
+    throw new Error('Set either MCP_OAUTH_ISSUER (external authorization server) or MCP_OAUTH_SERVER=true, not both');
+  }
+  const defaultRole = env.MCP_OAUTH_DEFAULT_ROLE || 'viewer';
+  if (!Object.hasOwn(ROLES, defaultRole)) {
+    throw new Error(`Invalid MCP_OAUTH_DEFAULT_ROLE "${defaultRole}". Valid roles: ${Object.keys(ROLES).join(', ')}`);
+  }
+  const resource = `${publicUrl}/mcp`;
+  const issuer = builtIn ? publicUrl : env.MCP_OAUTH_ISSUER?.replace(/\/+$/, '');
+
+  return {
+    enabled: Boolean(issuer),
+    builtIn,
+    issuer,
+    publicUrl,
+    resource,
+    audience: env.MCP_OAUTH_AUDIENCE || resource,
+    jwksUrl: env.MCP_OAUTH_JWKS_URL,
+    defaultRole,
+    metadataUrl: `${publicUrl}/.well-known/oauth-protected-resource`,
+    scopes: Object.keys(ROLES).map(roleScope)
+  };
+}
+
+let config = null;
+
+// Cached remote JWKS: { keys, fetchedAt }
+let jwks = null;
+
+/**
+ * Get the process-wide OAuth settings (loaded once)
+ * @returns {Object} Settings
+ */
+export function getOAuthConfig() {
+  if (!config) {
+    config = loadOAuthConfig();
+  }
+  return config;
+}
+
+/**
+ * Replace the process-wide OAuth settings
+ * @param {Object|null} value - Settings to use, or null to reload from the environment
+ */
+export function setOAuthConfig(value) {
+  config = value;
+  jwks = null;
+}
+
+/**
+ * Protected resource metadata served at /.well-known/oauth-protected-resource
+ * @param {Object} [current=getOAuthConfig()] - Settings
+ * @returns {Object} RFC 9728 metadata
+ */
+export function getProtectedResourceMetadata(current = getOAuthConfig()) {
+  return {
+    resource: current.resource,
+    authorization_servers: [current.issuer],
+    bearer_methods_supported: ['header'],
+    scopes_supported: current.scopes,
+    resource_name: 'Medusa Admin MCP server'
+  };
+}
+
+/**
+ * WWW-Authenticate header for a 401, pointing clients at the resource metadata
+ * @param {Object} [current=getOAuthConfig()] - Settings
+ * @param {string} [description] - Why a presented token was rejected
+ * @returns {string} Header value
+ */
+export function getAuthenticateHeader(current = getOAuthConfig(), description) {
+  const params = [`resource_metadata="${current.metadataUrl}"`];
+  if (description) {
+    params.push('error="invalid_token"', `error_description="${description.replace(/"/g, "'")}"`);
+  }
+  return `Bearer ${params.join(', ')}`;
+}
+
+// Keys of the built-in authorization server, which skip the JWKS fetch
+let localKeys = null;
+
+/**
+ * Trust the built-in authorization server's public keys
+ * @param {Array<Object>} keys - Public JWKs
+ */
+export function setLocalSigningKeys(keys) {
+  localKeys = keys;
+}
+
+/**
+ * Fetch JSON with the OAuth request timeout
+ * @param {string} url - URL
+ * @returns {Promise<Object|null>} Parsed body, or null for non-2xx responses
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(OAUTH_CONFIG.FETCH_TIMEOUT_MS)
+  });
+  return response.ok ? response.json() : null;
+}
+
+/**
+ * Find the issuer's JWKS URL through its authorization server (RFC 8414) or OpenID Connect metadata
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<string>} jwks_uri
+ */
+async function discoverJwksUrl(issuer) {
+  const { origin, pathname } = new URL(issuer);
+  const path = pathname === '/' ? '' : pathname;
+  for (const url of [`${origin}/.well-known/oauth-authorization-server${path}`, `${issuer}/.well-known/openid-configuration`]) {
+    const metadata = await fetchJson(url).catch(() => null);
+    if (metadata?.jwks_uri) {
+      return metadata.jwks_uri;
+    }
+  }
+  throw new Error(`No jwks_uri in the metadata of ${issuer}; set MCP_OAUTH_JWKS_URL`);
+}
+
+/**
+ * Signing keys of the issuer. The remote JWKS is cached, and refetched early when a token names
+ * a key id it does not contain (key rotation), at most once per JWKS_MIN_REFRESH_MS.
+ * @param {Object} current - Settings
+ * @param {string} [kid] - Key id the token asks for
+ * @returns {Promise<Array<Object>>} Public JWKs
+ */
+async function getSigningKeys(current, kid) {
+  if (current.builtIn) {
+    return localKeys || [];
+  }
+  const age = jwks ? Date.now() - jwks.fetchedAt : Infinity;
+  const missing = kid && !jwks?.keys.some((key) => key.kid === kid);
+  if (age > OAUTH_CONFIG.JWKS_CACHE_MS || (missing && age > OAUTH_CONFIG.JWKS_MIN_REFRESH_MS)) {
+    try {
+      const url = current.jwksUrl || await discoverJwksUrl(current.issuer);
+      const body = await fetchJson(url);
+      if (!Array.isArray(body?.keys)) {
+        throw new Error(`Invalid JWKS at ${url}`);
+      }
+      jwks = { keys: body.keys, fetchedAt: Date.now() };
+    } catch (error) {
+      // Keep using the previous keys while the issuer is unreachable
+      console.error('[OAuth] Cannot fetch the issuer signing keys:', error.message);
+      if (!jwks) {
+        throw new JwtError('Cannot fetch the issuer signing keys');
+      }
+    }
+  }
+  return jwks.keys;
+}
+
+/**
+ * Verify a JWT access token: signature against the issuer's keys, issuer, audience, expiry
+ * @param {string} token - Bearer token
+ * @param {Object} [current=getOAuthConfig()] - Settings
+ * @returns {Promise<Object>} Verified claims
+ * @throws {JwtError} When the token is not acceptable
+ */
+export async function verifyAccessToken(token, current = getOAuthConfig()) {
+  const decoded = decodeJwt(token);
+  const keys = (await getSigningKeys(current, decoded.header.kid))
+    .filter((key) => (!key.use || key.use === 'sig') && (!decoded.header.kid || key.kid === decoded.header.kid));
+  if (keys.length === 0) {
+    throw new JwtError('Unknown signing key');
+  }
+
+  let lastError;
+  for (const key of keys) {
+    try {
+      verifyJwtSignature(decoded, key);
+      lastError = null;
+      break;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  if (lastError) {
+    throw lastError;
+  }
+
+  validateClaims(decoded.payload, {
+    issuer: current.issuer,
+    audience: current.audience,
+    clockSkew: OAUTH_CONFIG.CLOCK_SKEW_SECONDS
+  });
+  return decoded.payload;
+}
+
+/**
+ * The caller an access token identifies. The role comes from an `mcp_role` claim,
+ * else from the first `medusa:<role>` scope, else MCP_OAUTH_DEFAULT_ROLE; `mcp_store` binds a profile.
+ * @param {Object} claims - Verified claims
+ * @param {Object} [current=getOAuthConfig()] - Settings
+ * @returns {{ principal: string, role: string, store?: string }} Caller
+ */
+export function callerFromClaims(claims, current = getOAuthConfig()) {
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ') : [];
+  const scoped = scopes
+    .filter((scope) => scope.startsWith('medusa:'))
+    .map((scope) => scope.slice('medusa:'.length))
+    .find((name) => Object.hasOwn(ROLES, name));
+  const role = Object.hasOwn(ROLES, claims.mcp_role ?? '') ? claims.mcp_role : scoped || current.defaultRole;
+  return {
+    principal: `oauth:${claims.sub ?? claims.client_id ?? 'unknown'}`,
+    role,
+    ...(typeof claims.mcp_store === 'string' && { store: claims.mcp_store })
+  };
+}
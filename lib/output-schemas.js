@@ -0,0 +1,170 @@
+// Output schemas for tool results (outputSchema / structuredContent)
+// Describe the Medusa response envelopes the actions return; entity fields stay open (additionalProperties)
+
+import { TOOL_ERROR_CODES } from './tool-errors.js';
+import { DRY_RUN_OUTPUT, isMutatingAction } from './dry-run.js';
+
+/**
+ * Typed fields of the entities agents read most; any other entity is an object with an id
+ */
+const ENTITY_FIELDS = {
+  order: {
+    display_id: { type: 'number' },
+    status: { type: 'string' },
+    email: { type: 'string' },
+    currency_code: { type: 'string' },
+    total: { type: 'number' },
+    payment_status: { type: 'string' },
+    fulfillment_status: { type: 'string' },
+    items: { type: 'array', items: { type: 'object' } }
+  },
+  product: {
+    title: { type: 'string' },
+    handle: { type: 'string' },
+    status: { type: 'string' },
+    variants: { type: 'array', items: { type: 'object' } }
+  },
+  customer: {
+    email: { type: 'string' },
+    first_name: { type: ['string', 'null'] },
+    last_name: { type: ['string', 'null'] }
+  }
+};
+
+/**
+ * Schema of one Medusa entity
+ * @param {string} name - Entity name (e.g. order, product_variant)
+ * @returns {Object} JSON Schema
+ */
+function entitySchema(name) {
+  return {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ...ENTITY_FIELDS[name]
+    },
+    additionalProperties: true
+  };
+}
+
+/**
+ * Single-entity response, e.g. `{ order: {...} }`
+ * @param {string} key - Response key (the entity name)
+ * @returns {Object} JSON Schema
+ */
+export function entityOutput(key) {
+  return {
+    type: 'object',
+    properties: { [key]: entitySchema(key) },
+    required: [key],
+    additionalProperties: true
+  };
+}
+
+/**
+ * List envelope, e.g. `{ orders: [...], count, offset, limit }`, plus the `pagination` summary auto-pagination adds
+ * @param {string} key - Response key of the items array
+ * @param {string} [item] - Entity name of one item (defaults to the key without its trailing "s")
+ * @returns {Object} JSON Schema
+ */
+export function listOutput(key, item = key.replace(/s$/, '')) {
+  return {
+    type: 'object',
+    properties: {
+      [key]: { type: 'array', items: entitySchema(item) },
+      count: { type: 'number' },
+      offset: { type: 'number' },
+      limit: { type: 'number' },
+      pagination: {
+        type: 'object',
+        properties: {
+          pages: { type: 'number' },
+          fetched: { type: 'number' },
+          total: { type: 'number' },
+          max_items: { type: 'number' },
+          truncated: { type: 'boolean' },
+          error: { type: 'string' }
+        }
+      }
+    },
+    required: [key],
+    additionalProperties: true
+  };
+}
+
+/**
+ * Medusa delete response `{ id, object, deleted }`; nothing is required since a 204 arrives as `{}`
+ * @returns {Object} JSON Schema
+ */
+export function deleteOutput() {
+  return {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { type: 'string' },
+      deleted: { type: 'boolean' }
+    },
+    additionalProperties: true
+  };
+}
+
+/**
+ * Confirmation wrapper of the order tools, e.g. `{ success, message, order }`
+ * @param {string} key - Key holding the Medusa response
+ * @returns {Object} JSON Schema
+ */
+export function resultOutput(key) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      [key]: { type: 'object' }
+    },
+    required: ['success', key],
+    additionalProperties: true
+  };
+}
+
+/**
+ * `isError` result of a failed call (see lib/tool-errors.js); clients validate it like any other output
+ */
+const ERROR_OUTPUT = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', enum: Object.values(TOOL_ERROR_CODES) },
+        message: { type: 'string' },
+        retryable: { type: 'boolean' },
+        status: { type: 'number' },
+        body: {},
+        details: { type: 'object' }
+      },
+      required: ['code', 'message']
+    }
+  },
+  required: ['error']
+};
+
+/**
+ * Output schema of a tool as advertised in tools/list: an `anyOf` of the outputs of the actions
+ * it runs (one for a split tool), the dry-run plan when one of them writes, and the error result.
+ * Actions that declare no output contribute a plain object branch.
+ * @param {Object} tool - Tool object `{ definition, action?, groupDefinition? }`
+ * @returns {Object|undefined} JSON Schema with `type: "object"` at the root, or undefined when no output is declared
+ */
+export function getOutputSchema(tool) {
+  const definition = tool.groupDefinition || tool.definition;
+  const actions = tool.action ? [tool.action] : definition.parameters?.properties?.action?.enum || [];
+  const outputs = actions.map((action) => definition.actions?.[action]?.output);
+  if (outputs.every((output) => !output)) {
+    return undefined;
+  }
+
+  const branches = outputs.map((output) => output || { type: 'object' });
+  const unique = [...new Map(branches.map((output) => [JSON.stringify(output), output])).values()];
+  const dryRun = actions.some((action) => isMutatingAction(definition, action)) ? [DRY_RUN_OUTPUT] : [];
+  return { type: 'object', anyOf: [...unique, ...dryRun, ERROR_OUTPUT] };
+}
@@ -0,0 +1,121 @@
+// Auto-pagination for list actions
+// Walks limit/offset pages using the `count` Medusa returns, under a hard item cap
+
+import { PAGINATION_CONFIG } from './constants.js';
+
+/**
+ * JSON Schema properties added to every tool that has list actions
+ */
+export const PAGINATION_PARAMETERS = {
+  paginate: {
+    type: 'string',
+    enum: ['all'],
+    description: 'List actions only: set to "all" to fetch every page instead of a single one. limit becomes the page size.'
+  },
+  max_items: {
+    type: 'number',
+    description: `List actions only: maximum number of items to collect across pages, implies paginate "all" (default: ${PAGINATION_CONFIG.DEFAULT_MAX_ITEMS}, hard cap: ${PAGINATION_CONFIG.MAX_ITEMS}).`
+  }
+};
+
+/**
+ * Whether an action returns a paginated list
+ * @param {string} action - Tool action (e.g. list, list_variants, list_users)
+ * @returns {boolean} True for list actions
+ */
+export function isListAction(action) {
+  return typeof action === 'string' && (action === 'list' || action.startsWith('list_'));
+}
+
+/**
+ * Whether the caller opted into auto-pagination
+ * @param {Object} args - Tool arguments
+ * @returns {boolean} True when paginate is "all" or max_items is set
+ */
+export function wantsPagination(args) {
+  return args.paginate === 'all' || args.max_items !== undefined;
+}
+
+/**
+ * Clamp the requested item count to the hard cap
+ * @param {number} [maxItems] - Requested maximum
+ * @returns {number} Effective maximum
+ */
+export function resolveMaxItems(maxItems) {
+  const requested = Number.isFinite(maxItems) ? maxItems : PAGINATION_CONFIG.DEFAULT_MAX_ITEMS;
+  return Math.max(1, Math.min(Math.floor(requested), PAGINATION_CONFIG.MAX_ITEMS));
+}
+
+/**
+ * Find the array field holding the page items (e.g. `orders`, `products`)
+ * @param {Object} page - Medusa list response
+ * @returns {string|undefined} Field name
+ */
+function findItemsKey(page) {
+  return Object.keys(page).find((key) => Array.isArray(page[key]));
+}
+
+/**
+ * Fetch consecutive pages until Medusa's `count` or the item cap is reached.
+ * Responses without an items array and a numeric `count` (single resources,
+ * error results) are returned untouched.
+ * @param {Function} fetchPage - Called with `{ offset, limit }`, resolves to a list response
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.offset=0] - Offset of the first item
+ * @param {number} [options.pageSize] - Items per request (defaults to PAGINATION_CONFIG.PAGE_SIZE)
+ * @param {number} [options.maxItems] - Items to collect (clamped to PAGINATION_CONFIG.MAX_ITEMS)
+ * @param {Function} [options.onProgress] - Called with `{ progress, total }` after each page
+ * @param {AbortSignal} [options.signal] - Stops between pages when aborted
+ * @returns {Promise<Object>} Merged list response with a `pagination` summary
+ */
+export async function paginateAll(fetchPage, { offset = 0, pageSize, maxItems, onProgress, signal } = {}) {
+  const cap = resolveMaxItems(maxItems);
+  const size = Math.min(pageSize > 0 ? pageSize : PAGINATION_CONFIG.PAGE_SIZE, cap);
+
+  const first = await fetchPage({ offset, limit: size });
+  const key = first && typeof first === 'object' ? findItemsKey(first) : undefined;
+  if (!key || typeof first.count !== 'number') {
+    return first;
+  }
+
+  const total = first.count;
+  const target = Math.min(cap, Math.max(0, total - offset));
+  const items = first[key].slice(0, target);
+  let pages = 1;
+  let lastBatch = first[key].length;
+  let error;
+
+  onProgress?.({ progress: items.length, total: target });
+
+  while (items.length < target && lastBatch > 0) {
+    signal?.throwIfAborted();
+
+    const page = await fetchPage({ offset: offset + items.length, limit: Math.min(size, target - items.length) });
+    if (!Array.isArray(page?.[key])) {
+      // Keep what we have and surface the failure instead of dropping earlier pages
+      error = page?.error || 'Unexpected response while paginating';
+      break;
+    }
+
+    items.push(...page[key].slice(0, target - items.length));
+    lastBatch = page[key].length;
+    pages++;
+    onProgress?.({ progress: items.length, total: target });
+  }
+
+  return {
+    ...first,
+    [key]: items,
+    count: total,
+    offset,
+    limit: items.length,
+    pagination: {
+      pages,
+      fetched: items.length,
+      total,
+      max_items: cap,
+      truncated: offset + items.length < total,
+      ...(error && { error })
+    }
+  };
+}
@@ -0,0 +1,298 @@
+// Server-side tool policy: read-only mode and allow/deny lists of `tool:action` patterns
+// Loaded from a JSON config file plus MCP_READ_ONLY / MCP_ALLOW_ACTIONS / MCP_DENY_ACTIONS; token roles narrow it further
+
+import fs from 'fs';
+import path from 'path';
+import { getActionAnnotations } from './annotations.js';
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+
+const DEFAULT_POLICY_FILE = 'mcp-policy.json';
+
+const READ_ACTIONS = ['*:list*', '*:get*'];
+
+/**
+ * Roles of registry tokens (see lib/tokens.js), in the policy format.
+ * A role only narrows the server policy; user and API key management is left to admin.
+ */
+export const ROLES = {
+  viewer: { readOnly: true, deny: ['manage_medusa_admin_users'] },
+  support: {
+    allow: [
+      ...READ_ACTIONS,
+      'manage_medusa_admin_orders',
+      'manage_medusa_admin_draft_orders',
+      'manage_medusa_admin_customers',
+      'manage_medusa_admin_returns',
+      'manage_medusa_admin_payments',
+      'manage_medusa_admin_gift_cards'
+    ],
+    deny: ['manage_medusa_admin_users']
+  },
+  merchandiser: {
+    allow: [
+      ...READ_ACTIONS,
+      'manage_medusa_admin_products',
+      'manage_medusa_admin_collections',
+      'manage_medusa_admin_inventory',
+      'manage_medusa_admin_pricing',
+      'manage_medusa_admin_sales_channels'
+    ],
+    // Catalog work needs no customer personal data
+    deny: ['manage_medusa_admin_users', 'manage_medusa_admin_customers', 'manage_medusa_admin_orders']
+  },
+  admin: {}
+};
+
+/**
+ * Error raised when the policy forbids a tool call or resource read
+ */
+export class PolicyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} data - Details (tool, action, reason)
+   */
+  constructor(message, data) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = JSON_RPC_ERRORS.POLICY_DENIED;
+    this.data = data;
+  }
+}
+
+/**
+ * Read the policy file, if any
+ * @param {string} file - Path to the JSON file
+ * @param {boolean} required - Throw when the file is missing
+ * @returns {Object} Parsed config (empty when absent)
+ */
+function readPolicyFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`Policy file not found: ${file}`);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid policy file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Split a comma-separated pattern list
+ * @param {string} [value] - e.g. "manage_medusa_admin_users:*, *:delete*"
+ * @returns {string[]} Patterns
+ */
+function parsePatternList(value) {
+  return (value || '').split(',').map((pattern) => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Compile a glob (`*` matches any run of characters) into an anchored RegExp
+ * @param {string} glob - Glob
+ * @returns {RegExp} Matcher
+ */
+export function globToRegExp(glob) {
+  const source = glob.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a `tool:action` pattern; a bare tool name covers all of its actions
+ * @param {string} pattern - Pattern (e.g. manage_medusa_admin_orders:cancel, *:delete*)
+ * @returns {{ pattern: string, tool: RegExp, action: RegExp }} Compiled pattern
+ */
+export function compilePattern(pattern) {
+  const [tool, action = '*'] = pattern.split(':');
+  return { pattern, tool: globToRegExp(tool), action: globToRegExp(action) };
+}
+
+/**
+ * Load the tool policy.
+ *
+ * File format (MCP_POLICY_FILE, default ./mcp-policy.json):
+ *   { "readOnly": false, "allow": ["manage_medusa_admin_orders", "manage_medusa_admin_products:list*"],
+ *     "deny": ["manage_medusa_admin_users:*", "*:delete*"] }
+ *
+ * Patterns name the grouped tool (manage_medusa_admin_*) in both tool modes. MCP_READ_ONLY and
+ * MCP_ALLOW_ACTIONS replace the file values; MCP_DENY_ACTIONS adds to the file's deny list.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Policy: { file, readOnly, allow, deny } with compiled patterns
+ */
+export function loadPolicy(env = process.env) {
+  const file = env.MCP_POLICY_FILE || path.resolve(process.cwd(), DEFAULT_POLICY_FILE);
+  const raw = readPolicyFile(file, Boolean(env.MCP_POLICY_FILE));
+
+  const readOnly = env.MCP_READ_ONLY ? env.MCP_READ_ONLY === 'true' : raw.readOnly === true;
+  const allow = env.MCP_ALLOW_ACTIONS ? parsePatternList(env.MCP_ALLOW_ACTIONS) : raw.allow || [];
+  const deny = [...(raw.deny || []), ...parsePatternList(env.MCP_DENY_ACTIONS)];
+
+  return {
+    file,
+    readOnly,
+    allow: allow.map(compilePattern),
+    deny: deny.map(compilePattern)
+  };
+}
+
+let policy = null;
+
+// Compiled ROLES, by role name
+const rolePolicies = new Map();
+
+/**
+ * Compiled policy of a role
+ * @param {string} [role] - Role name
+ * @returns {Object|null} `{ readOnly, allow, deny }`, or null when the role adds no limits
+ */
+function getRolePolicy(role) {
+  if (!role || !Object.hasOwn(ROLES, role)) {
+    return null;
+  }
+  if (!rolePolicies.has(role)) {
+    const { readOnly = false, allow = [], deny = [] } = ROLES[role];
+    rolePolicies.set(role, { readOnly, allow: allow.map(compilePattern), deny: deny.map(compilePattern) });
+  }
+  return rolePolicies.get(role);
+}
+
+/**
+ * Get the process-wide policy (loaded once)
+ * @returns {Object} Policy
+ */
+export function getPolicy() {
+  if (!policy) {
+    policy = loadPolicy();
+  }
+  return policy;
+}
+
+/**
+ * Replace the process-wide policy
+ * @param {Object|null} value - Policy to use, or null to reload from the environment
+ */
+export function setPolicy(value) {
+  policy = value;
+}
+
+/**
+ * One-line summary of a policy for startup banners
+ * @param {Object} [current=getPolicy()] - Policy
+ * @returns {string} e.g. "read-only, 2 deny" or "none"
+ */
+export function describePolicy(current = getPolicy()) {
+  const parts = [];
+  if (current.readOnly) parts.push('read-only');
+  if (current.allow.length > 0) parts.push(`${current.allow.length} allow`);
+  if (current.deny.length > 0) parts.push(`${current.deny.length} deny`);
+  return parts.join(', ') || 'none';
+}
+
+/**
+ * Apply one set of rules. Deny patterns win over allow patterns;
+ * a non-empty allow list admits only what it matches; read-only mode admits only read-only actions.
+ * @param {Object} definition - Grouped tool definition
+ * @param {string} action - Action name
+ * @param {Object} rules - Compiled `{ readOnly, allow, deny }`
+ * @param {string} readOnlyReason - Reason given when read-only mode refuses the action
+ * @returns {{ allowed: boolean, reason?: string }} Decision
+ */
+function evaluateRules(definition, action, rules, readOnlyReason) {
+  const matches = ({ tool, action: actionPattern }) => tool.test(definition.name) && actionPattern.test(action);
+
+  const denied = rules.deny.find(matches);
+  if (denied) {
+    return { allowed: false, reason: `denied by "${denied.pattern}"` };
+  }
+  if (rules.allow.length > 0 && !rules.allow.some(matches)) {
+    return { allowed: false, reason: 'not in the allow list' };
+  }
+  if (rules.readOnly && action && !getActionAnnotations(definition, action).readOnlyHint) {
+    return { allowed: false, reason: readOnlyReason };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Decide whether an action may run: the server policy first, then the caller's role
+ * @param {Object} definition - Grouped tool definition
+ * @param {string} [action] - Action name
+ * @param {string} [role] - Role of the caller's token (see ROLES)
+ * @param {Object} [current=getPolicy()] - Policy
+ * @returns {{ allowed: boolean, reason?: string }} Decision
+ */
+export function evaluatePolicy(definition, action = '', role = undefined, current = getPolicy()) {
+  const decision = evaluateRules(definition, action, current, 'the server is in read-only mode');
+  const rolePolicy = getRolePolicy(role);
+  if (!decision.allowed || !rolePolicy) {
+    return decision;
+  }
+  const roleDecision = evaluateRules(definition, action, rolePolicy, 'read-only');
+  return roleDecision.allowed ? roleDecision : { allowed: false, reason: `role "${role}": ${roleDecision.reason}` };
+}
+
+/**
+ * Reject a tool call the policy or the caller's role forbids
+ * @param {Object} tool - Tool object (grouped or split)
+ * @param {Object} args - Tool arguments
+ * @param {string} [role] - Role of the caller's token
+ * @param {Object} [current=getPolicy()] - Policy
+ * @throws {PolicyError} When the action is not allowed
+ */
+export function enforcePolicy(tool, args, role = undefined, current = getPolicy()) {
+  const definition = tool.groupDefinition || tool.definition;
+  const action = tool.action ?? args.action;
+  const { allowed, reason } = evaluatePolicy(definition, action, role, current);
+  if (!allowed) {
+    const target = action ? `Action "${action}" of ${definition.name}` : definition.name;
+    throw new PolicyError(`${target} is not allowed: ${reason}`, {
+      tool: definition.name,
+      action,
+      ...(role && { role }),
+      reason
+    });
+  }
+}
+
+/**
+ * Tools as listed under the policy: split tools and grouped tools with no allowed action are dropped,
+ * and grouped tools keep only their allowed actions in the `action` enum
+ * @param {Array} tools - Tool objects
+ * @param {string} [role] - Role of the caller's token
+ * @param {Object} [current=getPolicy()] - Policy
+ * @returns {Array} Visible tools
+ */
+export function applyPolicy(tools, role = undefined, current = getPolicy()) {
+  return tools.flatMap((tool) => {
+    const definition = tool.groupDefinition || tool.definition;
+    if (tool.action) {
+      return evaluatePolicy(definition, tool.action, role, current).allowed ? [tool] : [];
+    }
+
+    const actionParameter = definition.parameters?.properties?.action;
+    if (!actionParameter?.enum) {
+      return evaluatePolicy(definition, undefined, role, current).allowed ? [tool] : [];
+    }
+    const actions = actionParameter.enum.filter((action) => evaluatePolicy(definition, action, role, current).allowed);
+    if (actions.length === 0) {
+      return [];
+    }
+    if (actions.length === actionParameter.enum.length) {
+      return [tool];
+    }
+    return [{
+      ...tool,
+      definition: {
+        ...definition,
+        parameters: {
+          ...definition.parameters,
+          properties: {
+            ...definition.parameters.properties,
+            action: { ...actionParameter, enum: actions }
+          }
+        }
+      }
+    }];
+  });
+}
@@ -0,0 +1,338 @@
+// Named Medusa backend profiles (multi-store)
+// Loaded from a JSON config file plus MEDUSA_PROFILE_<NAME>_* environment overrides
+
+import fs from 'fs';
+import path from 'path';
+import { MedusaClient, retryPolicyFromEnv } from './medusa-client.js';
+import { createAuthProvider } from './medusa-auth.js';
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+import { safeEqual } from './tokens.js';
+
+const DEFAULT_PROFILES_FILE = 'medusa-profiles.json';
+const LEGACY_PROFILE = 'default';
+const ENV_PREFIX = 'MEDUSA_PROFILE_';
+const ENV_FIELDS = {
+  BASE_URL: 'baseUrl',
+  API_KEY: 'apiKey',
+  AUTH_TOKEN: 'authToken',
+  AUTH_TYPE: 'authType',
+  EMAIL: 'email',
+  PASSWORD: 'password'
+};
+
+/**
+ * Error raised when a tool call targets a store it cannot use
+ */
+export class StoreAccessError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreAccessError';
+    this.code = JSON_RPC_ERRORS.INVALID_PARAMS;
+  }
+}
+
+/**
+ * Environment variable fragment for a profile name (eu-west -> EU_WEST)
+ * @param {string} name - Profile name
+ * @returns {string} Upper-case name
+ */
+function envName(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Read the profiles file, if any
+ * @param {string} file - Path to the JSON file
+ * @param {boolean} required - Throw when the file is missing
+ * @returns {Object} Parsed config (empty when absent)
+ */
+function readProfilesFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`Profiles file not found: ${file}`);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid profiles file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load backend profiles.
+ *
+ * File format (MEDUSA_PROFILES_FILE, default ./medusa-profiles.json):
+ *   { "defaultProfile": "production", "allowStoreArgument": true,
+ *     "profiles": { "production": { "baseUrl": "...", "apiKeyEnv": "PROD_KEY", "authTokenEnv": "PROD_MCP_TOKEN",
+ *                                   "auth": { "type": "emailpass", "email": "...", "passwordEnv": "PROD_ADMIN_PASSWORD" } } } }
+ *
+ * MEDUSA_PROFILE_<NAME>_BASE_URL / _API_KEY / _AUTH_TOKEN / _AUTH_TYPE / _EMAIL / _PASSWORD
+ * override file values or define new profiles. With no profiles at all, MEDUSA_BASE_URL /
+ * MEDUSA_API_KEY (and MEDUSA_AUTH_TYPE / MEDUSA_ADMIN_EMAIL / MEDUSA_ADMIN_PASSWORD)
+ * become a single "default" profile.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Profile config: { defaultProfile, allowStoreArgument, retry, profiles: Map }
+ * @throws {Error} On an invalid profiles file or MEDUSA_RETRY_* value
+ */
+export function loadProfileConfig(env = process.env) {
+  const file = env.MEDUSA_PROFILES_FILE || path.resolve(process.cwd(), DEFAULT_PROFILES_FILE);
+  const raw = readProfilesFile(file, Boolean(env.MEDUSA_PROFILES_FILE));
+  const profiles = new Map();
+
+  for (const [name, entry] of Object.entries(raw.profiles || {})) {
+    const auth = entry.auth || {};
+    profiles.set(name, {
+      name,
+      baseUrl: entry.baseUrl || (entry.baseUrlEnv && env[entry.baseUrlEnv]),
+      apiKey: entry.apiKey || (entry.apiKeyEnv && env[entry.apiKeyEnv]),
+      authToken: entry.authToken || (entry.authTokenEnv && env[entry.authTokenEnv]),
+      authType: auth.type,
+      email: auth.email || (auth.emailEnv && env[auth.emailEnv]),
+      password: auth.password || (auth.passwordEnv && env[auth.passwordEnv])
+    });
+  }
+
+  // Environment overrides: MEDUSA_PROFILE_<NAME>_<FIELD>
+  for (const [key, value] of Object.entries(env)) {
+    if (!key.startsWith(ENV_PREFIX) || !value) continue;
+    const field = Object.keys(ENV_FIELDS).find((suffix) => key.endsWith(`_${suffix}`));
+    if (!field) continue;
+
+    const upperName = key.slice(ENV_PREFIX.length, -(field.length + 1));
+    if (!upperName) continue;
+    const name = [...profiles.keys()].find((existing) => envName(existing) === upperName)
+      || upperName.toLowerCase().replace(/_/g, '-');
+    const profile = profiles.get(name) || { name };
+    profile[ENV_FIELDS[field]] = value;
+    profiles.set(name, profile);
+  }
+
+  if (profiles.size === 0) {
+    profiles.set(LEGACY_PROFILE, {
+      name: LEGACY_PROFILE,
+      baseUrl: env.MEDUSA_BASE_URL,
+      apiKey: env.MEDUSA_API_KEY,
+      authType: env.MEDUSA_AUTH_TYPE,
+      email: env.MEDUSA_ADMIN_EMAIL,
+      password: env.MEDUSA_ADMIN_PASSWORD
+    });
+  }
+
+  const defaultProfile = env.MEDUSA_DEFAULT_PROFILE || raw.defaultProfile || profiles.keys().next().value;
+  const allowStoreArgument = env.MEDUSA_ALLOW_STORE_ARGUMENT
+    ? env.MEDUSA_ALLOW_STORE_ARGUMENT !== 'false'
+    : raw.allowStoreArgument !== false;
+
+  return { file, defaultProfile, allowStoreArgument, retry: retryPolicyFromEnv(env), profiles };
+}
+
+/**
+ * Missing settings for a single profile
+ * @param {Object} [profile] - Profile entry
+ * @returns {string[]} Problems, empty when the profile is usable
+ */
+function profileErrors(profile) {
+  if (!profile) {
+    return ['not defined'];
+  }
+  if (profile.authType === 'emailpass') {
+    return [
+      !profile.baseUrl && 'missing baseUrl',
+      !profile.email && 'missing email',
+      !profile.password && 'missing password'
+    ].filter(Boolean);
+  }
+  return [
+    profile.authType && profile.authType !== 'api-key' && `unknown auth type "${profile.authType}"`,
+    !profile.baseUrl && 'missing baseUrl',
+    !profile.apiKey && 'missing apiKey'
+  ].filter(Boolean);
+}
+
+/**
+ * Check every profile for missing settings
+ * @param {Object} config - Profile config from loadProfileConfig()
+ * @returns {Array<{name: string, errors: string[]}>} One entry per profile
+ */
+export function validateProfiles(config) {
+  const results = [...config.profiles.values()].map((profile) => ({
+    name: profile.name,
+    errors: profileErrors(profile)
+  }));
+
+  if (!config.profiles.has(config.defaultProfile)) {
+    results.push({ name: config.defaultProfile, errors: ['default profile is not defined'] });
+  }
+  return results;
+}
+
+let profileConfig = null;
+const clients = new Map();
+
+/**
+ * Get the process-wide profile config (loaded once)
+ * @returns {Object} Profile config
+ */
+export function getProfileConfig() {
+  if (!profileConfig) {
+    profileConfig = loadProfileConfig();
+  }
+  return profileConfig;
+}
+
+/**
+ * Replace the process-wide profile config and drop cached clients
+ * @param {Object|null} config - Config to use, or null to reload from the environment
+ */
+export function setProfileConfig(config) {
+  profileConfig = config;
+  clients.clear();
+}
+
+/**
+ * Names of all configured profiles
+ * @returns {string[]} Profile names
+ */
+export function listProfiles() {
+  return [...getProfileConfig().profiles.keys()];
+}
+
+/**
+ * Get (and cache) the Medusa client for a profile
+ * @param {string} [name] - Profile name (defaults to the default profile)
+ * @returns {MedusaClient} Client bound to the profile's backend
+ */
+export function getClientForProfile(name = getProfileConfig().defaultProfile) {
+  if (!clients.has(name)) {
+    const profile = getProfileConfig().profiles.get(name);
+    if (!profile) {
+      throw new StoreAccessError(`Unknown store: ${name}`);
+    }
+    clients.set(name, new MedusaClient({
+      baseUrl: profile.baseUrl,
+      apiKey: profile.apiKey,
+      auth: createAuthProvider(profile),
+      retry: getProfileConfig().retry
+    }));
+  }
+  return clients.get(name);
+}
+
+/**
+ * Find the profile an MCP auth token is bound to
+ * @param {string} token - Bearer token
+ * @returns {string|null} Profile name, or null when the token is not profile-scoped
+ */
+export function findProfileByAuthToken(token) {
+  if (!token) {
+    return null;
+  }
+  // Compare against every profile so the timing does not reveal which one matched
+  let match = null;
+  for (const profile of getProfileConfig().profiles.values()) {
+    if (profile.authToken && safeEqual(token, profile.authToken)) {
+      match ??= profile.name;
+    }
+  }
+  return match;
+}
+
+/**
+ * Decide which profile a tool call runs against
+ * @param {Object} options - Resolution inputs
+ * @param {string} [options.requested] - `store` argument from the tool call
+ * @param {string} [options.bound] - Profile bound to the session or auth token
+ * @param {boolean} [options.locked] - The binding comes from a profile-scoped token and cannot be overridden
+ * @returns {string} Profile name
+ */
+export function resolveStore({ requested, bound, locked = false } = {}) {
+  const config = getProfileConfig();
+  const current = bound || config.defaultProfile;
+
+  if (requested === undefined || requested === current) {
+    if (!config.profiles.has(current)) {
+      throw new StoreAccessError(`Unknown store: ${current}`);
+    }
+    return current;
+  }
+  if (locked) {
+    throw new StoreAccessError(`This token is bound to store "${current}" and cannot access "${requested}"`);
+  }
+  if (!config.allowStoreArgument) {
+    throw new StoreAccessError('The store argument is disabled on this server');
+  }
+  if (!config.profiles.has(requested)) {
+    throw new StoreAccessError(`Unknown store: ${requested}. Available stores: ${listProfiles().join(', ')}`);
+  }
+  return requested;
+}
+
+/**
+ * Check the X-Medusa-Store header of an HTTP request under the same rules as the `store` argument.
+ * A caller already bound to a profile (profile-scoped token, or a session that chose one) cannot switch.
+ * @param {string} [requested] - Header value
+ * @param {Object} [options] - Current binding
+ * @param {string} [options.bound] - Profile the token or session is bound to
+ * @param {boolean} [options.locked] - The binding comes from a profile-scoped token
+ * @returns {string|undefined} Profile to use, or undefined without a header
+ * @throws {StoreAccessError} For unknown or disallowed profiles, and for switching a bound caller
+ */
+export function resolveStoreHeader(requested, { bound, locked = false } = {}) {
+  if (!requested || requested === bound) {
+    return requested || undefined;
+  }
+  if (bound) {
+    throw new StoreAccessError(locked
+      ? `This token is bound to store "${bound}" and cannot access "${requested}"`
+      : `This session is bound to store "${bound}"; start a new session to use "${requested}"`);
+  }
+  return resolveStore({ requested });
+}
+
+/**
+ * JSON Schema property for the `store` argument, or null when it should not be offered
+ * @returns {Object|null} Property schema
+ */
+export function getStoreParameter() {
+  const config = getProfileConfig();
+  if (!config.allowStoreArgument || config.profiles.size < 2) {
+    return null;
+  }
+  return {
+    type: 'string',
+    enum: listProfiles(),
+    description: `Medusa store (backend profile) to run against (default: ${config.defaultProfile}).`
+  };
+}
+
+/**
+ * Check that a profile is configured and its backend answers /health
+ * @param {string} name - Profile name
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeout=3000] - Timeout in milliseconds
+ * @returns {Promise<Object>} Status: { name, status, baseUrl, latencyMs?, error? }
+ */
+export async function checkProfileHealth(name, { timeout = 3000 } = {}) {
+  const errors = profileErrors(getProfileConfig().profiles.get(name));
+  if (errors.length > 0) {
+    return { name, status: 'misconfigured', errors };
+  }
+
+  const client = getClientForProfile(name);
+  const start = Date.now();
+  try {
+    const response = await client.fetch(`${client.baseUrl}/health`, { signal: AbortSignal.timeout(timeout) });
+    return {
+      name,
+      status: response.ok ? 'ok' : 'unhealthy',
+      baseUrl: client.baseUrl,
+      auth: client.auth.type,
+      latencyMs: Date.now() - start,
+      ...(!response.ok && { error: `HTTP ${response.status}` })
+    };
+  } catch (error) {
+    return { name, status: 'unreachable', baseUrl: client.baseUrl, auth: client.auth.type, error: error.message };
+  }
+}
@@ -0,0 +1,68 @@
+// Progress reporting for long-running tool calls
+// Turns { progress, total, message } updates into notifications/progress for a request's progressToken
+
+import { PROGRESS_CONFIG } from './constants.js';
+
+/**
+ * Build a progress reporter bound to a request's `_meta.progressToken`
+ * @param {string|number} [progressToken] - Token sent by the client
+ * @param {Function} send - Receives the notifications/progress params
+ * @returns {Function|undefined} `({ progress, total, message }) => void`, or undefined when the client did not ask for progress
+ */
+export function createProgressReporter(progressToken, send) {
+  if (progressToken === undefined || progressToken === null) {
+    return undefined;
+  }
+
+  // The spec requires progress to increase with every notification
+  let last = -Infinity;
+  return ({ progress, total, message }) => {
+    if (!(progress > last)) {
+      return;
+    }
+    last = progress;
+    send({
+      progressToken,
+      progress,
+      ...(total !== undefined && { total }),
+      ...(message && { message })
+    });
+  };
+}
+
+/**
+ * Run an operation over a list in sequential batches, reporting progress after each batch.
+ * Without onProgress there is nothing to report, so the whole list goes to the handler in one call.
+ * @param {Array} items - Items to process (e.g. product IDs)
+ * @param {Function} handler - Called with each batch, resolves to the batch result
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.batchSize] - Items per batch when reporting progress (defaults to PROGRESS_CONFIG.BATCH_SIZE)
+ * @param {Function} [options.onProgress] - Progress reporter from createProgressReporter()
+ * @param {AbortSignal} [options.signal] - Stops between batches when aborted
+ * @returns {Promise<Array>} Batch results, in order
+ */
+export async function processInBatches(items, handler, { batchSize = PROGRESS_CONFIG.BATCH_SIZE, onProgress, signal } = {}) {
+  const results = [];
+  let done = 0;
+  const size = onProgress ? batchSize : Math.max(items.length, 1);
+
+  // do/while: an empty list still makes one call, as the unbatched action did
+  do {
+    signal?.throwIfAborted();
+
+    const batch = items.slice(done, done + size);
+    try {
+      results.push(await handler(batch));
+    } catch (error) {
+      if (done > 0) {
+        // Earlier batches were applied; say so instead of reporting a plain failure
+        error.message = `${error.message} (after ${done} of ${items.length} items were processed)`;
+      }
+      throw error;
+    }
+    done += batch.length;
+    onProgress?.({ progress: done, total: items.length });
+  } while (done < items.length);
+
+  return results;
+}
@@ -0,0 +1,86 @@
+// MCP prompts: parameterized templates for common commerce workflows
+// Prompt modules live in prompts/ and are discovered like tools (prompts/paths.js)
+
+import { promptPaths } from '../prompts/paths.js';
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+import { getToolReference } from './tool-modes.js';
+
+let promptsCache = null;
+
+/**
+ * Error raised for an unknown prompt or missing prompt arguments
+ */
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = JSON_RPC_ERRORS.INVALID_PARAMS;
+  }
+}
+
+/**
+ * Load the prompt modules listed in prompts/paths.js (once per process)
+ * @returns {Promise<Array>} Array of prompt objects `{ definition, function, path }`
+ */
+export async function discoverPrompts() {
+  if (promptsCache) {
+    return promptsCache;
+  }
+
+  const prompts = await Promise.all(promptPaths.map(async (file) => {
+    try {
+      const module = await import(`../prompts/${file}`);
+      if (!module.apiPrompt) {
+        console.warn(`Prompt ${file} missing apiPrompt export`);
+        return null;
+      }
+      return { ...module.apiPrompt, path: file };
+    } catch (error) {
+      console.error(`Failed to load prompt ${file}:`, error);
+      return null;
+    }
+  }));
+
+  promptsCache = prompts.filter(Boolean);
+  return promptsCache;
+}
+
+/**
+ * Handle prompts/list
+ * @returns {Promise<Object>} `{ prompts }`
+ */
+export async function listPrompts() {
+  const prompts = await discoverPrompts();
+  return {
+    prompts: prompts.map(({ definition }) => definition)
+  };
+}
+
+/**
+ * Handle prompts/get. Prompt functions get `{ tool }`, which names an action as the active
+ * tool mode exposes it (see getToolReference).
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Prompt arguments (strings)
+ * @returns {Promise<Object>} `{ description, messages }`
+ */
+export async function getPrompt(name, args = {}) {
+  const prompts = await discoverPrompts();
+  const prompt = prompts.find((p) => p.definition.name === name);
+  if (!prompt) {
+    throw new PromptError(`Unknown prompt: ${name}`);
+  }
+
+  for (const argument of prompt.definition.arguments || []) {
+    if (argument.required && !args[argument.name]) {
+      throw new PromptError(`Missing required argument: ${argument.name}`);
+    }
+  }
+
+  return {
+    description: prompt.definition.description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text: prompt.function(args, { tool: getToolReference }) }
+    }]
+  };
+}
@@ -0,0 +1,400 @@
+// Per-principal rate limits and concurrency quotas for HTTP requests and tool calls
+// Token buckets refill continuously; rules add tighter limits for matching tools, actions or writes
+
+import fs from 'fs';
+import path from 'path';
+import { RATE_LIMIT_CONFIG } from './constants.js';
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+import { getActionAnnotations } from './annotations.js';
+import { compilePattern, globToRegExp } from './policy.js';
+import { globalMetrics } from './monitoring.js';
+
+const DEFAULT_RATE_LIMIT_FILE = 'mcp-rate-limits.json';
+
+const PERIODS = { s: 1000, sec: 1000, second: 1000, m: 60000, min: 60000, minute: 60000, h: 3600000, hour: 3600000 };
+
+// Suggested wait when a concurrency quota is full, in seconds
+const CONCURRENCY_RETRY_AFTER = 1;
+
+/**
+ * Error raised when a caller exceeds a rate limit or concurrency quota
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} data - Details (principal, scope, rule, limit or concurrency, retryAfter in seconds)
+   */
+  constructor(message, data) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = JSON_RPC_ERRORS.RATE_LIMITED;
+    this.data = data;
+    this.retryAfter = data.retryAfter;
+  }
+}
+
+/**
+ * Read the rate limit file, if any
+ * @param {string} file - Path to the JSON file
+ * @param {boolean} required - Throw when the file is missing
+ * @returns {Object} Parsed config (empty when absent)
+ */
+function readRateLimitFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`Rate limit file not found: ${file}`);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid rate limit file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a rate such as "60/min"
+ * @param {string} value - `<count>/<s|sec|min|hour>`
+ * @returns {{ count: number, periodMs: number }} Parsed rate
+ */
+function parseRate(value) {
+  const match = /^(\d+)\s*\/\s*([a-z]+)$/i.exec(String(value).trim());
+  const periodMs = match && PERIODS[match[2].toLowerCase()];
+  if (!periodMs || Number(match[1]) === 0) {
+    throw new Error(`invalid rate "${value}", expected <count>/<sec|min|hour> such as 60/min`);
+  }
+  return { count: Number(match[1]), periodMs };
+}
+
+/**
+ * Turn a limit as written ("60/min", { rate, burst, concurrency }, false or "off") into an object
+ * @param {*} spec - Limit as written
+ * @returns {Object|false} `{ rate?, burst?, concurrency? }`, or false for no limit
+ */
+function normalizeLimit(spec) {
+  if (spec === false || spec === null || spec === 'off') {
+    return false;
+  }
+  return typeof spec === 'object' ? { ...spec } : { rate: spec };
+}
+
+/**
+ * Compile a limit
+ * @param {string} name - `requests`, `calls` or the rule's `match`
+ * @param {*} spec - Limit as written
+ * @returns {Object|null} `{ name, rate?, refillPerMs?, burst?, concurrency? }`, or null when nothing is limited
+ */
+function compileLimit(name, spec) {
+  const limit = normalizeLimit(spec);
+  if (!limit) {
+    return null;
+  }
+  const { rate, burst, concurrency } = limit;
+  const compiled = { name };
+  try {
+    if (rate !== undefined && rate !== false && rate !== 'off') {
+      const { count, periodMs } = parseRate(rate);
+      if (burst !== undefined && !(Number.isInteger(burst) && burst > 0)) {
+        throw new Error(`invalid burst "${burst}", expected a positive integer`);
+      }
+      Object.assign(compiled, { rate: String(rate), refillPerMs: count / periodMs, burst: burst ?? count });
+    }
+    if (concurrency !== undefined && concurrency !== false) {
+      if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw new Error(`invalid concurrency "${concurrency}", expected a positive integer`);
+      }
+      compiled.concurrency = concurrency;
+    }
+  } catch (error) {
+    throw new Error(`Rate limit "${name}": ${error.message}`);
+  }
+  return compiled.rate || compiled.concurrency ? compiled : null;
+}
+
+/**
+ * Compile a rule. `match` is `write` (mutating actions), `read`, or a `tool:action` pattern as in the policy.
+ * @param {Object} rule - `{ match, rate?, burst?, concurrency? }`
+ * @returns {{ match: string, applies: Function, limit: Object }} Compiled rule
+ */
+function compileRule(rule) {
+  const { match, ...spec } = rule || {};
+  if (typeof match !== 'string' || !match) {
+    throw new Error('Rate limit rule without a match');
+  }
+  let applies;
+  if (match === 'write' || match === 'read') {
+    applies = (definition, action, dryRun) => {
+      if (!action || dryRun) return false;
+      const readOnly = Boolean(getActionAnnotations(definition, action).readOnlyHint);
+      return match === 'read' ? readOnly : !readOnly;
+    };
+  } else {
+    const pattern = compilePattern(match);
+    applies = (definition, action) => pattern.tool.test(definition.name) && pattern.action.test(action || '');
+  }
+  return { match, applies, limit: compileLimit(match, spec) };
+}
+
+/**
+ * Load the rate limit config.
+ *
+ * File format (MCP_RATE_LIMIT_FILE, default ./mcp-rate-limits.json):
+ *   { "requests": "600/min",
+ *     "calls": { "rate": "120/min", "burst": 20, "concurrency": 8 },
+ *     "rules": [{ "match": "write", "rate": "30/min", "concurrency": 2 }, { "match": "*:delete*", "rate": "5/min" }],
+ *     "principals": { "role:admin": { "calls": "600/min" }, "local:*": { "calls": false } } }
+ *
+ * Every principal gets its own buckets. `requests` limits HTTP requests to /mcp, `calls` all tool calls,
+ * and each rule the tool calls it matches. `principals` replaces `requests` / `calls` for the principal
+ * globs (or `role:<role>`) it names. Without a file, RATE_LIMIT_CONFIG applies; MCP_REQUEST_RATE_LIMIT,
+ * MCP_RATE_LIMIT and MCP_MAX_CONCURRENT override the request rate, call rate and call concurrency ("off" disables).
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Config: { file, requests, calls, rules, principals } with compiled limits
+ */
+export function loadRateLimitConfig(env = process.env) {
+  const file = env.MCP_RATE_LIMIT_FILE || path.resolve(process.cwd(), DEFAULT_RATE_LIMIT_FILE);
+  const raw = readRateLimitFile(file, Boolean(env.MCP_RATE_LIMIT_FILE));
+
+  const requests = env.MCP_REQUEST_RATE_LIMIT || (Object.hasOwn(raw, 'requests') ? raw.requests : RATE_LIMIT_CONFIG.REQUESTS);
+  const calls = normalizeLimit(Object.hasOwn(raw, 'calls') ? raw.calls : RATE_LIMIT_CONFIG.CALLS) || {};
+  if (env.MCP_RATE_LIMIT) {
+    calls.rate = env.MCP_RATE_LIMIT;
+    delete calls.burst;
+  }
+  if (env.MCP_MAX_CONCURRENT) {
+    const value = env.MCP_MAX_CONCURRENT;
+    calls.concurrency = value === 'off' ? false : /^\d+$/.test(value) ? Number(value) : value;
+  }
+  const rules = raw.rules || [{ match: 'write', ...RATE_LIMIT_CONFIG.WRITES }];
+
+  return {
+    file,
+    requests: compileLimit('requests', requests),
+    calls: compileLimit('calls', calls),
+    rules: rules.map(compileRule).filter((rule) => rule.limit),
+    principals: Object.entries(raw.principals || {}).map(([pattern, override]) => ({
+      matcher: globToRegExp(pattern),
+      ...(Object.hasOwn(override, 'requests') && { requests: compileLimit('requests', override.requests) }),
+      ...(Object.hasOwn(override, 'calls') && { calls: compileLimit('calls', override.calls) })
+    }))
+  };
+}
+
+let config = null;
+
+// Token buckets by limit and principal: { tokens, updatedAt, limit }
+const buckets = new Map();
+
+// Running tool calls by limit and principal
+const active = new Map();
+
+/**
+ * Get the process-wide rate limit config (loaded once)
+ * @returns {Object} Config
+ */
+export function getRateLimitConfig() {
+  if (!config) {
+    config = loadRateLimitConfig();
+  }
+  return config;
+}
+
+/**
+ * Replace the process-wide rate limit config; buckets and counters start over
+ * @param {Object|null} value - Config to use, or null to reload from the environment
+ */
+export function setRateLimitConfig(value) {
+  config = value;
+  buckets.clear();
+  active.clear();
+}
+
+/**
+ * The `requests` and `calls` limits of a caller. Principal entries also match `role:<role>`;
+ * an entry for the principal itself wins over one for its role.
+ * @param {Object} [caller] - `{ principal, role }`
+ * @param {Object} [current=getRateLimitConfig()] - Config
+ * @returns {{ requests: Object|null, calls: Object|null }} Limits
+ */
+export function getLimits({ principal, role } = {}, current = getRateLimitConfig()) {
+  const names = [principal, role && `role:${role}`].filter(Boolean);
+  let override;
+  for (const name of names) {
+    override = current.principals.find(({ matcher }) => matcher.test(name));
+    if (override) break;
+  }
+  return {
+    requests: override && Object.hasOwn(override, 'requests') ? override.requests : current.requests,
+    calls: override && Object.hasOwn(override, 'calls') ? override.calls : current.calls
+  };
+}
+
+/**
+ * Tokens left in a bucket after refilling it up to now
+ * @param {string} key - Bucket key
+ * @param {Object} limit - Compiled limit with a rate
+ * @param {number} now - Current time
+ * @returns {number} Tokens
+ */
+function availableTokens(key, limit, now) {
+  const bucket = buckets.get(key);
+  return bucket ? Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs) : limit.burst;
+}
+
+/**
+ * Drop buckets that have refilled completely, once there are too many to keep
+ * @param {number} now - Current time
+ */
+function pruneBuckets(now) {
+  if (buckets.size <= RATE_LIMIT_CONFIG.MAX_BUCKETS) {
+    return;
+  }
+  for (const [key, bucket] of buckets) {
+    if (availableTokens(key, bucket.limit, now) >= bucket.limit.burst) {
+      buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Build the error for an exhausted limit and count it in the metrics
+ * @param {string} principal - Caller
+ * @param {Object} limit - Compiled limit
+ * @param {Object} details - `{ retryAfter }` in seconds, plus `concurrency` for a full quota
+ * @returns {RateLimitError} Error to throw
+ */
+function limitExceeded(principal, limit, details) {
+  const scope = limit.scope || (limit.name === 'requests' || limit.name === 'calls' ? limit.name : 'rule');
+  const target = scope === 'requests' ? 'requests'
+    : scope === 'calls' ? 'tool calls'
+    : scope === 'address' ? limit.name
+    : `tool calls matching "${limit.name}"`;
+  const message = details.concurrency
+    ? `Too many concurrent ${target} for ${principal} (limit ${details.concurrency}). Retry in ${details.retryAfter}s`
+    : `Rate limit of ${limit.rate} ${target} exceeded for ${principal}. Retry in ${details.retryAfter}s`;
+  globalMetrics.recordRateLimit({ principal, scope, rule: scope === 'rule' ? limit.name : undefined, concurrency: Boolean(details.concurrency) });
+  return new RateLimitError(message, {
+    principal,
+    scope,
+    ...(scope === 'rule' && { rule: limit.name }),
+    ...(scope === 'address' && { endpoint: limit.name }),
+    ...(details.concurrency ? { concurrency: details.concurrency } : { limit: limit.rate }),
+    retryAfter: details.retryAfter
+  });
+}
+
+/**
+ * Take one token from each rate-limited bucket, or none when any of them is empty
+ * @param {string} principal - Caller
+ * @param {Array<Object>} limits - Compiled limits
+ * @throws {RateLimitError} Naming the limit that needs the longest wait
+ */
+function takeTokens(principal, limits) {
+  const now = Date.now();
+  const rated = limits.filter((limit) => limit.rate).map((limit) => {
+    const key = `${limit.name}\u0000${principal}`;
+    return { key, limit, tokens: availableTokens(key, limit, now) };
+  });
+  const empty = rated
+    .filter(({ tokens }) => tokens < 1)
+    .map(({ limit, tokens }) => ({ limit, wait: (1 - tokens) / limit.refillPerMs }))
+    .sort((a, b) => b.wait - a.wait)[0];
+  if (empty) {
+    throw limitExceeded(principal, empty.limit, { retryAfter: Math.max(1, Math.ceil(empty.wait / 1000)) });
+  }
+  for (const { key, limit, tokens } of rated) {
+    buckets.set(key, { tokens: tokens - 1, updatedAt: now, limit });
+  }
+  pruneBuckets(now);
+}
+
+/**
+ * Count one HTTP request against the caller's `requests` limit
+ * @param {Object} caller - `{ principal, role }` of the authenticated request
+ * @param {Object} [current=getRateLimitConfig()] - Config
+ * @throws {RateLimitError} When the limit is exhausted
+ */
+export function checkRequestRate(caller, current = getRateLimitConfig()) {
+  const { requests } = getLimits(caller, current);
+  if (requests) {
+    takeTokens(caller.principal || 'anonymous', [requests]);
+  }
+}
+
+/**
+ * Count one request to an unauthenticated endpoint against a limit per client IP address
+ * @param {string} endpoint - What is limited, as shown in the error (e.g. "OAuth client registrations")
+ * @param {string} [address] - Client IP address
+ * @param {string} rate - Rate such as "20/hour"
+ * @throws {RateLimitError} When the limit is exhausted
+ */
+export function checkAddressRate(endpoint, address, rate) {
+  takeTokens(`ip:${address || 'unknown'}`, [{ ...compileLimit(endpoint, rate), scope: 'address' }]);
+}
+
+/**
+ * Admit one tool call: check the caller's `calls` limit and every matching rule, rates and concurrency
+ * @param {Object} caller - Tool context with `principal` and `role`
+ * @param {Object} definition - Grouped tool definition
+ * @param {string} [action] - Action name
+ * @param {Object} [options] - Call details
+ * @param {boolean} [options.dryRun=false] - The call only plans writes (write rules skip it)
+ * @param {Object} [current=getRateLimitConfig()] - Config
+ * @returns {Function} Releases the concurrency slots; call it once the tool call ends
+ * @throws {RateLimitError} When a limit is exhausted or a quota is full
+ */
+export function acquireToolCall(caller, definition, action, { dryRun = false } = {}, current = getRateLimitConfig()) {
+  const principal = caller.principal || 'anonymous';
+  const limits = [
+    getLimits(caller, current).calls,
+    ...current.rules.filter((rule) => rule.applies(definition, action, dryRun)).map((rule) => rule.limit)
+  ].filter(Boolean);
+
+  const slots = limits.filter((limit) => limit.concurrency).map((limit) => ({ key: `${limit.name}\u0000${principal}`, limit }));
+  const full = slots.find(({ key, limit }) => (active.get(key) || 0) >= limit.concurrency);
+  if (full) {
+    throw limitExceeded(principal, full.limit, { concurrency: full.limit.concurrency, retryAfter: CONCURRENCY_RETRY_AFTER });
+  }
+  takeTokens(principal, limits);
+
+  for (const { key } of slots) {
+    active.set(key, (active.get(key) || 0) + 1);
+  }
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    for (const { key } of slots) {
+      const count = (active.get(key) || 1) - 1;
+      if (count > 0) {
+        active.set(key, count);
+      } else {
+        active.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * Describe a compiled limit
+ * @param {Object} limit - Compiled limit
+ * @returns {string} e.g. "30/min x2" (rate, then concurrency)
+ */
+function describeLimit(limit) {
+  return [limit.rate, limit.concurrency && `x${limit.concurrency}`].filter(Boolean).join(' ');
+}
+
+/**
+ * One-line summary of a rate limit config for startup banners
+ * @param {Object} [current=getRateLimitConfig()] - Config
+ * @returns {string} e.g. "requests 600/min, calls 120/min x8, 1 rule" or "none"
+ */
+export function describeRateLimits(current = getRateLimitConfig()) {
+  const parts = [];
+  if (current.requests) parts.push(`requests ${describeLimit(current.requests)}`);
+  if (current.calls) parts.push(`calls ${describeLimit(current.calls)}`);
+  if (current.rules.length > 0) parts.push(`${current.rules.length} rule${current.rules.length === 1 ? '' : 's'}`);
+  if (current.principals.length > 0) parts.push(`${current.principals.length} override${current.principals.length === 1 ? '' : 's'}`);
+  return parts.join(', ') || 'none';
+}
@@ -0,0 +1,236 @@
+// PII redaction of tool results and resources before they reach the model
+// Rules mask, hash or drop values by path; per-principal rule sets and exemptions come from the same config
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, createHmac } from 'crypto';
+import { globToRegExp } from './policy.js';
+
+const DEFAULT_REDACTION_FILE = 'mcp-redaction.json';
+
+const MODES = ['mask', 'hash', 'drop'];
+
+/**
+ * Read the redaction file, if any
+ * @param {string} file - Path to the JSON file
+ * @param {boolean} required - Throw when the file is missing
+ * @returns {Object} Parsed config (empty when absent)
+ */
+function readRedactionFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`Redaction file not found: ${file}`);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid redaction file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Compile a rule. Paths are dot-separated: `*` matches one key or array index, `**` any number of them.
+ * @param {{ path: string, mode?: string }} rule - Rule (mode defaults to mask)
+ * @returns {{ path: string, mode: string, segments: string[] }} Compiled rule
+ */
+function compileRule({ path: rulePath, mode = 'mask' }) {
+  if (typeof rulePath !== 'string' || !rulePath) {
+    throw new Error('Redaction rule without a path');
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid redaction mode "${mode}" for ${rulePath}. Valid modes: ${MODES.join(', ')}`);
+  }
+  return { path: rulePath, mode, segments: rulePath.split('.') };
+}
+
+/**
+ * Parse MCP_REDACT_PATHS, e.g. "**.email,**.phone:hash,**.shipping_address:drop"
+ * @param {string} [value] - Comma-separated `path[:mode]` list
+ * @returns {Array<{ path: string, mode?: string }>} Rules
+ */
+function parseRuleList(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean).map((item) => {
+    const [rulePath, mode] = item.split(':');
+    return { path: rulePath, ...(mode && { mode }) };
+  });
+}
+
+/**
+ * Load the redaction config.
+ *
+ * File format (MCP_REDACTION_FILE, default ./mcp-redaction.json):
+ *   { "rules": [{ "path": "**.email", "mode": "mask" }, { "path": "**.shipping_address", "mode": "drop" }],
+ *     "principals": { "profile:eu": { "rules": [{ "path": "**.phone", "mode": "hash" }] } },
+ *     "exempt": ["local:*"] }
+ *
+ * `principals` replaces the default rules for the principals (or `role:<role>`) it names;
+ * callers matching an `exempt` glob see results unredacted.
+ * MCP_REDACT_PATHS adds default rules and MCP_REDACTION_EXEMPT adds exempt principals.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Config: { file, rules, principals, exempt } with compiled rules
+ */
+export function loadRedactionConfig(env = process.env) {
+  const file = env.MCP_REDACTION_FILE || path.resolve(process.cwd(), DEFAULT_REDACTION_FILE);
+  const raw = readRedactionFile(file, Boolean(env.MCP_REDACTION_FILE));
+  const exempt = [...(raw.exempt || []), ...(env.MCP_REDACTION_EXEMPT || '').split(',').map((p) => p.trim()).filter(Boolean)];
+
+  return {
+    file,
+    rules: [...(raw.rules || []), ...parseRuleList(env.MCP_REDACT_PATHS)].map(compileRule),
+    principals: Object.fromEntries(Object.entries(raw.principals || {}).map(([principal, config]) => [
+      principal,
+      (config.rules || []).map(compileRule)
+    ])),
+    exempt: exempt.map(globToRegExp),
+    salt: env.MCP_REDACTION_SALT
+  };
+}
+
+let config = null;
+
+/**
+ * Get the process-wide redaction config (loaded once)
+ * @returns {Object} Config
+ */
+export function getRedactionConfig() {
+  if (!config) {
+    config = loadRedactionConfig();
+  }
+  return config;
+}
+
+/**
+ * Replace the process-wide redaction config
+ * @param {Object|null} value - Config to use, or null to reload from the environment
+ */
+export function setRedactionConfig(value) {
+  config = value;
+}
+
+/**
+ * Rules that apply to a caller. Principal entries and exempt globs also match `role:<role>`;
+ * an entry for the principal itself wins over one for its role.
+ * @param {Object} [caller] - Tool or resource context
+ * @param {string} [caller.principal] - Authenticated caller (see req.mcpPrincipal)
+ * @param {string} [caller.role] - Role of the caller's token
+ * @param {Object} [current=getRedactionConfig()] - Config
+ * @returns {Array} Compiled rules (empty for exempt callers)
+ */
+export function getRedactionRules({ principal, role } = {}, current = getRedactionConfig()) {
+  const names = [principal, role && `role:${role}`].filter(Boolean);
+  if (names.some((name) => current.exempt.some((pattern) => pattern.test(name)))) {
+    return [];
+  }
+  const own = names.find((name) => Object.hasOwn(current.principals, name));
+  return own ? current.principals[own] : current.rules;
+}
+
+/**
+ * Whether a path matches a rule's segments
+ * @param {string[]} pattern - Rule segments
+ * @param {string[]} keys - Path of the value
+ * @param {number} [i=0] - Position in the pattern
+ * @param {number} [j=0] - Position in the path
+ * @returns {boolean} True on a match
+ */
+function matchPath(pattern, keys, i = 0, j = 0) {
+  if (i === pattern.length) {
+    return j === keys.length;
+  }
+  if (pattern[i] === '**') {
+    return matchPath(pattern, keys, i + 1, j) || (j < keys.length && matchPath(pattern, keys, i, j + 1));
+  }
+  return j < keys.length && (pattern[i] === '*' || pattern[i] === keys[j]) && matchPath(pattern, keys, i + 1, j + 1);
+}
+
+/**
+ * Mask a string: emails keep their first letter and domain, digit strings their last 4 digits
+ * @param {string} value - Value
+ * @returns {string} Masked value
+ */
+function maskString(value) {
+  const email = /^(.)[^@]*(@.+)$/.exec(value);
+  if (email) {
+    return `${email[1]}***${email[2]}`;
+  }
+  if (/^[\d\s()+.-]{7,}$/.test(value)) {
+    return `***${value.replace(/\D/g, '').slice(-4)}`;
+  }
+  return '***';
+}
+
+/**
+ * Apply mask or hash to every string in a value; numbers, booleans and nulls are kept
+ * @param {*} value - Value
+ * @param {string} mode - mask or hash
+ * @param {string} [salt] - HMAC key for hash
+ * @returns {*} Transformed value
+ */
+function transformStrings(value, mode, salt) {
+  if (typeof value === 'string') {
+    if (mode === 'mask') {
+      return maskString(value);
+    }
+    const digest = salt ? createHmac('sha256', salt) : createHash('sha256');
+    return `sha256:${digest.update(value).digest('hex').slice(0, 16)}`;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => transformStrings(item, mode, salt));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, transformStrings(nested, mode, salt)]));
+  }
+  return value;
+}
+
+/**
+ * Walk a value and apply the first matching rule at each path
+ * @param {*} value - Value
+ * @param {Array} rules - Compiled rules
+ * @param {string} [salt] - HMAC key for hash
+ * @param {string[]} keys - Path of the value
+ * @returns {*} Redacted copy
+ */
+function applyRules(value, rules, salt, keys) {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const entries = Array.isArray(value) ? value.map((item, index) => [String(index), item]) : Object.entries(value);
+  const kept = [];
+  for (const [key, nested] of entries) {
+    const childKeys = [...keys, key];
+    const rule = rules.find(({ segments }) => matchPath(segments, childKeys));
+    if (rule?.mode === 'drop') continue;
+    kept.push([key, rule ? transformStrings(nested, rule.mode, salt) : applyRules(nested, rules, salt, childKeys)]);
+  }
+  return Array.isArray(value) ? kept.map(([, item]) => item) : Object.fromEntries(kept);
+}
+
+/**
+ * Redact a tool result or resource before it is serialized
+ * @param {*} value - Result
+ * @param {Object} [caller] - Tool or resource context with `principal` and `role`
+ * @param {Object} [current=getRedactionConfig()] - Config
+ * @returns {*} Redacted copy, or the value itself when no rule applies to the caller
+ */
+export function redactResult(value, caller, current = getRedactionConfig()) {
+  const rules = getRedactionRules(caller, current);
+  return rules.length > 0 ? applyRules(value, rules, current.salt, []) : value;
+}
+
+/**
+ * One-line summary of a redaction config for startup banners
+ * @param {Object} [current=getRedactionConfig()] - Config
+ * @returns {string} e.g. "3 rules, 1 exempt" or "none"
+ */
+export function describeRedaction(current = getRedactionConfig()) {
+  const parts = [];
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  if (current.rules.length > 0) parts.push(plural(current.rules.length, 'rule'));
+  const overrides = Object.keys(current.principals).length;
+  if (overrides > 0) parts.push(plural(overrides, 'principal override'));
+  if (current.exempt.length > 0) parts.push(`${current.exempt.length} exempt`);
+  return parts.join(', ') || 'none';
+}
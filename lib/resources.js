@@ -0,0 +1,245 @@
+// MCP resources: read-only views of Medusa entities under medusa:// URIs
+// Shared by the STDIO, Streamable HTTP and Vercel transports
+
+import { JSON_RPC_ERRORS } from './jsonrpc.js';
+import { createRequestSignal } from './cancellation.js';
+import { getClientForProfile, resolveStore } from './profiles.js';
+import { redactResult } from './redaction.js';
+import { evaluatePolicy, PolicyError } from './policy.js';
+
+const MIME_TYPE = 'application/json';
+
+/**
+ * Error raised when a URI does not match a resource or the entity does not exist
+ */
+export class ResourceNotFoundError extends Error {
+  /**
+   * @param {string} uri - Requested resource URI
+   * @param {string} [detail] - Why it was not found
+   */
+  constructor(uri, detail) {
+    super(detail ? `Resource not found: ${uri} (${detail})` : `Resource not found: ${uri}`);
+    this.name = 'ResourceNotFoundError';
+    this.code = JSON_RPC_ERRORS.RESOURCE_NOT_FOUND;
+    this.data = { uri };
+  }
+}
+
+/**
+ * Fixed resources, listed by resources/list.
+ * `tool` and `action` name the tool action that returns the same data: the policy and token roles
+ * that govern it govern the resource too.
+ */
+const RESOURCES = [
+  {
+    uri: 'medusa://regions',
+    name: 'regions',
+    description: 'All regions with their currency, countries and tax settings',
+    tool: 'manage_medusa_admin_regions',
+    action: 'list_regions',
+    read: (client) => client.get('/admin/regions', { limit: 100 })
+  },
+  {
+    uri: 'medusa://sales-channels',
+    name: 'sales-channels',
+    description: 'All sales channels',
+    tool: 'manage_medusa_admin_sales_channels',
+    action: 'list',
+    read: (client) => client.get('/admin/sales-channels', { limit: 100 })
+  },
+  {
+    uri: 'medusa://stock-locations',
+    name: 'stock-locations',
+    description: 'All stock locations with their addresses',
+    tool: 'manage_medusa_admin_inventory',
+    action: 'list_locations',
+    read: (client) => client.get('/admin/stock-locations', { limit: 100 })
+  }
+];
+
+/**
+ * Parameterized resources, listed by resources/templates/list (same `tool` and `action` mapping)
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'medusa://orders/{id}',
+    name: 'order',
+    description: 'A single order with items, totals, addresses and fulfillments',
+    tool: 'manage_medusa_admin_orders',
+    action: 'get',
+    read: async (client, { id }) => (await client.get(`/admin/orders/${encodeURIComponent(id)}`)).order
+  },
+  {
+    uriTemplate: 'medusa://products/{handle}',
+    name: 'product',
+    description: 'A product with its variants, options and images, looked up by handle',
+    tool: 'manage_medusa_admin_products',
+    action: 'list',
+    read: async (client, { handle }) => (await client.get('/admin/products', { handle, limit: 1 })).products?.[0]
+  },
+  {
+    uriTemplate: 'medusa://customers/{id}',
+    name: 'customer',
+    description: 'A single customer with addresses and groups',
+    tool: 'manage_medusa_admin_customers',
+    action: 'get',
+    read: async (client, { id }) => (await client.get(`/admin/customers/${encodeURIComponent(id)}`)).customer
+  },
+  {
+    uriTemplate: 'medusa://inventory-items/{id}/levels',
+    name: 'inventory-levels',
+    description: 'Stock levels of an inventory item at every location',
+    tool: 'manage_medusa_admin_inventory',
+    action: 'list_levels',
+    read: async (client, { id }) => client.get(`/admin/inventory-items/${encodeURIComponent(id)}/location-levels`, { limit: 100 })
+  },
+  {
+    uriTemplate: 'medusa://regions/{id}',
+    name: 'region',
+    description: 'A single region',
+    tool: 'manage_medusa_admin_regions',
+    action: 'get_region',
+    read: async (client, { id }) => (await client.get(`/admin/regions/${encodeURIComponent(id)}`)).region
+  }
+].map((template) => ({ ...template, pattern: compileTemplate(template.uriTemplate) }));
+
+/**
+ * Turn a level-1 URI template (`medusa://orders/{id}`) into a matcher
+ * @param {string} uriTemplate - URI template
+ * @returns {{ regex: RegExp, names: string[] }} Compiled template
+ */
+function compileTemplate(uriTemplate) {
+  const names = [];
+  const source = uriTemplate
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const match = part.match(/^\{([^}]+)\}$/);
+      if (match) {
+        names.push(match[1]);
+        return '([^/?#]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Whether the server policy and the caller's role allow the tool action behind a resource
+ * @param {Object} resource - Resource or template
+ * @param {string} [role] - Role of the caller's token
+ * @returns {{ allowed: boolean, reason?: string }} Decision
+ */
+function evaluateResource(resource, role) {
+  return evaluatePolicy({ name: resource.tool }, resource.action, role);
+}
+
+/**
+ * Find the resource handling a URI
+ * @param {string} uri - Resource URI without query string
+ * @returns {{ resource: Object, read: Function, params: Object }|null} Resource, handler and template variables
+ */
+function matchResource(uri) {
+  const fixed = RESOURCES.find((resource) => resource.uri === uri);
+  if (fixed) {
+    return { resource: fixed, read: fixed.read, params: {} };
+  }
+  for (const template of RESOURCE_TEMPLATES) {
+    const match = uri.match(template.pattern.regex);
+    if (match) {
+      const params = Object.fromEntries(
+        template.pattern.names.map((name, index) => [name, decodeURIComponent(match[index + 1])])
+      );
+      return { resource: template, read: template.read, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Handle resources/list
+ * @param {string} [role] - Role of the caller's token; resources it may not read are left out
+ * @returns {Object} `{ resources }`
+ */
+export function listResources(role) {
+  return {
+    resources: RESOURCES
+      .filter((resource) => evaluateResource(resource, role).allowed)
+      .map(({ uri, name, description }) => ({ uri, name, description, mimeType: MIME_TYPE }))
+  };
+}
+
+/**
+ * Handle resources/templates/list
+ * @param {string} [role] - Role of the caller's token; templates it may not read are left out
+ * @returns {Object} `{ resourceTemplates }`
+ */
+export function listResourceTemplates(role) {
+  return {
+    resourceTemplates: RESOURCE_TEMPLATES
+      .filter((template) => evaluateResource(template, role).allowed)
+      .map(({ uriTemplate, name, description }) => ({ uriTemplate, name, description, mimeType: MIME_TYPE }))
+  };
+}
+
+/**
+ * Handle resources/read.
+ * The policy and the caller's role must allow the resource's tool action.
+ * A `?store=<profile>` suffix selects the backend profile, under the same rules as the tool `store` argument.
+ * @param {string} uri - Resource URI
+ * @param {Object} [context] - Execution context
+ * @param {AbortSignal} [context.signal] - Client cancellation signal
+ * @param {string} [context.store] - Profile bound to the session or auth token
+ * @param {boolean} [context.storeLocked] - The binding cannot be overridden
+ * @param {string} [context.principal] - Authenticated caller, whose redaction rules apply
+ * @param {string} [context.role] - Role of the caller's token, checked against the policy and used by redaction
+ * @returns {Promise<Object>} `{ contents }`
+ * @throws {PolicyError} When the policy or the role forbids the resource
+ */
+export async function readResource(uri, context = {}) {
+  if (typeof uri !== 'string') {
+    throw new ResourceNotFoundError(String(uri), 'missing uri');
+  }
+  const [path, query = ''] = uri.split('?');
+  const resource = matchResource(path);
+  if (!resource) {
+    throw new ResourceNotFoundError(uri);
+  }
+  const { allowed, reason } = evaluateResource(resource.resource, context.role);
+  if (!allowed) {
+    throw new PolicyError(`Resource ${path} is not allowed: ${reason}`, {
+      uri,
+      tool: resource.resource.tool,
+      action: resource.resource.action,
+      ...(context.role && { role: context.role }),
+      reason
+    });
+  }
+
+  const store = resolveStore({
+    requested: new URLSearchParams(query).get('store') || undefined,
+    bound: context.store,
+    locked: context.storeLocked
+  });
+  const { signal, dispose } = createRequestSignal({ signal: context.signal });
+
+  try {
+    const data = await resource.read(getClientForProfile(store).withSignal(signal), resource.params);
+    if (data === undefined || data === null) {
+      throw new ResourceNotFoundError(uri, 'no matching entity');
+    }
+    return {
+      contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(redactResult(data, context), null, 2) }]
+    };
+  } catch (error) {
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+    if (error.status === 404) {
+      throw new ResourceNotFoundError(uri, 'no matching entity');
+    }
+    throw error;
+  } finally {
+    dispose();
+  }
+}
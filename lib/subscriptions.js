@@ -0,0 +1,165 @@
+// Resource subscriptions: polling-based change detection for medusa:// resources
+// Transports register subscribers and deliver notifications/resources/updated themselves
+
+import { createHash } from 'crypto';
+import { SUBSCRIPTION_CONFIG } from './constants.js';
+import { ResourceNotFoundError } from './resources.js';
+
+/**
+ * Resolve the poll interval (MCP_SUBSCRIPTION_POLL_MS, falling back to SUBSCRIPTION_CONFIG)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} Interval in milliseconds
+ */
+export function getPollInterval(env = process.env) {
+  const value = Number(env.MCP_SUBSCRIPTION_POLL_MS);
+  if (!env.MCP_SUBSCRIPTION_POLL_MS || !Number.isFinite(value)) {
+    return SUBSCRIPTION_CONFIG.POLL_INTERVAL_MS;
+  }
+  return Math.max(value, SUBSCRIPTION_CONFIG.MIN_POLL_INTERVAL_MS);
+}
+
+/**
+ * Version of a resource read: the entity's updated_at when it has one,
+ * otherwise a hash of the content (lists, inventory levels)
+ * @param {Object} result - resources/read result
+ * @returns {string} Version string
+ */
+export function getResourceVersion(result) {
+  const text = result.contents?.[0]?.text || '';
+  try {
+    const data = JSON.parse(text);
+    if (typeof data?.updated_at === 'string') {
+      return data.updated_at;
+    }
+  } catch {
+    // Not JSON, hash the raw text
+  }
+  return createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * ResourceWatcher - Polls subscribed resources and reports changes.
+ * Each resource is read once per interval for all sessions of the same caller and store binding.
+ */
+export class ResourceWatcher {
+  /**
+   * @param {Object} options - Watcher options
+   * @param {Function} options.readResource - `(uri, context) => Promise<{ contents }>`
+   * @param {Function} options.onUpdated - `(subscriberId, uri) => void`, called for each subscriber of a changed resource
+   * @param {number} [options.interval] - Poll interval in milliseconds (defaults to getPollInterval())
+   */
+  constructor({ readResource, onUpdated, interval = getPollInterval() }) {
+    this.readResource = readResource;
+    this.onUpdated = onUpdated;
+    this.interval = interval;
+    this.watches = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Subscribe to a resource. Reads it once with the subscriber's own context, even when the resource
+   * is already watched, so a URI the subscriber may not read is refused; the first read records the version.
+   * @param {string} subscriberId - Session (or transport) identifier
+   * @param {string} uri - Resource URI
+   * @param {Object} [context] - Caller context used for reads ({ store, storeLocked, principal, role }):
+   *   the policy and the caller's role apply to subscriptions as they do to reads
+   */
+  async subscribe(subscriberId, uri, context = {}) {
+    const owned = [...this.watches.values()].filter((watch) => watch.subscribers.has(subscriberId)).length;
+    if (owned >= SUBSCRIPTION_CONFIG.MAX_PER_SUBSCRIBER) {
+      const error = new Error(`Subscription limit reached (${SUBSCRIPTION_CONFIG.MAX_PER_SUBSCRIBER})`);
+      error.code = -32602;
+      throw error;
+    }
+
+    const readContext = { store: context.store, storeLocked: context.storeLocked, principal: context.principal, role: context.role };
+    const result = await this.readResource(uri, readContext);
+    // Redaction depends on the caller, so callers only share a watch when they read the same content
+    const key = [readContext.store, readContext.storeLocked ? 'locked' : '', readContext.principal, readContext.role, uri].join('|');
+    let watch = this.watches.get(key);
+    if (!watch) {
+      watch = { uri, context: readContext, version: getResourceVersion(result), subscribers: new Set() };
+      this.watches.set(key, watch);
+    }
+    watch.subscribers.add(subscriberId);
+    this.start();
+  }
+
+  /**
+   * Remove one subscription
+   * @param {string} subscriberId - Session identifier
+   * @param {string} uri - Resource URI
+   */
+  unsubscribe(subscriberId, uri) {
+    for (const [key, watch] of this.watches) {
+      if (watch.uri === uri) {
+        watch.subscribers.delete(subscriberId);
+        if (watch.subscribers.size === 0) this.watches.delete(key);
+      }
+    }
+    this.stopIfIdle();
+  }
+
+  /**
+   * Remove every subscription of a subscriber (session closed or expired)
+   * @param {string} subscriberId - Session identifier
+   */
+  unsubscribeAll(subscriberId) {
+    for (const [key, watch] of this.watches) {
+      watch.subscribers.delete(subscriberId);
+      if (watch.subscribers.size === 0) this.watches.delete(key);
+    }
+    this.stopIfIdle();
+  }
+
+  /**
+   * Start polling (no-op when already running)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop polling once nothing is watched
+   */
+  stopIfIdle() {
+    if (this.watches.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read every watched resource once and notify subscribers of changes
+   */
+  async poll() {
+    if (this.polling) return; // previous round still running
+    this.polling = true;
+    try {
+      for (const watch of [...this.watches.values()]) {
+        let version;
+        try {
+          version = getResourceVersion(await this.readResource(watch.uri, watch.context));
+        } catch (error) {
+          if (!(error instanceof ResourceNotFoundError)) {
+            console.error(`Resource poll failed for ${watch.uri}:`, error.message);
+            continue;
+          }
+          version = 'deleted';
+        }
+
+        if (version !== watch.version) {
+          watch.version = version;
+          for (const subscriberId of watch.subscribers) {
+            this.onUpdated(subscriberId, watch.uri);
+          }
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+}
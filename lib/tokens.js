@@ -0,0 +1,208 @@
+// Registry of named bearer tokens for the HTTP transports
+// Tokens are stored as SHA-256 hashes, each with a role, an optional expiry and an optional bound backend profile
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { ROLES } from './policy.js';
+
+const DEFAULT_TOKENS_FILE = 'mcp-tokens.json';
+
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+/**
+ * Hash a token the way the registry stores it
+ * @param {string} token - Plain token
+ * @returns {string} `sha256:<hex>`
+ */
+export function hashToken(token) {
+  return `sha256:${createHash('sha256').update(String(token)).digest('hex')}`;
+}
+
+/**
+ * Compare two secrets in constant time (hashing first so lengths always match)
+ * @param {string} actual - Value sent by the caller
+ * @param {string} expected - Configured value
+ * @returns {boolean} True when equal
+ */
+export function safeEqual(actual, expected) {
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(actual), digest(expected));
+}
+
+/**
+ * Path of the registry file (MCP_TOKENS_FILE, default ./mcp-tokens.json)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} File path
+ */
+export function getTokensFile(env = process.env) {
+  return env.MCP_TOKENS_FILE || path.resolve(process.cwd(), DEFAULT_TOKENS_FILE);
+}
+
+/**
+ * Read the registry file as written, for the CLI
+ * @param {string} file - Path to the JSON file
+ * @param {boolean} [required=false] - Throw when the file is missing
+ * @returns {{ tokens: Array<Object> }} Parsed file (no tokens when absent)
+ */
+export function readTokenFile(file, required = false) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`Tokens file not found: ${file}`);
+    }
+    return { tokens: [] };
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...raw, tokens: raw.tokens || [] };
+  } catch (error) {
+    throw new Error(`Invalid tokens file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the registry file, readable by its owner only
+ * @param {string} file - Path to the JSON file
+ * @param {{ tokens: Array<Object> }} raw - File content
+ */
+export function writeTokenFile(file, raw) {
+  fs.writeFileSync(file, `${JSON.stringify(raw, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Check and compile one registry entry
+ * @param {Object} entry - `{ name, hash, role, store?, expires_at? }`
+ * @returns {{ name: string, hash: Buffer, role: string, store?: string, expiresAt?: number }} Compiled entry
+ */
+function compileEntry(entry) {
+  const { name, hash, role, store, expires_at: expires } = entry || {};
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Token entry without a name');
+  }
+  if (!HASH_PATTERN.test(hash)) {
+    throw new Error(`Token "${name}": hash must be "sha256:" followed by 64 hex digits`);
+  }
+  if (!Object.hasOwn(ROLES, role)) {
+    throw new Error(`Token "${name}": invalid role "${role}". Valid roles: ${Object.keys(ROLES).join(', ')}`);
+  }
+  const expiresAt = expires === undefined ? undefined : Date.parse(expires);
+  if (Number.isNaN(expiresAt)) {
+    throw new Error(`Token "${name}": invalid expires_at "${expires}"`);
+  }
+  return {
+    name,
+    hash: Buffer.from(hash.slice('sha256:'.length), 'hex'),
+    role,
+    ...(store && { store }),
+    ...(expiresAt !== undefined && { expiresAt })
+  };
+}
+
+/**
+ * Load the token registry.
+ *
+ * File format (MCP_TOKENS_FILE, default ./mcp-tokens.json):
+ *   { "tokens": [{ "name": "helpdesk-bot", "hash": "sha256:<hex>", "role": "support",
+ *                  "store": "eu", "expires_at": "2026-12-31T00:00:00Z" }] }
+ *
+ * Create entries with `node index.js token create`, which prints the plain token once.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{ file: string, tokens: Array<Object> }} Registry with compiled entries
+ */
+export function loadTokenRegistry(env = process.env) {
+  const file = getTokensFile(env);
+  const tokens = readTokenFile(file, Boolean(env.MCP_TOKENS_FILE)).tokens.map(compileEntry);
+  const names = new Set();
+  for (const { name } of tokens) {
+    if (names.has(name)) {
+      throw new Error(`Duplicate token name "${name}" in ${file}`);
+    }
+    names.add(name);
+  }
+  return { file, tokens };
+}
+
+let registry = null;
+
+/**
+ * Get the process-wide token registry (loaded once)
+ * @returns {Object} Registry
+ */
+export function getTokenRegistry() {
+  if (!registry) {
+    registry = loadTokenRegistry();
+  }
+  return registry;
+}
+
+/**
+ * Replace the process-wide token registry
+ * @param {Object|null} value - Registry to use, or null to reload from the environment
+ */
+export function setTokenRegistry(value) {
+  registry = value;
+}
+
+/**
+ * Find the registry entry for a token. Every entry is compared, in constant time,
+ * so the response time does not reveal which entry (if any) matched.
+ * @param {string} token - Bearer token
+ * @param {Object} [current=getTokenRegistry()] - Registry
+ * @returns {Object|null} Entry (possibly expired), or null
+ */
+export function findToken(token, current = getTokenRegistry()) {
+  const digest = createHash('sha256').update(String(token)).digest();
+  let match = null;
+  for (const entry of current.tokens) {
+    if (timingSafeEqual(digest, entry.hash) && !match) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/**
+ * Whether a registry entry has expired
+ * @param {Object} entry - Registry entry
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} True past `expires_at`
+ */
+export function isTokenExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== undefined && entry.expiresAt <= now;
+}
+
+/**
+ * Generate a new token and its registry entry
+ * @param {Object} options - Entry fields
+ * @param {string} options.name - Unique name, recorded as the `token:<name>` principal
+ * @param {string} options.role - viewer, support, merchandiser or admin
+ * @param {string} [options.store] - Backend profile the token is locked to
+ * @param {string} [options.expiresAt] - ISO expiry
+ * @returns {{ token: string, entry: Object }} Plain token (shown once) and the entry to store
+ */
+export function createToken({ name, role, store, expiresAt }) {
+  const token = `mcp_${randomBytes(32).toString('base64url')}`;
+  const entry = {
+    name,
+    hash: hashToken(token),
+    role,
+    ...(store && { store }),
+    ...(expiresAt && { expires_at: expiresAt })
+  };
+  compileEntry(entry);
+  return { token, entry };
+}
+
+/**
+ * One-line summary of the registry for startup banners
+ * @param {Object} [current=getTokenRegistry()] - Registry
+ * @returns {string} e.g. "3 tokens (1 expired)" or "none"
+ */
+export function describeTokens(current = getTokenRegistry()) {
+  const count = current.tokens.length;
+  if (count === 0) {
+    return 'none';
+  }
+  const expired = current.tokens.filter((entry) => isTokenExpired(entry)).length;
+  return `${count} token${count === 1 ? '' : 's'}${expired > 0 ? ` (${expired} expired)` : ''}`;
+}
@@ -0,0 +1,92 @@
+// Error taxonomy for tool calls
+// Every failure inside a tool becomes an `isError` result with a machine-readable code and Medusa's status and body
+
+import { MedusaApiError, MedusaConfigError } from './medusa-client.js';
+import { MedusaAuthError } from './medusa-auth.js';
+import { ToolInputError } from './action-schemas.js';
+import { PolicyError } from './policy.js';
+import { ConfirmationError } from './confirmation.js';
+
+/**
+ * Error codes surfaced in `structuredContent.error.code`
+ */
+export const TOOL_ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND',
+  VALIDATION: 'VALIDATION',
+  AUTH: 'AUTH',
+  CONFLICT: 'CONFLICT',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  POLICY_DENIED: 'POLICY_DENIED', // refused by this server's read-only mode or allow/deny lists
+  CONFIRMATION_REQUIRED: 'CONFIRMATION_REQUIRED', // destructive action: repeat with the confirmation_token in details
+  CONFIRMATION_DECLINED: 'CONFIRMATION_DECLINED',
+  INTERNAL: 'INTERNAL' // anything not attributable to the request or to Medusa
+};
+
+/**
+ * Codes worth retrying later without changing the call
+ */
+const RETRYABLE_CODES = [TOOL_ERROR_CODES.UPSTREAM_UNAVAILABLE, TOOL_ERROR_CODES.RATE_LIMITED];
+
+/**
+ * Map a Medusa HTTP status to an error code
+ * @param {number} status - HTTP status
+ * @returns {string} Error code
+ */
+function codeForStatus(status) {
+  if (status === 404) return TOOL_ERROR_CODES.NOT_FOUND;
+  if (status === 401 || status === 403) return TOOL_ERROR_CODES.AUTH;
+  if (status === 409) return TOOL_ERROR_CODES.CONFLICT;
+  if (status === 429) return TOOL_ERROR_CODES.RATE_LIMITED;
+  if (status === 408 || status >= 500) return TOOL_ERROR_CODES.UPSTREAM_UNAVAILABLE;
+  if (status >= 400) return TOOL_ERROR_CODES.VALIDATION;
+  return TOOL_ERROR_CODES.INTERNAL;
+}
+
+/**
+ * Classify an error thrown while running a tool
+ * @param {Error} error - Thrown error
+ * @returns {{ code: string, message: string, retryable: boolean, status?: number, body?: *, details?: Object }} Error details
+ */
+export function classifyToolError(error) {
+  let details;
+  if (error instanceof MedusaApiError) {
+    details = { code: codeForStatus(error.status), status: error.status, body: error.body };
+  } else if (error instanceof PolicyError) {
+    details = { code: TOOL_ERROR_CODES.POLICY_DENIED, details: error.data };
+  } else if (error instanceof ConfirmationError) {
+    details = {
+      code: error.declined ? TOOL_ERROR_CODES.CONFIRMATION_DECLINED : TOOL_ERROR_CODES.CONFIRMATION_REQUIRED,
+      details: error.data
+    };
+  } else if (error instanceof ToolInputError) {
+    details = { code: TOOL_ERROR_CODES.VALIDATION, details: error.data };
+  } else if (error instanceof MedusaAuthError || error instanceof MedusaConfigError) {
+    details = { code: TOOL_ERROR_CODES.AUTH, ...(error.status && { status: error.status }) };
+  } else if (error?.name === 'TypeError' && error.cause?.code) {
+    // fetch() network failure: connection refused, DNS, reset
+    details = { code: TOOL_ERROR_CODES.UPSTREAM_UNAVAILABLE, details: { cause: error.cause.code } };
+  } else {
+    details = { code: TOOL_ERROR_CODES.INTERNAL };
+  }
+
+  return {
+    ...details,
+    message: error?.message || String(error),
+    retryable: RETRYABLE_CODES.includes(details.code)
+  };
+}
+
+/**
+ * Build the `isError` tools/call result for a failed tool
+ * @param {Error} error - Thrown error
+ * @returns {Object} `{ content, structuredContent: { error }, isError: true }`
+ */
+export function toToolErrorResult(error) {
+  const structured = { error: classifyToolError(error) };
+  return {
+    content: [{ type: 'text', text: JSON.stringify(structured, null, 2) }],
+    structuredContent: structured,
+    isError: true
+  };
+}
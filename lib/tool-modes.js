@@ -0,0 +1,110 @@
+// Tool exposure modes: grouped manage_medusa_admin_* tools (default) or one tool per action
+// Split tools wrap the grouped tool's function with the action pinned, so handlers stay unchanged
+
+import { getRequiredFields } from './action-schemas.js';
+
+const GROUP_PREFIX = 'manage_medusa_admin_';
+
+/**
+ * Resolve the tool mode (MCP_TOOL_MODE)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {'grouped'|'split'} Tool mode, `grouped` unless MCP_TOOL_MODE=split
+ */
+export function getToolMode(env = process.env) {
+  return env.MCP_TOOL_MODE === 'split' ? 'split' : 'grouped';
+}
+
+/**
+ * Name of the tool exposing one action, e.g. medusa_orders_cancel_fulfillment.
+ * A suffix repeating the group is dropped (list_regions in regions becomes medusa_regions_list).
+ * @param {string} group - Group name without prefix (e.g. regions)
+ * @param {string} action - Action name
+ * @returns {string} Tool name
+ */
+function splitToolName(group, action) {
+  const singular = group.replace(/s$/, '');
+  const verb = action.replace(new RegExp(`_(${group}|${singular})$`), '');
+  return `medusa_${group}_${verb}`;
+}
+
+/**
+ * How prompts refer to one action under the active tool mode:
+ * `manage_medusa_admin_orders (action "list")`, or `medusa_orders_list` in split mode
+ * @param {string} group - Group name without prefix (e.g. orders)
+ * @param {string} action - Action name
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} Tool reference
+ */
+export function getToolReference(group, action, env = process.env) {
+  return getToolMode(env) === 'split'
+    ? splitToolName(group, action)
+    : `${GROUP_PREFIX}${group} (action "${action}")`;
+}
+
+/**
+ * One-line description of a split tool, e.g. "Cancel order (Medusa Admin orders)."
+ * Single-word actions get the entity appended: list → "List orders", get → "Get order".
+ * @param {string} group - Group name without prefix
+ * @param {string} action - Action name
+ * @returns {string} Description
+ */
+function splitToolDescription(group, action) {
+  const entity = group.replace(/_/g, ' ');
+  let words = action.replace(/_/g, ' ');
+  if (!action.includes('_')) {
+    words += ` ${action === 'list' ? entity : entity.replace(/s$/, '')}`;
+  }
+  return `${words[0].toUpperCase()}${words.slice(1)} (Medusa Admin ${entity}).`;
+}
+
+/**
+ * Input schema of a single action: only the fields listed in definition.actions[action]
+ * (`required` and `optional`), with the action's description overrides applied
+ * @param {Object} definition - Grouped tool definition
+ * @param {string} action - Action name
+ * @returns {Object} JSON Schema
+ */
+function buildActionParameters(definition, action) {
+  const spec = definition.actions?.[action] || {};
+  const required = getRequiredFields(definition, action).filter((field) => field !== 'action');
+  const fields = [...new Set([...required, ...(spec.optional || [])])];
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(fields.map((field) => [
+      field,
+      { ...definition.parameters.properties[field], ...spec.properties?.[field] }
+    ])),
+    required
+  };
+}
+
+/**
+ * Expand a grouped tool into one tool per action
+ * @param {Object} tool - Tool object `{ definition, function, path }`
+ * @returns {Array} Split tools `{ definition, function, path, action, groupDefinition, groupFunction }`; tools without actions are returned as-is
+ */
+export function splitTool(tool) {
+  const { definition } = tool;
+  const actions = definition.parameters?.properties?.action?.enum || [];
+  if (actions.length === 0) {
+    return [tool];
+  }
+
+  const group = definition.name.startsWith(GROUP_PREFIX)
+    ? definition.name.slice(GROUP_PREFIX.length)
+    : definition.name;
+
+  return actions.map((action) => ({
+    definition: {
+      name: splitToolName(group, action),
+      description: splitToolDescription(group, action),
+      parameters: buildActionParameters(definition, action)
+    },
+    function: (args, context) => tool.function({ ...args, action }, context),
+    path: tool.path,
+    action,
+    groupDefinition: definition,
+    groupFunction: tool.function
+  }));
+}
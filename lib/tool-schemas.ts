@@ -1,11 +1,16 @@
 import { z } from 'zod';
 
 // Base schemas for common parameters
+const PaginationSchema = z.object({
+  paginate: z.enum(['all']).optional().describe('Set to "all" to fetch every page of a list action (capped, see max_items)'),
+  max_items: z.number().optional().describe('Maximum number of items to collect across pages (implies paginate: "all")'),
+});
+
 const BaseListSchema = z.object({
   limit: z.number().optional().describe('Maximum number of items to return (default: 20)'),
   offset: z.number().optional().describe('Number of items to skip (default: 0)'),
   q: z.string().optional().describe('Search query string'),
-});
+}).merge(PaginationSchema);
 
 const BaseIdSchema = z.object({
   id: z.string().describe('ID of the resource'),
@@ -35,7 +40,7 @@ export const OrdersSchema = z.object({
   created_at: z.string().optional().describe('Filter by creation date.'),
   updated_at: z.string().optional().describe('Filter by update date.'),
   fulfillment_id: z.string().optional().describe('Fulfillment ID (required for cancel_fulfillment action).'),
-});
+}).merge(PaginationSchema);
 
 // Draft Orders tool schema
 export const DraftOrdersSchema = z.object({
@@ -60,7 +65,7 @@ export const DraftOrdersSchema = z.object({
   line_id: z.string().optional().describe('Line item ID (required for update_line_item and remove_line_item actions).'),
   variant_id: z.string().optional().describe('Product variant ID (required for add_line_item action).'),
   quantity: z.number().optional().describe('Quantity (required for add_line_item action, optional for update_line_item).'),
-}).merge(BaseMetadataSchema);
+}).merge(PaginationSchema).merge(BaseMetadataSchema);
 
 // Products tool schema
 export const ProductsSchema = z.object({
@@ -298,4 +303,43 @@ export const ToolSchemas = {
   'manage_medusa_admin_users': UsersSchema,
 } as const;
 
-export type ToolName = keyof typeof ToolSchemas;
\ No newline at end of file
+export type ToolName = keyof typeof ToolSchemas;
+
+/**
+ * Per-action requirements, as declared in each tool's `definition.actions`
+ */
+export type ActionRequirements = Record<string, {
+  required?: string[];
+  optional?: string[];
+  properties?: Record<string, { description?: string; [keyword: string]: unknown }>;
+  read?: string;
+  annotations?: { readOnlyHint?: boolean; destructiveHint?: boolean; idempotentHint?: boolean };
+  output?: Record<string, unknown>;
+}>;
+
+/**
+ * Turn a flat tool schema into a discriminated union on `action`, making each
+ * action's required fields non-optional in its branch and using the action's own
+ * field descriptions.
+ * Mirrors buildInputSchema() in lib/action-schemas.js.
+ */
+export function toActionUnion(schema: z.ZodObject<z.ZodRawShape>, actions: ActionRequirements = {}): z.ZodTypeAny {
+  const { shape } = schema;
+  const actionEnum = shape.action as z.ZodEnum<[string, ...string[]]>;
+  const branches = actionEnum.options.map((action) => {
+    const mask: { [K in keyof typeof shape]?: true } = {};
+    for (const field of actions[action]?.required ?? []) {
+      if (field in shape) {
+        mask[field] = true;
+      }
+    }
+    const described: z.ZodRawShape = {};
+    for (const [field, property] of Object.entries(actions[action]?.properties ?? {})) {
+      if (field in shape && property.description) {
+        described[field] = shape[field].describe(property.description);
+      }
+    }
+    return schema.required(mask).extend({ ...described, action: z.literal(action) });
+  });
+  return z.discriminatedUnion('action', branches as [z.AnyZodObject, ...z.AnyZodObject[]]);
+}
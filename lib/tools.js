@@ -1,15 +1,30 @@
 import { toolPaths } from "../tools/paths.js";
+import { getClientForProfile, getStoreParameter, resolveStore } from "./profiles.js";
+import { createRequestSignal } from "./cancellation.js";
+import { PAGINATION_PARAMETERS, isListAction, wantsPagination, paginateAll } from "./pagination.js";
+import { buildInputSchema, validateToolArguments } from "./action-schemas.js";
+import { getToolMode, splitTool } from "./tool-modes.js";
+import { getToolAnnotations } from "./annotations.js";
+import { getOutputSchema } from "./output-schemas.js";
+import { toToolErrorResult } from "./tool-errors.js";
+import { applyPolicy, enforcePolicy } from "./policy.js";
+import { DRY_RUN_PARAMETERS, isMutatingAction, planToolCall } from "./dry-run.js";
+import { CONFIRMATION_PARAMETERS, requiresConfirmation, confirmToolCall } from "./confirmation.js";
+import { recordAudit, redactArguments, trackRequests } from "./audit.js";
+import { redactResult } from "./redaction.js";
+import { acquireToolCall } from "./rate-limit.js";
 
 // Performance optimization: Cache tools to avoid repeated imports
 let toolsCache = null;
 let cacheTimestamp = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes cache TTL
 
-// Pre-compute MCP tool definitions for faster responses
-let mcpToolsCache = null;
+// Pre-compute MCP tool definitions for faster responses, per caller role
+const mcpToolsCache = new Map();
 
 /**
- * Discovers and loads available tools from the tools directory with caching
+ * Discovers and loads available tools from the tools directory with caching.
+ * With MCP_TOOL_MODE=split each grouped tool is expanded into one tool per action (see lib/tool-modes.js).
  * @param {boolean} forceRefresh - Force refresh the cache
  * @returns {Promise<Array>} Array of tool objects
  */
@@ -39,85 +54,250 @@ export async function discoverTools(forceRefresh = false) {
     }
   });
   
-  const tools = (await Promise.all(toolPromises)).filter(Boolean);
+  const loaded = (await Promise.all(toolPromises)).filter(Boolean);
+  const tools = getToolMode() === 'split' ? loaded.flatMap(splitTool) : loaded;
   
   // Update cache
   toolsCache = tools;
-  mcpToolsCache = null; // Reset MCP cache when tools change
+  mcpToolsCache.clear(); // Reset MCP cache when tools change
   cacheTimestamp = now;
   
   return tools;
 }
 
 /**
- * Transform tools to MCP format with caching
+ * Transform tools to MCP format with caching.
+ * Actions the policy or the caller's role forbids are left out (see applyPolicy in lib/policy.js).
  * @param {Array} tools - Array of tool objects
+ * @param {string} [role] - Role of the caller's token
  * @returns {Array} MCP formatted tools
  */
-export function transformToolsToMcp(tools) {
+export function transformToolsToMcp(tools, role) {
   // Use cached MCP tools if available
-  if (mcpToolsCache && toolsCache === tools) {
-    return mcpToolsCache;
+  const cacheKey = role ?? '';
+  if (mcpToolsCache.has(cacheKey) && toolsCache === tools) {
+    return mcpToolsCache.get(cacheKey);
   }
   
-  const mcpTools = tools
+  const mcpTools = applyPolicy(tools, role)
     .map((tool) => {
       const definition = tool.definition;
       if (!definition) return null;
+      const annotations = getToolAnnotations(tool);
+      const outputSchema = getOutputSchema(tool);
       return {
         name: definition.name,
         description: definition.description,
-        inputSchema: definition.parameters,
+        inputSchema: withSharedParameters(
+          buildInputSchema(definition),
+          tool.groupDefinition || definition,
+          tool.action ? [tool.action] : definition.parameters?.properties?.action?.enum
+        ),
+        ...(outputSchema && { outputSchema }),
+        ...(annotations && { annotations }),
       };
     })
     .filter(Boolean);
   
   // Cache the transformed tools
-  mcpToolsCache = mcpTools;
+  mcpToolsCache.set(cacheKey, mcpTools);
   return mcpTools;
 }
 
+/**
+ * Add the centrally handled arguments to a tool's input schema:
+ * paginate/max_items on tools with list actions, dry_run on tools with mutating actions,
+ * confirmation_token on tools with destructive actions, and store when several profiles exist
+ * @param {Object} parameters - Tool input schema
+ * @param {Object} groupDefinition - Grouped tool definition, used to classify the actions
+ * @param {string[]} [actions] - Actions the tool runs (the pinned action of a split tool)
+ * @returns {Object} Extended input schema
+ */
+function withSharedParameters(parameters, groupDefinition, actions = []) {
+  const store = getStoreParameter();
+  return {
+    ...parameters,
+    properties: {
+      ...parameters?.properties,
+      ...(actions.some(isListAction) && PAGINATION_PARAMETERS),
+      ...(actions.some((action) => isMutatingAction(groupDefinition, action)) && DRY_RUN_PARAMETERS),
+      ...(actions.some((action) => requiresConfirmation(groupDefinition, action)) && CONFIRMATION_PARAMETERS),
+      ...(store && { store })
+    }
+  };
+}
+
 /**
  * Find and execute a tool by name with optimized lookup
  * @param {Array} tools - Array of tool objects
  * @param {string} toolName - Name of the tool to execute
  * @param {Object} args - Arguments to pass to the tool
+ * @param {Object} [context] - Execution context passed to the tool (e.g. { client })
+ * @param {string} [context.store] - Profile bound to the session or auth token
+ * @param {boolean} [context.storeLocked] - The binding cannot be overridden by the `store` argument
+ * @param {AbortSignal} [context.signal] - Client cancellation signal from the transport
+ * @param {number} [context.timeout] - Timeout in milliseconds (defaults to getRequestTimeout())
+ * @param {Function} [context.onProgress] - Progress reporter bound to the request's progressToken (see createProgressReporter),
+ *   fed by auto-pagination and by bulk actions such as add_products
+ * @param {Function} [context.elicit] - Sends elicitation/create to the client, when it supports elicitation,
+ *   to confirm destructive actions (see lib/confirmation.js)
+ * @param {string} [context.sessionId] - MCP session, for the audit log
+ * @param {Object} [context.clientInfo] - Client name and version from initialize, for the audit log
+ * @param {string} [context.principal] - Authenticated caller, for the audit log
+ * @param {string} [context.role] - Role of the caller's token, which narrows the policy (see ROLES in lib/policy.js)
+ * @param {string} [context.transport] - stdio, http or vercel, for the audit log
+ * @returns {Promise<Object>} Tool execution result; failures inside the tool resolve to an `isError` result
+ * @throws {RequestTimeoutError|RequestCancelledError|StoreAccessError|RateLimitError} For timeouts, cancellation,
+ *   store access and exhausted rate limits (see lib/rate-limit.js)
+ */
+export async function executeToolOptimized(tools, toolName, args, context = {}) {
+  const started = Date.now();
+  const trace = { action: args.action, requests: [] };
+  let outcome;
+  try {
+    const result = await runTool(tools, toolName, args, context, trace);
+    const error = result.structuredContent?.error;
+    outcome = result.isError
+      ? { outcome: 'error', error: { code: error?.code, message: error?.message } }
+      : { outcome: 'success' };
+    return result;
+  } catch (error) {
+    outcome = { outcome: 'failed', error: { code: error.name, message: error.message } };
+    throw error;
+  } finally {
+    // Every call is audited, including rejected ones (see lib/audit.js)
+    recordAudit({
+      timestamp: new Date(started).toISOString(),
+      session_id: context.sessionId,
+      client: context.clientInfo,
+      principal: context.principal,
+      ...(context.role && { role: context.role }),
+      transport: context.transport,
+      store: trace.store ?? context.store,
+      tool: toolName,
+      action: trace.action,
+      arguments: redactArguments(args),
+      ...(args.dry_run === true && { dry_run: true }),
+      medusa: trace.requests,
+      ...outcome,
+      duration_ms: Date.now() - started
+    });
+  }
+}
+
+/**
+ * Run one tool call for executeToolOptimized
+ * @param {Array} tools - Array of tool objects
+ * @param {string} toolName - Name of the tool to execute
+ * @param {Object} args - Arguments to pass to the tool
+ * @param {Object} context - Execution context (see executeToolOptimized)
+ * @param {Object} trace - Filled in for the audit log: `action`, resolved `store`, and the Medusa `requests` sent
  * @returns {Promise<Object>} Tool execution result
  */
-export async function executeToolOptimized(tools, toolName, args) {
+async function runTool(tools, toolName, args, context, trace) {
   // Fast lookup using find (tools array is small, so O(n) is acceptable)
   const tool = tools.find((t) => t.definition?.name === toolName);
   if (!tool) {
     throw new Error(`Tool not found: ${toolName}`);
   }
+  trace.action = tool.action ?? args.action;
+
+  // Reject forbidden actions, unknown actions and missing per-action fields before any Medusa call
+  try {
+    enforcePolicy(tool, args, context.role);
+    validateToolArguments(tool.definition, args);
+  } catch (error) {
+    return toToolErrorResult(error);
+  }
+
+  // store/paginate/max_items/dry_run/confirmation_token are handled here and never reach the tool (or the Medusa query string)
+  const { store: requestedStore, paginate, max_items, dry_run, confirmation_token, ...toolArgs } = args;
+  const action = tool.action ?? toolArgs.action;
+  const store = resolveStore({ requested: requestedStore, bound: context.store, locked: context.storeLocked });
+  trace.store = store;
+  const baseClient = trackRequests(context.client || getClientForProfile(store), (request) => trace.requests.push(request));
 
-  // Validate required parameters efficiently
-  const requiredParams = tool.definition?.parameters?.required;
-  if (requiredParams?.length > 0) {
-    for (const param of requiredParams) {
-      if (!(param in args)) {
-        throw new Error(`Missing required parameter: ${param}`);
+  // Destructive actions wait for the user's confirmation before the timeout starts
+  let useConfirmation = () => {};
+  if (dry_run !== true && requiresConfirmation(tool.groupDefinition || tool.definition, action)) {
+    try {
+      useConfirmation = await confirmToolCall(tool, toolArgs, confirmation_token, {
+        ...context,
+        client: baseClient.withSignal(context.signal),
+        store
+      });
+    } catch (error) {
+      if (context.signal?.aborted) {
+        throw context.signal.reason;
       }
+      return toToolErrorResult(error);
     }
   }
 
+  // Per-principal rate limits and concurrency quotas; a refusal is a protocol error carrying retryAfter
+  // and leaves the confirmation token usable for the retry
+  const release = acquireToolCall(context, tool.groupDefinition || tool.definition, action, { dryRun: dry_run === true });
+  try {
+    useConfirmation();
+  } catch (error) {
+    release();
+    return toToolErrorResult(error);
+  }
+
+  // Bind every Medusa call made by the tool to the cancellation/timeout signal
+  const { signal, dispose } = createRequestSignal({ signal: context.signal, timeout: context.timeout });
+  const client = baseClient.withSignal(signal);
+  const toolContext = { ...context, client, signal, store };
+
   // Execute tool with error handling
   try {
-    const result = await tool.function(args);
+    // dry_run: record the writes instead of sending them (see lib/dry-run.js)
+    if (dry_run === true && isMutatingAction(tool.groupDefinition || tool.definition, action)) {
+      return formatToolResult(await planToolCall(tool, toolArgs, toolContext));
+    }
+
+    const result = wantsPagination(args) && isListAction(action)
+      ? await paginateAll((page) => tool.function({ ...toolArgs, ...page }, toolContext), {
+          offset: toolArgs.offset,
+          pageSize: toolArgs.limit,
+          maxItems: max_items,
+          onProgress: context.onProgress,
+          signal
+        })
+      : await tool.function(toolArgs, toolContext);
+    // Some tools turn errors into result objects; an aborted call must still fail
+    signal.throwIfAborted();
     
-    // Optimize result formatting
-    return {
-      content: [{
-        type: 'text',
-        text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-      }]
-    };
+    // Optimize result formatting, masking PII the caller may not see (see lib/redaction.js)
+    return formatToolResult(redactResult(result, context));
   } catch (error) {
+    if (signal.aborted) {
+      throw signal.reason;
+    }
     console.error(`Tool execution error for ${toolName}:`, error);
-    throw error;
+    // Tool failures are results the model can read (see lib/tool-errors.js), not protocol errors
+    return toToolErrorResult(error);
+  } finally {
+    dispose();
+    release();
   }
 }
 
+/**
+ * Build a tools/call result: the JSON text for every client, plus `structuredContent`
+ * (matching the tool's outputSchema) when the result is an object
+ * @param {*} result - Value returned by the tool function
+ * @returns {Object} `{ content, structuredContent? }`
+ */
+function formatToolResult(result) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  const isObject = result !== null && typeof result === 'object' && !Array.isArray(result);
+  return {
+    content: [{ type: 'text', text }],
+    ...(isObject && { structuredContent: result })
+  };
+}
+
 /**
  * Get cached tools count for monitoring
  * @returns {Object} Cache statistics
@@ -125,7 +305,7 @@ export async function executeToolOptimized(tools, toolName, args) {
 export function getCacheStats() {
   return {
     toolsCount: toolsCache?.length || 0,
-    mcpToolsCount: mcpToolsCache?.length || 0,
+    mcpToolsCount: mcpToolsCache.get('')?.length || 0,
     cacheAge: toolsCache ? Date.now() - cacheTimestamp : 0,
     isCacheValid: toolsCache && (Date.now() - cacheTimestamp) < CACHE_TTL
   };
@@ -6,10 +6,33 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { discoverTools } from "./lib/tools.js";
+import { discoverTools, transformToolsToMcp, executeToolOptimized } from "./lib/tools.js";
+import { RequestTimeoutError } from "./lib/cancellation.js";
+import { createProgressReporter } from "./lib/progress.js";
+import { StoreAccessError, getProfileConfig } from "./lib/profiles.js";
+import { RateLimitError, getRateLimitConfig } from "./lib/rate-limit.js";
+import { getPolicy, PolicyError } from "./lib/policy.js";
+import { getRedactionConfig } from "./lib/redaction.js";
+import { getConfirmationTtl } from "./lib/confirmation.js";
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  ResourceNotFoundError,
+} from "./lib/resources.js";
+import { ResourceWatcher } from "./lib/subscriptions.js";
+import { listPrompts, getPrompt, PromptError } from "./lib/prompts.js";
+import { closeAuditSinks } from "./lib/audit.js";
 
 import path from "path";
 import { fileURLToPath } from "url";
@@ -20,67 +43,137 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "medusa-admin-mcp-server";
-
-async function transformTools(tools) {
-  return tools
-    .map((tool) => {
-      const definition = tool.definition;
-      if (!definition) return;
-      return {
-        name: definition.name,
-        description: definition.description,
-        inputSchema: definition.parameters,
-      };
-    })
-    .filter(Boolean);
-}
+const STDIO_SUBSCRIBER = "stdio";
+// STDIO runs as the local user, with the admin role; recorded as the principal in the audit log
+const STDIO_PRINCIPAL = `local:${process.env.USER || process.env.USERNAME || "unknown"}`;
+const STDIO_ROLE = "admin";
 
 async function setupServerHandlers(server, tools) {
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: await transformTools(tools),
+    tools: transformToolsToMcp(tools, STDIO_ROLE),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
     const tool = tools.find((t) => t.definition.name === toolName);
     if (!tool) {
       throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
     }
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.parameters?.required || [];
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
+    const args = request.params.arguments || {};
+    const progressToken = request.params._meta?.progressToken;
+    // Destructive actions are confirmed through elicitation when the client supports it
+    const elicit = server.getClientCapabilities()?.elicitation?.form
+      ? (params) => server.elicitInput(params, { signal: extra.signal, timeout: getConfirmationTtl() })
+      : undefined;
+    try {
+      // extra.signal is aborted by the SDK when the client sends notifications/cancelled
+      return await executeToolOptimized(tools, toolName, args, {
+        signal: extra.signal,
+        onProgress: createProgressReporter(progressToken, (params) =>
+          extra.sendNotification({ method: "notifications/progress", params })
+        ),
+        elicit,
+        clientInfo: server.getClientVersion(),
+        principal: STDIO_PRINCIPAL,
+        role: STDIO_ROLE,
+        transport: "stdio",
+      });
+    } catch (error) {
+      if (error instanceof RequestTimeoutError) {
+        throw new McpError(ErrorCode.RequestTimeout, error.message);
+      }
+      if (error instanceof StoreAccessError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
       }
+      if (error instanceof RateLimitError) {
+        throw new McpError(error.code, error.message, error.data);
+      }
+      console.error("[Error] Failed to fetch data:", error);
+      throw new McpError(
+        ErrorCode.InternalError,
+        `API error: ${error.message}`
+      );
     }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () =>
+    listResources(STDIO_ROLE)
+  );
+
+  // Subscribed resources are polled; changes become notifications/resources/updated
+  const resourceWatcher = new ResourceWatcher({
+    readResource,
+    onUpdated: (subscriber, uri) => server.sendResourceUpdated({ uri }),
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
     try {
-      const result = await tool.function(args);
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
+      await resourceWatcher.subscribe(STDIO_SUBSCRIBER, request.params.uri, { principal: STDIO_PRINCIPAL, role: STDIO_ROLE });
     } catch (error) {
-      console.error("[Error] Failed to fetch data:", error);
+      throw new McpError(
+        error.code || ErrorCode.InternalError,
+        error.message,
+        error.data
+      );
+    }
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceWatcher.unsubscribe(STDIO_SUBSCRIBER, request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () =>
+    listResourceTemplates(STDIO_ROLE)
+  );
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    try {
+      return await readResource(request.params.uri, { signal: extra.signal, principal: STDIO_PRINCIPAL, role: STDIO_ROLE });
+    } catch (error) {
+      if (error instanceof ResourceNotFoundError || error instanceof PolicyError) {
+        throw new McpError(error.code, error.message, error.data);
+      }
+      if (error instanceof StoreAccessError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      if (error instanceof RequestTimeoutError) {
+        throw new McpError(ErrorCode.RequestTimeout, error.message);
+      }
+      console.error("[Error] Failed to read resource:", error);
       throw new McpError(
         ErrorCode.InternalError,
         `API error: ${error.message}`
       );
     }
   });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () =>
+    listPrompts()
+  );
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    try {
+      return await getPrompt(request.params.name, request.params.arguments);
+    } catch (error) {
+      if (error instanceof PromptError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      throw error;
+    }
+  });
 }
 
 async function run() {
   console.log(`[${SERVER_NAME}] Starting MCP server (STDIO mode only)`);
   console.log("[Info] For HTTP transport, use the Vercel API endpoints at /api/mcp/");
   
+  // Fail at startup rather than on the first call when the profiles, policy, redaction or rate limit settings are invalid
+  getProfileConfig();
+  getPolicy();
+  getRedactionConfig();
+  getRateLimitConfig();
   const tools = await discoverTools();
   
   // STDIO mode: single server instance for local development/testing
@@ -92,6 +185,8 @@ async function run() {
     {
       capabilities: {
         tools: {},
+        resources: { subscribe: true },
+        prompts: {},
       },
     }
   );
@@ -99,11 +194,15 @@ async function run() {
   server.onerror = (error) => console.error("[Error]", error);
   await setupServerHandlers(server, tools);
 
-  process.on("SIGINT", async () => {
+  // Close the audit sinks too, so entries still buffered are written
+  const shutdown = async () => {
     console.log("[Info] Shutting down server...");
     await server.close();
+    await closeAuditSinks();
     process.exit(0);
-  });
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
 
   const transport = new StdioServerTransport();
   await server.connect(transport);
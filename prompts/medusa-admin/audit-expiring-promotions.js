@@ -0,0 +1,39 @@
+/**
+ * Prompt: audit promotions whose campaign ends soon
+ */
+
+/**
+ * Build the prompt text.
+ *
+ * @param {Object} args - Prompt arguments.
+ * @param {string} [args.days] - Look-ahead window in days.
+ * @param {Object} helpers - Prompt helpers.
+ * @param {Function} helpers.tool - `(group, action)` naming a tool action in the active tool mode.
+ * @returns {string} - Prompt text.
+ */
+const buildPrompt = ({ days = '7' }, { tool }) => `Audit the promotions that expire in the next ${days} days.
+
+1. Call ${tool('pricing', 'list_campaigns')} with paginate "all". Keep campaigns whose ends_at falls within the next ${days} days.
+2. Call ${tool('pricing', 'list_promotions')} with paginate "all", and match promotions to those campaigns by campaign_id. Also list active promotions without a campaign, since they never expire.
+3. For each expiring promotion, call ${tool('pricing', 'get_promotion')} to read its code, type, application method, rules and budget usage.
+4. Report, per campaign: name, ends_at, promotion codes, discount, how much of the budget is used, and whether it is automatic.
+5. Flag promotions that are still "draft", have no usage, or have exhausted their budget before the end date.
+
+This is a read-only audit: do not create, update or delete promotions or campaigns.`;
+
+/**
+ * Prompt configuration for auditing expiring promotions.
+ * @type {Object}
+ */
+const apiPrompt = {
+  definition: {
+    name: 'audit_expiring_promotions',
+    description: 'List promotions whose campaign ends soon, with their usage and configuration problems.',
+    arguments: [
+      { name: 'days', description: 'Look-ahead window in days (default: 7).', required: false }
+    ]
+  },
+  function: buildPrompt
+};
+
+export { apiPrompt };
@@ -0,0 +1,39 @@
+/**
+ * Prompt: summarize a customer before answering a support request
+ */
+
+/**
+ * Build the prompt text.
+ *
+ * @param {Object} args - Prompt arguments.
+ * @param {string} args.email - Customer email.
+ * @param {Object} helpers - Prompt helpers.
+ * @param {Function} helpers.tool - `(group, action)` naming a tool action in the active tool mode.
+ * @returns {string} - Prompt text.
+ */
+const buildPrompt = ({ email }, { tool }) => `Give me an overview of the customer ${email} so I can answer their support request.
+
+1. Call ${tool('customers', 'list')} with q "${email}", and pick the customer with that exact email. If there is none, say so and stop.
+2. Call ${tool('customers', 'get')} for their addresses and groups.
+3. Call ${tool('orders', 'list')} with email "${email}" and max_items 100.
+4. Check ${tool('returns', 'list_returns')} and ${tool('returns', 'list_claims')} for their recent orders.
+5. Summarize: account age, groups, number of orders and total spent per currency, the last 5 orders with status, fulfillment and payment state, and any open return, claim or unfulfilled order.
+
+This is a read-only lookup: do not change the customer or their orders.`;
+
+/**
+ * Prompt configuration for the customer overview.
+ * @type {Object}
+ */
+const apiPrompt = {
+  definition: {
+    name: 'customer_overview',
+    description: 'Summarize a customer\'s account, orders and open returns by email.',
+    arguments: [
+      { name: 'email', description: 'Customer email.', required: true }
+    ]
+  },
+  function: buildPrompt
+};
+
+export { apiPrompt };
@@ -0,0 +1,43 @@
+/**
+ * Prompt: prepare (but do not issue) a refund for an order
+ */
+
+/**
+ * Build the prompt text.
+ *
+ * @param {Object} args - Prompt arguments.
+ * @param {string} args.order_id - Order to refund.
+ * @param {string} [args.amount] - Amount to refund; the full captured amount when omitted.
+ * @param {string} [args.reason] - Why the customer is being refunded.
+ * @param {Object} helpers - Prompt helpers.
+ * @param {Function} helpers.tool - `(group, action)` naming a tool action in the active tool mode.
+ * @returns {string} - Prompt text.
+ */
+const buildPrompt = ({ order_id, amount, reason }, { tool }) => `Prepare a refund for order ${order_id}${amount ? ` of ${amount}` : ' for the full captured amount'}${reason ? `. Reason: ${reason}` : ''}.
+
+1. Call ${tool('orders', 'get')} with id "${order_id}". Note the currency, total, payment_status and fulfillment_status.
+2. Find the payments of the order (payment_collections in the order, or ${tool('payments', 'list_payments')}) and, for each, the captured amount and what has already been refunded (${tool('payments', 'list_refunds')}).
+3. Check ${tool('returns', 'list_returns')} for returns or claims on this order that already cover the amount.
+4. Work out which payment(s) to refund and how much, never more than captured minus already refunded. Amounts are in the order currency.
+5. Present a refund plan: payment_id, amount, reason and note for each ${tool('payments', 'refund_payment')} call, plus anything that looks wrong (order not captured, refund exceeds the remaining balance, open return).
+
+Do not call ${tool('payments', 'refund_payment')} yet. Wait until I confirm the plan.`;
+
+/**
+ * Prompt configuration for preparing an order refund.
+ * @type {Object}
+ */
+const apiPrompt = {
+  definition: {
+    name: 'prepare_refund',
+    description: 'Check an order\'s payments and refunds and draft the refund calls for confirmation.',
+    arguments: [
+      { name: 'order_id', description: 'Order ID to refund.', required: true },
+      { name: 'amount', description: 'Amount to refund, in the order currency. Defaults to the full captured amount.', required: false },
+      { name: 'reason', description: 'Reason for the refund.', required: false }
+    ]
+  },
+  function: buildPrompt
+};
+
+export { apiPrompt };
@@ -0,0 +1,41 @@
+/**
+ * Prompt: find inventory items that need restocking
+ */
+
+/**
+ * Build the prompt text.
+ *
+ * @param {Object} args - Prompt arguments.
+ * @param {string} [args.threshold] - Available quantity at or below which an item is low.
+ * @param {string} [args.location_id] - Only check this stock location.
+ * @param {Object} helpers - Prompt helpers.
+ * @param {Function} helpers.tool - `(group, action)` naming a tool action in the active tool mode.
+ * @returns {string} - Prompt text.
+ */
+const buildPrompt = ({ threshold = '10', location_id }, { tool }) => `Find inventory that needs restocking${location_id ? ` at stock location ${location_id}` : ' across all stock locations'}.
+
+1. Call ${tool('inventory', 'list_levels')} with ${location_id ? `location_id "${location_id}" and ` : ''}paginate "all".
+2. For each level, compute available = stocked_quantity - reserved_quantity. Keep levels where available is ${threshold} or less.
+3. For those inventory items, call ${tool('inventory', 'get_item')} to get the SKU and title${location_id ? '' : `, and ${tool('inventory', 'list_locations')} to name the locations`}.
+4. Check ${tool('inventory', 'list_reservations')} for the items that are already negative, to see which orders are waiting on them.
+5. Report a table sorted by available quantity: SKU, title, location, stocked, reserved, available, incoming.
+
+This is a read-only report: do not update levels or reservations.`;
+
+/**
+ * Prompt configuration for the low-inventory restock report.
+ * @type {Object}
+ */
+const apiPrompt = {
+  definition: {
+    name: 'restock_low_inventory',
+    description: 'Report inventory items at or below a stock threshold, per location.',
+    arguments: [
+      { name: 'threshold', description: 'Available quantity at or below which an item needs restocking (default: 10).', required: false },
+      { name: 'location_id', description: 'Only check this stock location.', required: false }
+    ]
+  },
+  function: buildPrompt
+};
+
+export { apiPrompt };
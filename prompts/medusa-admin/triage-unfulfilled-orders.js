@@ -0,0 +1,44 @@
+/**
+ * Prompt: triage orders that are paid but not yet shipped
+ */
+
+/**
+ * Build the prompt text.
+ *
+ * @param {Object} args - Prompt arguments.
+ * @param {string} [args.since] - Only consider orders created after this date (ISO 8601).
+ * @param {string} [args.limit] - Maximum number of orders to review.
+ * @param {Object} helpers - Prompt helpers.
+ * @param {Function} helpers.tool - `(group, action)` naming a tool action in the active tool mode.
+ * @returns {string} - Prompt text.
+ */
+const buildPrompt = ({ since, limit = '50' }, { tool }) => `Triage the unfulfilled orders in the Medusa store${since ? ` created since ${since}` : ' created today'}.
+
+1. Call ${tool('orders', 'list')} with max_items ${limit} and the newest orders first. Keep orders whose fulfillment_status is "not_fulfilled" or "partially_fulfilled" and that are not canceled or archived.
+2. For each remaining order, call ${tool('orders', 'get')} to read its items, shipping method, payment_status and created_at.
+3. Group the orders into:
+   - Ready to ship: payment captured, every item in stock
+   - Blocked on payment: payment_status is not "captured"
+   - Blocked on stock: check the items with ${tool('inventory', 'list_levels')}
+   - Needs attention: anything else (address problems, partial fulfillments, customer notes)
+4. Report a table per group with display_id, customer email, total, age in hours and the reason it is in that group, oldest first.
+
+This is a read-only review: do not cancel, complete, archive or fulfill any order.`;
+
+/**
+ * Prompt configuration for triaging unfulfilled orders.
+ * @type {Object}
+ */
+const apiPrompt = {
+  definition: {
+    name: 'triage_unfulfilled_orders',
+    description: 'Review unfulfilled orders and group them by what is blocking shipment.',
+    arguments: [
+      { name: 'since', description: 'Only orders created after this date (ISO 8601). Defaults to today.', required: false },
+      { name: 'limit', description: 'Maximum number of orders to review (default: 50).', required: false }
+    ]
+  },
+  function: buildPrompt
+};
+
+export { apiPrompt };
@@ -0,0 +1,7 @@
+export const promptPaths = [
+  'medusa-admin/triage-unfulfilled-orders.js',
+  'medusa-admin/prepare-refund.js',
+  'medusa-admin/audit-expiring-promotions.js',
+  'medusa-admin/restock-low-inventory.js',
+  'medusa-admin/customer-overview.js'
+];
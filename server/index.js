@@ -11,17 +11,39 @@
  *
  * Environment Variables:
  *   PORT - Server port (default: 3000)
- *   MCP_AUTH_TOKEN - Bearer token for authentication (required)
- *   MEDUSA_BASE_URL - Medusa backend URL (required)
- *   MEDUSA_API_KEY - Medusa API key (required)
+ *   MCP_AUTH_TOKEN - Bearer token for authentication (required without a tokens file)
+ *   MCP_TOKENS_FILE - Named tokens with roles (default: ./mcp-tokens.json)
+ *   MEDUSA_BASE_URL - Medusa backend URL (required without profiles)
+ *   MEDUSA_API_KEY - Medusa API key (required without profiles)
+ *   MEDUSA_PROFILES_FILE - Backend profiles file (default: ./medusa-profiles.json)
+ *   MCP_PUBLIC_URL - Public URL of this server, for OAuth metadata (default: http://localhost:PORT)
+ *   MCP_OAUTH_ISSUER - Accept JWT access tokens from this authorization server
+ *   MCP_OAUTH_SERVER - Set to "true" to run the built-in authorization server
+ *   MCP_RATE_LIMIT_FILE - Per-principal rate limits and concurrency quotas (default: ./mcp-rate-limits.json)
+ *   MCP_SESSION_STORE - Where sessions live: memory (default), file or redis
+ *   MCP_SESSION_FILE - Sessions file for the file store (default: ./mcp-sessions.json)
+ *   MCP_REDIS_URL - Redis server for the redis store (redis:// or rediss://)
  */
 
 import express from 'express';
 import { config } from 'dotenv';
 import { createStreamableHTTPHandler } from './transports/streamable-http.js';
-import { authMiddleware, corsMiddleware, requestLogger } from './middleware/auth.js';
+import { authMiddleware, corsMiddleware, findCaller, requestLogger } from './middleware/auth.js';
+import { rateLimitMiddleware } from './middleware/rate-limit.js';
 import { discoverTools, transformToolsToMcp, executeToolOptimized } from '../lib/tools.js';
+import { listResources, listResourceTemplates, readResource } from '../lib/resources.js';
+import { listPrompts, getPrompt } from '../lib/prompts.js';
 import { SERVER_INFO } from '../lib/constants.js';
+import { getProfileConfig, validateProfiles, listProfiles, checkProfileHealth } from '../lib/profiles.js';
+import { getPolicy, describePolicy } from '../lib/policy.js';
+import { getRedactionConfig, describeRedaction } from '../lib/redaction.js';
+import { getTokenRegistry, describeTokens } from '../lib/tokens.js';
+import { getOAuthConfig, getProtectedResourceMetadata } from '../lib/oauth.js';
+import { createAuthorizationServer } from './oauth/authorization-server.js';
+import { getConfirmationTtl } from '../lib/confirmation.js';
+import { getRateLimitConfig, describeRateLimits } from '../lib/rate-limit.js';
+import { loadSessionStoreConfig, createSessionStore, describeSessionStore } from './sessions/index.js';
+import { closeAuditSinks } from '../lib/audit.js';
 
 // Load environment variables
 config();
@@ -29,32 +51,79 @@ config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Validate required environment variables
-const requiredEnvVars = ['MEDUSA_BASE_URL', 'MEDUSA_API_KEY'];
-const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+// Validate backend profiles (a single "default" profile when only MEDUSA_BASE_URL/MEDUSA_API_KEY are set)
+let profileConfig;
+let policy;
+let redaction;
+let tokenRegistry;
+let oauthConfig;
+let rateLimits;
+let sessionConfig;
+let sessionStore;
+try {
+  profileConfig = getProfileConfig();
+  policy = getPolicy();
+  redaction = getRedactionConfig();
+  tokenRegistry = getTokenRegistry();
+  oauthConfig = getOAuthConfig();
+  rateLimits = getRateLimitConfig();
+  sessionConfig = loadSessionStoreConfig();
+  sessionStore = createSessionStore(sessionConfig);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const invalidProfiles = validateProfiles(profileConfig).filter(p => p.errors.length > 0);
+
+if (invalidProfiles.length > 0) {
+  for (const { name, errors } of invalidProfiles) {
+    console.error(`Profile "${name}": ${errors.join(', ')}`);
+  }
+  console.error('Set MEDUSA_BASE_URL and MEDUSA_API_KEY, or configure profiles in your profiles file / MEDUSA_PROFILE_<NAME>_* variables');
+  process.exit(1);
+}
 
-if (missingVars.length > 0) {
-  console.error(`Missing required environment variables: ${missingVars.join(', ')}`);
-  console.error('Please set these variables in your .env file or environment');
+// Tokens bound to a store must name a configured profile
+const unknownStores = tokenRegistry.tokens.filter(({ store }) => store && !profileConfig.profiles.has(store));
+if (unknownStores.length > 0) {
+  for (const { name, store } of unknownStores) {
+    console.error(`Token "${name}": unknown profile "${store}"`);
+  }
   process.exit(1);
 }
 
-// Warn if MCP_AUTH_TOKEN is not set
-if (!process.env.MCP_AUTH_TOKEN) {
+// Warn if no token is configured
+if (!process.env.MCP_AUTH_TOKEN && tokenRegistry.tokens.length === 0 && !oauthConfig.enabled) {
   console.warn('WARNING: MCP_AUTH_TOKEN not set. Authentication will fail for all requests.');
   console.warn('Set MCP_AUTH_TOKEN in your environment to enable authenticated access.');
 }
 
+// Load saved sessions, or check the Redis server answers, before accepting requests
+try {
+  await sessionStore.open();
+} catch (error) {
+  console.error(`Session store: ${error.message}`);
+  process.exit(1);
+}
+
 // Create Streamable HTTP handler
 const mcpHandler = createStreamableHTTPHandler({
   discoverTools,
   transformToolsToMcp,
   executeToolOptimized,
+  listResources,
+  listResourceTemplates,
+  readResource,
+  listPrompts,
+  getPrompt,
   serverInfo: {
     name: SERVER_INFO.name,
     version: '1.0.5'
   },
-  protocolVersion: '2025-03-26'
+  protocolVersion: '2025-03-26',
+  elicitationTimeout: getConfirmationTtl(),
+  sessionStore
 });
 
 // Middleware
@@ -72,25 +141,49 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Anonymous callers get the status and counts; admin tokens also get each profile's URL, auth type and error
 app.get('/ready', async (req, res) => {
   try {
-    // Verify tools can be loaded
+    // Verify tools can be loaded and every backend profile answers
     const tools = await discoverTools();
-    res.json({
-      status: 'ready',
+    const profiles = await Promise.all(listProfiles().map(name => checkProfileHealth(name)));
+    const defaultStatus = profiles.find(p => p.name === profileConfig.defaultProfile)?.status;
+    const healthy = profiles.filter(p => p.status === 'ok').length;
+    const caller = await findCaller(req).catch(() => null);
+
+    res.status(defaultStatus === 'ok' ? 200 : 503).json({
+      status: healthy === profiles.length ? 'ready' : defaultStatus === 'ok' ? 'degraded' : 'not ready',
       toolsCount: tools.length,
-      medusaUrl: process.env.MEDUSA_BASE_URL ? 'configured' : 'missing'
+      ...(caller?.role === 'admin'
+        // A token bound to a store only sees that profile
+        ? { defaultProfile: profileConfig.defaultProfile, profiles: profiles.filter(p => !caller.store || p.name === caller.store) }
+        : { profiles: { total: profiles.length, ok: healthy } })
     });
   } catch (error) {
-    res.status(503).json({
-      status: 'not ready',
-      error: error.message
-    });
+    console.error('[Ready] Check failed:', error.message);
+    res.status(503).json({ status: 'not ready' });
   }
 });
 
-// MCP endpoint with authentication (Streamable HTTP - main endpoint)
-app.all('/mcp', authMiddleware, async (req, res) => {
+// OAuth protected resource metadata (RFC 9728), also at the path-suffixed location for the /mcp resource
+if (oauthConfig.enabled) {
+  app.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) => {
+    res.json(getProtectedResourceMetadata(oauthConfig));
+  });
+}
+
+// Built-in authorization server (MCP_OAUTH_SERVER=true)
+if (oauthConfig.builtIn) {
+  try {
+    app.use(createAuthorizationServer(oauthConfig));
+  } catch (error) {
+    console.error(`OAuth signing key: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// MCP endpoint with authentication and per-principal rate limits (Streamable HTTP - main endpoint)
+app.all('/mcp', authMiddleware, rateLimitMiddleware, async (req, res) => {
   await mcpHandler.handleRequest(req, res);
 });
 
@@ -104,7 +197,9 @@ app.use((req, res) => {
       'GET /ready': 'Readiness check',
       'POST /mcp': 'MCP JSON-RPC endpoint (Streamable HTTP)',
       'GET /mcp': 'MCP SSE stream (optional)',
-      'DELETE /mcp': 'Terminate MCP session'
+      'DELETE /mcp': 'Terminate MCP session',
+      ...(oauthConfig.enabled && { 'GET /.well-known/oauth-protected-resource': 'OAuth protected resource metadata' }),
+      ...(oauthConfig.builtIn && { 'GET /.well-known/oauth-authorization-server': 'OAuth authorization server metadata' })
     }
   });
 });
@@ -134,20 +229,29 @@ app.listen(PORT, () => {
 ║    POST /mcp       - MCP JSON-RPC (main endpoint)                ║
 ╠══════════════════════════════════════════════════════════════════╣
 ║  Environment:                                                    ║
-║    MEDUSA_BASE_URL: ${process.env.MEDUSA_BASE_URL ? 'configured' : 'MISSING'}                                    ║
-║    MEDUSA_API_KEY:  ${process.env.MEDUSA_API_KEY ? 'configured' : 'MISSING'}                                    ║
+║    Profiles:        ${listProfiles().join(', ').padEnd(45)}║
+║    Default profile: ${String(profileConfig.defaultProfile).padEnd(45)}║
 ║    MCP_AUTH_TOKEN:  ${process.env.MCP_AUTH_TOKEN ? 'configured' : 'NOT SET (auth will fail)'}                  ║
+║    Auth tokens:     ${describeTokens(tokenRegistry).padEnd(45)}║
+║    OAuth:           ${(oauthConfig.builtIn ? 'built-in authorization server' : oauthConfig.issuer || 'disabled').padEnd(45)}║
+║    Tool policy:     ${describePolicy(policy).padEnd(45)}║
+║    Redaction:       ${describeRedaction(redaction).padEnd(45)}║
+║    Rate limits:     ${describeRateLimits(rateLimits).padEnd(45)}║
+║    Sessions:        ${describeSessionStore(sessionConfig).padEnd(45)}║
 ╚══════════════════════════════════════════════════════════════════╝
   `);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
+/**
+ * Graceful shutdown: the file store writes its pending changes and the audit log its buffered entries
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  console.log(`${signal} received. Shutting down gracefully...`);
+  await sessionStore.close().catch((error) => console.error('[Sessions] Cannot close the session store:', error.message));
+  await closeAuditSinks();
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -2,16 +2,77 @@
  * Authentication middleware for MCP HTTP server
  *
  * Implements Bearer token authentication as specified in MCP spec.
- * Uses MCP_AUTH_TOKEN environment variable for validation.
+ * Accepts tokens from the token registry (MCP_TOKENS_FILE), profile-scoped tokens
+ * (MEDUSA_PROFILE_<NAME>_AUTH_TOKEN) and MCP_AUTH_TOKEN. Tokens bound to a profile lock the request to that store.
+ * When OAuth is enabled (MCP_OAUTH_ISSUER or MCP_OAUTH_SERVER), JWT access tokens from the issuer are accepted too,
+ * and 401 responses carry a WWW-Authenticate header pointing at the protected resource metadata.
+ * The caller is recorded in `req.mcpPrincipal` and its role in `req.mcpRole`, for the policy and the audit log.
  */
 
+import { resolveBearerToken } from '../../lib/auth.js';
+import { isJwt, JwtError } from '../../lib/jwt.js';
+import { getOAuthConfig, getAuthenticateHeader, verifyAccessToken, callerFromClaims } from '../../lib/oauth.js';
+
+/**
+ * Send a 401, advertising the authorization server when OAuth is enabled
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ * @param {boolean} [rejected=false] - Whether a presented token was rejected (as opposed to missing)
+ */
+function unauthorized(res, message, rejected = false) {
+  const oauth = getOAuthConfig();
+  if (oauth.enabled) {
+    res.setHeader('WWW-Authenticate', getAuthenticateHeader(oauth, rejected ? message : undefined));
+  }
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message
+  });
+}
+
+/**
+ * Resolve a bearer token: JWT access tokens when OAuth is enabled, static tokens otherwise
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} Caller as returned by resolveBearerToken
+ */
+async function resolveCaller(token) {
+  const oauth = getOAuthConfig();
+  if (oauth.enabled && isJwt(token)) {
+    try {
+      return callerFromClaims(await verifyAccessToken(token, oauth), oauth);
+    } catch (error) {
+      if (error instanceof JwtError) {
+        return { error: 'invalid', message: error.message };
+      }
+      throw error;
+    }
+  }
+  const caller = resolveBearerToken(token);
+  // With OAuth, a server without static tokens is configured: it only takes access tokens
+  return caller.error === 'unconfigured' && oauth.enabled ? { error: 'invalid' } : caller;
+}
+
+/**
+ * The caller of a request to a public endpoint, when it carries a valid bearer token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Caller as returned by resolveBearerToken, or null when anonymous or rejected
+ */
+export async function findCaller(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+  const caller = await resolveCaller(token);
+  return caller.error ? null : caller;
+}
+
 /**
  * Bearer token authentication middleware
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  * @param {Function} next - Next middleware
  */
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
   // Skip auth for health check
   if (req.path === '/health' || req.path === '/ready') {
     return next();
@@ -25,26 +86,25 @@ export function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Missing Authorization header'
-    });
+    return unauthorized(res, 'Missing Authorization header');
   }
 
   // Extract Bearer token
   const [scheme, token] = authHeader.split(' ');
 
   if (scheme?.toLowerCase() !== 'bearer' || !token) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Invalid Authorization header format. Expected: Bearer <token>'
-    });
+    return unauthorized(res, 'Invalid Authorization header format. Expected: Bearer <token>');
   }
 
-  // Validate token against environment variable
-  const expectedToken = process.env.MCP_AUTH_TOKEN;
+  // OAuth access tokens, then registry, profile-scoped and MCP_AUTH_TOKEN tokens (see lib/auth.js)
+  let caller;
+  try {
+    caller = await resolveCaller(token);
+  } catch (error) {
+    return next(error);
+  }
 
-  if (!expectedToken) {
+  if (caller.error === 'unconfigured') {
     console.error('MCP_AUTH_TOKEN environment variable not set');
     return res.status(500).json({
       error: 'Internal Server Error',
@@ -52,14 +112,16 @@ export function authMiddleware(req, res, next) {
     });
   }
 
-  if (token !== expectedToken) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Invalid token'
-    });
+  if (caller.error) {
+    return unauthorized(res, caller.message || (caller.error === 'expired' ? 'Token expired' : 'Invalid token'), true);
   }
 
-  // Token is valid
+  // Token is valid; tokens bound to a profile are locked to that store
+  if (caller.store) {
+    req.mcpStore = caller.store;
+  }
+  req.mcpPrincipal = caller.principal;
+  req.mcpRole = caller.role;
   next();
 }
 
@@ -75,8 +137,8 @@ export function corsMiddleware(req, res, next) {
 
   res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Last-Event-ID');
-  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Last-Event-ID, X-Medusa-Store');
+  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, Retry-After');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
 
   // Handle preflight
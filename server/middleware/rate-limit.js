@@ -0,0 +1,32 @@
+/**
+ * Rate limiting middleware for MCP HTTP server
+ *
+ * Counts each authenticated request against its principal's `requests` limit (see lib/rate-limit.js)
+ * and answers 429 with a Retry-After header once the bucket is empty. Tool calls are limited
+ * separately, per tool and action, where they run (executeToolOptimized).
+ */
+
+import { checkRequestRate, RateLimitError } from '../../lib/rate-limit.js';
+
+/**
+ * Per-principal request rate limit; must run after authMiddleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function rateLimitMiddleware(req, res, next) {
+  try {
+    checkRequestRate({ principal: req.mcpPrincipal, role: req.mcpRole });
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) {
+      return next(error);
+    }
+    res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: error.message,
+      retryAfter: error.retryAfter
+    });
+  }
+  next();
+}
@@ -0,0 +1,449 @@
+/**
+ * Minimal OAuth 2.1 authorization server for self-hosted setups (MCP_OAUTH_SERVER=true)
+ *
+ * Lets MCP clients obtain access tokens without being handed a static bearer token:
+ * - GET  /.well-known/oauth-authorization-server: metadata (RFC 8414)
+ * - POST /oauth/register: dynamic client registration (RFC 7591), public clients only
+ * - GET/POST /oauth/authorize: authorization code flow with PKCE (S256); the user signs in
+ *   with an existing MCP token (named token, profile token or MCP_AUTH_TOKEN) and the access
+ *   token carries that token's principal, role and store
+ * - POST /oauth/token: authorization_code and refresh_token grants
+ * - GET  /oauth/jwks: public signing key
+ *
+ * Clients, codes and refresh tokens are kept in memory, so a restart requires clients to
+ * register and sign in again. Access tokens survive restarts when MCP_OAUTH_SIGNING_KEY is set.
+ * Registration and sign-in are rate limited per client IP address; at most MAX_CLIENTS clients
+ * are kept, and a registration nobody signs in with expires after UNUSED_CLIENT_TTL_SECONDS.
+ */
+
+import fs from 'fs';
+import express from 'express';
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, randomBytes } from 'crypto';
+import { HTTP_STATUS, OAUTH_CONFIG } from '../../lib/constants.js';
+import { resolveBearerToken } from '../../lib/auth.js';
+import { checkAddressRate, RateLimitError } from '../../lib/rate-limit.js';
+import { ROLES } from '../../lib/policy.js';
+import { roleScope, setLocalSigningKeys } from '../../lib/oauth.js';
+import { getJwkThumbprint, signJwt } from '../../lib/jwt.js';
+
+/**
+ * A PKCE code_verifier: 43 to 128 unreserved characters (RFC 7636 section 4.1)
+ */
+const CODE_VERIFIER = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Load the signing key from MCP_OAUTH_SIGNING_KEY (a PEM private key file), or generate one for this process
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{ key: KeyObject, alg: string, kid: string, jwk: Object }} Private key, algorithm and public JWK
+ */
+function loadSigningKey(env = process.env) {
+  let key;
+  if (env.MCP_OAUTH_SIGNING_KEY) {
+    key = createPrivateKey(fs.readFileSync(env.MCP_OAUTH_SIGNING_KEY, 'utf8'));
+  } else {
+    console.warn('[OAuth] MCP_OAUTH_SIGNING_KEY not set; access tokens are signed with a key that changes on restart');
+    key = generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+  }
+
+  const curveAlgorithms = { prime256v1: 'ES256', secp384r1: 'ES384', secp521r1: 'ES512' };
+  const { asymmetricKeyType, asymmetricKeyDetails } = key;
+  const alg = asymmetricKeyType === 'rsa' ? 'RS256'
+    : asymmetricKeyType === 'ed25519' ? 'EdDSA'
+    : asymmetricKeyType === 'ec' ? curveAlgorithms[asymmetricKeyDetails.namedCurve]
+    : undefined;
+  if (!alg) {
+    throw new Error('MCP_OAUTH_SIGNING_KEY must be an RSA, P-256/384/521 or Ed25519 private key');
+  }
+
+  const publicJwk = createPublicKey(key).export({ format: 'jwk' });
+  const kid = getJwkThumbprint(publicJwk);
+  return { key, alg, kid, jwk: { ...publicJwk, kid, alg, use: 'sig' } };
+}
+
+/**
+ * Whether a redirect URI is acceptable: https, or http on the loopback interface (native and CLI clients)
+ * @param {string} uri - Redirect URI
+ * @returns {boolean} True when allowed
+ */
+function isAllowedRedirectUri(uri) {
+  try {
+    const url = new URL(uri);
+    if (url.hash) return false;
+    if (url.protocol === 'https:') return true;
+    return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Consent page asking the user for an MCP token
+ * @param {Object} client - Registered client
+ * @param {Object} params - Validated authorization request
+ * @param {string} [error] - Message shown above the form
+ * @returns {string} HTML
+ */
+function renderConsentPage(client, params, error) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'scope', 'code_challenge', 'code_challenge_method', 'resource']
+    .filter((name) => params[name] !== undefined)
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('\n      ');
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Authorize ${escapeHtml(client.client_name)}</title></head>
+  <body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto">
+    <h1>Authorize ${escapeHtml(client.client_name)}</h1>
+    <p>This application asks for access to the Medusa Admin MCP server${params.scope ? ` (${escapeHtml(params.scope)})` : ''}.
+      Sign in with your MCP token; the application gets the same role and store.</p>
+    ${error ? `<p style="color: #b00">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/oauth/authorize">
+      ${hidden}
+      <label>MCP token <input type="password" name="token" autocomplete="off" style="width: 100%"></label>
+      <p>
+        <button type="submit" name="decision" value="allow">Allow</button>
+        <button type="submit" name="decision" value="deny">Deny</button>
+      </p>
+    </form>
+  </body>
+</html>`;
+}
+
+/**
+ * Send the consent page, which must not be framed by another site (clickjacking)
+ * @param {Object} res - Express response
+ * @param {string} html - Page
+ */
+function sendConsentPage(res, html) {
+  res.set({
+    'X-Frame-Options': 'DENY',
+    'Content-Security-Policy': "frame-ancestors 'none'",
+    'Cache-Control': 'no-store'
+  }).type('html').send(html);
+}
+
+/**
+ * Middleware limiting a route per client IP address
+ * @param {string} endpoint - What is limited, as shown in the error
+ * @param {string} rate - Rate such as "10/min"
+ * @returns {Function} Express middleware answering 429 with Retry-After once the limit is exhausted
+ */
+function limitByAddress(endpoint, rate) {
+  return (req, res, next) => {
+    try {
+      checkAddressRate(endpoint, req.ip, rate);
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) {
+        return next(error);
+      }
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS)
+        .set('Retry-After', String(error.retryAfter))
+        .json({ error: 'too_many_requests', error_description: error.message });
+    }
+    next();
+  };
+}
+
+/**
+ * Append query parameters to a redirect URI
+ * @param {string} uri - Registered redirect URI
+ * @param {Object} params - Parameters (undefined values are skipped)
+ * @returns {string} URL
+ */
+function withQuery(uri, params) {
+  const url = new URL(uri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(name, value);
+  }
+  return url.toString();
+}
+
+/**
+ * Role granted for a request: the user's role, or a narrower one asked for with a `medusa:<role>` scope
+ * (any role may ask for viewer, admin may ask for any role)
+ * @param {string} userRole - Role of the MCP token the user signed in with
+ * @param {string} [scope] - Requested scope
+ * @returns {string|null} Granted role, or null when the scope asks for more than the user has
+ */
+function grantRole(userRole, scope) {
+  const requested = (scope || '').split(' ')
+    .filter((item) => item.startsWith('medusa:'))
+    .map((item) => item.slice('medusa:'.length))
+    .find((name) => Object.hasOwn(ROLES, name));
+  if (!requested || requested === userRole) {
+    return userRole;
+  }
+  return userRole === 'admin' || requested === 'viewer' ? requested : null;
+}
+
+/**
+ * Create the authorization server routes
+ * @param {Object} config - OAuth settings from getOAuthConfig (builtIn, issuer, resource, audience)
+ * @returns {express.Router} Router to mount at the server root
+ */
+export function createAuthorizationServer(config) {
+  const signing = loadSigningKey();
+  setLocalSigningKeys([signing.jwk]);
+
+  const clients = new Map();
+  const codes = new Map();
+  const refreshTokens = new Map();
+
+  /**
+   * Drop expired clients, codes and refresh tokens
+   */
+  function purgeExpired() {
+    const now = Date.now();
+    for (const store of [clients, codes, refreshTokens]) {
+      for (const [key, value] of store) {
+        if (value.expiresAt <= now) store.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check an authorization request. Errors that make the redirect URI untrustworthy are returned
+   * as `{ status, message }`, the others as `{ redirect }` to send the client back with an error.
+   * @param {Object} params - Query or form parameters
+   * @returns {{ client?: Object, status?: number, message?: string, redirect?: string }} Result
+   */
+  function checkAuthorizationRequest(params) {
+    const client = clients.get(params.client_id);
+    if (!client || client.expiresAt <= Date.now()) {
+      return { status: 400, message: 'Unknown client_id. Register the client at /oauth/register first.' };
+    }
+    if (!client.redirect_uris.includes(params.redirect_uri)) {
+      return { status: 400, message: 'redirect_uri does not match a registered redirect URI' };
+    }
+    const fail = (error, description) => ({
+      redirect: withQuery(params.redirect_uri, { error, error_description: description, state: params.state, iss: config.issuer })
+    });
+    if (params.response_type !== undefined && params.response_type !== 'code') {
+      return fail('unsupported_response_type', 'Only response_type=code is supported');
+    }
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+    if (params.resource !== undefined && params.resource !== config.resource) {
+      return fail('invalid_target', `This server only issues tokens for ${config.resource}`);
+    }
+    return { client };
+  }
+
+  /**
+   * Issue an access token and a refresh token for a caller
+   * @param {Object} grant - `{ clientId, caller, role, scope }`
+   * @returns {Object} Token response
+   */
+  function issueTokens(grant) {
+    // A client is kept as long as it holds a refresh token
+    const client = clients.get(grant.clientId);
+    if (client) {
+      client.expiresAt = Date.now() + OAUTH_CONFIG.REFRESH_TOKEN_TTL_SECONDS * 1000;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const callerExpiry = grant.caller.expiresAt !== undefined ? Math.floor(grant.caller.expiresAt / 1000) : Infinity;
+    const expiresAt = Math.min(now + OAUTH_CONFIG.ACCESS_TOKEN_TTL_SECONDS, callerExpiry);
+    const accessToken = signJwt({
+      iss: config.issuer,
+      sub: grant.caller.principal,
+      aud: config.audience,
+      client_id: grant.clientId,
+      scope: grant.scope,
+      mcp_role: grant.role,
+      ...(grant.caller.store && { mcp_store: grant.caller.store }),
+      iat: now,
+      exp: expiresAt,
+      jti: randomBytes(16).toString('base64url')
+    }, signing);
+
+    const refreshToken = randomBytes(32).toString('base64url');
+    refreshTokens.set(refreshToken, {
+      ...grant,
+      expiresAt: Math.min(Date.now() + OAUTH_CONFIG.REFRESH_TOKEN_TTL_SECONDS * 1000, callerExpiry * 1000)
+    });
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: expiresAt - now,
+      refresh_token: refreshToken,
+      scope: grant.scope
+    };
+  }
+
+  const router = express.Router();
+  router.use('/oauth', express.urlencoded({ extended: false }));
+
+  router.get('/.well-known/oauth-authorization-server', (req, res) => {
+    res.json({
+      issuer: config.issuer,
+      authorization_endpoint: `${config.issuer}/oauth/authorize`,
+      token_endpoint: `${config.issuer}/oauth/token`,
+      registration_endpoint: `${config.issuer}/oauth/register`,
+      jwks_uri: `${config.issuer}/oauth/jwks`,
+      scopes_supported: Object.keys(ROLES).map(roleScope),
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      token_endpoint_auth_methods_supported: ['none'],
+      code_challenge_methods_supported: ['S256'],
+      authorization_response_iss_parameter_supported: true
+    });
+  });
+
+  router.get('/oauth/jwks', (req, res) => {
+    res.json({ keys: [signing.jwk] });
+  });
+
+  router.post('/oauth/register', limitByAddress('OAuth client registrations', OAUTH_CONFIG.REGISTER_RATE), (req, res) => {
+    const metadata = req.body || {};
+    const redirectUris = metadata.redirect_uris;
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(isAllowedRedirectUri)) {
+      return res.status(400).json({
+        error: 'invalid_redirect_uri',
+        error_description: 'redirect_uris must list https URIs, or http URIs on localhost'
+      });
+    }
+    if (metadata.token_endpoint_auth_method && metadata.token_endpoint_auth_method !== 'none') {
+      return res.status(400).json({
+        error: 'invalid_client_metadata',
+        error_description: 'Only public clients (token_endpoint_auth_method "none") are supported'
+      });
+    }
+
+    const client = {
+      client_id: randomBytes(16).toString('base64url'),
+      client_id_issued_at: Math.floor(Date.now() / 1000),
+      client_name: typeof metadata.client_name === 'string' ? metadata.client_name : 'MCP client',
+      redirect_uris: redirectUris,
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none'
+    };
+
+    purgeExpired();
+    if (clients.size >= OAUTH_CONFIG.MAX_CLIENTS) {
+      // Make room by dropping the oldest registration nobody has signed in with yet
+      const unused = [...clients].find(([, registered]) => !registered.authorized);
+      if (!unused) {
+        return res.status(503).json({
+          error: 'temporarily_unavailable',
+          error_description: 'Too many registered clients; try again later'
+        });
+      }
+      clients.delete(unused[0]);
+    }
+    clients.set(client.client_id, {
+      ...client,
+      authorized: false,
+      expiresAt: Date.now() + OAUTH_CONFIG.UNUSED_CLIENT_TTL_SECONDS * 1000
+    });
+    res.status(201).json(client);
+  });
+
+  router.get('/oauth/authorize', (req, res) => {
+    const check = checkAuthorizationRequest(req.query);
+    if (check.status) {
+      return res.status(check.status).type('text').send(check.message);
+    }
+    if (check.redirect) {
+      return res.redirect(302, check.redirect);
+    }
+    sendConsentPage(res, renderConsentPage(check.client, req.query));
+  });
+
+  router.post('/oauth/authorize', limitByAddress('OAuth sign-in attempts', OAUTH_CONFIG.AUTHORIZE_RATE), (req, res) => {
+    const params = req.body || {};
+    const check = checkAuthorizationRequest(params);
+    if (check.status) {
+      return res.status(check.status).type('text').send(check.message);
+    }
+    if (check.redirect) {
+      return res.redirect(302, check.redirect);
+    }
+    const deny = (error, description) => res.redirect(302, withQuery(params.redirect_uri, {
+      error,
+      error_description: description,
+      state: params.state,
+      iss: config.issuer
+    }));
+    if (params.decision !== 'allow') {
+      return deny('access_denied', 'The user denied access');
+    }
+
+    const caller = params.token ? resolveBearerToken(params.token) : { error: 'invalid' };
+    if (caller.error) {
+      const message = caller.error === 'expired' ? 'This token has expired.' : 'Invalid token.';
+      return sendConsentPage(res.status(401), renderConsentPage(check.client, params, message));
+    }
+    const role = grantRole(caller.role, params.scope);
+    if (!role) {
+      return deny('invalid_scope', `Your token has the ${caller.role} role`);
+    }
+
+    purgeExpired();
+    check.client.authorized = true;
+    const code = randomBytes(32).toString('base64url');
+    codes.set(code, {
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      caller,
+      role,
+      scope: roleScope(role),
+      expiresAt: Date.now() + OAUTH_CONFIG.AUTHORIZATION_CODE_TTL_SECONDS * 1000
+    });
+    res.redirect(302, withQuery(params.redirect_uri, { code, state: params.state, iss: config.issuer }));
+  });
+
+  router.post('/oauth/token', (req, res) => {
+    const params = req.body || {};
+    const fail = (error, description, status = 400) =>
+      res.status(status).set('Cache-Control', 'no-store').json({ error, error_description: description });
+
+    purgeExpired();
+    if (params.grant_type === 'authorization_code') {
+      const grant = codes.get(params.code);
+      // A code is usable once, whatever the outcome
+      codes.delete(params.code);
+      if (!grant || grant.clientId !== params.client_id || grant.redirectUri !== params.redirect_uri) {
+        return fail('invalid_grant', 'Unknown or expired code, or a different client_id / redirect_uri');
+      }
+      // A repeated form field arrives as an array
+      if (typeof params.code_verifier !== 'string' || !CODE_VERIFIER.test(params.code_verifier)) {
+        return fail('invalid_request', 'code_verifier must be 43-128 characters from A-Z, a-z, 0-9 and "-._~"');
+      }
+      const challenge = createHash('sha256').update(params.code_verifier).digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return fail('invalid_grant', 'code_verifier does not match the code_challenge');
+      }
+      if (params.resource !== undefined && params.resource !== config.resource) {
+        return fail('invalid_target', `This server only issues tokens for ${config.resource}`);
+      }
+      return res.set('Cache-Control', 'no-store').json(issueTokens(grant));
+    }
+
+    if (params.grant_type === 'refresh_token') {
+      const grant = refreshTokens.get(params.refresh_token);
+      if (!grant || grant.clientId !== params.client_id) {
+        return fail('invalid_grant', 'Unknown or expired refresh token');
+      }
+      // Refresh tokens rotate: the old one stops working
+      refreshTokens.delete(params.refresh_token);
+      return res.set('Cache-Control', 'no-store').json(issueTokens(grant));
+    }
+
+    return fail('unsupported_grant_type', 'Use authorization_code or refresh_token');
+  });
+
+  return router;
+}
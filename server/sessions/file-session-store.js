@@ -0,0 +1,120 @@
+/**
+ * File-backed session store
+ *
+ * Keeps the sessions in memory and mirrors them to a JSON file, so Mcp-Session-Id survives a
+ * restart of a single instance. Changes are written asynchronously, at most once per
+ * FILE_FLUSH_DELAY_MS and on close, through a temporary file and a rename so a crash never
+ * leaves the file half written (it loses at most the changes of the last FILE_FLUSH_DELAY_MS).
+ * Replicas must not share the file, as each would overwrite the others' sessions: use the Redis
+ * store for that.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SESSION_CONFIG } from '../../lib/constants.js';
+import { MemorySessionStore } from './session-store.js';
+
+export class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Path of the JSON file
+   * @param {number} [options.ttl] - Idle time in milliseconds after which a session expires
+   */
+  constructor({ file, ...options }) {
+    super(options);
+    this.file = path.resolve(file);
+    this.flushTimer = null;
+    // Last write; the next one waits for it so writes never overlap
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the sessions saved by the previous run, dropping those that expired meanwhile
+   * @throws {Error} When the file exists but cannot be parsed
+   */
+  async open() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw new Error(`Cannot read sessions file ${this.file}: ${error.message}`);
+    }
+    if (!raw || typeof raw.sessions !== 'object') {
+      throw new Error(`Invalid sessions file ${this.file}: expected { "sessions": { ... } }`);
+    }
+    for (const [id, session] of Object.entries(raw.sessions)) {
+      if (typeof session?.lastActivity === 'number' && !this.isExpired(session)) {
+        this.sessions.set(id, session);
+      }
+    }
+  }
+
+  /**
+   * Write every session to the file, after any write in progress
+   * @returns {Promise<void>} Settles once the file holds the sessions as they were when the write started
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify({ sessions: Object.fromEntries(this.sessions) }), { mode: 0o600 });
+      await fs.promises.rename(temporary, this.file);
+    });
+    return this.writing;
+  }
+
+  /**
+   * Write the file after FILE_FLUSH_DELAY_MS, once for any number of changes in between
+   */
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch((error) => {
+        console.error(`[Sessions] Cannot write ${this.file}:`, error.message);
+      });
+    }, SESSION_CONFIG.FILE_FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  cleanup() {
+    const removed = super.cleanup();
+    if (removed.length > 0) {
+      this.scheduleFlush();
+    }
+    return removed;
+  }
+
+  async set(id, session) {
+    await super.set(id, session);
+    this.scheduleFlush();
+  }
+
+  async touch(id) {
+    const found = await super.touch(id);
+    this.scheduleFlush();
+    return found;
+  }
+
+  async delete(id) {
+    const existed = await super.delete(id);
+    if (existed) {
+      this.scheduleFlush();
+    }
+    return existed;
+  }
+
+  async close() {
+    await super.close();
+    if (this.flushTimer) {
+      await this.flush();
+    } else {
+      await this.writing;
+    }
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Session store selection for the HTTP server
+ *
+ * MCP_SESSION_STORE picks where Streamable HTTP sessions live:
+ * - memory (default): this process only, lost on restart
+ * - file: MCP_SESSION_FILE (default ./mcp-sessions.json), survives restarts of one instance
+ * - redis: MCP_REDIS_URL, shared by every replica behind a load balancer
+ */
+
+import { SESSION_CONFIG } from '../../lib/constants.js';
+import { MemorySessionStore } from './session-store.js';
+import { FileSessionStore } from './file-session-store.js';
+import { RedisSessionStore } from './redis-session-store.js';
+
+const DEFAULT_SESSION_FILE = 'mcp-sessions.json';
+
+const STORE_TYPES = ['memory', 'file', 'redis'];
+
+/**
+ * Read the session store settings
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{ type: string, ttl: number, file?: string, url?: string }} Settings
+ * @throws {Error} On an unknown store type, a bad TTL or a missing MCP_REDIS_URL
+ */
+export function loadSessionStoreConfig(env = process.env) {
+  const type = env.MCP_SESSION_STORE || 'memory';
+  if (!STORE_TYPES.includes(type)) {
+    throw new Error(`Invalid MCP_SESSION_STORE "${type}". Valid stores: ${STORE_TYPES.join(', ')}`);
+  }
+  const minutes = env.MCP_SESSION_TTL_MINUTES === undefined ? SESSION_CONFIG.TTL_MINUTES : Number(env.MCP_SESSION_TTL_MINUTES);
+  if (!(minutes > 0)) {
+    throw new Error(`Invalid MCP_SESSION_TTL_MINUTES "${env.MCP_SESSION_TTL_MINUTES}": expected a positive number`);
+  }
+  if (type === 'redis' && !env.MCP_REDIS_URL) {
+    throw new Error('MCP_SESSION_STORE=redis requires MCP_REDIS_URL (e.g. redis://localhost:6379)');
+  }
+
+  return {
+    type,
+    ttl: minutes * 60 * 1000,
+    ...(type === 'file' && { file: env.MCP_SESSION_FILE || DEFAULT_SESSION_FILE }),
+    ...(type === 'redis' && { url: env.MCP_REDIS_URL })
+  };
+}
+
+/**
+ * Create the configured session store. Call open() on it before serving requests.
+ * @param {Object} [config=loadSessionStoreConfig()] - Settings
+ * @returns {import('./session-store.js').SessionStore} Store
+ */
+export function createSessionStore(config = loadSessionStoreConfig()) {
+  switch (config.type) {
+    case 'file':
+      return new FileSessionStore({ file: config.file, ttl: config.ttl });
+    case 'redis':
+      return new RedisSessionStore({ url: config.url, ttl: config.ttl });
+    default:
+      return new MemorySessionStore({ ttl: config.ttl });
+  }
+}
+
+/**
+ * One-line summary for the startup banner (without credentials)
+ * @param {Object} config - Settings
+ * @returns {string} e.g. "redis://cache:6379, 30 min TTL"
+ */
+export function describeSessionStore(config) {
+  let where = 'memory';
+  if (config.type === 'file') {
+    where = `file ${config.file}`;
+  } else if (config.type === 'redis') {
+    const url = new URL(config.url);
+    where = `${url.protocol}//${url.host}${url.pathname.length > 1 ? url.pathname : ''}`;
+  }
+  return `${where}, ${config.ttl / 60000} min TTL`;
+}
@@ -0,0 +1,273 @@
+/**
+ * Redis session store
+ *
+ * Sessions are JSON strings under `mcp:session:<id>` with a PX expiry, so every replica pointed
+ * at the same server sees the same sessions and Redis does the TTL cleanup. Speaks the Redis
+ * protocol (RESP) over node:net / node:tls, which also works with Valkey, KeyDB, Dragonfly and
+ * managed services; only GET, SET, PEXPIRE, DEL, AUTH, SELECT and PING are used.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { Buffer } from 'buffer';
+import { SESSION_CONFIG } from '../../lib/constants.js';
+import { SessionStore } from './session-store.js';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string>} args - Command and arguments
+ * @returns {string} Wire format
+ */
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('')}`;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} [offset=0] - Where the reply starts
+ * @returns {{ value: *, offset: number }|null} Reply (an Error for error replies) and where the next one starts, or null when incomplete
+ * @throws {Error} On bytes that are not RESP
+ */
+function parseReply(buffer, offset = 0) {
+  const end = buffer.indexOf('\r\n', offset);
+  if (end === -1) {
+    return null;
+  }
+  const line = buffer.toString('utf8', offset + 1, end);
+  const next = end + 2;
+  switch (String.fromCharCode(buffer[offset])) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(`Redis: ${line}`), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let index = 0; index < count; index++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected reply from Redis: ${JSON.stringify(buffer.toString('utf8', offset, end))}`);
+  }
+}
+
+/**
+ * Minimal Redis client: one connection, replies matched to commands in order.
+ * Connects on the first command and again after the connection drops.
+ */
+class RedisConnection {
+  /**
+   * @param {string} url - redis://[user:password@]host[:port][/db], or rediss:// for TLS
+   * @param {number} timeout - Milliseconds to wait for the connection and for each reply
+   */
+  constructor(url, timeout) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+      throw new Error(`Invalid MCP_REDIS_URL "${url}": expected redis:// or rediss://`);
+    }
+    this.host = parsed.hostname || 'localhost';
+    this.port = Number(parsed.port) || 6379;
+    this.secure = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username);
+    this.password = decodeURIComponent(parsed.password);
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.timeout = timeout;
+    this.socket = null;
+    this.ready = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Run a command
+   * @param {...string} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   * @throws {Error} On error replies, timeouts and connection failures
+   */
+  async command(...args) {
+    await this.connect();
+    return this.write(args);
+  }
+
+  /**
+   * Open the connection, authenticate and select the database (once per connection)
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (!this.ready) {
+      this.ready = new Promise((resolve, reject) => {
+        const socket = this.secure
+          ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+          : net.connect({ host: this.host, port: this.port });
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        let connected = false;
+
+        socket.setTimeout(this.timeout);
+        socket.on('timeout', () => {
+          // Idle connections are fine; a command without a reply is not
+          if (!connected || this.pending.length > 0) {
+            socket.destroy(new Error(`Redis at ${this.host}:${this.port} did not answer within ${this.timeout}ms`));
+          }
+        });
+        socket.on('data', (chunk) => this.receive(socket, chunk));
+        socket.on('error', (error) => {
+          this.drop(socket, error);
+          reject(error);
+        });
+        socket.on('close', () => this.drop(socket, new Error('Redis connection closed')));
+        socket.once(this.secure ? 'secureConnect' : 'connect', async () => {
+          try {
+            if (this.password) {
+              await this.write(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+            }
+            if (this.db) {
+              await this.write(['SELECT', String(this.db)]);
+            }
+            connected = true;
+            resolve();
+          } catch (error) {
+            socket.destroy();
+            reject(error);
+          }
+        });
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Send a command on the open connection
+   * @param {Array<string>} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   */
+  write(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Redis connection closed'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Settle the oldest pending commands with the complete replies received so far
+   * @param {net.Socket} socket - Connection the bytes came from
+   * @param {Buffer} chunk - Received bytes
+   */
+  receive(socket, chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let reply;
+    try {
+      while ((reply = parseReply(this.buffer))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        const pending = this.pending.shift();
+        if (reply.value instanceof Error) {
+          pending?.reject(reply.value);
+        } else {
+          pending?.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      socket.destroy(error);
+    }
+  }
+
+  /**
+   * Forget a failed connection and fail the commands waiting on it; the next command reconnects
+   * @param {net.Socket} socket - Connection that failed
+   * @param {Error} error - Why
+   */
+  drop(socket, error) {
+    if (this.socket !== socket) {
+      return;
+    }
+    this.socket = null;
+    this.ready = null;
+    for (const { reject } of this.pending.splice(0)) {
+      reject(error);
+    }
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.socket?.end();
+  }
+}
+
+export class RedisSessionStore extends SessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis URL
+   * @param {number} [options.ttl] - Idle time in milliseconds after which a session expires
+   * @param {string} [options.prefix] - Key prefix
+   */
+  constructor({ url, prefix = SESSION_CONFIG.REDIS_KEY_PREFIX, ...options }) {
+    super(options);
+    this.redis = new RedisConnection(url, SESSION_CONFIG.REDIS_TIMEOUT_MS);
+    this.prefix = prefix;
+  }
+
+  /**
+   * Key of a session
+   * @param {string} id - Session id
+   * @returns {string} Redis key
+   */
+  key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  async open() {
+    await this.redis.command('PING');
+  }
+
+  async get(id) {
+    const value = await this.redis.command('GET', this.key(id));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(id, session) {
+    await this.redis.command('SET', this.key(id), JSON.stringify({ ...session, lastActivity: Date.now() }), 'PX', String(this.ttl));
+  }
+
+  async touch(id) {
+    // lastActivity in the record is only as fresh as the last set(); the key's expiry is what counts
+    return await this.redis.command('PEXPIRE', this.key(id), String(this.ttl)) === 1;
+  }
+
+  async delete(id) {
+    return await this.redis.command('DEL', this.key(id)) > 0;
+  }
+
+  async close() {
+    this.redis.close();
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Session stores for the Streamable HTTP transport
+ *
+ * A session record is what a client's Mcp-Session-Id must still mean after a restart or on
+ * another replica: { createdAt, lastActivity, initialized, clientInfo, clientCapabilities,
+ * protocolVersion, store }. SSE streams, in-flight requests and resource subscriptions stay
+ * in the process that holds the connection.
+ *
+ * Stores share the async interface of SessionStore and expire records idle for longer than
+ * their TTL themselves; the handler never scans them.
+ */
+
+import { SESSION_CONFIG } from '../../lib/constants.js';
+
+/**
+ * Interface of a session store. Records read from a store are copies: changes only
+ * persist through set().
+ */
+export class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Idle time in milliseconds after which a session expires
+   */
+  constructor({ ttl = SESSION_CONFIG.TTL_MINUTES * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+  }
+
+  /**
+   * Check the store is usable (connect, read the file) before the server accepts requests
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Read a session
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Record, or null when unknown or expired
+   */
+  async get(id) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Save a session and restart its TTL
+   * @param {string} id - Session id
+   * @param {Object} session - Record
+   * @returns {Promise<void>}
+   */
+  async set(id, session) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  /**
+   * Record activity on a session, restarting its TTL
+   * @param {string} id - Session id
+   * @returns {Promise<boolean>} False when the session no longer exists
+   */
+  async touch(id) {
+    throw new Error(`${this.constructor.name} does not implement touch()`);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} id - Session id
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Release timers and connections
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Sessions in a Map of this process (the default). Lost on restart and not shared between replicas.
+ */
+export class MemorySessionStore extends SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Idle time in milliseconds after which a session expires
+   */
+  constructor(options = {}) {
+    super(options);
+    this.sessions = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), SESSION_CONFIG.CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Whether a record has been idle for longer than the TTL
+   * @param {Object} session - Record
+   * @returns {boolean} True when expired
+   */
+  isExpired(session) {
+    return Date.now() - session.lastActivity > this.ttl;
+  }
+
+  /**
+   * Drop expired sessions
+   * @returns {Array<string>} Ids removed
+   */
+  cleanup() {
+    const removed = [];
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(id);
+        removed.push(id);
+      }
+    }
+    return removed;
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (this.isExpired(session)) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return structuredClone(session);
+  }
+
+  async set(id, session) {
+    this.sessions.set(id, { ...structuredClone(session), lastActivity: Date.now() });
+  }
+
+  async touch(id) {
+    const session = this.sessions.get(id);
+    if (!session || this.isExpired(session)) {
+      this.sessions.delete(id);
+      return false;
+    }
+    session.lastActivity = Date.now();
+    return true;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
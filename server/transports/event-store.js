@@ -0,0 +1,79 @@
+/**
+ * Event log for resumable SSE streams (Streamable HTTP, MCP 2025-03-26)
+ *
+ * Every message the server writes to an SSE stream is recorded with an id of the form
+ * `<streamId>:<seq>`, where seq increases across all streams of a session. A client that
+ * reconnects with Last-Event-ID gets the events of that same stream it has not seen yet.
+ * The log is bounded per session (count and age) and lives in this process: behind several
+ * replicas, a client can only resume on the one that wrote its events (see handleGet).
+ */
+
+import { SSE_CONFIG } from '../../lib/constants.js';
+
+export class EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEvents] - Events kept per session
+   * @param {number} [options.ttl] - Milliseconds an event stays replayable
+   */
+  constructor({ maxEvents = SSE_CONFIG.MAX_EVENTS_PER_SESSION, ttl = SSE_CONFIG.EVENT_TTL_MS } = {}) {
+    this.maxEvents = maxEvents;
+    this.ttl = ttl;
+    // sessionId -> { nextSeq, events: [{ seq, streamId, message, storedAt }] }
+    this.logs = new Map();
+  }
+
+  /**
+   * Record a message written to a stream
+   * @param {string} sessionId - Session id
+   * @param {string} streamId - Stream the message belongs to
+   * @param {Object} message - JSON-RPC message
+   * @returns {string} Event id to send with it
+   */
+  append(sessionId, streamId, message) {
+    let log = this.logs.get(sessionId);
+    if (!log) {
+      log = { nextSeq: 1, events: [] };
+      this.logs.set(sessionId, log);
+    }
+    const now = Date.now();
+    const seq = log.nextSeq++;
+    log.events.push({ seq, streamId, message, storedAt: now });
+
+    const firstFresh = log.events.findIndex((event) => now - event.storedAt <= this.ttl);
+    log.events.splice(0, Math.max(firstFresh, log.events.length - this.maxEvents));
+    return `${streamId}:${seq}`;
+  }
+
+  /**
+   * Events of the stream named by a Last-Event-ID that come after it
+   * @param {string} sessionId - Session id
+   * @param {string} lastEventId - Last-Event-ID header sent by the client
+   * @returns {{ streamId: string, events: Array<{ id: string, message: Object }>, complete: boolean }|null}
+   *   Events to replay, and whether none were dropped in between; null when the id was not issued for this session
+   */
+  replayAfter(sessionId, lastEventId) {
+    const separator = lastEventId.lastIndexOf(':');
+    const streamId = lastEventId.slice(0, separator);
+    const seq = Number(lastEventId.slice(separator + 1));
+    const log = this.logs.get(sessionId);
+    if (separator <= 0 || !Number.isInteger(seq) || !log || seq >= log.nextSeq) {
+      return null;
+    }
+    const events = log.events.filter((event) => event.streamId === streamId && event.seq > seq);
+    return {
+      streamId,
+      events: events.map((event) => ({ id: `${streamId}:${event.seq}`, message: event.message })),
+      // Events older than the first one still kept may have been dropped
+      complete: log.events.length === 0 || log.events[0].seq <= seq + 1
+    };
+  }
+
+  /**
+   * Forget the events of a session
+   * @param {string} sessionId - Session id
+   */
+  delete(sessionId) {
+    this.logs.delete(sessionId);
+  }
+}
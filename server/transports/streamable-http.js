@@ -5,18 +5,21 @@
  * - POST /mcp: Receive JSON-RPC requests, respond with JSON or SSE stream
  * - GET /mcp: Initiate SSE stream for server-initiated messages (optional)
  * - DELETE /mcp: Terminate session (optional)
- * - Mcp-Session-Id header for session management
- * - Last-Event-ID header for resumability
+ * - Mcp-Session-Id header for session management (records kept in a pluggable store, see server/sessions/)
+ * - Last-Event-ID header for resumability (SSE events are logged and replayed, see event-store.js)
  */
 
 import { randomUUID } from 'crypto';
+import { CancellationRegistry, RequestCancelledError } from '../../lib/cancellation.js';
+import { ResourceWatcher } from '../../lib/subscriptions.js';
+import { createProgressReporter } from '../../lib/progress.js';
+import { SESSION_CONFIG } from '../../lib/constants.js';
+import { MemorySessionStore } from '../sessions/session-store.js';
+import { EventStore } from './event-store.js';
+import { resolveStoreHeader, StoreAccessError } from '../../lib/profiles.js';
 
-/**
- * Session storage (in-memory for simplicity)
- * For production with multiple instances, use Redis
- */
-const sessions = new Map();
-const SESSION_TTL = 30 * 60 * 1000; // 30 minutes
+// Stream id of the GET /mcp stream carrying server-initiated messages; POST responses get a random one
+const STANDALONE_STREAM = 'standalone';
 
 /**
  * StreamableHTTPHandler - Handles MCP requests over Streamable HTTP
@@ -26,47 +29,215 @@ export class StreamableHTTPHandler {
     this.discoverTools = options.discoverTools;
     this.transformToolsToMcp = options.transformToolsToMcp;
     this.executeToolOptimized = options.executeToolOptimized;
+    this.listResources = options.listResources;
+    this.listResourceTemplates = options.listResourceTemplates;
+    this.readResource = options.readResource;
+    this.listPrompts = options.listPrompts;
+    this.getPrompt = options.getPrompt;
     this.serverInfo = options.serverInfo || { name: 'mcp-medusa', version: '1.0.4' };
     this.protocolVersion = options.protocolVersion || '2025-03-26';
+    this.elicitationTimeout = options.elicitationTimeout || 5 * 60 * 1000;
+
+    // Session records (see server/sessions/); the store expires idle sessions itself
+    this.sessionStore = options.sessionStore || new MemorySessionStore();
+
+    // Sessions this process holds streams or subscriptions for
+    this.localSessions = new Set();
+
+    // In-flight requests, keyed by session and JSON-RPC id, for notifications/cancelled
+    this.inFlight = new CancellationRegistry();
 
-    // Cleanup expired sessions periodically
-    setInterval(() => this.cleanupSessions(), 5 * 60 * 1000);
+    // SSE streams by session, then stream id: the connection writing them, or null while the client is away
+    this.streams = new Map();
+
+    // Messages written to SSE streams, replayed to clients reconnecting with Last-Event-ID
+    this.eventStore = options.eventStore || new EventStore();
+
+    // Server-to-client requests (elicitation/create) awaiting the client's response, keyed by session and id
+    this.pendingRequests = new Map();
+
+    // Resource subscriptions are polled and pushed over the session's SSE stream
+    this.resourceWatcher = this.readResource
+      ? new ResourceWatcher({
+          readResource: this.readResource,
+          onUpdated: (sessionId, uri) => this.sendNotification(sessionId, 'notifications/resources/updated', { uri })
+        })
+      : null;
+
+    // Release the streams and subscriptions of sessions that expired in the store
+    setInterval(() => this.cleanupSessions(), SESSION_CONFIG.CLEANUP_INTERVAL_MS).unref();
   }
 
   /**
    * Create a new session
    */
-  createSession() {
+  async createSession() {
     const sessionId = randomUUID();
-    sessions.set(sessionId, {
+    const session = {
       createdAt: Date.now(),
       lastActivity: Date.now(),
       initialized: false
-    });
-    return sessionId;
+    };
+    await this.sessionStore.set(sessionId, session);
+    return { sessionId, session };
   }
 
   /**
-   * Get or create session
+   * Get or create session. Sessions created by another replica or before a restart are picked up from the store.
    */
-  getOrCreateSession(sessionId) {
-    if (sessionId && sessions.has(sessionId)) {
-      const session = sessions.get(sessionId);
-      session.lastActivity = Date.now();
+  async getOrCreateSession(sessionId) {
+    const session = sessionId ? await this.sessionStore.get(sessionId) : null;
+    if (session) {
+      await this.sessionStore.touch(sessionId);
+      this.localSessions.add(sessionId);
       return { sessionId, session, isNew: false };
     }
-    const newSessionId = this.createSession();
-    return { sessionId: newSessionId, session: sessions.get(newSessionId), isNew: true };
+    const created = await this.createSession();
+    this.localSessions.add(created.sessionId);
+    return { ...created, isNew: true };
+  }
+
+  /**
+   * Save changes to a session record
+   */
+  async saveSession(sessionId, session) {
+    await this.sessionStore.set(sessionId, session);
+  }
+
+  /**
+   * Release what this process holds for a session: subscriptions, SSE streams and their event log
+   */
+  releaseSession(sessionId) {
+    this.localSessions.delete(sessionId);
+    this.resourceWatcher?.unsubscribeAll(sessionId);
+    for (const res of this.streams.get(sessionId)?.values() || []) {
+      res?.end();
+    }
+    this.streams.delete(sessionId);
+    this.eventStore.delete(sessionId);
+  }
+
+  /**
+   * Make a connection the one writing a stream, until it closes
+   */
+  attachStream(sessionId, streamId, res) {
+    if (!this.streams.has(sessionId)) {
+      this.streams.set(sessionId, new Map());
+    }
+    const streams = this.streams.get(sessionId);
+    streams.set(streamId, res);
+    res.on('close', () => {
+      // The stream stays known, so its events are still logged for a reconnecting client
+      if (streams.get(streamId) === res) {
+        streams.set(streamId, null);
+      }
+    });
+  }
+
+  /**
+   * End a POST response stream once its result was sent, on whichever connection writes it
+   */
+  finishStream(sessionId, streamId) {
+    const streams = this.streams.get(sessionId);
+    streams?.get(streamId)?.end();
+    streams?.delete(streamId);
+  }
+
+  /**
+   * Log a message on a stream and write it to the stream's connection, if the client is connected
+   * @returns {boolean} Whether the stream is known (open, or waiting for the client to reconnect)
+   */
+  emit(sessionId, streamId, message) {
+    const streams = this.streams.get(sessionId);
+    if (!streams?.has(streamId)) {
+      return false;
+    }
+    const id = this.eventStore.append(sessionId, streamId, message);
+    streams.get(streamId)?.write(`id: ${id}\ndata: ${JSON.stringify(message)}\n\n`);
+    return true;
+  }
+
+  /**
+   * Push a JSON-RPC notification over the session's GET SSE stream
+   * @returns {boolean} Whether the client opened that stream
+   */
+  sendNotification(sessionId, method, params) {
+    return this.emit(sessionId, STANDALONE_STREAM, { jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Send a JSON-RPC request to the client over a request's SSE stream.
+   * The client answers with a separate POST carrying the response (see resolveClientResponse).
+   * @returns {Promise<Object>} The response's result
+   */
+  sendRequest(sessionId, streamId, method, params, signal) {
+    const id = randomUUID();
+    const key = `${sessionId}:${id}`;
+    return new Promise((resolve, reject) => {
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pendingRequests.delete(key);
+        callback(value);
+      };
+      const onAbort = settle(() => reject(signal.reason));
+      const timer = setTimeout(
+        settle(() => reject(new Error(`No response to ${method} within ${this.elicitationTimeout}ms`))),
+        this.elicitationTimeout
+      );
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.pendingRequests.set(key, { resolve: settle(resolve), reject: settle(reject) });
+      this.emit(sessionId, streamId, { jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Deliver a client's JSON-RPC response to the server request waiting for it
+   */
+  resolveClientResponse(sessionId, message) {
+    const pending = this.pendingRequests.get(`${sessionId}:${message.id}`);
+    if (!pending) {
+      console.warn(`Ignoring response to unknown request ${message.id}`);
+      return;
+    }
+    if (message.error) {
+      pending.reject(new Error(message.error.message));
+    } else {
+      pending.resolve(message.result);
+    }
   }
 
   /**
-   * Cleanup expired sessions
+   * Resolve the store (backend profile) for a request.
+   * Profile-scoped auth tokens lock the store; otherwise the first X-Medusa-Store binds the session for good.
+   * @throws {StoreAccessError} For unknown or disallowed profiles, and for switching a bound session
    */
-  cleanupSessions() {
-    const now = Date.now();
-    for (const [id, session] of sessions.entries()) {
-      if (now - session.lastActivity > SESSION_TTL) {
-        sessions.delete(id);
+  async getStoreBinding(req, sessionId, session) {
+    const requested = req.headers['x-medusa-store'];
+    if (req.mcpStore) {
+      resolveStoreHeader(requested, { bound: req.mcpStore, locked: true });
+      return { store: req.mcpStore, storeLocked: true };
+    }
+    const store = resolveStoreHeader(requested, { bound: session.store });
+    if (store && !session.store) {
+      session.store = store;
+      await this.saveSession(sessionId, session);
+    }
+    return { store: session.store, storeLocked: false };
+  }
+
+  /**
+   * Release local state of sessions the store no longer has (expired, or deleted through another replica)
+   */
+  async cleanupSessions() {
+    for (const id of [...this.localSessions]) {
+      try {
+        if (!await this.sessionStore.get(id)) {
+          this.releaseSession(id);
+        }
+      } catch (error) {
+        console.error('Session cleanup failed:', error.message);
+        return;
       }
     }
   }
@@ -100,7 +271,7 @@ export class StreamableHTTPHandler {
    * Handle POST request - Main JSON-RPC endpoint
    */
   async handlePost(req, res, requestSessionId) {
-    const { sessionId, session, isNew } = this.getOrCreateSession(requestSessionId);
+    const { sessionId, session } = await this.getOrCreateSession(requestSessionId);
 
     // Set session header
     res.setHeader('Mcp-Session-Id', sessionId);
@@ -112,22 +283,54 @@ export class StreamableHTTPHandler {
       return this.sendJsonRpcError(res, null, -32700, 'Parse error', 'Invalid JSON');
     }
 
+    // Abort in-flight work if the client drops the connection before we answer.
+    // SSE responses keep running: the client can resume the stream with Last-Event-ID.
+    const connection = new AbortController();
+    let streaming = false;
+    res.on('close', () => {
+      if (!res.writableEnded && !streaming) {
+        connection.abort(new RequestCancelledError('client disconnected'));
+      }
+    });
+    let binding;
+    try {
+      binding = await this.getStoreBinding(req, sessionId, session);
+    } catch (error) {
+      if (!(error instanceof StoreAccessError)) {
+        throw error;
+      }
+      res.status(400);
+      return this.sendJsonRpcError(res, Array.isArray(body) ? null : body.id ?? null, error.code, error.message);
+    }
+    const context = {
+      sessionId,
+      signal: connection.signal,
+      principal: req.mcpPrincipal,
+      role: req.mcpRole,
+      ...binding
+    };
+
     // Handle batch requests
     if (Array.isArray(body)) {
       const results = await Promise.all(
-        body.map(request => this.processJsonRpcRequest(request, session))
+        body.map(request => this.processJsonRpcRequest(request, session, context))
       );
       return this.sendJsonResponse(res, results.filter(r => r !== null));
     }
 
-    // Handle single request
-    const result = await this.processJsonRpcRequest(body, session);
-
     // Check if client accepts SSE for streaming response
     const acceptsSSE = req.headers.accept?.includes('text/event-stream');
 
-    if (acceptsSSE && this.shouldStream(body.method)) {
-      return this.sendSSEResponse(res, sessionId, result, body.id);
+    if (acceptsSSE && this.shouldStream(body, session)) {
+      streaming = true;
+      return this.sendSSEResponse(res, sessionId, body, session, context);
+    }
+
+    // Handle single request
+    const result = await this.processJsonRpcRequest(body, session, context);
+
+    if (connection.signal.aborted) {
+      return;
     }
 
     if (result === null) {
@@ -143,23 +346,43 @@ export class StreamableHTTPHandler {
    * Handle GET request - SSE stream for server-initiated messages
    */
   async handleGet(req, res, requestSessionId) {
-    if (!requestSessionId || !sessions.has(requestSessionId)) {
+    if (!requestSessionId || !await this.sessionStore.get(requestSessionId)) {
       return this.sendError(res, 400, 'Missing or invalid Mcp-Session-Id header');
     }
 
+    // Last-Event-ID resumes the stream that event belongs to: the standalone stream or a POST response.
+    // The event log lives in the process that wrote it, so an id this replica never issued is refused
+    // rather than answered with a fresh stream the client would take for a complete resume.
+    const lastEventId = req.headers['last-event-id'];
+    const replay = lastEventId ? this.eventStore.replayAfter(requestSessionId, lastEventId) : null;
+    if (lastEventId && !replay) {
+      return this.sendError(res, 409, `Cannot resume from event ${lastEventId}: this server does not hold its stream. Reconnect without Last-Event-ID and fetch the current state again.`);
+    }
+    if (replay && !replay.complete) {
+      console.warn(`Some events after ${lastEventId} are no longer kept; replaying the rest`);
+    }
+    this.localSessions.add(requestSessionId);
+
     // Set up SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('Mcp-Session-Id', requestSessionId);
 
-    // Handle Last-Event-ID for resumability
-    const lastEventId = req.headers['last-event-id'];
-    if (lastEventId) {
-      // Could implement event replay here if needed
-      console.log(`Client resuming from event: ${lastEventId}`);
+    const streamId = replay?.streamId ?? STANDALONE_STREAM;
+    for (const { id, message } of replay?.events || []) {
+      res.write(`id: ${id}\ndata: ${JSON.stringify(message)}\n\n`);
     }
 
+    // A finished POST response has nothing more to send
+    if (streamId !== STANDALONE_STREAM && !this.streams.get(requestSessionId)?.has(streamId)) {
+      res.end();
+      return;
+    }
+
+    // One connection per stream receives its messages (latest wins)
+    this.attachStream(requestSessionId, streamId, res);
+
     // Keep connection alive
     const keepAlive = setInterval(() => {
       res.write(': keepalive\n\n');
@@ -170,7 +393,9 @@ export class StreamableHTTPHandler {
     });
 
     // Send initial connection confirmation
-    res.write(`event: connected\ndata: {"sessionId":"${requestSessionId}"}\n\n`);
+    if (!replay) {
+      res.write(`event: connected\ndata: {"sessionId":"${requestSessionId}"}\n\n`);
+    }
   }
 
   /**
@@ -181,8 +406,10 @@ export class StreamableHTTPHandler {
       return this.sendError(res, 400, 'Missing Mcp-Session-Id header');
     }
 
-    if (sessions.has(requestSessionId)) {
-      sessions.delete(requestSessionId);
+    // Local state goes either way: the session may have expired while a stream was still open
+    const existed = await this.sessionStore.delete(requestSessionId);
+    this.releaseSession(requestSessionId);
+    if (existed) {
       res.status(204).end();
     } else {
       this.sendError(res, 404, 'Session not found');
@@ -199,7 +426,7 @@ export class StreamableHTTPHandler {
   /**
    * Process a single JSON-RPC request
    */
-  async processJsonRpcRequest(request, session) {
+  async processJsonRpcRequest(request, session, context = {}) {
     const { jsonrpc, id, method, params } = request;
 
     // Validate JSON-RPC version
@@ -207,11 +434,21 @@ export class StreamableHTTPHandler {
       return this.createJsonRpcError(id, -32600, 'Invalid Request', 'jsonrpc must be "2.0"');
     }
 
+    // Responses to our own requests (elicitation) need no answer
+    if (method === undefined && id !== undefined && ('result' in request || 'error' in request)) {
+      this.resolveClientResponse(context.sessionId, request);
+      return null;
+    }
+
     // Notifications have no id
     const isNotification = id === undefined;
 
+    const requestKey = `${context.sessionId}:${id}`;
+    const cancelSignal = isNotification ? null : this.inFlight.track(requestKey);
+    const signal = isNotification ? context.signal : AbortSignal.any([cancelSignal, context.signal].filter(Boolean));
+
     try {
-      const result = await this.executeMethod(method, params || {}, session);
+      const result = await this.executeMethod(method, params || {}, session, { ...context, signal });
 
       if (isNotification) {
         return null; // No response for notifications
@@ -227,28 +464,65 @@ export class StreamableHTTPHandler {
         console.error(`Notification error for ${method}:`, error);
         return null;
       }
+      // Cancelled requests get no response, per the MCP cancellation spec
+      if (error instanceof RequestCancelledError) {
+        return null;
+      }
       return this.createJsonRpcError(id, error.code || -32603, error.message, error.data);
+    } finally {
+      if (!isNotification) {
+        this.inFlight.release(requestKey, cancelSignal);
+      }
     }
   }
 
   /**
    * Execute MCP method
    */
-  async executeMethod(method, params, session) {
+  async executeMethod(method, params, session, context = {}) {
     switch (method) {
       case 'initialize':
-        return this.handleInitialize(params, session);
+        return this.handleInitialize(params, session, context);
 
       case 'notifications/initialized':
         // Client notification that it's initialized - no response needed
-        session.initialized = true;
+        if (!session.initialized) {
+          session.initialized = true;
+          await this.saveSession(context.sessionId, session);
+        }
+        return { acknowledged: true };
+
+      case 'notifications/cancelled':
+        this.inFlight.cancel(`${context.sessionId}:${params.requestId}`, params.reason);
         return { acknowledged: true };
 
       case 'tools/list':
-        return this.handleToolsList(params);
+        return this.handleToolsList(params, context);
 
       case 'tools/call':
-        return this.handleToolsCall(params);
+        return this.handleToolsCall(params, session, context);
+
+      case 'resources/list':
+        return this.requireResources(method).listResources(context.role);
+
+      case 'resources/templates/list':
+        return this.requireResources(method).listResourceTemplates(context.role);
+
+      case 'resources/read':
+        return this.handleResourcesRead(params, context);
+
+      case 'resources/subscribe':
+        return this.handleResourcesSubscribe(params, context);
+
+      case 'resources/unsubscribe':
+        this.requireResources(method).resourceWatcher.unsubscribe(context.sessionId, params.uri);
+        return {};
+
+      case 'prompts/list':
+        return this.requirePrompts(method).listPrompts();
+
+      case 'prompts/get':
+        return this.handlePromptsGet(params);
 
       case 'ping':
         return { pong: true };
@@ -263,25 +537,30 @@ export class StreamableHTTPHandler {
   /**
    * Handle initialize method
    */
-  async handleInitialize(params, session) {
+  async handleInitialize(params, session, context = {}) {
     session.initialized = true;
     session.clientInfo = params.clientInfo;
+    session.clientCapabilities = params.capabilities || {};
+    session.protocolVersion = this.protocolVersion;
+    await this.saveSession(context.sessionId, session);
 
     return {
       protocolVersion: this.protocolVersion,
       serverInfo: this.serverInfo,
       capabilities: {
-        tools: {}
+        tools: {},
+        ...(this.readResource && { resources: { subscribe: true } }),
+        ...(this.getPrompt && { prompts: {} })
       }
     };
   }
 
   /**
-   * Handle tools/list method
+   * Handle tools/list method (only the actions the caller's role may run)
    */
-  async handleToolsList(params) {
+  async handleToolsList(params, context = {}) {
     const tools = await this.discoverTools();
-    const mcpTools = this.transformToolsToMcp(tools);
+    const mcpTools = this.transformToolsToMcp(tools, context.role);
 
     return {
       tools: mcpTools
@@ -291,7 +570,7 @@ export class StreamableHTTPHandler {
   /**
    * Handle tools/call method
    */
-  async handleToolsCall(params) {
+  async handleToolsCall(params, session, context = {}) {
     const { name, arguments: args } = params;
 
     if (!name) {
@@ -300,19 +579,117 @@ export class StreamableHTTPHandler {
       throw error;
     }
 
+    // Progress can only be delivered when the response is an SSE stream (see shouldStream)
+    const onProgress = context.notify
+      ? createProgressReporter(params._meta?.progressToken, (progress) => context.notify('notifications/progress', progress))
+      : undefined;
+
+    // Destructive actions are confirmed through elicitation when the response is an SSE stream
+    const elicit = context.elicit
+      ? (elicitParams) => context.elicit(elicitParams, context.signal)
+      : undefined;
+
     const tools = await this.discoverTools();
-    const result = await this.executeToolOptimized(tools, name, args || {});
+    const result = await this.executeToolOptimized(tools, name, args || {}, {
+      signal: context.signal,
+      store: context.store,
+      storeLocked: context.storeLocked,
+      onProgress,
+      elicit,
+      sessionId: context.sessionId,
+      clientInfo: session?.clientInfo,
+      principal: context.principal,
+      role: context.role,
+      transport: 'http'
+    });
 
     return result;
   }
 
   /**
-   * Determine if response should be streamed
+   * Handle resources/read method
    */
-  shouldStream(method) {
-    // For now, no methods require streaming
-    // Could be extended for long-running tool calls
-    return false;
+  async handleResourcesRead(params, context = {}) {
+    if (!params.uri) {
+      const error = new Error('Missing resource uri');
+      error.code = -32602;
+      throw error;
+    }
+
+    return this.requireResources('resources/read').readResource(params.uri, {
+      signal: context.signal,
+      store: context.store,
+      storeLocked: context.storeLocked,
+      principal: context.principal,
+      role: context.role
+    });
+  }
+
+  /**
+   * Handle resources/subscribe method.
+   * Updates are delivered as notifications/resources/updated on the GET /mcp SSE stream.
+   */
+  async handleResourcesSubscribe(params, context = {}) {
+    if (!params.uri) {
+      const error = new Error('Missing resource uri');
+      error.code = -32602;
+      throw error;
+    }
+
+    await this.requireResources('resources/subscribe').resourceWatcher.subscribe(context.sessionId, params.uri, {
+      store: context.store,
+      storeLocked: context.storeLocked,
+      principal: context.principal,
+      role: context.role
+    });
+    return {};
+  }
+
+  /**
+   * Handle prompts/get method
+   */
+  async handlePromptsGet(params) {
+    if (!params.name) {
+      const error = new Error('Missing prompt name');
+      error.code = -32602;
+      throw error;
+    }
+
+    return this.requirePrompts('prompts/get').getPrompt(params.name, params.arguments);
+  }
+
+  /**
+   * Reject prompts/* methods when no prompt handlers were configured
+   */
+  requirePrompts(method) {
+    if (!this.getPrompt) {
+      const error = new Error(`Method not found: ${method}`);
+      error.code = -32601;
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Reject resources/* methods when no resource handlers were configured
+   */
+  requireResources(method) {
+    if (!this.readResource) {
+      const error = new Error(`Method not found: ${method}`);
+      error.code = -32601;
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Determine if response should be streamed.
+   * Tool calls carrying a progressToken get an SSE response so notifications/progress can precede the result,
+   * and so do all tool calls of clients that support elicitation, which may be asked to confirm the call.
+   */
+  shouldStream(request, session) {
+    return request.method === 'tools/call' &&
+      (request.params?._meta?.progressToken !== undefined || Boolean(session?.clientCapabilities?.elicitation));
   }
 
   /**
@@ -324,24 +701,29 @@ export class StreamableHTTPHandler {
   }
 
   /**
-   * Send SSE response
+   * Send SSE response: notifications about the request are written as they happen, then the result
    */
-  sendSSEResponse(res, sessionId, result, requestId) {
+  async sendSSEResponse(res, sessionId, request, session, context) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('Mcp-Session-Id', sessionId);
+    res.flushHeaders();
 
-    const eventId = randomUUID();
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: requestId,
-      result
-    });
+    // Messages carry ids from the event log, so a client that loses the connection can resume with GET
+    const streamId = randomUUID();
+    this.attachStream(sessionId, streamId, res);
 
-    res.write(`id: ${eventId}\n`);
-    res.write(`data: ${data}\n\n`);
-    res.end();
+    const notify = (method, params) => this.emit(sessionId, streamId, { jsonrpc: '2.0', method, params });
+    const elicit = session.clientCapabilities?.elicitation
+      ? (params, signal) => this.sendRequest(sessionId, streamId, 'elicitation/create', params, signal)
+      : undefined;
+    const result = await this.processJsonRpcRequest(request, session, { ...context, notify, elicit });
+
+    if (result !== null) {
+      this.emit(sessionId, streamId, result);
+    }
+    this.finishStream(sessionId, streamId);
   }
 
   /**
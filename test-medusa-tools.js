@@ -105,33 +105,31 @@ async function testOrdersManagementTool(tool) {
 
   // Test 4: Test invalid action
   try {
-    const invalidResult = await tool.function({ 
+    await tool.function({ 
       action: 'invalid_action'
     });
-    
-    if (invalidResult.error && invalidResult.error.includes('Invalid action')) {
+    logTest('Invalid Action Handling', 'FAIL', 'Should have rejected invalid action');
+  } catch (error) {
+    if (error.message.includes('Unknown action')) {
       logTest('Invalid Action Handling', 'PASS', 'Correctly rejected invalid action');
     } else {
-      logTest('Invalid Action Handling', 'FAIL', 'Should have rejected invalid action');
+      logTest('Invalid Action Handling', 'FAIL', 'Unexpected error', error.message);
     }
-  } catch (error) {
-    logTest('Invalid Action Handling', 'FAIL', 'Exception thrown', error.message);
   }
 
   // Test 5: Test missing required parameter
   try {
-    const missingParamResult = await tool.function({ 
+    await tool.function({ 
       action: 'get'
       // Missing required 'id' parameter
     });
-    
-    if (missingParamResult.error && missingParamResult.error.includes('required')) {
+    logTest('Missing Parameter Validation', 'FAIL', 'Should have validated missing parameter');
+  } catch (error) {
+    if (error.message.includes('required')) {
       logTest('Missing Parameter Validation', 'PASS', 'Correctly validated missing parameter');
     } else {
-      logTest('Missing Parameter Validation', 'FAIL', 'Should have validated missing parameter');
+      logTest('Missing Parameter Validation', 'FAIL', 'Unexpected error', error.message);
     }
-  } catch (error) {
-    logTest('Missing Parameter Validation', 'FAIL', 'Exception thrown', error.message);
   }
 }
 
@@ -272,17 +270,16 @@ async function testDraftOrdersManagementTool(tool) {
 
   // Test 6: Test invalid action
   try {
-    const invalidResult = await tool.function({ 
+    await tool.function({ 
       action: 'invalid_action'
     });
-    
-    if (invalidResult.error && invalidResult.error.includes('Invalid action')) {
+    logTest('Draft Orders Invalid Action', 'FAIL', 'Should have rejected invalid action');
+  } catch (error) {
+    if (error.message.includes('Unknown action')) {
       logTest('Draft Orders Invalid Action', 'PASS', 'Correctly rejected invalid action');
     } else {
-      logTest('Draft Orders Invalid Action', 'FAIL', 'Should have rejected invalid action');
+      logTest('Draft Orders Invalid Action', 'FAIL', 'Unexpected error', error.message);
     }
-  } catch (error) {
-    logTest('Draft Orders Invalid Action', 'FAIL', 'Exception thrown', error.message);
   }
 }
 
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolInputError, validateToolArguments } from '../lib/action-schemas.js';
+
+const definition = {
+  name: 'manage_medusa_admin_things',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['list', 'get', 'update'] },
+      id: { type: 'string' },
+      limit: { type: 'number' },
+      status: { type: 'string', enum: ['draft', 'published'] },
+      tags: { type: 'array' },
+      metadata: { type: 'object' }
+    },
+    required: ['action']
+  },
+  actions: {
+    list: {},
+    get: { required: ['id'] },
+    update: { required: ['id'] }
+  }
+};
+
+test('well-typed arguments pass, null and absent optional fields included', () => {
+  validateToolArguments(definition, { action: 'list', limit: 20, status: 'draft', tags: ['a'], metadata: { a: 1 } });
+  validateToolArguments(definition, { action: 'update', id: 't1', metadata: null });
+});
+
+test('unknown actions and missing fields are rejected', () => {
+  assert.throws(() => validateToolArguments(definition, { action: 'drop' }), /Invalid action "drop"/);
+  assert.throws(() => validateToolArguments(definition, { action: 'get', id: '' }),
+    (error) => error instanceof ToolInputError && error.data.missing[0] === 'id');
+});
+
+test('arguments of the wrong type or outside their enum are rejected', () => {
+  assert.throws(() => validateToolArguments(definition, { action: 'list', limit: '20' }), /limit \(expected number\)/);
+  assert.throws(() => validateToolArguments(definition, { action: 'update', id: 't1', metadata: ['x'] }), /metadata \(expected object\)/);
+  assert.throws(() => validateToolArguments(definition, { action: 'list', tags: 'a', status: 'gone' }),
+    (error) => {
+      assert.deepEqual(error.data.invalid, [
+        { field: 'tags', expected: 'array' },
+        { field: 'status', expected: 'one of draft, published' }
+      ]);
+      return true;
+    });
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverTools } from '../lib/tools.js';
+import { getActionAnnotations } from '../lib/annotations.js';
+import { thingsDefinition as definition } from './helpers/things.js';
+
+test('actions are classified by their verb', () => {
+  assert.deepEqual(getActionAnnotations(definition, 'get'), { readOnlyHint: true, destructiveHint: false, idempotentHint: true });
+  assert.deepEqual(getActionAnnotations(definition, 'delete'), { readOnlyHint: false, destructiveHint: true, idempotentHint: true });
+  assert.deepEqual(getActionAnnotations(definition, 'create'), { readOnlyHint: false, destructiveHint: false, idempotentHint: false });
+});
+
+test('add actions are idempotent only when they say so', () => {
+  assert.equal(getActionAnnotations(definition, 'add_tag').idempotentHint, false);
+  assert.equal(getActionAnnotations(definition, 'add_member').idempotentHint, true);
+});
+
+test('the shipped add actions are marked one by one', async () => {
+  const tools = await discoverTools();
+  const find = (name) => tools.find((tool) => tool.definition.name === `manage_medusa_admin_${name}`).definition;
+  assert.equal(getActionAnnotations(find('collections'), 'add_products').idempotentHint, true);
+  assert.equal(getActionAnnotations(find('sales_channels'), 'add_products').idempotentHint, true);
+  assert.equal(getActionAnnotations(find('customers'), 'add_to_group').idempotentHint, true);
+  assert.equal(getActionAnnotations(find('draft_orders'), 'add_line_item').idempotentHint, false);
+});
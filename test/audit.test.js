@@ -0,0 +1,123 @@
+import { test, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { executeToolOptimized } from '../lib/tools.js';
+import {
+  closeAuditSinks,
+  JsonlFileSink,
+  queryAuditLog,
+  recordAudit,
+  redactArguments,
+  setAuditSinks,
+  trackRequests
+} from '../lib/audit.js';
+import { createStubClient, createThingsTool } from './helpers/things.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+afterEach(() => setAuditSinks(null));
+
+test('secret-looking arguments are redacted at any depth', () => {
+  assert.deepEqual(redactArguments({
+    action: 'create',
+    password: 'hunter2',
+    user: { email: 'a@example.com', api_key: 'sk_1' },
+    headers: [{ Authorization: 'Bearer x', accept: 'json' }]
+  }), {
+    action: 'create',
+    password: '[REDACTED]',
+    user: { email: 'a@example.com', api_key: '[REDACTED]' },
+    headers: [{ Authorization: '[REDACTED]', accept: 'json' }]
+  });
+});
+
+test('a failing sink neither fails the call nor starves the other sinks', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const written = [];
+  setAuditSinks([
+    { write() { throw new Error('disk full'); } },
+    { write: async () => { throw new Error('service down'); } },
+    { write: (entry) => written.push(entry) }
+  ]);
+
+  recordAudit({ tool: 'manage_medusa_admin_things' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(written, [{ tool: 'manage_medusa_admin_things' }]);
+  assert.deepEqual(console.error.mock.calls.map((call) => call.arguments[1]), ['disk full', 'service down']);
+});
+
+test('tracked clients report each request, including those derived with withSignal', async () => {
+  const client = {
+    async request(method, requestPath) {
+      if (requestPath === '/admin/missing') {
+        throw Object.assign(new Error('Not found'), { status: 404 });
+      }
+      return { ok: true };
+    },
+    withSignal() {
+      return Object.create(this);
+    }
+  };
+  const requests = [];
+  const tracked = trackRequests(client, (request) => requests.push(request));
+
+  await tracked.request('GET', '/admin/products');
+  await assert.rejects(tracked.withSignal().request('GET', '/admin/missing'), /Not found/);
+  assert.deepEqual(requests, [
+    { method: 'GET', path: '/admin/products', ok: true },
+    { method: 'GET', path: '/admin/missing', ok: false, status: 404 }
+  ]);
+});
+
+test('tool calls are audited with their caller, outcome and Medusa requests', async () => {
+  const entries = [];
+  setAuditSinks([{ write: (entry) => entries.push(entry) }]);
+  const tool = createThingsTool(async (args, { client }) => client.request('GET', '/admin/things'));
+  const client = createStubClient();
+
+  await executeToolOptimized([tool], 'manage_medusa_admin_things', { action: 'list', token: 'secret' }, {
+    client,
+    principal: 'token:reports',
+    role: 'viewer',
+    sessionId: 's1',
+    transport: 'http'
+  });
+
+  assert.equal(entries.length, 1);
+  const [entry] = entries;
+  assert.equal(entry.tool, 'manage_medusa_admin_things');
+  assert.equal(entry.action, 'list');
+  assert.equal(entry.principal, 'token:reports');
+  assert.equal(entry.role, 'viewer');
+  assert.equal(entry.session_id, 's1');
+  assert.equal(entry.outcome, 'success');
+  assert.deepEqual(entry.arguments, { action: 'list', token: '[REDACTED]' });
+  assert.deepEqual(entry.medusa, [{ method: 'GET', path: '/admin/things', ok: true }]);
+});
+
+test('closing the sinks flushes the file, which the query then filters', async (t) => {
+  const file = path.join(directory, 'audit.jsonl');
+  const now = Date.parse('2026-06-01T12:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  setAuditSinks([new JsonlFileSink(file)]);
+
+  const hour = 60 * 60 * 1000;
+  recordAudit({ timestamp: new Date(now - 3 * hour).toISOString(), tool: 'manage_medusa_admin_orders', principal: 'token:a', outcome: 'success' });
+  recordAudit({ timestamp: new Date(now - hour).toISOString(), tool: 'manage_medusa_admin_orders', principal: 'token:b', outcome: 'error' });
+  recordAudit({ timestamp: new Date(now - 30000).toISOString(), tool: 'manage_medusa_admin_products', principal: 'token:a', outcome: 'success' });
+  await closeAuditSinks();
+  // A line cut short by a crash is skipped
+  fs.appendFileSync(file, '{"tool":"manage_medusa_admin_ord');
+
+  const principals = (entries) => entries.map((entry) => entry.principal);
+  assert.equal((await queryAuditLog(file)).length, 3);
+  assert.deepEqual(principals(await queryAuditLog(file, { tool: 'manage_medusa_admin_orders' })), ['token:a', 'token:b']);
+  assert.deepEqual(principals(await queryAuditLog(file, { outcome: 'error' })), ['token:b']);
+  assert.deepEqual(principals(await queryAuditLog(file, { since: '2h' })), ['token:b', 'token:a']);
+  assert.deepEqual(principals(await queryAuditLog(file, { until: '2h' })), ['token:a']);
+  assert.deepEqual(principals(await queryAuditLog(file, { principal: 'token:a', limit: 1 })), ['token:a']);
+  assert.equal((await queryAuditLog(file, { principal: 'token:a', limit: 1 }))[0].tool, 'manage_medusa_admin_products');
+  await assert.rejects(queryAuditLog(file, { since: 'yesterday' }), /Invalid time: yesterday/);
+});
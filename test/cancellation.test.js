@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CancellationRegistry, RequestCancelledError } from '../lib/cancellation.js';
+
+test('cancelling a key aborts only the request tracked under it', () => {
+  const registry = new CancellationRegistry();
+  const mine = registry.track('token:a:1');
+  const theirs = registry.track('token:b:1');
+
+  assert.equal(registry.cancel('token:a:1', 'stop'), true);
+  assert.ok(mine.reason instanceof RequestCancelledError);
+  assert.equal(mine.reason.reason, 'stop');
+  assert.equal(theirs.aborted, false);
+  assert.equal(registry.cancel('token:a:1'), false);
+});
+
+test('a finished request does not release a later one tracked under the same key', () => {
+  const registry = new CancellationRegistry();
+  const first = registry.track('token:a:1');
+  const second = registry.track('token:a:1');
+
+  registry.release('token:a:1', first);
+  assert.equal(registry.cancel('token:a:1'), true);
+  assert.equal(second.aborted, true);
+  assert.equal(first.aborted, false);
+});
@@ -0,0 +1,49 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeToolOptimized } from '../lib/tools.js';
+import { loadRateLimitConfig, RateLimitError, setRateLimitConfig } from '../lib/rate-limit.js';
+import { createStubClient, createThingsTool } from './helpers/things.js';
+
+const tool = createThingsTool();
+
+const context = { client: createStubClient(), principal: 'token:test', role: 'admin' };
+
+/**
+ * Run a call of the test tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} tools/call result
+ */
+function call(args) {
+  return executeToolOptimized([tool], tool.definition.name, args, context);
+}
+
+// One tool call per minute, so the second call of a test is refused
+const limits = loadRateLimitConfig({ MCP_RATE_LIMIT_FILE: '', MCP_RATE_LIMIT: '1/min', MCP_MAX_CONCURRENT: 'off' });
+
+beforeEach(() => setRateLimitConfig(limits));
+
+test('a destructive call returns a confirmation token with the target in the summary', async () => {
+  const result = await call({ action: 'delete', id: 'thing_1' });
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, 'CONFIRMATION_REQUIRED');
+  assert.match(result.structuredContent.error.details.summary, /Delete thing thing_1 \(title: Thing\)/);
+  assert.ok(result.structuredContent.error.details.confirmation_token);
+});
+
+test('a call refused by the rate limit leaves its confirmation token usable', async () => {
+  const required = await call({ action: 'delete', id: 'thing_1' });
+  const token = required.structuredContent.error.details.confirmation_token;
+
+  // Use up the bucket, then get refused while holding the token
+  await call({ action: 'get', id: 'thing_1' });
+  await assert.rejects(call({ action: 'delete', id: 'thing_1', confirmation_token: token }), RateLimitError);
+
+  setRateLimitConfig(limits);
+  const confirmed = await call({ action: 'delete', id: 'thing_1', confirmation_token: token });
+  assert.equal(confirmed.isError, undefined);
+  assert.equal(confirmed.structuredContent.deleted, true);
+
+  setRateLimitConfig(limits);
+  const reused = await call({ action: 'delete', id: 'thing_1', confirmation_token: token });
+  assert.equal(reused.structuredContent.error.code, 'CONFIRMATION_REQUIRED');
+});
@@ -0,0 +1,45 @@
+// lib/tools.js first: it and lib/monitoring.js import each other
+import '../lib/tools.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findReadAction } from '../lib/annotations.js';
+import { planToolCall } from '../lib/dry-run.js';
+import { createStubClient, createThingsTool, thingsDefinition as definition } from './helpers/things.js';
+
+const client = createStubClient();
+
+test('mutating actions read through get_<entity>, else get', () => {
+  assert.deepEqual(findReadAction(definition, 'update', { id: 't1', title: 'x' }), { action: 'get', args: { id: 't1' } });
+  assert.deepEqual(findReadAction(definition, 'delete_part', { id: 't1', part_id: 'p1' }), { action: 'get_part', args: { id: 't1', part_id: 'p1' } });
+  assert.deepEqual(findReadAction(definition, 'delete_promo', { promo_id: 'pr1' }), { action: 'get_promo', args: { promo_id: 'pr1' } });
+});
+
+test('a read action needs all of its arguments, and a declared one wins', () => {
+  assert.equal(findReadAction(definition, 'update_level', { level_id: 'l1' }), null);
+  assert.equal(findReadAction(definition, 'update_note', { note_id: 'n1' }), null);
+  assert.deepEqual(findReadAction(definition, 'update_note', { note_id: 'n1', promo_id: 'pr1' }), { action: 'get_promo', args: { promo_id: 'pr1' } });
+});
+
+test('a dry run reports the current state from the matching read action', async () => {
+  const plan = await planToolCall(createThingsTool(), { action: 'delete_promo', promo_id: 'pr1' }, { client });
+  assert.equal(plan.requests.length, 1);
+  assert.deepEqual(plan.current, { thing: { read: 'get_promo', title: 'Thing', promo_id: 'pr1' } });
+});
+
+test('a dry run says when the current state cannot be fetched', async () => {
+  const plan = await planToolCall(createThingsTool(), { action: 'update_level', level_id: 'l1' }, { client });
+  assert.equal(plan.current, undefined);
+  assert.match(plan.current_unavailable, /update_level has no read action/);
+
+  const created = await planToolCall(createThingsTool(), { action: 'create', title: 'x' }, { client });
+  assert.equal(created.current_unavailable, undefined);
+
+  const failing = createThingsTool();
+  const run = failing.function;
+  failing.function = async (args, context) => {
+    if (args.action === 'get') throw new Error('boom');
+    return run(args, context);
+  };
+  const failed = await planToolCall(failing, { action: 'update', id: 't1' }, { client });
+  assert.equal(failed.current_error.message, 'boom');
+});
@@ -0,0 +1,112 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { EventStore } from '../server/transports/event-store.js';
+import { StreamableHTTPHandler } from '../server/transports/streamable-http.js';
+import { MemorySessionStore } from '../server/sessions/session-store.js';
+
+test('replay returns the later events of the same stream only', () => {
+  const events = new EventStore();
+  const first = events.append('s1', 'standalone', { n: 1 });
+  events.append('s1', 'post-1', { n: 2 });
+  events.append('s1', 'standalone', { n: 3 });
+
+  assert.equal(first, 'standalone:1');
+  assert.deepEqual(events.replayAfter('s1', first), {
+    streamId: 'standalone',
+    events: [{ id: 'standalone:3', message: { n: 3 } }],
+    complete: true
+  });
+  assert.equal(events.replayAfter('s2', first), null);
+  assert.equal(events.replayAfter('s1', 'standalone:9'), null);
+  assert.equal(events.replayAfter('s1', 'garbage'), null);
+});
+
+test('replay says when events after the id were dropped', () => {
+  const events = new EventStore({ maxEvents: 2 });
+  const first = events.append('s1', 'standalone', { n: 1 });
+  events.append('s1', 'standalone', { n: 2 });
+  events.append('s1', 'standalone', { n: 3 });
+  events.append('s1', 'standalone', { n: 4 });
+
+  const replay = events.replayAfter('s1', first);
+  assert.equal(replay.complete, false);
+  assert.deepEqual(replay.events.map(({ message }) => message.n), [3, 4]);
+});
+
+const sessionStore = new MemorySessionStore();
+after(() => sessionStore.close());
+
+/**
+ * Serve a handler on a free port, closed after the tests
+ * @param {StreamableHTTPHandler} handler - Handler
+ * @returns {Promise<string>} URL of /mcp
+ */
+async function serve(handler) {
+  const app = express();
+  app.all('/mcp', (req, res) => handler.handleRequest(req, res));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/mcp`;
+}
+
+/**
+ * Open GET /mcp and read SSE events until `count` of them carry an id
+ * @param {string} url - URL of /mcp
+ * @param {Object} headers - Request headers
+ * @param {number} count - Events to wait for
+ * @param {Function} [onOpen] - Called once the stream is open
+ * @returns {Promise<Array<{ id: string, data: Object }>>} Events read, after which the connection is dropped
+ */
+async function readEvents(url, headers, count, onOpen) {
+  const controller = new AbortController();
+  const response = await fetch(url, { headers, signal: controller.signal });
+  assert.equal(response.status, 200);
+  onOpen?.();
+  const decoder = new TextDecoder();
+  let text = '';
+  const events = [];
+  for await (const chunk of response.body) {
+    text += decoder.decode(chunk, { stream: true });
+    const blocks = text.split('\n\n');
+    text = blocks.pop();
+    for (const block of blocks) {
+      const id = block.match(/^id: (.*)$/m)?.[1];
+      if (id) {
+        events.push({ id, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) });
+      }
+    }
+    if (events.length >= count) {
+      break;
+    }
+  }
+  controller.abort();
+  return events;
+}
+
+test('a client reconnecting with Last-Event-ID gets what it missed, and another replica refuses the id', async () => {
+  const handler = new StreamableHTTPHandler({ sessionStore });
+  const url = await serve(handler);
+  const { sessionId } = await handler.createSession();
+  const headers = { 'Mcp-Session-Id': sessionId };
+  const notify = (n) => handler.sendNotification(sessionId, 'notifications/message', { n });
+
+  const seen = await readEvents(url, headers, 2, () => {
+    notify(1);
+    notify(2);
+  });
+  assert.deepEqual(seen.map(({ data }) => data.params.n), [1, 2]);
+
+  // Sent while the client is away, then replayed after the first event it saw
+  notify(3);
+  const resumed = await readEvents(url, { ...headers, 'Last-Event-ID': seen[0].id }, 2);
+  assert.deepEqual(resumed.map(({ data }) => data.params.n), [2, 3]);
+
+  // Same session store, but this replica never wrote the stream
+  const replica = new StreamableHTTPHandler({ sessionStore });
+  const replicaUrl = await serve(replica);
+  const refused = await fetch(replicaUrl, { headers: { ...headers, 'Last-Event-ID': seen[1].id } });
+  assert.equal(refused.status, 409);
+  assert.match((await refused.json()).error, /Reconnect without Last-Event-ID/);
+});
@@ -0,0 +1,80 @@
+// Fake grouped tool and Medusa client shared by the tool pipeline tests
+// manage_medusa_admin_things covers the action shapes the annotations, dry-run, confirmation and rate limit tests need
+
+/**
+ * Definition of the fake tool. Reads are `get*`; `update_level` has no read action, `update_note` declares one,
+ * `fail` is a read-only action whose name carries no verb, and `add_member` says it is idempotent.
+ */
+export const thingsDefinition = {
+  name: 'manage_medusa_admin_things',
+  description: 'Things',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: {
+        type: 'string',
+        enum: [
+          'list', 'get', 'create', 'update', 'delete', 'fail',
+          'get_part', 'delete_part', 'get_promo', 'delete_promo', 'update_level', 'update_note',
+          'add_tag', 'add_member'
+        ]
+      },
+      id: { type: 'string' },
+      title: { type: 'string' }
+    },
+    required: ['action']
+  },
+  actions: {
+    list: {},
+    get: { required: ['id'] },
+    create: {},
+    update: { required: ['id'] },
+    delete: { required: ['id'] },
+    fail: { annotations: { readOnlyHint: true } },
+    get_part: { required: ['id', 'part_id'] },
+    delete_part: { required: ['id', 'part_id'] },
+    get_promo: { required: ['promo_id'] },
+    delete_promo: { required: ['promo_id'] },
+    update_level: { required: ['level_id'] },
+    update_note: { required: ['note_id'], read: 'get_promo' },
+    add_tag: {},
+    add_member: { annotations: { idempotentHint: true } }
+  }
+};
+
+/**
+ * Run an action of the fake tool: reads return a thing echoing their arguments, writes send one request
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Tool context with `client`
+ * @returns {Promise<Object>} Result
+ */
+async function runThing({ action, ...args }, { client }) {
+  if (action.startsWith('get')) {
+    return { thing: { read: action, title: 'Thing', ...args } };
+  }
+  const method = action.startsWith('delete') ? 'DELETE' : 'POST';
+  return client.request(method, `/admin/things/${action}`, { body: args });
+}
+
+/**
+ * Fake tool object, as discoverTools returns them
+ * @param {Function} [run] - Tool function replacing the default reads and writes
+ * @returns {{ definition: Object, function: Function }} Tool
+ */
+export function createThingsTool(run = runThing) {
+  return { definition: thingsDefinition, function: run };
+}
+
+/**
+ * Medusa client that answers every request without a network: deletes confirm the deletion, other writes return `{}`
+ * @returns {Object} Client with request, buildUrl and withSignal
+ */
+export function createStubClient() {
+  return {
+    request: async (method, path, { body } = {}) => (method === 'DELETE' ? { ...body, deleted: true } : {}),
+    buildUrl: (path) => `https://medusa.test${path}`,
+    withSignal() {
+      return this;
+    }
+  };
+}
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import { AUTH_CONFIG } from '../lib/constants.js';
+import { ApiKeyAuthProvider, createAuthProvider, EmailPassAuthProvider, getTokenExpiry, MedusaAuthError } from '../lib/medusa-auth.js';
+import { MedusaClient } from '../lib/medusa-client.js';
+
+/**
+ * Unsigned JWT with an expiry
+ * @param {string} name - Told apart in assertions through the `sub` claim
+ * @param {number} expiresAt - Expiry, epoch milliseconds
+ * @returns {string} JWT
+ */
+function jwt(name, expiresAt) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode({ sub: name, exp: Math.floor(expiresAt / 1000) })}.sig`;
+}
+
+/**
+ * Medusa auth endpoints: each login or refresh answers with the next token, or fails when `fail` is set
+ * @param {Function} nextToken - Returns the token for a path
+ * @returns {{ transport: Object, calls: Array<string>, state: { fail: boolean } }} Transport for getHeaders and its log
+ */
+function authServer(nextToken) {
+  const calls = [];
+  const state = { fail: false };
+  const fetch = async (url, init) => {
+    const path = new URL(url).pathname;
+    calls.push(`${path} ${init.headers.Authorization || JSON.parse(init.body).email}`);
+    if (state.fail) {
+      return new Response(JSON.stringify({ message: 'Invalid email or password' }), { status: 401 });
+    }
+    return new Response(JSON.stringify({ token: nextToken(path) }), { status: 200 });
+  };
+  return { transport: { baseUrl: 'http://medusa.test', fetch }, calls, state };
+}
+
+test('emailpass logs in once and shares the token with concurrent requests', async (t) => {
+  const now = 1_800_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const { transport, calls } = authServer(() => jwt('first', now + 3600_000));
+  const auth = new EmailPassAuthProvider({ email: 'admin@example.com', password: 'secret' });
+
+  const [a, b] = await Promise.all([auth.getHeaders(transport), auth.getHeaders(transport)]);
+  assert.equal(a.Authorization, `Bearer ${jwt('first', now + 3600_000)}`);
+  assert.deepEqual(b, a);
+  assert.deepEqual(calls, ['/auth/user/emailpass admin@example.com']);
+  assert.equal(auth.expiresAt, Math.floor((now + 3600_000) / 1000) * 1000);
+});
+
+test('a token close to expiry is refreshed, and a failed refresh logs in again', async (t) => {
+  let now = 1_800_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  let issued = 0;
+  let refreshWorks = true;
+  const { transport, calls } = authServer((path) =>
+    (path === '/auth/token/refresh' && !refreshWorks ? '' : jwt(`token-${++issued}`, now + 3600_000)));
+  const auth = new EmailPassAuthProvider({ email: 'admin@example.com', password: 'secret' });
+
+  const first = (await auth.getHeaders(transport)).Authorization;
+  now += 3600_000 - AUTH_CONFIG.TOKEN_REFRESH_MARGIN_MS + 1;
+  const refreshed = (await auth.getHeaders(transport)).Authorization;
+  assert.notEqual(refreshed, first);
+  assert.deepEqual(calls.slice(1), [`/auth/token/refresh ${first}`]);
+
+  refreshWorks = false;
+  now += 3600_000;
+  const relogged = (await auth.getHeaders(transport)).Authorization;
+  assert.deepEqual(calls.slice(2), [`/auth/token/refresh ${refreshed}`, '/auth/user/emailpass admin@example.com']);
+  assert.equal(relogged, `Bearer ${jwt('token-3', now + 3600_000)}`);
+});
+
+test('a 401 from the API drops the session token and the request is replayed after a new login', async () => {
+  let logins = 0;
+  const auth = new EmailPassAuthProvider({ email: 'admin@example.com', password: 'secret' });
+  const seen = [];
+  const client = new MedusaClient({
+    baseUrl: 'http://medusa.test',
+    auth,
+    metrics: { recordRetry() {} },
+    fetch: async (url, init) => {
+      if (url.includes('/auth/user/emailpass')) {
+        return new Response(JSON.stringify({ token: `session-${++logins}` }), { status: 200 });
+      }
+      seen.push(init.headers.Authorization);
+      // The first session was revoked on the server
+      return seen.length === 1 ? new Response('{}', { status: 401 }) : new Response('{"regions":[]}', { status: 200 });
+    }
+  });
+
+  assert.deepEqual(await client.get('/admin/regions'), { regions: [] });
+  assert.deepEqual(seen, ['Bearer session-1', 'Bearer session-2']);
+  assert.equal(new ApiKeyAuthProvider('sk_test').invalidate(), false);
+});
+
+test('a failed login falls back to the API key until the cooldown ends', async (t) => {
+  let now = 1_800_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+  const { transport, calls, state } = authServer(() => jwt('admin', now + 3600_000));
+  const auth = createAuthProvider({ authType: 'emailpass', email: 'admin@example.com', password: 'wrong', apiKey: 'sk_test' });
+  const basic = `Basic ${Buffer.from('sk_test:').toString('base64')}`;
+
+  state.fail = true;
+  assert.equal((await auth.getHeaders(transport)).Authorization, basic);
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  // No login attempt during the cooldown
+  now += AUTH_CONFIG.LOGIN_RETRY_COOLDOWN_MS - 1;
+  assert.equal((await auth.getHeaders(transport)).Authorization, basic);
+  assert.equal(calls.length, 1);
+
+  state.fail = false;
+  now += 1;
+  assert.equal((await auth.getHeaders(transport)).Authorization, `Bearer ${jwt('admin', now + 3600_000)}`);
+  assert.equal(calls.length, 2);
+});
+
+test('without a fallback a failed login is an error', async () => {
+  const { transport, state } = authServer(() => 'unused');
+  state.fail = true;
+  const auth = createAuthProvider({ authType: 'emailpass', email: 'admin@example.com', password: 'wrong' });
+  await assert.rejects(auth.getHeaders(transport), (error) => error instanceof MedusaAuthError && error.status === 401);
+
+  assert.ok(createAuthProvider({ authType: 'emailpass', apiKey: 'sk_test' }) instanceof ApiKeyAuthProvider);
+  assert.equal(createAuthProvider({}), null);
+  assert.equal(getTokenExpiry('not-a-jwt'), null);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MedusaApiError, MedusaClient, MedusaConfigError, retryPolicyFromEnv } from '../lib/medusa-client.js';
+import { MetricsCollector } from '../lib/monitoring.js';
+import { loadProfileConfig } from '../lib/profiles.js';
+
+test('MEDUSA_RETRY_* variables override the retry policy', () => {
+  assert.deepEqual(retryPolicyFromEnv({}), {});
+  assert.deepEqual(
+    retryPolicyFromEnv({ MEDUSA_RETRY_MAX_ATTEMPTS: '5', MEDUSA_RETRY_BASE_DELAY_MS: '100', MEDUSA_RETRY_MAX_DELAY_MS: '2000' }),
+    { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 2000 }
+  );
+});
+
+test('retry values must be positive integers', () => {
+  for (const value of ['abc', '0', '-1', '1.5', 'Infinity', '1e3', '99999999999999999999']) {
+    assert.throws(() => retryPolicyFromEnv({ MEDUSA_RETRY_MAX_ATTEMPTS: value }), (error) =>
+      error instanceof MedusaConfigError && error.message === `Invalid MEDUSA_RETRY_MAX_ATTEMPTS "${value}": expected a positive integer`);
+  }
+});
+
+test('the profile config rejects invalid retry values at load time', () => {
+  assert.throws(() => loadProfileConfig({ MEDUSA_PROFILES_FILE: '', MEDUSA_RETRY_BASE_DELAY_MS: 'fast' }), MedusaConfigError);
+});
+
+/**
+ * Client whose fetch answers from a list of responses, one per attempt
+ * @param {Array<Response|Error>} responses - Responses in order; an Error is thrown as a network failure
+ * @param {Object} [options] - Extra client options
+ * @returns {{ client: MedusaClient, calls: Array<Object>, retries: Array<Object> }} Client, fetch calls and recorded retries
+ */
+function createClient(responses, options = {}) {
+  const calls = [];
+  const retries = [];
+  const client = new MedusaClient({
+    baseUrl: 'http://medusa.test',
+    apiKey: 'sk_test',
+    retry: { baseDelayMs: 1, maxDelayMs: 1 },
+    metrics: { recordRetry: (info) => retries.push(info) },
+    fetch: async (url, init) => {
+      calls.push({ url, method: init.method, headers: init.headers });
+      const next = responses.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    },
+    ...options
+  });
+  return { client, calls, retries };
+}
+
+/**
+ * JSON response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - Body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Response} Response
+ */
+function reply(status, body = {}, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+test('transient failures are retried up to the attempt limit', async () => {
+  const refused = new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+  const { client, calls, retries } = createClient([refused, reply(502), reply(200, { product: { id: 'prod_1' } })]);
+  assert.deepEqual(await client.get('/admin/products/prod_1'), { product: { id: 'prod_1' } });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(retries.map(({ reason, attempt }) => [reason, attempt]), [['ECONNREFUSED', 1], ['HTTP 502', 2]]);
+
+  const exhausted = createClient([reply(500), reply(500), reply(500), reply(200)]);
+  await assert.rejects(exhausted.client.get('/admin/products'), (error) => error instanceof MedusaApiError && error.status === 500);
+  assert.equal(exhausted.calls.length, 3);
+
+  const notFound = createClient([reply(404, { message: 'Not found' })]);
+  await assert.rejects(notFound.client.get('/admin/products/nope'), { status: 404 });
+  assert.equal(notFound.retries.length, 0);
+});
+
+test('429 and 503 wait for Retry-After, unless it exceeds the limit', async () => {
+  const { client, retries } = createClient([reply(429, {}, { 'Retry-After': '0' }), reply(503, {}, { 'Retry-After': '0' }), reply(200)]);
+  await client.get('/admin/orders');
+  assert.deepEqual(retries.map(({ reason, delay }) => [reason, delay]), [['HTTP 429', 0], ['HTTP 503', 0]]);
+
+  const tooLong = createClient([reply(503, {}, { 'Retry-After': '3600' }), reply(200)]);
+  await assert.rejects(tooLong.client.get('/admin/orders'), { status: 503 });
+  assert.equal(tooLong.calls.length, 1);
+});
+
+test('POST is retried only with an idempotency key', async () => {
+  const plain = createClient([reply(503), reply(200)]);
+  await assert.rejects(plain.client.post('/admin/products', { title: 'Shirt' }), { status: 503 });
+  assert.equal(plain.calls.length, 1);
+
+  const keyed = createClient([reply(503), reply(200, { product: { id: 'prod_1' } })]);
+  await keyed.client.request('POST', '/admin/products', { body: { title: 'Shirt' }, idempotencyKey: 'create-shirt' });
+  assert.equal(keyed.calls.length, 2);
+  assert.ok(keyed.calls.every(({ headers }) => headers['Idempotency-Key'] === 'create-shirt'));
+});
+
+test('a 401 replays the request once with fresh credentials, without counting a retry', async () => {
+  let session = 0;
+  const auth = {
+    getHeaders: async () => ({ Authorization: `Bearer session-${session}` }),
+    invalidate: () => {
+      session++;
+      return true;
+    }
+  };
+  const { client, calls, retries } = createClient([reply(401), reply(200, { orders: [] })], { auth });
+  assert.deepEqual(await client.post('/admin/orders/order_1/complete', {}), { orders: [] });
+  assert.deepEqual(calls.map(({ headers }) => headers.Authorization), ['Bearer session-0', 'Bearer session-1']);
+  assert.equal(retries.length, 0);
+
+  const rejected = createClient([reply(401), reply(401), reply(200)], { auth });
+  await assert.rejects(rejected.client.get('/admin/orders'), { status: 401 });
+  assert.equal(rejected.calls.length, 2);
+});
+
+test('retries are counted per resource, not per record', async () => {
+  const metrics = new MetricsCollector();
+  const { client } = createClient([reply(503), reply(200), reply(503), reply(200)], { metrics });
+  await client.get('/admin/products/prod_01HX/variants/variant_01HY');
+  await client.get('/admin/products/prod_02AB', { fields: 'id' });
+  assert.deepEqual(metrics.getMetrics().retries.byEndpoint, { 'GET /admin/products': 2 });
+  assert.deepEqual(metrics.getMetrics().retries.byReason, { 'HTTP 503': 2 });
+});
@@ -0,0 +1,233 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto';
+import express from 'express';
+import { OAUTH_CONFIG } from '../lib/constants.js';
+import { JwtError, signJwt } from '../lib/jwt.js';
+import { loadOAuthConfig, verifyAccessToken } from '../lib/oauth.js';
+import { setRateLimitConfig } from '../lib/rate-limit.js';
+import { createAuthorizationServer } from '../server/oauth/authorization-server.js';
+
+const MCP_TOKEN = 'oauth-test-token';
+const REDIRECT_URI = 'http://localhost:7777/callback';
+
+const config = loadOAuthConfig({ MCP_OAUTH_SERVER: 'true', MCP_PUBLIC_URL: 'https://mcp.example.com' });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.MCP_AUTH_TOKEN = MCP_TOKEN;
+  const app = express();
+  app.use(express.json());
+  app.use(createAuthorizationServer(config));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete process.env.MCP_AUTH_TOKEN;
+  server.close();
+});
+
+// Registration and sign-in limits are per address, and every test comes from 127.0.0.1
+beforeEach(() => setRateLimitConfig(null));
+
+/**
+ * Register a client
+ * @returns {Promise<Response>} Registration response
+ */
+function register() {
+  return fetch(`${baseUrl}/oauth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_name: 'Test client', redirect_uris: [REDIRECT_URI] })
+  });
+}
+
+/**
+ * POST a form to the authorization server
+ * @param {string} path - Route
+ * @param {Object|Array<Array<string>>} fields - Form fields, as an object or as name/value pairs
+ * @returns {Promise<Response>} Response, redirects not followed
+ */
+function postForm(path, fields) {
+  return fetch(`${baseUrl}${path}`, { method: 'POST', body: new URLSearchParams(fields), redirect: 'manual' });
+}
+
+/**
+ * Register a client and sign in with a PKCE challenge
+ * @returns {Promise<{ clientId: string, code: string, verifier: string }>} Authorization code and its verifier
+ */
+async function authorize() {
+  const { client_id: clientId } = await (await register()).json();
+  const verifier = randomBytes(32).toString('base64url');
+  const response = await postForm('/oauth/authorize', {
+    client_id: clientId,
+    redirect_uri: REDIRECT_URI,
+    code_challenge: createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256',
+    decision: 'allow',
+    token: MCP_TOKEN
+  });
+  assert.equal(response.status, 302);
+  const code = new URL(response.headers.get('location')).searchParams.get('code');
+  return { clientId, code, verifier };
+}
+
+/**
+ * Exchange an authorization code
+ * @param {Object} fields - client_id, code and code_verifier
+ * @returns {Promise<Response>} Token response
+ */
+function exchangeCode(fields) {
+  return postForm('/oauth/token', { grant_type: 'authorization_code', redirect_uri: REDIRECT_URI, ...fields });
+}
+
+test('the code exchange needs the PKCE verifier of the challenge', async () => {
+  const { clientId, code, verifier } = await authorize();
+  const response = await exchangeCode({ client_id: clientId, code, code_verifier: verifier });
+  assert.equal(response.status, 200);
+  const tokens = await response.json();
+  const claims = await verifyAccessToken(tokens.access_token, config);
+  assert.equal(claims.sub, 'mcp-auth-token');
+  assert.equal(claims.mcp_role, 'admin');
+});
+
+test('a wrong or missing code_verifier is rejected and burns the code', async () => {
+  const { clientId, code, verifier } = await authorize();
+  const wrong = await exchangeCode({ client_id: clientId, code, code_verifier: randomBytes(32).toString('base64url') });
+  assert.equal(wrong.status, 400);
+  assert.equal((await wrong.json()).error, 'invalid_grant');
+
+  const retry = await exchangeCode({ client_id: clientId, code, code_verifier: verifier });
+  assert.equal(retry.status, 400);
+
+  const other = await authorize();
+  const missing = await exchangeCode({ client_id: other.clientId, code: other.code });
+  assert.equal(missing.status, 400);
+  assert.match((await missing.json()).error_description, /code_verifier/);
+});
+
+test('a malformed code_verifier is an invalid request, not a server error', async () => {
+  for (const fields of [
+    [['code_verifier', 'short']],
+    [['code_verifier', `${'a'.repeat(42)} `]],
+    [['code_verifier', 'a'.repeat(129)]],
+    [['code_verifier', 'a'.repeat(43)], ['code_verifier', 'a'.repeat(43)]],
+    []
+  ]) {
+    const { clientId, code } = await authorize();
+    const response = await postForm('/oauth/token', [
+      ['grant_type', 'authorization_code'],
+      ['redirect_uri', REDIRECT_URI],
+      ['client_id', clientId],
+      ['code', code],
+      ...fields
+    ]);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'invalid_request');
+  }
+});
+
+test('authorization requests without an S256 challenge are sent back with an error', async () => {
+  const { client_id: clientId } = await (await register()).json();
+  const query = new URLSearchParams({ client_id: clientId, redirect_uri: REDIRECT_URI, code_challenge: 'abc', code_challenge_method: 'plain' });
+  const response = await fetch(`${baseUrl}/oauth/authorize?${query}`, { redirect: 'manual' });
+  assert.equal(response.status, 302);
+  assert.equal(new URL(response.headers.get('location')).searchParams.get('error'), 'invalid_request');
+});
+
+test('the consent page cannot be framed', async () => {
+  const { client_id: clientId } = await (await register()).json();
+  const query = new URLSearchParams({ client_id: clientId, redirect_uri: REDIRECT_URI, code_challenge: 'abc', code_challenge_method: 'S256' });
+  const response = await fetch(`${baseUrl}/oauth/authorize?${query}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-frame-options'), 'DENY');
+  assert.equal(response.headers.get('content-security-policy'), "frame-ancestors 'none'");
+
+  const rejected = await postForm('/oauth/authorize', { ...Object.fromEntries(query), decision: 'allow', token: 'wrong' });
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.headers.get('x-frame-options'), 'DENY');
+});
+
+test('sign-in attempts are rate limited per address', async () => {
+  const { client_id: clientId } = await (await register()).json();
+  const fields = { client_id: clientId, redirect_uri: REDIRECT_URI, code_challenge: 'abc', code_challenge_method: 'S256', decision: 'allow', token: 'wrong' };
+  const allowed = Number.parseInt(OAUTH_CONFIG.AUTHORIZE_RATE, 10);
+  for (let attempt = 0; attempt < allowed; attempt++) {
+    assert.equal((await postForm('/oauth/authorize', fields)).status, 401);
+  }
+  const limited = await postForm('/oauth/authorize', fields);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+  assert.equal((await limited.json()).error, 'too_many_requests');
+});
+
+test('registrations are rate limited per address', async () => {
+  const allowed = Number.parseInt(OAUTH_CONFIG.REGISTER_RATE, 10);
+  for (let attempt = 0; attempt < allowed; attempt++) {
+    assert.equal((await register()).status, 201);
+  }
+  assert.equal((await register()).status, 429);
+});
+
+test('access tokens for another audience or issuer are rejected', async () => {
+  const { clientId, code, verifier } = await authorize();
+  const { access_token: token } = await (await exchangeCode({ client_id: clientId, code, code_verifier: verifier })).json();
+
+  await assert.rejects(verifyAccessToken(token, { ...config, audience: 'https://other.example.com/mcp' }),
+    (error) => error instanceof JwtError && /not issued for this server/.test(error.message));
+  await assert.rejects(verifyAccessToken(token, { ...config, issuer: 'https://evil.example.com' }),
+    (error) => error instanceof JwtError && /issuer is not trusted/.test(error.message));
+});
+
+test('access tokens signed with another key are rejected', async () => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const now = Math.floor(Date.now() / 1000);
+  const forged = signJwt({ iss: config.issuer, aud: config.audience, sub: 'mallory', iat: now, exp: now + 60 }, { key: privateKey, alg: 'ES256' });
+  await assert.rejects(verifyAccessToken(forged, config), JwtError);
+});
+
+test('a full client list drops the oldest unused registration, then refuses', async (t) => {
+  const maxClients = OAUTH_CONFIG.MAX_CLIENTS;
+  OAUTH_CONFIG.MAX_CLIENTS = 2;
+  t.after(() => { OAUTH_CONFIG.MAX_CLIENTS = maxClients; });
+
+  // Fresh router (last test: it replaces the signing key the other tests verify against)
+  const app = express();
+  app.use(express.json());
+  app.use(createAuthorizationServer(config));
+  const local = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => local.once('listening', resolve));
+  t.after(() => local.close());
+  const url = `http://127.0.0.1:${local.address().port}`;
+  const registerLocal = () => fetch(`${url}/oauth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ redirect_uris: [REDIRECT_URI] })
+  }).then((response) => response.json());
+  const signIn = (clientId) => fetch(`${url}/oauth/authorize`, {
+    method: 'POST',
+    redirect: 'manual',
+    body: new URLSearchParams({ client_id: clientId, redirect_uri: REDIRECT_URI, code_challenge: 'abc', code_challenge_method: 'S256', decision: 'allow', token: MCP_TOKEN })
+  });
+
+  const first = await registerLocal();
+  const second = await registerLocal();
+  assert.equal((await signIn(second.client_id)).status, 302);
+  await registerLocal();
+  // The unused first client made room for the third
+  assert.equal((await signIn(first.client_id)).status, 400);
+  assert.equal((await signIn(second.client_id)).status, 302);
+
+  const third = await registerLocal();
+  assert.equal((await signIn(third.client_id)).status, 302);
+  const refused = await fetch(`${url}/oauth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ redirect_uris: [REDIRECT_URI] })
+  });
+  assert.equal(refused.status, 503);
+});
@@ -0,0 +1,162 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverTools, executeToolOptimized, transformToolsToMcp } from '../lib/tools.js';
+import { loadPolicy, setPolicy } from '../lib/policy.js';
+import { loadProfileConfig, setProfileConfig } from '../lib/profiles.js';
+import { loadRateLimitConfig, setRateLimitConfig } from '../lib/rate-limit.js';
+import { loadRedactionConfig, setRedactionConfig } from '../lib/redaction.js';
+
+/**
+ * Validate a value against the JSON Schema subset the output schemas use
+ * (type, const, enum, properties, required, items, anyOf)
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value
+ * @param {string} [at='$'] - Path of the value, for messages
+ * @returns {Array<string>} Violations, empty when the value is valid
+ */
+function validate(schema, value, at = '$') {
+  if (schema.anyOf && !schema.anyOf.some((branch) => validate(branch, value, at).length === 0)) {
+    return [`${at} matches no anyOf branch`];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${at} is not ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} is not one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.type) {
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (![schema.type].flat().includes(actual)) {
+      return [`${at} is ${actual}, expected ${schema.type}`];
+    }
+  }
+  const errors = [];
+  for (const key of schema.required || []) {
+    if (value?.[key] === undefined) errors.push(`${at}.${key} is missing`);
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (value?.[key] !== undefined) errors.push(...validate(property, value[key], `${at}.${key}`));
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+  }
+  return errors;
+}
+
+const order = { id: 'order_1', display_id: 1001, status: 'pending', email: 'jane@example.com', currency_code: 'eur', total: 4200, items: [] };
+const product = { id: 'prod_1', title: 'Shirt', handle: 'shirt', status: 'published', variants: [{ id: 'variant_1' }] };
+
+/**
+ * Answer Medusa like a small store: one order, three products, 404 for anything else
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Response} Response
+ */
+function medusa(url, init = {}) {
+  const { pathname, searchParams } = new URL(url);
+  const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  if (pathname === '/admin/orders' && (init.method || 'GET') === 'GET') {
+    return json({ orders: [order], count: 1, offset: 0, limit: 20 });
+  }
+  if (pathname === '/admin/orders/order_1') {
+    return json({ order });
+  }
+  if (pathname === '/admin/products') {
+    const offset = Number(searchParams.get('offset') || 0);
+    const limit = Number(searchParams.get('limit') || 20);
+    const products = [1, 2, 3].map((n) => ({ ...product, id: `prod_${n}` })).slice(offset, offset + limit);
+    return json({ products, count: 3, offset, limit });
+  }
+  if (pathname === '/admin/products/prod_1') {
+    return json({ product });
+  }
+  return json({ type: 'not_found', message: `${pathname} was not found` }, 404);
+}
+
+let tools;
+let schemas;
+
+before(async () => {
+  tools = await discoverTools(true);
+  schemas = new Map(transformToolsToMcp(tools).map((tool) => [tool.name, tool.outputSchema]));
+});
+
+beforeEach((t) => {
+  setPolicy(loadPolicy({ MCP_POLICY_FILE: '' }));
+  setRateLimitConfig(loadRateLimitConfig({ MCP_RATE_LIMIT_FILE: '' }));
+  setRedactionConfig(loadRedactionConfig({}));
+  setProfileConfig(loadProfileConfig({
+    MEDUSA_PROFILES_FILE: '',
+    MEDUSA_PROFILE_MAIN_BASE_URL: 'http://main.test',
+    MEDUSA_PROFILE_MAIN_API_KEY: 'k1',
+    MEDUSA_DEFAULT_PROFILE: 'main'
+  }));
+  t.mock.method(globalThis, 'fetch', async (url, init) => medusa(String(url), init));
+});
+
+after(() => {
+  setPolicy(null);
+  setRateLimitConfig(null);
+  setRedactionConfig(null);
+});
+
+/**
+ * Call a tool and check its structuredContent against the tool's advertised outputSchema
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} structuredContent
+ */
+async function callAndValidate(name, args) {
+  const result = await executeToolOptimized(tools, name, args, { principal: 'token:test', role: 'admin' });
+  assert.ok(result.structuredContent, `${name} ${args.action} returned no structuredContent`);
+  assert.deepEqual(validate(schemas.get(name), result.structuredContent), []);
+  return result.structuredContent;
+}
+
+test('the validator rejects what the schemas rule out', () => {
+  const schema = schemas.get('manage_medusa_admin_orders');
+  assert.deepEqual(validate(schema, { orders: [{ id: 1 }] }), ['$ matches no anyOf branch']);
+  assert.deepEqual(validate(schema, { error: { code: 'NOPE', message: 'x' } }), ['$ matches no anyOf branch']);
+  assert.deepEqual(validate(schema, { error: { code: 'NOT_FOUND', message: 'x' } }), []);
+});
+
+test('every advertised output schema is an object schema', () => {
+  for (const [name, schema] of schemas) {
+    if (schema) {
+      assert.equal(schema.type, 'object', name);
+      assert.ok(schema.anyOf.length >= 2, name);
+    }
+  }
+});
+
+test('list and get results validate against the output schema', async () => {
+  await callAndValidate('manage_medusa_admin_orders', { action: 'list' });
+  assert.equal((await callAndValidate('manage_medusa_admin_orders', { action: 'get', id: 'order_1' })).order.display_id, 1001);
+  await callAndValidate('manage_medusa_admin_products', { action: 'get', id: 'prod_1' });
+});
+
+test('auto-paginated lists validate, pagination summary included', async () => {
+  const result = await callAndValidate('manage_medusa_admin_products', { action: 'list', paginate: 'all', limit: 2 });
+  assert.equal(result.products.length, 3);
+  assert.equal(result.pagination.pages, 2);
+});
+
+test('dry-run plans validate against the output schema', async () => {
+  const plan = await callAndValidate('manage_medusa_admin_products', { action: 'update', id: 'prod_1', title: 'Tee', dry_run: true });
+  assert.equal(plan.dry_run, true);
+  assert.equal(plan.requests[0].method, 'POST');
+  await callAndValidate('manage_medusa_admin_orders', { action: 'cancel', id: 'order_1', dry_run: true });
+});
+
+test('error results validate against the output schema', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const missing = await callAndValidate('manage_medusa_admin_orders', { action: 'get', id: 'order_404' });
+  assert.equal(missing.error.code, 'NOT_FOUND');
+
+  const invalid = await callAndValidate('manage_medusa_admin_orders', { action: 'get' });
+  assert.equal(invalid.error.code, 'VALIDATION');
+
+  setPolicy(loadPolicy({ MCP_POLICY_FILE: '', MCP_READ_ONLY: 'true' }));
+  const denied = await callAndValidate('manage_medusa_admin_products', { action: 'delete', id: 'prod_1' });
+  assert.equal(denied.error.code, 'POLICY_DENIED');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAGINATION_CONFIG } from '../lib/constants.js';
+import { isListAction, paginateAll, resolveMaxItems, wantsPagination } from '../lib/pagination.js';
+
+/**
+ * Page fetcher over a list of `total` orders, as Medusa answers list requests
+ * @param {number} total - Orders in the store
+ * @returns {{ fetchPage: Function, requests: Array<Object> }} Fetcher and the `{ offset, limit }` of each request
+ */
+function orders(total) {
+  const requests = [];
+  const fetchPage = async ({ offset, limit }) => {
+    requests.push({ offset, limit });
+    const ids = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, index) => `order_${offset + index}`);
+    return { orders: ids.map((id) => ({ id })), count: total, offset, limit };
+  };
+  return { fetchPage, requests };
+}
+
+test('pages are walked by offset until count is reached', async () => {
+  const { fetchPage, requests } = orders(250);
+  const progress = [];
+  const result = await paginateAll(fetchPage, { pageSize: 100, onProgress: ({ progress: done }) => progress.push(done) });
+
+  assert.deepEqual(requests, [{ offset: 0, limit: 100 }, { offset: 100, limit: 100 }, { offset: 200, limit: 50 }]);
+  assert.equal(result.orders.length, 250);
+  assert.equal(result.orders[249].id, 'order_249');
+  assert.deepEqual(result.pagination, { pages: 3, fetched: 250, total: 250, max_items: 500, truncated: false });
+  assert.deepEqual(progress, [100, 200, 250]);
+});
+
+test('max_items stops early and reports the truncation', async () => {
+  const { fetchPage, requests } = orders(1000);
+  const result = await paginateAll(fetchPage, { offset: 10, pageSize: 40, maxItems: 90 });
+
+  assert.deepEqual(requests, [{ offset: 10, limit: 40 }, { offset: 50, limit: 40 }, { offset: 90, limit: 10 }]);
+  assert.equal(result.orders.length, 90);
+  assert.equal(result.orders[0].id, 'order_10');
+  assert.equal(result.offset, 10);
+  assert.equal(result.limit, 90);
+  assert.equal(result.pagination.truncated, true);
+});
+
+test('max_items is clamped to the hard cap', async () => {
+  assert.equal(resolveMaxItems(1e9), PAGINATION_CONFIG.MAX_ITEMS);
+  assert.equal(resolveMaxItems(0), 1);
+  assert.equal(resolveMaxItems(undefined), PAGINATION_CONFIG.DEFAULT_MAX_ITEMS);
+
+  const { fetchPage } = orders(PAGINATION_CONFIG.MAX_ITEMS + 500);
+  const result = await paginateAll(fetchPage, { maxItems: 1e9 });
+  assert.equal(result.orders.length, PAGINATION_CONFIG.MAX_ITEMS);
+  assert.equal(result.pagination.max_items, PAGINATION_CONFIG.MAX_ITEMS);
+  assert.equal(result.pagination.truncated, true);
+});
+
+test('a failing page keeps the earlier ones and says why it stopped', async () => {
+  const { fetchPage } = orders(300);
+  let calls = 0;
+  const result = await paginateAll(async (page) => (++calls === 2 ? { error: 'HTTP 503' } : fetchPage(page)), { pageSize: 100 });
+
+  assert.equal(result.orders.length, 100);
+  assert.equal(result.pagination.error, 'HTTP 503');
+  assert.equal(result.pagination.truncated, true);
+});
+
+test('responses that are not lists are returned untouched', async () => {
+  const single = { order: { id: 'order_1' } };
+  assert.equal(await paginateAll(async () => single), single);
+  const uncounted = { orders: [] };
+  assert.equal(await paginateAll(async () => uncounted), uncounted);
+});
+
+test('only list actions paginate, and only when asked to', () => {
+  assert.equal(isListAction('list'), true);
+  assert.equal(isListAction('list_variants'), true);
+  assert.equal(isListAction('get'), false);
+  assert.equal(wantsPagination({ paginate: 'all' }), true);
+  assert.equal(wantsPagination({ max_items: 50 }), true);
+  assert.equal(wantsPagination({ limit: 50 }), false);
+});
@@ -0,0 +1,49 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadProfileConfig, setProfileConfig, resolveStore, resolveStoreHeader, StoreAccessError } from '../lib/profiles.js';
+
+const PROFILES = {
+  MEDUSA_PROFILES_FILE: '',
+  MEDUSA_PROFILE_MAIN_BASE_URL: 'http://main.test',
+  MEDUSA_PROFILE_MAIN_API_KEY: 'k1',
+  MEDUSA_PROFILE_EU_BASE_URL: 'http://eu.test',
+  MEDUSA_PROFILE_EU_API_KEY: 'k2',
+  MEDUSA_DEFAULT_PROFILE: 'main'
+};
+
+/**
+ * Use two profiles, main (default) and eu
+ * @param {Object} [env] - Extra environment variables
+ */
+function useProfiles(env = {}) {
+  setProfileConfig(loadProfileConfig({ ...PROFILES, ...env }));
+}
+
+beforeEach(() => useProfiles());
+
+test('the X-Medusa-Store header selects a configured profile', () => {
+  assert.equal(resolveStoreHeader('eu'), 'eu');
+  assert.equal(resolveStoreHeader(undefined), undefined);
+  assert.equal(resolveStoreHeader(''), undefined);
+});
+
+test('the header rejects unknown profiles', () => {
+  assert.throws(() => resolveStoreHeader('nope'), StoreAccessError);
+});
+
+test('the header is disabled with the store argument', () => {
+  useProfiles({ MEDUSA_ALLOW_STORE_ARGUMENT: 'false' });
+  assert.throws(() => resolveStoreHeader('eu'), /store argument is disabled/);
+  assert.throws(() => resolveStore({ requested: 'eu' }), /store argument is disabled/);
+});
+
+test('a bound session or token cannot switch profiles', () => {
+  assert.equal(resolveStoreHeader('eu', { bound: 'eu' }), 'eu');
+  assert.throws(() => resolveStoreHeader('main', { bound: 'eu' }), /session is bound to store "eu"/);
+  assert.throws(() => resolveStoreHeader('main', { bound: 'eu', locked: true }), /token is bound to store "eu"/);
+});
+
+test('a token bound to a profile may repeat it even when the store argument is disabled', () => {
+  useProfiles({ MEDUSA_ALLOW_STORE_ARGUMENT: 'false' });
+  assert.equal(resolveStoreHeader('eu', { bound: 'eu', locked: true }), 'eu');
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProgressReporter, processInBatches } from '../lib/progress.js';
+import { apiTool as collections } from '../tools/medusa-admin-api/medusa-admin-collections.js';
+
+test('without a progress token there is no reporter', () => {
+  assert.equal(createProgressReporter(undefined, () => {}), undefined);
+  assert.equal(createProgressReporter(null, () => {}), undefined);
+  assert.equal(typeof createProgressReporter(0, () => {}), 'function');
+});
+
+test('progress only ever increases', () => {
+  const sent = [];
+  const report = createProgressReporter('tok', (params) => sent.push(params));
+
+  report({ progress: 50, total: 120, message: 'Page 1' });
+  report({ progress: 50, total: 120 });
+  report({ progress: 20 });
+  report({ progress: 100 });
+  assert.deepEqual(sent, [
+    { progressToken: 'tok', progress: 50, total: 120, message: 'Page 1' },
+    { progressToken: 'tok', progress: 100 }
+  ]);
+});
+
+test('with a reporter, lists are processed in batches and progress follows each one', async () => {
+  const items = Array.from({ length: 7 }, (_, index) => `prod_${index}`);
+  const batches = [];
+  const progress = [];
+
+  const results = await processInBatches(items, async (batch) => {
+    batches.push(batch);
+    return batch.length;
+  }, { batchSize: 3, onProgress: (update) => progress.push(update) });
+
+  assert.deepEqual(batches.map((batch) => batch.length), [3, 3, 1]);
+  assert.deepEqual(results, [3, 3, 1]);
+  assert.deepEqual(progress, [{ progress: 3, total: 7 }, { progress: 6, total: 7 }, { progress: 7, total: 7 }]);
+});
+
+test('without a reporter, the whole list goes in one call, even an empty one', async () => {
+  const items = Array.from({ length: 120 }, (_, index) => `prod_${index}`);
+  const batches = [];
+  await processInBatches(items, async (batch) => batches.push(batch), { batchSize: 50 });
+  assert.deepEqual(batches.map((batch) => batch.length), [120]);
+
+  batches.length = 0;
+  await processInBatches([], async (batch) => batches.push(batch));
+  assert.deepEqual(batches, [[]]);
+});
+
+test('a failing batch says how many items were already applied, and aborting stops between batches', async () => {
+  const onProgress = () => {};
+  await assert.rejects(processInBatches(['a', 'b', 'c', 'd'], async (batch) => {
+    if (batch.includes('c')) {
+      throw new Error('Product not found');
+    }
+  }, { batchSize: 2, onProgress }), { message: 'Product not found (after 2 of 4 items were processed)' });
+
+  const controller = new AbortController();
+  const batches = [];
+  await assert.rejects(processInBatches(['a', 'b', 'c', 'd'], async (batch) => {
+    batches.push(batch);
+    controller.abort(new Error('cancelled'));
+  }, { batchSize: 2, onProgress, signal: controller.signal }), /cancelled/);
+  assert.deepEqual(batches, [['a', 'b']]);
+});
+
+test('add_products sends one request unless the caller asked for progress', async () => {
+  const posts = [];
+  const client = { post: async (path, body) => posts.push(body.product_ids.length) };
+  const args = { action: 'add_products', id: 'pcol_1', product_ids: Array.from({ length: 120 }, (_, index) => `prod_${index}`) };
+
+  await collections.function(args, { client });
+  assert.deepEqual(posts, [120]);
+
+  posts.length = 0;
+  const progress = [];
+  await collections.function(args, { client, onProgress: (update) => progress.push(update.progress) });
+  assert.deepEqual(posts, [50, 50, 20]);
+  assert.deepEqual(progress, [50, 100, 120]);
+});
@@ -0,0 +1,84 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverPrompts, getPrompt, PromptError } from '../lib/prompts.js';
+import { discoverTools } from '../lib/tools.js';
+
+const toolMode = process.env.MCP_TOOL_MODE;
+afterEach(() => {
+  if (toolMode === undefined) {
+    delete process.env.MCP_TOOL_MODE;
+  } else {
+    process.env.MCP_TOOL_MODE = toolMode;
+  }
+});
+
+const ARGS = { customer_overview: { email: 'jane@example.com' }, prepare_refund: { order_id: 'order_1' } };
+
+/**
+ * Text of every prompt, with its required arguments filled in
+ * @returns {Promise<Array<string>>} Prompt texts
+ */
+async function renderAll() {
+  const prompts = await discoverPrompts();
+  return Promise.all(prompts.map(async ({ definition }) =>
+    (await getPrompt(definition.name, ARGS[definition.name])).messages[0].content.text));
+}
+
+/**
+ * Tool names a prompt text refers to
+ * @param {string} text - Prompt text
+ * @returns {Array<string>} Names
+ */
+function toolNames(text) {
+  return text.match(/\b(manage_medusa_admin|medusa)_[a-z_]+/g) || [];
+}
+
+test('prompts name the grouped tools and actions by default', async () => {
+  delete process.env.MCP_TOOL_MODE;
+  const tools = await discoverTools(true);
+  const texts = await renderAll();
+  assert.match(texts.join('\n'), /manage_medusa_admin_orders \(action "list"\)/);
+  for (const text of texts) {
+    for (const [, name, action] of text.matchAll(/(manage_medusa_admin_[a-z_]+) \(action "([a-z_]+)"\)/g)) {
+      const tool = tools.find(({ definition }) => definition.name === name);
+      assert.ok(tool?.definition.parameters.properties.action.enum.includes(action), `${name} ${action}`);
+    }
+  }
+});
+
+test('with MCP_TOOL_MODE=split, prompts name the split tools', async () => {
+  process.env.MCP_TOOL_MODE = 'split';
+  const tools = await discoverTools(true);
+  const exposed = new Set(tools.map(({ definition }) => definition.name));
+  const texts = await renderAll();
+  assert.match(texts.join('\n'), /medusa_orders_list\b/);
+  for (const text of texts) {
+    assert.doesNotMatch(text, /manage_medusa_admin_/);
+    for (const name of toolNames(text)) {
+      assert.ok(exposed.has(name), name);
+    }
+  }
+});
+
+test('an unknown prompt or a missing required argument is refused', async () => {
+  await assert.rejects(getPrompt('no_such_prompt'), (error) => {
+    assert.ok(error instanceof PromptError);
+    assert.equal(error.code, -32602);
+    assert.match(error.message, /Unknown prompt: no_such_prompt/);
+    return true;
+  });
+  await assert.rejects(getPrompt('prepare_refund', {}), /Missing required argument: order_id/);
+  await assert.rejects(getPrompt('customer_overview', { email: '' }), /Missing required argument: email/);
+});
+
+test('optional arguments fall back to their defaults', async () => {
+  const { description, messages } = await getPrompt('triage_unfulfilled_orders');
+  assert.match(description, /unfulfilled orders/);
+  assert.equal(messages[0].role, 'user');
+  assert.match(messages[0].content.text, /created today/);
+  assert.match(messages[0].content.text, /max_items 50/);
+
+  const since = await getPrompt('triage_unfulfilled_orders', { since: '2026-10-01', limit: '5' });
+  assert.match(since.messages[0].content.text, /created since 2026-10-01/);
+  assert.match(since.messages[0].content.text, /max_items 5\b/);
+});
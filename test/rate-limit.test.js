@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeToolOptimized } from '../lib/tools.js';
+import { globalMetrics } from '../lib/monitoring.js';
+import { acquireToolCall, checkAddressRate, loadRateLimitConfig, RateLimitError, setRateLimitConfig } from '../lib/rate-limit.js';
+import { createStubClient, createThingsTool, thingsDefinition as definition } from './helpers/things.js';
+
+const caller = { principal: 'token:test', role: 'admin' };
+
+/**
+ * Rate limit config from environment-style values, without a rate limit file
+ * @param {Object} env - MCP_RATE_LIMIT and MCP_MAX_CONCURRENT
+ * @returns {Object} Config
+ */
+function limits(env) {
+  return loadRateLimitConfig({ MCP_RATE_LIMIT_FILE: '', ...env });
+}
+
+beforeEach(() => setRateLimitConfig(null));
+
+test('an empty bucket refills at its rate', (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  setRateLimitConfig(limits({ MCP_RATE_LIMIT: '2/s', MCP_MAX_CONCURRENT: 'off' }));
+
+  acquireToolCall(caller, definition, 'list')();
+  acquireToolCall(caller, definition, 'list')();
+  assert.throws(() => acquireToolCall(caller, definition, 'list'), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.data.scope, 'calls');
+    assert.equal(error.retryAfter, 1);
+    return true;
+  });
+
+  // Half a second brings back one call, not two
+  now += 500;
+  acquireToolCall(caller, definition, 'list')();
+  assert.throws(() => acquireToolCall(caller, definition, 'list'), RateLimitError);
+
+  // A long pause refills up to the burst only
+  now += 60_000;
+  acquireToolCall(caller, definition, 'list')();
+  acquireToolCall(caller, definition, 'list')();
+  assert.throws(() => acquireToolCall(caller, definition, 'list'), RateLimitError);
+});
+
+test('buckets are per principal', () => {
+  setRateLimitConfig(limits({ MCP_RATE_LIMIT: '1/min', MCP_MAX_CONCURRENT: 'off' }));
+  acquireToolCall(caller, definition, 'list')();
+  acquireToolCall({ ...caller, principal: 'token:other' }, definition, 'list')();
+  assert.throws(() => acquireToolCall(caller, definition, 'list'), RateLimitError);
+});
+
+test('a concurrency slot is held until released, once', () => {
+  setRateLimitConfig(limits({ MCP_RATE_LIMIT: '100/s', MCP_MAX_CONCURRENT: '1' }));
+  const release = acquireToolCall(caller, definition, 'list');
+  assert.throws(() => acquireToolCall(caller, definition, 'list'), (error) => error.data.concurrency === 1);
+  release();
+  release();
+  const next = acquireToolCall(caller, definition, 'list');
+  assert.throws(() => acquireToolCall(caller, definition, 'list'), RateLimitError);
+  next();
+});
+
+test('a tool call that throws or is cancelled gives its concurrency slot back', async () => {
+  setRateLimitConfig(limits({ MCP_RATE_LIMIT: '100/s', MCP_MAX_CONCURRENT: '1' }));
+  const tool = createThingsTool(async ({ action }, { signal }) => {
+    if (action === 'fail') {
+      throw new Error('boom');
+    }
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+  });
+  const client = createStubClient();
+  const call = (args, context = {}) => executeToolOptimized([tool], definition.name, args, { client, ...caller, ...context });
+
+  const failed = await call({ action: 'fail' });
+  assert.equal(failed.isError, true);
+  assert.match(failed.structuredContent.error.message, /boom/);
+
+  const controller = new AbortController();
+  const running = call({ action: 'list' }, { signal: controller.signal });
+  await assert.rejects(call({ action: 'fail' }), (error) => error instanceof RateLimitError && error.data.concurrency === 1);
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(running, /cancelled/);
+
+  assert.equal((await call({ action: 'fail' })).isError, true);
+});
+
+test('address limits are per IP address, and addresses stay out of the per-principal metrics', () => {
+  const before = globalMetrics.getMetrics().rateLimits.byScope.address || 0;
+  checkAddressRate('OAuth client registrations', '203.0.113.7', '1/hour');
+  checkAddressRate('OAuth client registrations', '203.0.113.8', '1/hour');
+  assert.throws(() => checkAddressRate('OAuth client registrations', '203.0.113.7', '1/hour'), (error) => {
+    assert.equal(error.data.scope, 'address');
+    assert.equal(error.data.principal, 'ip:203.0.113.7');
+    return true;
+  });
+
+  const { byScope, byPrincipal } = globalMetrics.getMetrics().rateLimits;
+  assert.equal(byScope.address, before + 1);
+  assert.ok(!Object.keys(byPrincipal).some((principal) => principal.startsWith('ip:')));
+});
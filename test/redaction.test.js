@@ -0,0 +1,94 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describeRedaction, getRedactionRules, loadRedactionConfig, redactResult } from '../lib/redaction.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-redaction-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Redaction config from a file and environment-style values
+ * @param {Object} [file] - Contents of the redaction file
+ * @param {Object} [env] - MCP_REDACT_PATHS, MCP_REDACTION_EXEMPT, MCP_REDACTION_SALT
+ * @returns {Object} Config
+ */
+function redaction(file = {}, env = {}) {
+  const configFile = path.join(directory, 'redaction.json');
+  fs.writeFileSync(configFile, JSON.stringify(file));
+  return loadRedactionConfig({ MCP_REDACTION_FILE: configFile, ...env });
+}
+
+const order = {
+  order: {
+    id: 'order_1',
+    email: 'jane@example.com',
+    customer: { email: 'jane@example.com', phone: '+1 (555) 010-4477' },
+    shipping_address: { address_1: '1 Main St', city: 'Springfield' },
+    items: [{ title: 'Shirt', metadata: { gift_note: 'Happy birthday' } }]
+  }
+};
+
+test('** matches any depth, * one key or array index', () => {
+  const current = redaction({}, { MCP_REDACT_PATHS: '**.email,order.items.*.metadata' });
+  const redacted = redactResult(order, {}, current);
+
+  assert.equal(redacted.order.email, 'j***@example.com');
+  assert.equal(redacted.order.customer.email, 'j***@example.com');
+  assert.deepEqual(redacted.order.items[0].metadata, { gift_note: '***' });
+  assert.equal(redacted.order.items[0].title, 'Shirt');
+  assert.equal(redacted.order.id, 'order_1');
+
+  // `order.*.email` stops one level down
+  const shallow = redactResult(order, {}, redaction({}, { MCP_REDACT_PATHS: 'order.*.email' }));
+  assert.equal(shallow.order.email, 'jane@example.com');
+  assert.equal(shallow.order.customer.email, 'j***@example.com');
+});
+
+test('mask keeps a hint, hash is stable and salted, drop removes the key', () => {
+  const rules = '**.phone,**.email:hash,**.shipping_address:drop';
+  const redacted = redactResult(order, {}, redaction({}, { MCP_REDACT_PATHS: rules }));
+
+  assert.equal(redacted.order.customer.phone, '***4477');
+  assert.match(redacted.order.email, /^sha256:[0-9a-f]{16}$/);
+  assert.equal(redacted.order.email, redacted.order.customer.email);
+  assert.ok(!('shipping_address' in redacted.order));
+  assert.ok('shipping_address' in order.order);
+
+  const salted = redactResult(order, {}, redaction({}, { MCP_REDACT_PATHS: rules, MCP_REDACTION_SALT: 'pepper' }));
+  assert.match(salted.order.email, /^sha256:[0-9a-f]{16}$/);
+  assert.notEqual(salted.order.email, redacted.order.email);
+});
+
+test('a principal entry wins over its role, and a role entry over the defaults', () => {
+  const current = redaction({
+    rules: [{ path: '**.email' }],
+    principals: {
+      'role:support': { rules: [{ path: '**.phone', mode: 'hash' }] },
+      'token:helpdesk': { rules: [] }
+    }
+  });
+
+  assert.deepEqual(getRedactionRules({ principal: 'token:reports', role: 'viewer' }, current).map(({ path: rule }) => rule), ['**.email']);
+  assert.deepEqual(getRedactionRules({ principal: 'token:agent', role: 'support' }, current).map(({ path: rule }) => rule), ['**.phone']);
+  assert.deepEqual(getRedactionRules({ principal: 'token:helpdesk', role: 'support' }, current), []);
+
+  const support = redactResult(order, { principal: 'token:agent', role: 'support' }, current);
+  assert.equal(support.order.email, 'jane@example.com');
+  assert.match(support.order.customer.phone, /^sha256:/);
+});
+
+test('exempt callers see results unredacted', () => {
+  const current = redaction({ rules: [{ path: '**.email' }], exempt: ['local:*'] }, { MCP_REDACTION_EXEMPT: 'role:admin' });
+
+  assert.equal(redactResult(order, { principal: 'local:stdio' }, current), order);
+  assert.equal(redactResult(order, { principal: 'token:ops', role: 'admin' }, current), order);
+  assert.equal(redactResult(order, { principal: 'token:ops', role: 'viewer' }, current).order.email, 'j***@example.com');
+  assert.equal(describeRedaction(current), '1 rule, 2 exempt');
+});
+
+test('the config rejects unknown modes and a missing named file', () => {
+  assert.throws(() => redaction({}, { MCP_REDACT_PATHS: '**.email:scramble' }), /Invalid redaction mode "scramble"/);
+  assert.throws(() => loadRedactionConfig({ MCP_REDACTION_FILE: path.join(directory, 'missing.json') }), /Redaction file not found/);
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPolicy, PolicyError, setPolicy } from '../lib/policy.js';
+import { loadProfileConfig, setProfileConfig } from '../lib/profiles.js';
+import { listResources, listResourceTemplates, readResource } from '../lib/resources.js';
+import { ResourceWatcher } from '../lib/subscriptions.js';
+
+beforeEach(() => {
+  setPolicy(loadPolicy({ MCP_POLICY_FILE: '' }));
+  setProfileConfig(loadProfileConfig({
+    MEDUSA_PROFILES_FILE: '',
+    MEDUSA_PROFILE_MAIN_BASE_URL: 'http://main.test',
+    MEDUSA_PROFILE_MAIN_API_KEY: 'k1',
+    MEDUSA_DEFAULT_PROFILE: 'main'
+  }));
+});
+
+after(() => setPolicy(null));
+
+/**
+ * Answer Medusa requests with one customer
+ * @param {Object} t - Test context
+ * @returns {Array<string>} URLs fetched
+ */
+function stubMedusa(t) {
+  const urls = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    urls.push(String(url));
+    return new Response(JSON.stringify({ customer: { id: 'cus_1', email: 'jane@example.com' } }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  });
+  return urls;
+}
+
+test('a role that cannot use a tool cannot read its resources', async (t) => {
+  const urls = stubMedusa(t);
+  await assert.rejects(readResource('medusa://customers/cus_1', { role: 'merchandiser' }), (error) => {
+    assert.ok(error instanceof PolicyError);
+    assert.equal(error.code, -32003);
+    assert.equal(error.data.tool, 'manage_medusa_admin_customers');
+    assert.match(error.message, /role "merchandiser"/);
+    return true;
+  });
+  await assert.rejects(readResource('medusa://orders/order_1', { role: 'merchandiser' }), PolicyError);
+  assert.deepEqual(urls, []);
+
+  const read = await readResource('medusa://customers/cus_1', { role: 'support', principal: 'token:helpdesk' });
+  assert.equal(JSON.parse(read.contents[0].text).id, 'cus_1');
+  assert.equal(urls.length, 1);
+});
+
+test('resource lists leave out what the role cannot read', () => {
+  const templates = listResourceTemplates('merchandiser').resourceTemplates.map(({ name }) => name);
+  assert.ok(templates.includes('product'));
+  assert.ok(!templates.includes('customer'));
+  assert.ok(!templates.includes('order'));
+  assert.equal(listResourceTemplates('admin').resourceTemplates.length, listResourceTemplates().resourceTemplates.length);
+
+  assert.deepEqual(listResources('merchandiser').resources.map(({ name }) => name), ['regions', 'sales-channels', 'stock-locations']);
+});
+
+test('a server-wide deny hides the tool\'s resources from reads, lists and subscriptions', async (t) => {
+  setPolicy(loadPolicy({ MCP_POLICY_FILE: '', MCP_DENY_ACTIONS: 'manage_medusa_admin_customers' }));
+  const urls = stubMedusa(t);
+
+  await assert.rejects(readResource('medusa://customers/cus_1'), /denied by "manage_medusa_admin_customers"/);
+  assert.ok(!listResourceTemplates().resourceTemplates.some(({ name }) => name === 'customer'));
+
+  const watcher = new ResourceWatcher({ readResource, onUpdated: () => {} });
+  await assert.rejects(watcher.subscribe('s1', 'medusa://customers/cus_1', { role: 'admin' }), PolicyError);
+  assert.equal(watcher.watches.size, 0);
+  assert.deepEqual(urls, []);
+});
+
+test('subscriptions are checked against the subscriber\'s role', async (t) => {
+  stubMedusa(t);
+  const watcher = new ResourceWatcher({ readResource, onUpdated: () => {} });
+  t.after(() => watcher.unsubscribeAll('support'));
+
+  await watcher.subscribe('support', 'medusa://customers/cus_1', { role: 'support', principal: 'token:helpdesk' });
+  await assert.rejects(watcher.subscribe('catalog', 'medusa://customers/cus_1', { role: 'merchandiser', principal: 'token:catalog' }), PolicyError);
+  assert.deepEqual([...watcher.watches.values()].map(({ subscribers }) => [...subscribers]), [['support']]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResourceNotFoundError } from '../lib/resources.js';
+import { StoreAccessError } from '../lib/profiles.js';
+import { getResourceVersion, ResourceWatcher } from '../lib/subscriptions.js';
+
+/**
+ * Watcher over an in-memory set of resources; `?store=` must match a locked binding
+ * @returns {{ watcher: ResourceWatcher, data: Object, reads: Array<string>, updates: Array<string> }} Watcher and its log
+ */
+function createWatcher() {
+  const data = { 'medusa://regions/reg_1': { id: 'reg_1', updated_at: '2026-01-01' }, 'medusa://regions': [{ id: 'reg_1' }] };
+  const reads = [];
+  const updates = [];
+  const readResource = async (uri, { store, storeLocked }) => {
+    const [path, query = ''] = uri.split('?');
+    const requested = new URLSearchParams(query).get('store');
+    if (storeLocked && requested && requested !== store) {
+      throw new StoreAccessError(`This token is bound to store "${store}" and cannot access "${requested}"`);
+    }
+    reads.push(`${store || ''}:${path}`);
+    if (!(path in data)) {
+      throw new ResourceNotFoundError(uri);
+    }
+    return { contents: [{ uri, text: JSON.stringify(data[path]) }] };
+  };
+  const watcher = new ResourceWatcher({ readResource, onUpdated: (subscriber, uri) => updates.push(`${subscriber} ${uri}`), interval: 60000 });
+  return { watcher, data, reads, updates };
+}
+
+test('resource versions use updated_at, else a hash of the content', () => {
+  assert.equal(getResourceVersion({ contents: [{ text: '{"updated_at":"2026-01-01"}' }] }), '2026-01-01');
+  assert.match(getResourceVersion({ contents: [{ text: '[1,2]' }] }), /^[0-9a-f]{40}$/);
+});
+
+test('changes and deletions notify every subscriber, with one read per watched resource', async (t) => {
+  const { watcher, data, reads, updates } = createWatcher();
+  t.after(() => {
+    watcher.unsubscribeAll('a');
+    watcher.unsubscribeAll('b');
+  });
+  await watcher.subscribe('a', 'medusa://regions/reg_1');
+  await watcher.subscribe('b', 'medusa://regions/reg_1');
+  await watcher.subscribe('a', 'medusa://regions');
+  reads.length = 0;
+
+  await watcher.poll();
+  assert.deepEqual(updates, []);
+  assert.equal(reads.length, 2);
+
+  data['medusa://regions/reg_1'] = { id: 'reg_1', updated_at: '2026-02-01' };
+  data['medusa://regions'].push({ id: 'reg_2' });
+  await watcher.poll();
+  assert.deepEqual(updates.sort(), ['a medusa://regions', 'a medusa://regions/reg_1', 'b medusa://regions/reg_1']);
+
+  updates.length = 0;
+  delete data['medusa://regions/reg_1'];
+  watcher.unsubscribe('b', 'medusa://regions/reg_1');
+  await watcher.poll();
+  assert.deepEqual(updates, ['a medusa://regions/reg_1']);
+});
+
+test('unknown resources cannot be subscribed to, and the last unsubscribe stops polling', async () => {
+  const { watcher } = createWatcher();
+  await assert.rejects(watcher.subscribe('a', 'medusa://orders/nope'), ResourceNotFoundError);
+  await watcher.subscribe('a', 'medusa://regions');
+  assert.ok(watcher.timer);
+  watcher.unsubscribeAll('a');
+  assert.equal(watcher.timer, null);
+  assert.equal(watcher.watches.size, 0);
+});
+
+test('a store-locked session cannot join a watch on a store it may not read', async (t) => {
+  const { watcher, reads } = createWatcher();
+  t.after(() => watcher.unsubscribeAll('open'));
+  await watcher.subscribe('open', 'medusa://regions?store=main');
+
+  await assert.rejects(
+    watcher.subscribe('locked', 'medusa://regions?store=main', { store: 'eu', storeLocked: true }),
+    StoreAccessError
+  );
+  assert.equal([...watcher.watches.values()].some((watch) => watch.subscribers.has('locked')), false);
+
+  // A subscriber joining an existing watch still reads the resource itself
+  await watcher.subscribe('open', 'medusa://regions?store=main');
+  assert.equal(reads.length, 2);
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveBearerToken } from '../lib/auth.js';
+import { loadProfileConfig, setProfileConfig } from '../lib/profiles.js';
+import { createToken, describeTokens, loadTokenRegistry, setTokenRegistry } from '../lib/tokens.js';
+import { authMiddleware } from '../server/middleware/auth.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tokens-'));
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  setTokenRegistry(null);
+});
+
+const tomorrow = new Date(Date.now() + 86400000).toISOString();
+const yesterday = new Date(Date.now() - 86400000).toISOString();
+
+const helpdesk = createToken({ name: 'helpdesk', role: 'support', store: 'eu', expiresAt: tomorrow });
+const reports = createToken({ name: 'reports', role: 'viewer' });
+const retired = createToken({ name: 'retired', role: 'admin', expiresAt: yesterday });
+
+/**
+ * Write a registry file and load it
+ * @param {Array<Object>} tokens - Registry entries
+ * @returns {Object} Compiled registry
+ */
+function loadRegistry(tokens) {
+  const file = path.join(directory, 'tokens.json');
+  fs.writeFileSync(file, JSON.stringify({ tokens }));
+  return loadTokenRegistry({ MCP_TOKENS_FILE: file });
+}
+
+beforeEach(() => {
+  setProfileConfig(loadProfileConfig({
+    MEDUSA_PROFILES_FILE: '',
+    MEDUSA_PROFILE_MAIN_BASE_URL: 'http://main.test',
+    MEDUSA_PROFILE_MAIN_API_KEY: 'k1',
+    MEDUSA_PROFILE_EU_BASE_URL: 'http://eu.test',
+    MEDUSA_PROFILE_EU_API_KEY: 'k2',
+    MEDUSA_PROFILE_EU_AUTH_TOKEN: 'eu-profile-token',
+    MEDUSA_DEFAULT_PROFILE: 'main'
+  }));
+  setTokenRegistry(loadRegistry([helpdesk.entry, reports.entry, retired.entry]));
+});
+
+test('registry tokens resolve to their name, role and bound store', () => {
+  assert.deepEqual(resolveBearerToken(helpdesk.token), {
+    principal: 'token:helpdesk',
+    role: 'support',
+    store: 'eu',
+    expiresAt: Date.parse(tomorrow)
+  });
+  assert.deepEqual(resolveBearerToken(reports.token), { principal: 'token:reports', role: 'viewer' });
+  assert.deepEqual(resolveBearerToken('eu-profile-token'), { principal: 'profile:eu', role: 'admin', store: 'eu' });
+  assert.deepEqual(resolveBearerToken('mcp_unknown'), { error: 'invalid' });
+});
+
+test('an expired token is refused, and counted as expired', () => {
+  assert.deepEqual(resolveBearerToken(retired.token), { error: 'expired' });
+  assert.equal(describeTokens(), '3 tokens (1 expired)');
+});
+
+test('the registry rejects malformed entries', () => {
+  assert.throws(() => loadRegistry([{ ...reports.entry, role: 'owner' }]), /invalid role "owner"/);
+  assert.throws(() => loadRegistry([{ ...reports.entry, hash: 'sha256:abc' }]), /64 hex digits/);
+  assert.throws(() => loadRegistry([{ ...reports.entry, expires_at: 'soon' }]), /invalid expires_at "soon"/);
+  assert.throws(() => loadRegistry([reports.entry, reports.entry]), /Duplicate token name "reports"/);
+});
+
+/**
+ * Run the auth middleware on a request with a bearer token
+ * @param {string} token - Bearer token
+ * @returns {Promise<{ req: Object, status?: number, body?: Object, passed: boolean }>} Outcome
+ */
+async function authenticate(token) {
+  const outcome = { req: { path: '/mcp', method: 'POST', headers: { authorization: `Bearer ${token}` } }, passed: false };
+  const res = {
+    setHeader() {},
+    status(status) {
+      outcome.status = status;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  await authMiddleware(outcome.req, res, () => { outcome.passed = true; });
+  return outcome;
+}
+
+test('the HTTP middleware locks bound tokens to their store and refuses expired ones', async () => {
+  const bound = await authenticate(helpdesk.token);
+  assert.equal(bound.passed, true);
+  assert.equal(bound.req.mcpStore, 'eu');
+  assert.equal(bound.req.mcpPrincipal, 'token:helpdesk');
+  assert.equal(bound.req.mcpRole, 'support');
+
+  const unbound = await authenticate(reports.token);
+  assert.equal(unbound.passed, true);
+  assert.equal(unbound.req.mcpStore, undefined);
+
+  const expired = await authenticate(retired.token);
+  assert.equal(expired.passed, false);
+  assert.equal(expired.status, 401);
+  assert.equal(expired.body.message, 'Token expired');
+});
@@ -0,0 +1,82 @@
+// lib/tools.js first: it and lib/monitoring.js import each other
+import '../lib/tools.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolInputError } from '../lib/action-schemas.js';
+import { ConfirmationError } from '../lib/confirmation.js';
+import { MedusaAuthError } from '../lib/medusa-auth.js';
+import { MedusaApiError } from '../lib/medusa-client.js';
+import { PolicyError } from '../lib/policy.js';
+import { classifyToolError, toToolErrorResult } from '../lib/tool-errors.js';
+
+/**
+ * Medusa error response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - Response body
+ * @returns {MedusaApiError} Error
+ */
+function apiError(status, body = { message: 'failed' }) {
+  return new MedusaApiError(status, body, { method: 'GET', url: 'http://medusa.test/admin/orders/order_1' });
+}
+
+test('Medusa statuses map to codes, and only transient ones are retryable', () => {
+  const classify = (status) => {
+    const { code, retryable } = classifyToolError(apiError(status));
+    return [code, retryable];
+  };
+  assert.deepEqual(classify(404), ['NOT_FOUND', false]);
+  assert.deepEqual(classify(401), ['AUTH', false]);
+  assert.deepEqual(classify(403), ['AUTH', false]);
+  assert.deepEqual(classify(409), ['CONFLICT', false]);
+  assert.deepEqual(classify(422), ['VALIDATION', false]);
+  assert.deepEqual(classify(429), ['RATE_LIMITED', true]);
+  assert.deepEqual(classify(500), ['UPSTREAM_UNAVAILABLE', true]);
+  assert.deepEqual(classify(503), ['UPSTREAM_UNAVAILABLE', true]);
+});
+
+test('Medusa errors keep their status and body', () => {
+  const body = { type: 'not_found', message: 'Order with id: order_1 was not found' };
+  assert.deepEqual(classifyToolError(apiError(404, body)), {
+    code: 'NOT_FOUND',
+    status: 404,
+    body,
+    message: `HTTP 404: ${JSON.stringify(body)}`,
+    retryable: false
+  });
+});
+
+test('a fetch network failure is an unavailable upstream, with its cause', () => {
+  const error = new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+  assert.deepEqual(classifyToolError(error), {
+    code: 'UPSTREAM_UNAVAILABLE',
+    details: { cause: 'ECONNREFUSED' },
+    message: 'fetch failed',
+    retryable: true
+  });
+
+  // A TypeError from a bug in the tool is not
+  assert.equal(classifyToolError(new TypeError('Cannot read properties of undefined')).code, 'INTERNAL');
+});
+
+test('policy, confirmation and input errors carry their details', () => {
+  const denied = classifyToolError(new PolicyError('Denied', { tool: 'manage_medusa_admin_orders', action: 'cancel', reason: 'read-only' }));
+  assert.equal(denied.code, 'POLICY_DENIED');
+  assert.deepEqual(denied.details, { tool: 'manage_medusa_admin_orders', action: 'cancel', reason: 'read-only' });
+  assert.equal(denied.retryable, false);
+
+  const pending = classifyToolError(new ConfirmationError('Confirm first', { summary: 'Delete order_1', confirmation_token: 'ct_1' }));
+  assert.equal(pending.code, 'CONFIRMATION_REQUIRED');
+  assert.equal(pending.details.confirmation_token, 'ct_1');
+  assert.equal(classifyToolError(new ConfirmationError('Declined', { summary: 'Delete order_1' }, true)).code, 'CONFIRMATION_DECLINED');
+
+  assert.deepEqual(classifyToolError(new ToolInputError('Missing id', { missing: ['id'] })).details, { missing: ['id'] });
+  assert.deepEqual(classifyToolError(new MedusaAuthError('Login failed', 401)), { code: 'AUTH', status: 401, message: 'Login failed', retryable: false });
+  assert.equal(classifyToolError('boom').message, 'boom');
+});
+
+test('the isError result carries the classification as text and structured content', () => {
+  const result = toToolErrorResult(apiError(409));
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, 'CONFLICT');
+  assert.deepEqual(JSON.parse(result.content[0].text), result.structuredContent);
+});
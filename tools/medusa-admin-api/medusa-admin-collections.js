@@ -3,43 +3,17 @@
  * Supports CRUD operations for product collections
  */
 
-import { Buffer } from "buffer";
-
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-// Utility function to create proper headers for Medusa API
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-// Utility function to make API requests
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
+import { processInBatches } from "../../lib/progress.js";
 
 /**
  * Main function to handle all collection-related operations.
  *
  * @param {Object} args - Arguments object.
  * @param {string} args.action - The action to perform.
+ * @param {Object} [context] - Execution context.
+ * @param {MedusaClient} [context.client] - Client to use instead of the default one.
  * @param {string} [args.id] - Collection ID (required for get, update, delete operations).
  * @param {number} [args.limit=20] - Maximum number of items to return.
  * @param {number} [args.offset=0] - Number of items to skip.
@@ -51,77 +25,60 @@ async function makeRequest(url, options = {}) {
  * @param {string} [args.updated_at] - Filter by update date.
  * @param {Array} [args.product_ids] - Product IDs to add/remove from collection.
  */
-async function handleCollectionsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const cleanBaseUrl = baseUrl;
-  const headers = createHeaders(apiKey);
+async function handleCollectionsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list':
-      return await listCollections(cleanBaseUrl, headers, args);
+      return await listCollections(client, args);
     case 'get':
-      return await getCollection(cleanBaseUrl, headers, args);
+      return await getCollection(client, args);
     case 'create':
-      return await createCollection(cleanBaseUrl, headers, args);
+      return await createCollection(client, args);
     case 'update':
-      return await updateCollection(cleanBaseUrl, headers, args);
+      return await updateCollection(client, args);
     case 'delete':
-      return await deleteCollection(cleanBaseUrl, headers, args);
+      return await deleteCollection(client, args);
     case 'add_products':
-      return await addProductsToCollection(cleanBaseUrl, headers, args);
+      return await addProductsToCollection(client, args, context);
     case 'remove_products':
-      return await removeProductsFromCollection(cleanBaseUrl, headers, args);
+      return await removeProductsFromCollection(client, args, context);
     case 'list_products':
-      return await listCollectionProducts(cleanBaseUrl, headers, args);
+      return await listCollectionProducts(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Collection operations
-async function listCollections(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-  if (args.title) params.append('title', args.title);
-  if (args.handle) params.append('handle', args.handle);
-  if (args.created_at) params.append('created_at', args.created_at);
-  if (args.updated_at) params.append('updated_at', args.updated_at);
-
-  const url = `${baseUrl}/admin/collections?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listCollections(client, args) {
+  return await client.get('/admin/collections', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q,
+    title: args.title,
+    handle: args.handle,
+    created_at: args.created_at,
+    updated_at: args.updated_at
+  });
 }
 
-async function getCollection(baseUrl, headers, args) {
+async function getCollection(client, args) {
   if (!args.id) throw new Error('Collection ID is required');
-  const url = `${baseUrl}/admin/collections/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/collections/${args.id}`);
 }
 
-async function createCollection(baseUrl, headers, args) {
+async function createCollection(client, args) {
   if (!args.title) throw new Error('Collection title is required');
   
   const collectionData = { title: args.title };
   if (args.handle) collectionData.handle = args.handle;
   if (args.metadata) collectionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/collections`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(collectionData)
-  });
+  return await client.post('/admin/collections', collectionData);
 }
 
-async function updateCollection(baseUrl, headers, args) {
+async function updateCollection(client, args) {
   if (!args.id) throw new Error('Collection ID is required');
   
   const collectionData = {};
@@ -129,57 +86,50 @@ async function updateCollection(baseUrl, headers, args) {
   if (args.handle) collectionData.handle = args.handle;
   if (args.metadata) collectionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/collections/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(collectionData)
-  });
+  return await client.post(`/admin/collections/${args.id}`, collectionData);
 }
 
-async function deleteCollection(baseUrl, headers, args) {
+async function deleteCollection(client, args) {
   if (!args.id) throw new Error('Collection ID is required');
-  const url = `${baseUrl}/admin/collections/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/collections/${args.id}`);
 }
 
-async function addProductsToCollection(baseUrl, headers, args) {
+async function addProductsToCollection(client, args, context) {
   if (!args.id) throw new Error('Collection ID is required');
   if (!args.product_ids || !Array.isArray(args.product_ids)) {
     throw new Error('Product IDs array is required');
   }
 
-  const url = `${baseUrl}/admin/collections/${args.id}/products`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ product_ids: args.product_ids })
-  });
+  // Large lists are split into batches when the caller asked for progress notifications
+  const results = await processInBatches(
+    args.product_ids,
+    (product_ids) => client.post(`/admin/collections/${args.id}/products`, { product_ids }),
+    { onProgress: context.onProgress, signal: context.signal }
+  );
+  return results[results.length - 1];
 }
 
-async function removeProductsFromCollection(baseUrl, headers, args) {
+async function removeProductsFromCollection(client, args, context) {
   if (!args.id) throw new Error('Collection ID is required');
   if (!args.product_ids || !Array.isArray(args.product_ids)) {
     throw new Error('Product IDs array is required');
   }
 
-  const url = `${baseUrl}/admin/collections/${args.id}/products`;
-  return await makeRequest(url, {
-    method: 'DELETE',
-    headers,
-    body: JSON.stringify({ product_ids: args.product_ids })
-  });
+  const results = await processInBatches(
+    args.product_ids,
+    (product_ids) => client.delete(`/admin/collections/${args.id}/products`, { product_ids }),
+    { onProgress: context.onProgress, signal: context.signal }
+  );
+  return results[results.length - 1];
 }
 
-async function listCollectionProducts(baseUrl, headers, args) {
+async function listCollectionProducts(client, args) {
   if (!args.id) throw new Error('Collection ID is required');
   
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/collections/${args.id}/products?${params.toString()}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/collections/${args.id}/products`, {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
 export const apiTool = {
@@ -240,6 +190,23 @@ export const apiTool = {
         }
       },
       required: ['action']
+    },
+    actions: {
+      list: {
+        optional: ['limit', 'offset', 'q', 'title', 'handle', 'created_at', 'updated_at'],
+        output: listOutput('collections')
+      },
+      get: { required: ['id'], output: entityOutput('collection') },
+      create: { required: ['title'], optional: ['handle', 'metadata'], output: entityOutput('collection') },
+      update: { required: ['id'], optional: ['title', 'handle', 'metadata'], output: entityOutput('collection') },
+      delete: { required: ['id'], output: deleteOutput() },
+      add_products: {
+        required: ['id', 'product_ids'],
+        annotations: { idempotentHint: true }, // a product already in the collection stays there once
+        output: entityOutput('collection')
+      },
+      remove_products: { required: ['id', 'product_ids'] },
+      list_products: { required: ['id'], optional: ['limit', 'offset'] }
     }
   },
   function: handleCollectionsOperation
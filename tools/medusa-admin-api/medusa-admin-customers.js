@@ -3,43 +3,16 @@
  * Supports CRUD operations for customers, customer groups, and addresses
  */
 
-import { Buffer } from "buffer";
-
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-// Utility function to create proper headers for Medusa API
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-// Utility function to make API requests
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
 /**
  * Main function to handle all customer-related operations.
  *
  * @param {Object} args - Arguments object.
  * @param {string} args.action - The action to perform.
+ * @param {Object} [context] - Execution context.
+ * @param {MedusaClient} [context.client] - Client to use instead of the default one.
  * @param {string} [args.id] - Customer ID (required for get, update, delete operations).
  * @param {string} [args.group_id] - Customer group ID.
  * @param {string} [args.address_id] - Address ID.
@@ -57,82 +30,70 @@ async function makeRequest(url, options = {}) {
  * @param {string} [args.group_name] - Customer group name.
  * @param {Object} [args.group_metadata] - Customer group metadata.
  */
-async function handleCustomersOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const cleanBaseUrl = baseUrl;
-  const headers = createHeaders(apiKey);
+async function handleCustomersOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list':
-      return await listCustomers(cleanBaseUrl, headers, args);
+      return await listCustomers(client, args);
     case 'get':
-      return await getCustomer(cleanBaseUrl, headers, args);
+      return await getCustomer(client, args);
     case 'create':
-      return await createCustomer(cleanBaseUrl, headers, args);
+      return await createCustomer(client, args);
     case 'update':
-      return await updateCustomer(cleanBaseUrl, headers, args);
+      return await updateCustomer(client, args);
     case 'delete':
-      return await deleteCustomer(cleanBaseUrl, headers, args);
+      return await deleteCustomer(client, args);
     case 'list_addresses':
-      return await listCustomerAddresses(cleanBaseUrl, headers, args);
+      return await listCustomerAddresses(client, args);
     case 'get_address':
-      return await getCustomerAddress(cleanBaseUrl, headers, args);
+      return await getCustomerAddress(client, args);
     case 'create_address':
-      return await createCustomerAddress(cleanBaseUrl, headers, args);
+      return await createCustomerAddress(client, args);
     case 'update_address':
-      return await updateCustomerAddress(cleanBaseUrl, headers, args);
+      return await updateCustomerAddress(client, args);
     case 'delete_address':
-      return await deleteCustomerAddress(cleanBaseUrl, headers, args);
+      return await deleteCustomerAddress(client, args);
     case 'list_groups':
-      return await listCustomerGroups(cleanBaseUrl, headers, args);
+      return await listCustomerGroups(client, args);
     case 'get_group':
-      return await getCustomerGroup(cleanBaseUrl, headers, args);
+      return await getCustomerGroup(client, args);
     case 'create_group':
-      return await createCustomerGroup(cleanBaseUrl, headers, args);
+      return await createCustomerGroup(client, args);
     case 'update_group':
-      return await updateCustomerGroup(cleanBaseUrl, headers, args);
+      return await updateCustomerGroup(client, args);
     case 'delete_group':
-      return await deleteCustomerGroup(cleanBaseUrl, headers, args);
+      return await deleteCustomerGroup(client, args);
     case 'add_to_group':
-      return await addCustomerToGroup(cleanBaseUrl, headers, args);
+      return await addCustomerToGroup(client, args);
     case 'remove_from_group':
-      return await removeCustomerFromGroup(cleanBaseUrl, headers, args);
+      return await removeCustomerFromGroup(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Customer operations
-async function listCustomers(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-  if (args.email) params.append('email', args.email);
-  if (args.first_name) params.append('first_name', args.first_name);
-  if (args.last_name) params.append('last_name', args.last_name);
-  if (args.phone) params.append('phone', args.phone);
-  if (args.created_at) params.append('created_at', args.created_at);
-  if (args.updated_at) params.append('updated_at', args.updated_at);
-
-  const url = `${baseUrl}/admin/customers?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listCustomers(client, args) {
+  return await client.get('/admin/customers', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q,
+    email: args.email,
+    first_name: args.first_name,
+    last_name: args.last_name,
+    phone: args.phone,
+    created_at: args.created_at,
+    updated_at: args.updated_at
+  });
 }
 
-async function getCustomer(baseUrl, headers, args) {
+async function getCustomer(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
-  const url = `${baseUrl}/admin/customers/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/customers/${args.id}`);
 }
 
-async function createCustomer(baseUrl, headers, args) {
+async function createCustomer(client, args) {
   if (!args.email) throw new Error('Customer email is required');
   
   const customerData = { email: args.email };
@@ -141,15 +102,10 @@ async function createCustomer(baseUrl, headers, args) {
   if (args.phone) customerData.phone = args.phone;
   if (args.metadata) customerData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/customers`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(customerData)
-  });
+  return await client.post('/admin/customers', customerData);
 }
 
-async function updateCustomer(baseUrl, headers, args) {
+async function updateCustomer(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   
   const customerData = {};
@@ -159,144 +115,100 @@ async function updateCustomer(baseUrl, headers, args) {
   if (args.phone) customerData.phone = args.phone;
   if (args.metadata) customerData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/customers/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(customerData)
-  });
+  return await client.post(`/admin/customers/${args.id}`, customerData);
 }
 
-async function deleteCustomer(baseUrl, headers, args) {
+async function deleteCustomer(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
-  const url = `${baseUrl}/admin/customers/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/customers/${args.id}`);
 }
 
 // Customer address operations
-async function listCustomerAddresses(baseUrl, headers, args) {
+async function listCustomerAddresses(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/customers/${args.id}/addresses?${params.toString()}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/customers/${args.id}/addresses`, {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getCustomerAddress(baseUrl, headers, args) {
+async function getCustomerAddress(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   if (!args.address_id) throw new Error('Address ID is required');
-  const url = `${baseUrl}/admin/customers/${args.id}/addresses/${args.address_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/customers/${args.id}/addresses/${args.address_id}`);
 }
 
-async function createCustomerAddress(baseUrl, headers, args) {
+async function createCustomerAddress(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   if (!args.address_data) throw new Error('Address data is required');
 
-  const url = `${baseUrl}/admin/customers/${args.id}/addresses`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(args.address_data)
-  });
+  return await client.post(`/admin/customers/${args.id}/addresses`, args.address_data);
 }
 
-async function updateCustomerAddress(baseUrl, headers, args) {
+async function updateCustomerAddress(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   if (!args.address_id) throw new Error('Address ID is required');
   if (!args.address_data) throw new Error('Address data is required');
 
-  const url = `${baseUrl}/admin/customers/${args.id}/addresses/${args.address_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(args.address_data)
-  });
+  return await client.post(`/admin/customers/${args.id}/addresses/${args.address_id}`, args.address_data);
 }
 
-async function deleteCustomerAddress(baseUrl, headers, args) {
+async function deleteCustomerAddress(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   if (!args.address_id) throw new Error('Address ID is required');
-  const url = `${baseUrl}/admin/customers/${args.id}/addresses/${args.address_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/customers/${args.id}/addresses/${args.address_id}`);
 }
 
 // Customer group operations
-async function listCustomerGroups(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/customer-groups?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listCustomerGroups(client, args) {
+  return await client.get('/admin/customer-groups', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getCustomerGroup(baseUrl, headers, args) {
+async function getCustomerGroup(client, args) {
   if (!args.group_id) throw new Error('Customer group ID is required');
-  const url = `${baseUrl}/admin/customer-groups/${args.group_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/customer-groups/${args.group_id}`);
 }
 
-async function createCustomerGroup(baseUrl, headers, args) {
+async function createCustomerGroup(client, args) {
   if (!args.group_name) throw new Error('Customer group name is required');
   
   const groupData = { name: args.group_name };
   if (args.group_metadata) groupData.metadata = args.group_metadata;
 
-  const url = `${baseUrl}/admin/customer-groups`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(groupData)
-  });
+  return await client.post('/admin/customer-groups', groupData);
 }
 
-async function updateCustomerGroup(baseUrl, headers, args) {
+async function updateCustomerGroup(client, args) {
   if (!args.group_id) throw new Error('Customer group ID is required');
   
   const groupData = {};
   if (args.group_name) groupData.name = args.group_name;
   if (args.group_metadata) groupData.metadata = args.group_metadata;
 
-  const url = `${baseUrl}/admin/customer-groups/${args.group_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(groupData)
-  });
+  return await client.post(`/admin/customer-groups/${args.group_id}`, groupData);
 }
 
-async function deleteCustomerGroup(baseUrl, headers, args) {
+async function deleteCustomerGroup(client, args) {
   if (!args.group_id) throw new Error('Customer group ID is required');
-  const url = `${baseUrl}/admin/customer-groups/${args.group_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/customer-groups/${args.group_id}`);
 }
 
-async function addCustomerToGroup(baseUrl, headers, args) {
+async function addCustomerToGroup(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   if (!args.group_id) throw new Error('Customer group ID is required');
   
-  const url = `${baseUrl}/admin/customer-groups/${args.group_id}/customers`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ customer_ids: [args.id] })
-  });
+  return await client.post(`/admin/customer-groups/${args.group_id}/customers`, { customer_ids: [args.id] });
 }
 
-async function removeCustomerFromGroup(baseUrl, headers, args) {
+async function removeCustomerFromGroup(client, args) {
   if (!args.id) throw new Error('Customer ID is required');
   if (!args.group_id) throw new Error('Customer group ID is required');
   
-  const url = `${baseUrl}/admin/customer-groups/${args.group_id}/customers`;
-  return await makeRequest(url, {
-    method: 'DELETE',
-    headers,
-    body: JSON.stringify({ customer_ids: [args.id] })
-  });
+  return await client.delete(`/admin/customer-groups/${args.group_id}/customers`, { customer_ids: [args.id] });
 }
 
 export const apiTool = {
@@ -382,6 +294,44 @@ export const apiTool = {
         }
       },
       required: ['action']
+    },
+    actions: {
+      list: {
+        optional: ['limit', 'offset', 'q', 'email', 'first_name', 'last_name', 'phone', 'created_at', 'updated_at'],
+        output: listOutput('customers')
+      },
+      get: { required: ['id'], output: entityOutput('customer') },
+      create: {
+        required: ['email'],
+        optional: ['first_name', 'last_name', 'phone', 'metadata'],
+        output: entityOutput('customer')
+      },
+      update: {
+        required: ['id'],
+        optional: ['email', 'first_name', 'last_name', 'phone', 'metadata'],
+        output: entityOutput('customer')
+      },
+      delete: { required: ['id'], output: deleteOutput() },
+      list_addresses: { required: ['id'], optional: ['limit', 'offset'], output: listOutput('addresses', 'address') },
+      get_address: { required: ['id', 'address_id'], output: entityOutput('address') },
+      create_address: { required: ['id', 'address_data'] },
+      update_address: { required: ['id', 'address_id', 'address_data'] },
+      delete_address: { required: ['id', 'address_id'], output: deleteOutput() },
+      list_groups: { optional: ['limit', 'offset', 'q'], output: listOutput('customer_groups') },
+      get_group: { required: ['group_id'], output: entityOutput('customer_group') },
+      create_group: { required: ['group_name'], optional: ['group_metadata'], output: entityOutput('customer_group') },
+      update_group: {
+        required: ['group_id'],
+        optional: ['group_name', 'group_metadata'],
+        output: entityOutput('customer_group')
+      },
+      delete_group: { required: ['group_id'], output: deleteOutput() },
+      add_to_group: {
+        required: ['id', 'group_id'],
+        annotations: { idempotentHint: true }, // group membership is a set
+        output: entityOutput('customer_group')
+      },
+      remove_from_group: { required: ['id', 'group_id'] }
     }
   },
   function: handleCustomersOperation
@@ -3,41 +3,13 @@
  * Supports CRUD operations and cart-like functionality for draft orders using optimized fetch approach
  */
 
-import { Buffer } from "buffer";
-
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-// Utility function to create proper headers for Medusa API
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-// Utility function to make API requests
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, resultOutput } from "../../lib/output-schemas.js";
 
 /**
  * Function to create a new draft order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for creating a draft order.
  * @param {string} [args.status] - Draft order status.
  * @param {string} [args.email] - Customer email.
@@ -51,185 +23,92 @@ async function makeRequest(url, options = {}) {
  * @param {Object} [args.metadata] - Additional metadata.
  * @returns {Promise<Object>} - The result of the draft order creation.
  */
-const createDraftOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
-  try {
-    const url = `${baseUrl}/admin/draft-orders`;
-    
-    // Remove undefined values
-    const draftOrderData = { ...args };
-    Object.keys(draftOrderData).forEach(key => 
-      draftOrderData[key] === undefined && delete draftOrderData[key]
-    );
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey),
-      body: JSON.stringify(draftOrderData)
-    });
-    
-    return { success: true, draft_order: data };
-  } catch (error) {
-    console.error('Error creating draft order:', error);
-    return { error: `An error occurred while creating the draft order: ${error.message}` };
-  }
+const createDraftOrder = async (client, args) => {
+  // Remove undefined values
+  const draftOrderData = { ...args };
+  Object.keys(draftOrderData).forEach(key => 
+    draftOrderData[key] === undefined && delete draftOrderData[key]
+  );
+
+  const data = await client.post('/admin/draft-orders', draftOrderData);
+  
+  return { success: true, draft_order: data };
 };
 
 /**
  * Function to list draft orders with filtering and pagination.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for listing draft orders.
  * @param {number} [args.limit=20] - Maximum number of draft orders to return.
  * @param {number} [args.offset=0] - Number of draft orders to skip.
  * @param {string} [args.q] - Query string for search.
  * @returns {Promise<Object>} - The result of the draft orders listing.
  */
-const listDraftOrders = async (args = {}) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
-  try {
-    const url = new URL(`${baseUrl}/admin/draft-orders`);
-    
-    // Add query parameters
-    Object.keys(args).forEach(key => {
-      if (args[key] !== undefined && args[key] !== null) {
-        url.searchParams.append(key, args[key]);
-      }
-    });
-
-    const data = await makeRequest(url.toString(), {
-      method: 'GET',
-      headers: createHeaders(apiKey)
-    });
-    
-    return data;
-  } catch (error) {
-    console.error('Error listing draft orders:', error);
-    return { error: `An error occurred while listing draft orders: ${error.message}` };
-  }
+const listDraftOrders = async (client, args = {}) => {
+  const data = await client.get('/admin/draft-orders', args);
+  
+  return data;
 };
 
 /**
  * Function to get a specific draft order by ID.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for retrieving a draft order.
  * @param {string} args.id - Draft order ID (required).
  * @returns {Promise<Object>} - The result of the draft order retrieval.
  */
-const getDraftOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const getDraftOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Draft order ID is required.' };
+    throw new Error('Draft order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/draft-orders/${args.id}`;
-
-    const data = await makeRequest(url, {
-      method: 'GET',
-      headers: createHeaders(apiKey)
-    });
-    
-    return data;
-  } catch (error) {
-    console.error('Error retrieving draft order:', error);
-    return { error: `An error occurred while retrieving the draft order: ${error.message}` };
-  }
+  const data = await client.get(`/admin/draft-orders/${args.id}`);
+  
+  return data;
 };
 
 /**
  * Function to delete a draft order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for deleting a draft order.
  * @param {string} args.id - Draft order ID (required).
  * @returns {Promise<Object>} - The result of the draft order deletion.
  */
-const deleteDraftOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const deleteDraftOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Draft order ID is required.' };
+    throw new Error('Draft order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/draft-orders/${args.id}`;
-
-    const data = await makeRequest(url, {
-      method: 'DELETE',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Draft order deleted successfully', draft_order: data };
-  } catch (error) {
-    console.error('Error deleting draft order:', error);
-    return { error: `An error occurred while deleting the draft order: ${error.message}` };
-  }
+  const data = await client.delete(`/admin/draft-orders/${args.id}`);
+  
+  return { success: true, message: 'Draft order deleted successfully', draft_order: data };
 };
 
 /**
  * Function to convert a draft order to a regular order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for converting a draft order.
  * @param {string} args.id - Draft order ID (required).
  * @returns {Promise<Object>} - The result of the draft order conversion.
  */
-const convertDraftOrderToOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const convertDraftOrderToOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Draft order ID is required.' };
+    throw new Error('Draft order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/draft-orders/${args.id}/complete`;
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Draft order converted to order successfully', order: data };
-  } catch (error) {
-    console.error('Error converting draft order:', error);
-    return { error: `An error occurred while converting the draft order: ${error.message}` };
-  }
+  const data = await client.post(`/admin/draft-orders/${args.id}/complete`);
+  
+  return { success: true, message: 'Draft order converted to order successfully', order: data };
 };
 
 /**
  * Function to add a line item to a draft order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for adding a line item.
  * @param {string} args.id - Draft order ID (required).
  * @param {string} args.variant_id - Product variant ID (required).
@@ -237,52 +116,34 @@ const convertDraftOrderToOrder = async (args) => {
  * @param {Object} [args.metadata] - Item metadata.
  * @returns {Promise<Object>} - The result of adding the line item.
  */
-const addLineItem = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const addLineItem = async (client, args) => {
   if (!args.id) {
-    return { error: 'Draft order ID is required.' };
+    throw new Error('Draft order ID is required.');
   }
 
   if (!args.variant_id) {
-    return { error: 'Product variant ID is required.' };
+    throw new Error('Product variant ID is required.');
   }
 
   if (!args.quantity) {
-    return { error: 'Quantity is required.' };
+    throw new Error('Quantity is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/draft-orders/${args.id}/line-items`;
-    
-    const itemData = {
-      variant_id: args.variant_id,
-      quantity: args.quantity,
-      ...(args.metadata && { metadata: args.metadata })
-    };
+  const itemData = {
+    variant_id: args.variant_id,
+    quantity: args.quantity,
+    ...(args.metadata && { metadata: args.metadata })
+  };
 
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey),
-      body: JSON.stringify(itemData)
-    });
-    
-    return { success: true, message: 'Line item added successfully', draft_order: data };
-  } catch (error) {
-    console.error('Error adding line item:', error);
-    return { error: `An error occurred while adding the line item: ${error.message}` };
-  }
+  const data = await client.post(`/admin/draft-orders/${args.id}/line-items`, itemData);
+  
+  return { success: true, message: 'Line item added successfully', draft_order: data };
 };
 
 /**
  * Function to update a line item in a draft order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for updating a line item.
  * @param {string} args.id - Draft order ID (required).
  * @param {string} args.line_id - Line item ID (required).
@@ -290,81 +151,45 @@ const addLineItem = async (args) => {
  * @param {Object} [args.metadata] - Item metadata.
  * @returns {Promise<Object>} - The result of updating the line item.
  */
-const updateLineItem = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const updateLineItem = async (client, args) => {
   if (!args.id) {
-    return { error: 'Draft order ID is required.' };
+    throw new Error('Draft order ID is required.');
   }
 
   if (!args.line_id) {
-    return { error: 'Line item ID is required.' };
+    throw new Error('Line item ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/draft-orders/${args.id}/line-items/${args.line_id}`;
-    
-    const updateData = {};
-    if (args.quantity !== undefined) updateData.quantity = args.quantity;
-    if (args.metadata !== undefined) updateData.metadata = args.metadata;
+  const updateData = {};
+  if (args.quantity !== undefined) updateData.quantity = args.quantity;
+  if (args.metadata !== undefined) updateData.metadata = args.metadata;
 
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey),
-      body: JSON.stringify(updateData)
-    });
-    
-    return { success: true, message: 'Line item updated successfully', draft_order: data };
-  } catch (error) {
-    console.error('Error updating line item:', error);
-    return { error: `An error occurred while updating the line item: ${error.message}` };
-  }
+  const data = await client.post(`/admin/draft-orders/${args.id}/line-items/${args.line_id}`, updateData);
+  
+  return { success: true, message: 'Line item updated successfully', draft_order: data };
 };
 
 /**
  * Function to remove a line item from a draft order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for removing a line item.
  * @param {string} args.id - Draft order ID (required).
  * @param {string} args.line_id - Line item ID (required).
  * @returns {Promise<Object>} - The result of removing the line item.
  */
-const removeLineItem = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const removeLineItem = async (client, args) => {
   if (!args.id) {
-    return { error: 'Draft order ID is required.' };
+    throw new Error('Draft order ID is required.');
   }
 
   if (!args.line_id) {
-    return { error: 'Line item ID is required.' };
+    throw new Error('Line item ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/draft-orders/${args.id}/line-items/${args.line_id}`;
-
-    const data = await makeRequest(url, {
-      method: 'DELETE',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Line item removed successfully', draft_order: data };
-  } catch (error) {
-    console.error('Error removing line item:', error);
-    return { error: `An error occurred while removing the line item: ${error.message}` };
-  }
+  const data = await client.delete(`/admin/draft-orders/${args.id}/line-items/${args.line_id}`);
+  
+  return { success: true, message: 'Line item removed successfully', draft_order: data };
 };
 
 /**
@@ -372,30 +197,33 @@ const removeLineItem = async (args) => {
  *
  * @param {Object} args - Arguments for the draft order operation.
  * @param {string} args.action - The action to perform (create, list, get, delete, convert_to_order, add_line_item, update_line_item, remove_line_item).
+ * @param {Object} [context] - Execution context.
+ * @param {MedusaClient} [context.client] - Client to use instead of the default one.
  * @returns {Promise<Object>} - The result of the draft order operation.
  */
-const executeFunction = async (args) => {
+const executeFunction = async (args, context = {}) => {
+  const client = context.client || getDefaultClient();
   const { action, ...operationArgs } = args;
 
   switch (action) {
     case 'create':
-      return await createDraftOrder(operationArgs);
+      return await createDraftOrder(client, operationArgs);
     case 'list':
-      return await listDraftOrders(operationArgs);
+      return await listDraftOrders(client, operationArgs);
     case 'get':
-      return await getDraftOrder(operationArgs);
+      return await getDraftOrder(client, operationArgs);
     case 'delete':
-      return await deleteDraftOrder(operationArgs);
+      return await deleteDraftOrder(client, operationArgs);
     case 'convert_to_order':
-      return await convertDraftOrderToOrder(operationArgs);
+      return await convertDraftOrderToOrder(client, operationArgs);
     case 'add_line_item':
-      return await addLineItem(operationArgs);
+      return await addLineItem(client, operationArgs);
     case 'update_line_item':
-      return await updateLineItem(operationArgs);
+      return await updateLineItem(client, operationArgs);
     case 'remove_line_item':
-      return await removeLineItem(operationArgs);
+      return await removeLineItem(client, operationArgs);
     default:
-      return { error: `Invalid action: ${action}. Valid actions are: create, list, get, delete, convert_to_order, add_line_item, update_line_item, remove_line_item` };
+      throw new Error(`Unknown action: ${action}`);
   }
 };
 
@@ -497,7 +325,28 @@ const apiTool = {
           }
         },
         required: ['action']
-      }
+      },
+    actions: {
+      create: {
+        optional: ['status', 'email', 'customer_id', 'region_id', 'currency_code', 'items', 'shipping_address', 'billing_address', 'discounts', 'metadata'],
+        output: resultOutput('draft_order')
+      },
+      list: { optional: ['limit', 'offset', 'q'], output: listOutput('draft_orders') },
+      get: { required: ['id'], output: entityOutput('draft_order') },
+      delete: { required: ['id'], output: resultOutput('draft_order') },
+      convert_to_order: { required: ['id'], output: resultOutput('order') },
+      add_line_item: {
+        required: ['id', 'variant_id', 'quantity'],
+        optional: ['metadata'],
+        output: resultOutput('draft_order')
+      },
+      update_line_item: {
+        required: ['id', 'line_id'],
+        optional: ['quantity', 'metadata'],
+        output: resultOutput('draft_order')
+      },
+      remove_line_item: { required: ['id', 'line_id'], output: resultOutput('draft_order') }
+    }
   },
   function: executeFunction
 };
@@ -3,81 +3,42 @@
  * Supports gift cards creation, update, balance management
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handleGiftCardsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const cleanBaseUrl = baseUrl;
-  const headers = createHeaders(apiKey);
+async function handleGiftCardsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list':
-      return await listGiftCards(cleanBaseUrl, headers, args);
+      return await listGiftCards(client, args);
     case 'get':
-      return await getGiftCard(cleanBaseUrl, headers, args);
+      return await getGiftCard(client, args);
     case 'create':
-      return await createGiftCard(cleanBaseUrl, headers, args);
+      return await createGiftCard(client, args);
     case 'update':
-      return await updateGiftCard(cleanBaseUrl, headers, args);
+      return await updateGiftCard(client, args);
     case 'delete':
-      return await deleteGiftCard(cleanBaseUrl, headers, args);
+      return await deleteGiftCard(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
-async function listGiftCards(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/gift-cards?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listGiftCards(client, args) {
+  return await client.get('/admin/gift-cards', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getGiftCard(baseUrl, headers, args) {
+async function getGiftCard(client, args) {
   if (!args.id) throw new Error('Gift card ID is required');
-  const url = `${baseUrl}/admin/gift-cards/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/gift-cards/${args.id}`);
 }
 
-async function createGiftCard(baseUrl, headers, args) {
+async function createGiftCard(client, args) {
   const giftCardData = {};
   if (args.type) giftCardData.type = args.type;
   if (args.value) giftCardData.value = args.value;
@@ -85,15 +46,10 @@ async function createGiftCard(baseUrl, headers, args) {
   if (args.region_id) giftCardData.region_id = args.region_id;
   if (args.metadata) giftCardData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/gift-cards`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(giftCardData)
-  });
+  return await client.post('/admin/gift-cards', giftCardData);
 }
 
-async function updateGiftCard(baseUrl, headers, args) {
+async function updateGiftCard(client, args) {
   if (!args.id) throw new Error('Gift card ID is required');
   
   const giftCardData = {};
@@ -102,18 +58,12 @@ async function updateGiftCard(baseUrl, headers, args) {
   if (args.ends_at) giftCardData.ends_at = args.ends_at;
   if (args.metadata) giftCardData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/gift-cards/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(giftCardData)
-  });
+  return await client.post(`/admin/gift-cards/${args.id}`, giftCardData);
 }
 
-async function deleteGiftCard(baseUrl, headers, args) {
+async function deleteGiftCard(client, args) {
   if (!args.id) throw new Error('Gift card ID is required');
-  const url = `${baseUrl}/admin/gift-cards/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/gift-cards/${args.id}`);
 }
 
 export const apiTool = {
@@ -141,6 +91,17 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list: { optional: ['limit', 'offset', 'q'], output: listOutput('gift_cards') },
+      get: { required: ['id'], output: entityOutput('gift_card') },
+      create: { optional: ['type', 'value', 'balance', 'region_id', 'metadata'], output: entityOutput('gift_card') },
+      update: {
+        required: ['id'],
+        optional: ['balance', 'is_disabled', 'ends_at', 'metadata'],
+        output: entityOutput('gift_card')
+      },
+      delete: { required: ['id'], output: deleteOutput() }
     }
   },
   function: handleGiftCardsOperation
@@ -3,110 +3,70 @@
  * Supports inventory items, stock locations, and reservation management
  */
 
-import { Buffer } from "buffer";
-
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-// Utility function to create proper headers for Medusa API
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-// Utility function to make API requests
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
 /**
  * Main function to handle all inventory-related operations.
  */
-async function handleInventoryOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handleInventoryOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_items':
-      return await listInventoryItems(baseUrl, headers, args);
+      return await listInventoryItems(client, args);
     case 'get_item':
-      return await getInventoryItem(baseUrl, headers, args);
+      return await getInventoryItem(client, args);
     case 'create_item':
-      return await createInventoryItem(baseUrl, headers, args);
+      return await createInventoryItem(client, args);
     case 'update_item':
-      return await updateInventoryItem(baseUrl, headers, args);
+      return await updateInventoryItem(client, args);
     case 'delete_item':
-      return await deleteInventoryItem(baseUrl, headers, args);
+      return await deleteInventoryItem(client, args);
     case 'list_locations':
-      return await listStockLocations(baseUrl, headers, args);
+      return await listStockLocations(client, args);
     case 'get_location':
-      return await getStockLocation(baseUrl, headers, args);
+      return await getStockLocation(client, args);
     case 'create_location':
-      return await createStockLocation(baseUrl, headers, args);
+      return await createStockLocation(client, args);
     case 'update_location':
-      return await updateStockLocation(baseUrl, headers, args);
+      return await updateStockLocation(client, args);
     case 'delete_location':
-      return await deleteStockLocation(baseUrl, headers, args);
+      return await deleteStockLocation(client, args);
     case 'list_levels':
-      return await listInventoryLevels(baseUrl, headers, args);
+      return await listInventoryLevels(client, args);
     case 'update_level':
-      return await updateInventoryLevel(baseUrl, headers, args);
+      return await updateInventoryLevel(client, args);
     case 'list_reservations':
-      return await listReservations(baseUrl, headers, args);
+      return await listReservations(client, args);
     case 'create_reservation':
-      return await createReservation(baseUrl, headers, args);
+      return await createReservation(client, args);
     case 'update_reservation':
-      return await updateReservation(baseUrl, headers, args);
+      return await updateReservation(client, args);
     case 'delete_reservation':
-      return await deleteReservation(baseUrl, headers, args);
+      return await deleteReservation(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Inventory Items operations
-async function listInventoryItems(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-  if (args.sku) params.append('sku', args.sku);
-  if (args.origin_country) params.append('origin_country', args.origin_country);
-
-  const url = `${baseUrl}/admin/inventory-items?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listInventoryItems(client, args) {
+  return await client.get('/admin/inventory-items', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q,
+    sku: args.sku,
+    origin_country: args.origin_country
+  });
 }
 
-async function getInventoryItem(baseUrl, headers, args) {
+async function getInventoryItem(client, args) {
   if (!args.id) throw new Error('Inventory item ID is required');
-  const url = `${baseUrl}/admin/inventory-items/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/inventory-items/${args.id}`);
 }
 
-async function createInventoryItem(baseUrl, headers, args) {
+async function createInventoryItem(client, args) {
   const itemData = {};
   if (args.sku) itemData.sku = args.sku;
   if (args.origin_country) itemData.origin_country = args.origin_country;
@@ -119,15 +79,10 @@ async function createInventoryItem(baseUrl, headers, args) {
   if (args.width) itemData.width = args.width;
   if (args.metadata) itemData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/inventory-items`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(itemData)
-  });
+  return await client.post('/admin/inventory-items', itemData);
 }
 
-async function updateInventoryItem(baseUrl, headers, args) {
+async function updateInventoryItem(client, args) {
   if (!args.id) throw new Error('Inventory item ID is required');
   
   const itemData = {};
@@ -142,54 +97,40 @@ async function updateInventoryItem(baseUrl, headers, args) {
   if (args.width) itemData.width = args.width;
   if (args.metadata) itemData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/inventory-items/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(itemData)
-  });
+  return await client.post(`/admin/inventory-items/${args.id}`, itemData);
 }
 
-async function deleteInventoryItem(baseUrl, headers, args) {
+async function deleteInventoryItem(client, args) {
   if (!args.id) throw new Error('Inventory item ID is required');
-  const url = `${baseUrl}/admin/inventory-items/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/inventory-items/${args.id}`);
 }
 
 // Stock Locations operations
-async function listStockLocations(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-  if (args.name) params.append('name', args.name);
-
-  const url = `${baseUrl}/admin/stock-locations?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listStockLocations(client, args) {
+  return await client.get('/admin/stock-locations', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q,
+    name: args.name
+  });
 }
 
-async function getStockLocation(baseUrl, headers, args) {
+async function getStockLocation(client, args) {
   if (!args.location_id) throw new Error('Stock location ID is required');
-  const url = `${baseUrl}/admin/stock-locations/${args.location_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/stock-locations/${args.location_id}`);
 }
 
-async function createStockLocation(baseUrl, headers, args) {
+async function createStockLocation(client, args) {
   if (!args.name) throw new Error('Stock location name is required');
   
   const locationData = { name: args.name };
   if (args.address) locationData.address = args.address;
   if (args.metadata) locationData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/stock-locations`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(locationData)
-  });
+  return await client.post('/admin/stock-locations', locationData);
 }
 
-async function updateStockLocation(baseUrl, headers, args) {
+async function updateStockLocation(client, args) {
   if (!args.location_id) throw new Error('Stock location ID is required');
   
   const locationData = {};
@@ -197,33 +138,25 @@ async function updateStockLocation(baseUrl, headers, args) {
   if (args.address) locationData.address = args.address;
   if (args.metadata) locationData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/stock-locations/${args.location_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(locationData)
-  });
+  return await client.post(`/admin/stock-locations/${args.location_id}`, locationData);
 }
 
-async function deleteStockLocation(baseUrl, headers, args) {
+async function deleteStockLocation(client, args) {
   if (!args.location_id) throw new Error('Stock location ID is required');
-  const url = `${baseUrl}/admin/stock-locations/${args.location_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/stock-locations/${args.location_id}`);
 }
 
 // Inventory Levels operations
-async function listInventoryLevels(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.inventory_item_id) params.append('inventory_item_id', args.inventory_item_id);
-  if (args.location_id) params.append('location_id', args.location_id);
-
-  const url = `${baseUrl}/admin/inventory-items/levels?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listInventoryLevels(client, args) {
+  return await client.get('/admin/inventory-items/levels', {
+    limit: args.limit,
+    offset: args.offset,
+    inventory_item_id: args.inventory_item_id,
+    location_id: args.location_id
+  });
 }
 
-async function updateInventoryLevel(baseUrl, headers, args) {
+async function updateInventoryLevel(client, args) {
   if (!args.inventory_item_id) throw new Error('Inventory item ID is required');
   if (!args.location_id) throw new Error('Location ID is required');
   
@@ -231,28 +164,21 @@ async function updateInventoryLevel(baseUrl, headers, args) {
   if (args.stocked_quantity !== undefined) levelData.stocked_quantity = args.stocked_quantity;
   if (args.incoming_quantity !== undefined) levelData.incoming_quantity = args.incoming_quantity;
 
-  const url = `${baseUrl}/admin/inventory-items/${args.inventory_item_id}/location-levels/${args.location_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(levelData)
-  });
+  return await client.post(`/admin/inventory-items/${args.inventory_item_id}/location-levels/${args.location_id}`, levelData);
 }
 
 // Reservations operations
-async function listReservations(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.inventory_item_id) params.append('inventory_item_id', args.inventory_item_id);
-  if (args.location_id) params.append('location_id', args.location_id);
-  if (args.line_item_id) params.append('line_item_id', args.line_item_id);
-
-  const url = `${baseUrl}/admin/reservations?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listReservations(client, args) {
+  return await client.get('/admin/reservations', {
+    limit: args.limit,
+    offset: args.offset,
+    inventory_item_id: args.inventory_item_id,
+    location_id: args.location_id,
+    line_item_id: args.line_item_id
+  });
 }
 
-async function createReservation(baseUrl, headers, args) {
+async function createReservation(client, args) {
   if (!args.inventory_item_id) throw new Error('Inventory item ID is required');
   if (!args.location_id) throw new Error('Location ID is required');
   if (!args.quantity) throw new Error('Quantity is required');
@@ -266,15 +192,10 @@ async function createReservation(baseUrl, headers, args) {
   if (args.description) reservationData.description = args.description;
   if (args.metadata) reservationData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/reservations`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(reservationData)
-  });
+  return await client.post('/admin/reservations', reservationData);
 }
 
-async function updateReservation(baseUrl, headers, args) {
+async function updateReservation(client, args) {
   if (!args.reservation_id) throw new Error('Reservation ID is required');
   
   const reservationData = {};
@@ -282,18 +203,12 @@ async function updateReservation(baseUrl, headers, args) {
   if (args.description) reservationData.description = args.description;
   if (args.metadata) reservationData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/reservations/${args.reservation_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(reservationData)
-  });
+  return await client.post(`/admin/reservations/${args.reservation_id}`, reservationData);
 }
 
-async function deleteReservation(baseUrl, headers, args) {
+async function deleteReservation(client, args) {
   if (!args.reservation_id) throw new Error('Reservation ID is required');
-  const url = `${baseUrl}/admin/reservations/${args.reservation_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/reservations/${args.reservation_id}`);
 }
 
 export const apiTool = {
@@ -411,6 +326,57 @@ export const apiTool = {
         }
       },
       required: ['action']
+    },
+    actions: {
+      list_items: {
+        optional: ['limit', 'offset', 'q', 'sku', 'origin_country'],
+        output: listOutput('inventory_items')
+      },
+      get_item: { required: ['id'], output: entityOutput('inventory_item') },
+      create_item: {
+        optional: ['sku', 'origin_country', 'hs_code', 'mid_code', 'material', 'weight', 'length', 'height', 'width', 'metadata'],
+        output: entityOutput('inventory_item')
+      },
+      update_item: {
+        required: ['id'],
+        optional: ['sku', 'origin_country', 'hs_code', 'mid_code', 'material', 'weight', 'length', 'height', 'width', 'metadata'],
+        output: entityOutput('inventory_item')
+      },
+      delete_item: { required: ['id'], output: deleteOutput() },
+      list_locations: { optional: ['limit', 'offset', 'q', 'name'], output: listOutput('stock_locations') },
+      get_location: { required: ['location_id'], output: entityOutput('stock_location') },
+      create_location: {
+        required: ['name'],
+        optional: ['address', 'metadata'],
+        output: entityOutput('stock_location')
+      },
+      update_location: {
+        required: ['location_id'],
+        optional: ['name', 'address', 'metadata'],
+        output: entityOutput('stock_location')
+      },
+      delete_location: { required: ['location_id'], output: deleteOutput() },
+      list_levels: { optional: ['limit', 'offset', 'inventory_item_id', 'location_id'] },
+      update_level: {
+        required: ['inventory_item_id', 'location_id'],
+        optional: ['stocked_quantity', 'incoming_quantity'],
+        output: entityOutput('inventory_item')
+      },
+      list_reservations: {
+        optional: ['limit', 'offset', 'inventory_item_id', 'location_id', 'line_item_id'],
+        output: listOutput('reservations')
+      },
+      create_reservation: {
+        required: ['inventory_item_id', 'location_id', 'quantity'],
+        optional: ['line_item_id', 'description', 'metadata'],
+        output: entityOutput('reservation')
+      },
+      update_reservation: {
+        required: ['reservation_id'],
+        optional: ['quantity', 'description', 'metadata'],
+        output: entityOutput('reservation')
+      },
+      delete_reservation: { required: ['reservation_id'], output: deleteOutput() }
     }
   },
   function: handleInventoryOperation
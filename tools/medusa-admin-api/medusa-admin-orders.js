@@ -3,46 +3,13 @@
  * Supports CRUD operations and special actions for orders using optimized fetch approach
  */
 
-import { Buffer } from "buffer";
-
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-// Utility function to create proper headers for Medusa API
-function createHeaders(apiKey) {
-  
-  return {
-    
-      Authorization: `Basic ${
-        Buffer.from(`${apiKey}:`).toString("base64")
-      }`,
-  
-    'Content-Type': 'application/json'
-  };
-}
-
-// Utility function to make API requests
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, resultOutput } from "../../lib/output-schemas.js";
 
 /**
  * Function to list orders with filtering and pagination.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for listing orders.
  * @param {number} [args.limit=20] - Maximum number of orders to return.
  * @param {number} [args.offset=0] - Number of orders to skip.
@@ -60,292 +27,146 @@ async function makeRequest(url, options = {}) {
  * @param {string} [args.updated_at] - Filter by update date.
  * @returns {Promise<Object>} - The result of the orders listing.
  */
-const listOrders = async (args = {}) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-  //console.log(`base url: ${baseUrl}`)
-  //console.log(`api key: ${apiKey}`)
-  try {
-    const url = new URL(`${baseUrl}/admin/orders`);
-    
-    // Add query parameters
-    Object.keys(args).forEach(key => {
-      if (args[key] !== undefined && args[key] !== null) {
-        url.searchParams.append(key, args[key]);
-      }
-    });
-
-    const data = await makeRequest(url.toString(), {
-      method: 'GET',
-      headers: createHeaders(apiKey)
-    });
-    
-    return data;
-  } catch (error) {
-    console.error('Error listing orders:', error);
-    return { error: `An error occurred while listing orders: ${error.message}` };
-  }
+const listOrders = async (client, args = {}) => {
+  const data = await client.get('/admin/orders', args);
+  
+  return data;
 };
 
 /**
  * Function to get a specific order by ID.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for retrieving an order.
  * @param {string} args.id - Order ID (required).
  * @returns {Promise<Object>} - The result of the order retrieval.
  */
-const getOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const getOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}`;
-
-    const data = await makeRequest(url, {
-      method: 'GET',
-      headers: createHeaders(apiKey)
-    });
-    
-    return data;
-  } catch (error) {
-    console.error('Error retrieving order:', error);
-    return { error: `An error occurred while retrieving the order: ${error.message}` };
-  }
+  const data = await client.get(`/admin/orders/${args.id}`);
+  
+  return data;
 };
 
 /**
  * Function to cancel an order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for canceling an order.
  * @param {string} args.id - Order ID (required).
  * @returns {Promise<Object>} - The result of the order cancellation.
  */
-const cancelOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const cancelOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}/cancel`;
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Order canceled successfully', order: data };
-  } catch (error) {
-    console.error('Error canceling order:', error);
-    return { error: `An error occurred while canceling the order: ${error.message}` };
-  }
+  const data = await client.post(`/admin/orders/${args.id}/cancel`);
+  
+  return { success: true, message: 'Order canceled successfully', order: data };
 };
 
 /**
  * Function to complete an order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for completing an order.
  * @param {string} args.id - Order ID (required).
  * @returns {Promise<Object>} - The result of the order completion.
  */
-const completeOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const completeOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}/complete`;
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Order completed successfully', order: data };
-  } catch (error) {
-    console.error('Error completing order:', error);
-    return { error: `An error occurred while completing the order: ${error.message}` };
-  }
+  const data = await client.post(`/admin/orders/${args.id}/complete`);
+  
+  return { success: true, message: 'Order completed successfully', order: data };
 };
 
 /**
  * Function to archive an order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for archiving an order.
  * @param {string} args.id - Order ID (required).
  * @returns {Promise<Object>} - The result of the order archival.
  */
-const archiveOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const archiveOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}/archive`;
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Order archived successfully', order: data };
-  } catch (error) {
-    console.error('Error archiving order:', error);
-    return { error: `An error occurred while archiving the order: ${error.message}` };
-  }
+  const data = await client.post(`/admin/orders/${args.id}/archive`);
+  
+  return { success: true, message: 'Order archived successfully', order: data };
 };
 
 /**
  * Function to transfer an order.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for transferring an order.
  * @param {string} args.id - Order ID (required).
  * @param {string} args.customer_id - Customer ID to transfer to (required).
  * @returns {Promise<Object>} - The result of the order transfer.
  */
-const transferOrder = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const transferOrder = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
   if (!args.customer_id) {
-    return { error: 'Customer ID is required for order transfer.' };
+    throw new Error('Customer ID is required for order transfer.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}/transfer`;
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey),
-      body: JSON.stringify({ customer_id: args.customer_id })
-    });
-    
-    return { success: true, message: 'Order transferred successfully', order: data };
-  } catch (error) {
-    console.error('Error transferring order:', error);
-    return { error: `An error occurred while transferring the order: ${error.message}` };
-  }
+  const data = await client.post(`/admin/orders/${args.id}/transfer`, { customer_id: args.customer_id });
+  
+  return { success: true, message: 'Order transferred successfully', order: data };
 };
 
 /**
  * Function to list order fulfillments.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for listing order fulfillments.
  * @param {string} args.id - Order ID (required).
  * @returns {Promise<Object>} - The result of the fulfillments listing.
  */
-const listOrderFulfillments = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const listOrderFulfillments = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}?expand=fulfillments`;
-
-    const data = await makeRequest(url, {
-      method: 'GET',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { fulfillments: data.order?.fulfillments || [] };
-  } catch (error) {
-    console.error('Error listing order fulfillments:', error);
-    return { error: `An error occurred while listing order fulfillments: ${error.message}` };
-  }
+  const data = await client.get(`/admin/orders/${args.id}`, { expand: 'fulfillments' });
+  
+  return { fulfillments: data.order?.fulfillments || [] };
 };
 
 /**
  * Function to cancel a fulfillment.
  *
+ * @param {MedusaClient} client - Medusa API client.
  * @param {Object} args - Arguments for canceling a fulfillment.
  * @param {string} args.id - Order ID (required).
  * @param {string} args.fulfillment_id - Fulfillment ID (required).
  * @returns {Promise<Object>} - The result of the fulfillment cancellation.
  */
-const cancelFulfillment = async (args) => {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!baseUrl || !apiKey) {
-    return { error: 'Medusa credentials not configured. Please set MEDUSA_BASE_URL and MEDUSA_API_KEY environment variables.' };
-  }
-
+const cancelFulfillment = async (client, args) => {
   if (!args.id) {
-    return { error: 'Order ID is required.' };
+    throw new Error('Order ID is required.');
   }
 
   if (!args.fulfillment_id) {
-    return { error: 'Fulfillment ID is required.' };
+    throw new Error('Fulfillment ID is required.');
   }
 
-  try {
-    const url = `${baseUrl}/admin/orders/${args.id}/fulfillments/${args.fulfillment_id}/cancel`;
-
-    const data = await makeRequest(url, {
-      method: 'POST',
-      headers: createHeaders(apiKey)
-    });
-    
-    return { success: true, message: 'Fulfillment canceled successfully', fulfillment: data };
-  } catch (error) {
-    console.error('Error canceling fulfillment:', error);
-    return { error: `An error occurred while canceling the fulfillment: ${error.message}` };
-  }
+  const data = await client.post(`/admin/orders/${args.id}/fulfillments/${args.fulfillment_id}/cancel`);
+  
+  return { success: true, message: 'Fulfillment canceled successfully', fulfillment: data };
 };
 
 /**
@@ -353,30 +174,33 @@ const cancelFulfillment = async (args) => {
  *
  * @param {Object} args - Arguments for the order operation.
  * @param {string} args.action - The action to perform (list, get, cancel, complete, archive, transfer, list_fulfillments, cancel_fulfillment).
+ * @param {Object} [context] - Execution context.
+ * @param {MedusaClient} [context.client] - Client to use instead of the default one.
  * @returns {Promise<Object>} - The result of the order operation.
  */
-const executeFunction = async (args) => {
+const executeFunction = async (args, context = {}) => {
+  const client = context.client || getDefaultClient();
   const { action, ...operationArgs } = args;
 
   switch (action) {
     case 'list':
-      return await listOrders(operationArgs);
+      return await listOrders(client, operationArgs);
     case 'get':
-      return await getOrder(operationArgs);
+      return await getOrder(client, operationArgs);
     case 'cancel':
-      return await cancelOrder(operationArgs);
+      return await cancelOrder(client, operationArgs);
     case 'complete':
-      return await completeOrder(operationArgs);
+      return await completeOrder(client, operationArgs);
     case 'archive':
-      return await archiveOrder(operationArgs);
+      return await archiveOrder(client, operationArgs);
     case 'transfer':
-      return await transferOrder(operationArgs);
+      return await transferOrder(client, operationArgs);
     case 'list_fulfillments':
-      return await listOrderFulfillments(operationArgs);
+      return await listOrderFulfillments(client, operationArgs);
     case 'cancel_fulfillment':
-      return await cancelFulfillment(operationArgs);
+      return await cancelFulfillment(client, operationArgs);
     default:
-      return { error: `Invalid action: ${action}. Valid actions are: list, get, cancel, complete, archive, transfer, list_fulfillments, cancel_fulfillment` };
+      throw new Error(`Unknown action: ${action}`);
   }
 };
 
@@ -465,7 +289,24 @@ const apiTool = {
           }
         },
         required: ['action']
-      }
+      },
+    actions: {
+      list: {
+        optional: ['limit', 'offset', 'status', 'fulfillment_status', 'payment_status', 'display_id', 'cart_id', 'customer_id', 'email', 'region_id', 'currency_code', 'tax_rate', 'created_at', 'updated_at'],
+        output: listOutput('orders')
+      },
+      get: { required: ['id'], output: entityOutput('order') },
+      cancel: { required: ['id'], output: resultOutput('order') },
+      complete: { required: ['id'], output: resultOutput('order') },
+      archive: { required: ['id'], output: resultOutput('order') },
+      transfer: {
+        required: ['id', 'customer_id'],
+        properties: { customer_id: { description: 'Customer ID to transfer the order to.' } },
+        output: resultOutput('order')
+      },
+      list_fulfillments: { required: ['id'], output: listOutput('fulfillments') },
+      cancel_fulfillment: { required: ['id', 'fulfillment_id'], output: resultOutput('fulfillment') }
+    }
   },
   function: executeFunction
 };
@@ -3,155 +3,98 @@
  * Supports payment collections, payments, refunds, and captures
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handlePaymentsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handlePaymentsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_payment_collections':
-      return await listPaymentCollections(baseUrl, headers, args);
+      return await listPaymentCollections(client, args);
     case 'get_payment_collection':
-      return await getPaymentCollection(baseUrl, headers, args);
+      return await getPaymentCollection(client, args);
     case 'update_payment_collection':
-      return await updatePaymentCollection(baseUrl, headers, args);
+      return await updatePaymentCollection(client, args);
     case 'delete_payment_collection':
-      return await deletePaymentCollection(baseUrl, headers, args);
+      return await deletePaymentCollection(client, args);
     case 'list_payments':
-      return await listPayments(baseUrl, headers, args);
+      return await listPayments(client, args);
     case 'get_payment':
-      return await getPayment(baseUrl, headers, args);
+      return await getPayment(client, args);
     case 'capture_payment':
-      return await capturePayment(baseUrl, headers, args);
+      return await capturePayment(client, args);
     case 'cancel_payment':
-      return await cancelPayment(baseUrl, headers, args);
+      return await cancelPayment(client, args);
     case 'refund_payment':
-      return await refundPayment(baseUrl, headers, args);
+      return await refundPayment(client, args);
     case 'list_refunds':
-      return await listRefunds(baseUrl, headers, args);
+      return await listRefunds(client, args);
     case 'get_refund':
-      return await getRefund(baseUrl, headers, args);
+      return await getRefund(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Payment Collections operations
-async function listPaymentCollections(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/payment-collections?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listPaymentCollections(client, args) {
+  return await client.get('/admin/payment-collections', {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getPaymentCollection(baseUrl, headers, args) {
+async function getPaymentCollection(client, args) {
   if (!args.id) throw new Error('Payment collection ID is required');
-  const url = `${baseUrl}/admin/payment-collections/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/payment-collections/${args.id}`);
 }
 
-async function updatePaymentCollection(baseUrl, headers, args) {
+async function updatePaymentCollection(client, args) {
   if (!args.id) throw new Error('Payment collection ID is required');
   
   const collectionData = {};
   if (args.description) collectionData.description = args.description;
   if (args.metadata) collectionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/payment-collections/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(collectionData)
-  });
+  return await client.post(`/admin/payment-collections/${args.id}`, collectionData);
 }
 
-async function deletePaymentCollection(baseUrl, headers, args) {
+async function deletePaymentCollection(client, args) {
   if (!args.id) throw new Error('Payment collection ID is required');
-  const url = `${baseUrl}/admin/payment-collections/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/payment-collections/${args.id}`);
 }
 
 // Payments operations
-async function listPayments(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.payment_collection_id) params.append('payment_collection_id', args.payment_collection_id);
-
-  const url = `${baseUrl}/admin/payments?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listPayments(client, args) {
+  return await client.get('/admin/payments', {
+    limit: args.limit,
+    offset: args.offset,
+    payment_collection_id: args.payment_collection_id
+  });
 }
 
-async function getPayment(baseUrl, headers, args) {
+async function getPayment(client, args) {
   if (!args.payment_id) throw new Error('Payment ID is required');
-  const url = `${baseUrl}/admin/payments/${args.payment_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/payments/${args.payment_id}`);
 }
 
-async function capturePayment(baseUrl, headers, args) {
+async function capturePayment(client, args) {
   if (!args.payment_id) throw new Error('Payment ID is required');
   
   const captureData = {};
   if (args.amount) captureData.amount = args.amount;
 
-  const url = `${baseUrl}/admin/payments/${args.payment_id}/capture`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(captureData)
-  });
+  return await client.post(`/admin/payments/${args.payment_id}/capture`, captureData);
 }
 
-async function cancelPayment(baseUrl, headers, args) {
+async function cancelPayment(client, args) {
   if (!args.payment_id) throw new Error('Payment ID is required');
   
-  const url = `${baseUrl}/admin/payments/${args.payment_id}/cancel`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/payments/${args.payment_id}/cancel`, {});
 }
 
-async function refundPayment(baseUrl, headers, args) {
+async function refundPayment(client, args) {
   if (!args.payment_id) throw new Error('Payment ID is required');
   if (!args.amount) throw new Error('Refund amount is required');
   
@@ -161,29 +104,21 @@ async function refundPayment(baseUrl, headers, args) {
   if (args.reason) refundData.reason = args.reason;
   if (args.note) refundData.note = args.note;
 
-  const url = `${baseUrl}/admin/payments/${args.payment_id}/refund`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(refundData)
-  });
+  return await client.post(`/admin/payments/${args.payment_id}/refund`, refundData);
 }
 
 // Refunds operations
-async function listRefunds(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.payment_id) params.append('payment_id', args.payment_id);
-
-  const url = `${baseUrl}/admin/refunds?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listRefunds(client, args) {
+  return await client.get('/admin/refunds', {
+    limit: args.limit,
+    offset: args.offset,
+    payment_id: args.payment_id
+  });
 }
 
-async function getRefund(baseUrl, headers, args) {
+async function getRefund(client, args) {
   if (!args.refund_id) throw new Error('Refund ID is required');
-  const url = `${baseUrl}/admin/refunds/${args.refund_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/refunds/${args.refund_id}`);
 }
 
 export const apiTool = {
@@ -215,6 +150,27 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list_payment_collections: { optional: ['limit', 'offset'], output: listOutput('payment_collections') },
+      get_payment_collection: { required: ['id'], output: entityOutput('payment_collection') },
+      update_payment_collection: {
+        required: ['id'],
+        optional: ['description', 'metadata'],
+        output: entityOutput('payment_collection')
+      },
+      delete_payment_collection: { required: ['id'], output: deleteOutput() },
+      list_payments: { optional: ['limit', 'offset', 'payment_collection_id'], output: listOutput('payments') },
+      get_payment: { required: ['payment_id'], output: entityOutput('payment') },
+      capture_payment: { required: ['payment_id'], optional: ['amount'], output: entityOutput('payment') },
+      cancel_payment: { required: ['payment_id'], output: entityOutput('payment') },
+      refund_payment: {
+        required: ['payment_id', 'amount'],
+        optional: ['reason', 'note'],
+        output: entityOutput('payment')
+      },
+      list_refunds: { optional: ['limit', 'offset', 'payment_id'], output: listOutput('refunds') },
+      get_refund: { required: ['refund_id'], output: entityOutput('refund') }
     }
   },
   function: handlePaymentsOperation
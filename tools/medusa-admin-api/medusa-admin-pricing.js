@@ -3,100 +3,63 @@
  * Supports price lists, promotions, campaigns management
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handlePricingOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handlePricingOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_price_lists':
-      return await listPriceLists(baseUrl, headers, args);
+      return await listPriceLists(client, args);
     case 'get_price_list':
-      return await getPriceList(baseUrl, headers, args);
+      return await getPriceList(client, args);
     case 'create_price_list':
-      return await createPriceList(baseUrl, headers, args);
+      return await createPriceList(client, args);
     case 'update_price_list':
-      return await updatePriceList(baseUrl, headers, args);
+      return await updatePriceList(client, args);
     case 'delete_price_list':
-      return await deletePriceList(baseUrl, headers, args);
+      return await deletePriceList(client, args);
     case 'list_promotions':
-      return await listPromotions(baseUrl, headers, args);
+      return await listPromotions(client, args);
     case 'get_promotion':
-      return await getPromotion(baseUrl, headers, args);
+      return await getPromotion(client, args);
     case 'create_promotion':
-      return await createPromotion(baseUrl, headers, args);
+      return await createPromotion(client, args);
     case 'update_promotion':
-      return await updatePromotion(baseUrl, headers, args);
+      return await updatePromotion(client, args);
     case 'delete_promotion':
-      return await deletePromotion(baseUrl, headers, args);
+      return await deletePromotion(client, args);
     case 'list_campaigns':
-      return await listCampaigns(baseUrl, headers, args);
+      return await listCampaigns(client, args);
     case 'get_campaign':
-      return await getCampaign(baseUrl, headers, args);
+      return await getCampaign(client, args);
     case 'create_campaign':
-      return await createCampaign(baseUrl, headers, args);
+      return await createCampaign(client, args);
     case 'update_campaign':
-      return await updateCampaign(baseUrl, headers, args);
+      return await updateCampaign(client, args);
     case 'delete_campaign':
-      return await deleteCampaign(baseUrl, headers, args);
+      return await deleteCampaign(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Price Lists operations
-async function listPriceLists(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/price-lists?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listPriceLists(client, args) {
+  return await client.get('/admin/price-lists', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getPriceList(baseUrl, headers, args) {
+async function getPriceList(client, args) {
   if (!args.id) throw new Error('Price list ID is required');
-  const url = `${baseUrl}/admin/price-lists/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/price-lists/${args.id}`);
 }
 
-async function createPriceList(baseUrl, headers, args) {
+async function createPriceList(client, args) {
   if (!args.name) throw new Error('Price list name is required');
   if (!args.type) throw new Error('Price list type is required');
   
@@ -111,15 +74,10 @@ async function createPriceList(baseUrl, headers, args) {
   if (args.prices) priceListData.prices = args.prices;
   if (args.customer_groups) priceListData.customer_groups = args.customer_groups;
 
-  const url = `${baseUrl}/admin/price-lists`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(priceListData)
-  });
+  return await client.post('/admin/price-lists', priceListData);
 }
 
-async function updatePriceList(baseUrl, headers, args) {
+async function updatePriceList(client, args) {
   if (!args.id) throw new Error('Price list ID is required');
   
   const priceListData = {};
@@ -131,38 +89,29 @@ async function updatePriceList(baseUrl, headers, args) {
   if (args.prices) priceListData.prices = args.prices;
   if (args.customer_groups) priceListData.customer_groups = args.customer_groups;
 
-  const url = `${baseUrl}/admin/price-lists/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(priceListData)
-  });
+  return await client.post(`/admin/price-lists/${args.id}`, priceListData);
 }
 
-async function deletePriceList(baseUrl, headers, args) {
+async function deletePriceList(client, args) {
   if (!args.id) throw new Error('Price list ID is required');
-  const url = `${baseUrl}/admin/price-lists/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/price-lists/${args.id}`);
 }
 
 // Promotions operations
-async function listPromotions(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/promotions?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listPromotions(client, args) {
+  return await client.get('/admin/promotions', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getPromotion(baseUrl, headers, args) {
+async function getPromotion(client, args) {
   if (!args.promotion_id) throw new Error('Promotion ID is required');
-  const url = `${baseUrl}/admin/promotions/${args.promotion_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/promotions/${args.promotion_id}`);
 }
 
-async function createPromotion(baseUrl, headers, args) {
+async function createPromotion(client, args) {
   if (!args.code) throw new Error('Promotion code is required');
   if (!args.type) throw new Error('Promotion type is required (standard or buyget)');
   if (!args.application_method) throw new Error('application_method is required for creating promotions');
@@ -220,15 +169,10 @@ async function createPromotion(baseUrl, headers, args) {
   if (args.campaign_id) promotionData.campaign_id = args.campaign_id;
   if (args.rules) promotionData.rules = args.rules;
 
-  const url = `${baseUrl}/admin/promotions`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(promotionData)
-  });
+  return await client.post('/admin/promotions', promotionData);
 }
 
-async function updatePromotion(baseUrl, headers, args) {
+async function updatePromotion(client, args) {
   if (!args.promotion_id) throw new Error('Promotion ID is required');
 
   // Validate application_method structure if provided (Medusa v2 API)
@@ -268,38 +212,29 @@ async function updatePromotion(baseUrl, headers, args) {
   if (args.rules) promotionData.rules = args.rules;
   if (args.status) promotionData.status = args.status;
 
-  const url = `${baseUrl}/admin/promotions/${args.promotion_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(promotionData)
-  });
+  return await client.post(`/admin/promotions/${args.promotion_id}`, promotionData);
 }
 
-async function deletePromotion(baseUrl, headers, args) {
+async function deletePromotion(client, args) {
   if (!args.promotion_id) throw new Error('Promotion ID is required');
-  const url = `${baseUrl}/admin/promotions/${args.promotion_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/promotions/${args.promotion_id}`);
 }
 
 // Campaigns operations
-async function listCampaigns(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/campaigns?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listCampaigns(client, args) {
+  return await client.get('/admin/campaigns', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getCampaign(baseUrl, headers, args) {
+async function getCampaign(client, args) {
   if (!args.campaign_id) throw new Error('Campaign ID is required');
-  const url = `${baseUrl}/admin/campaigns/${args.campaign_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/campaigns/${args.campaign_id}`);
 }
 
-async function createCampaign(baseUrl, headers, args) {
+async function createCampaign(client, args) {
   if (!args.name) throw new Error('Campaign name is required');
   if (!args.campaign_identifier) throw new Error('Campaign identifier is required');
   
@@ -312,15 +247,10 @@ async function createCampaign(baseUrl, headers, args) {
   if (args.ends_at) campaignData.ends_at = args.ends_at;
   if (args.budget) campaignData.budget = args.budget;
 
-  const url = `${baseUrl}/admin/campaigns`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(campaignData)
-  });
+  return await client.post('/admin/campaigns', campaignData);
 }
 
-async function updateCampaign(baseUrl, headers, args) {
+async function updateCampaign(client, args) {
   if (!args.campaign_id) throw new Error('Campaign ID is required');
   
   const campaignData = {};
@@ -331,18 +261,12 @@ async function updateCampaign(baseUrl, headers, args) {
   if (args.ends_at) campaignData.ends_at = args.ends_at;
   if (args.budget) campaignData.budget = args.budget;
 
-  const url = `${baseUrl}/admin/campaigns/${args.campaign_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(campaignData)
-  });
+  return await client.post(`/admin/campaigns/${args.campaign_id}`, campaignData);
 }
 
-async function deleteCampaign(baseUrl, headers, args) {
+async function deleteCampaign(client, args) {
   if (!args.campaign_id) throw new Error('Campaign ID is required');
-  const url = `${baseUrl}/admin/campaigns/${args.campaign_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/campaigns/${args.campaign_id}`);
 }
 
 export const apiTool = {
@@ -482,6 +406,48 @@ export const apiTool = {
         budget: { type: 'object', description: 'Campaign budget.' }
       },
       required: ['action']
+    },
+    actions: {
+      list_price_lists: { optional: ['limit', 'offset', 'q'], output: listOutput('price_lists') },
+      get_price_list: { required: ['id'], output: entityOutput('price_list') },
+      create_price_list: {
+        required: ['name', 'type'],
+        optional: ['description', 'starts_at', 'ends_at', 'status', 'prices', 'customer_groups'],
+        output: entityOutput('price_list')
+      },
+      update_price_list: {
+        required: ['id'],
+        optional: ['name', 'description', 'starts_at', 'ends_at', 'status', 'prices', 'customer_groups'],
+        output: entityOutput('price_list')
+      },
+      delete_price_list: { required: ['id'], output: deleteOutput() },
+      list_promotions: { optional: ['limit', 'offset', 'q'], output: listOutput('promotions') },
+      get_promotion: { required: ['promotion_id'], output: entityOutput('promotion') },
+      create_promotion: {
+        required: ['code', 'type', 'application_method'],
+        optional: ['rules', 'is_automatic', 'is_tax_inclusive', 'status', 'campaign_id'],
+        properties: { type: { description: 'Promotion type: standard or buyget.' } },
+        output: entityOutput('promotion')
+      },
+      update_promotion: {
+        required: ['promotion_id'],
+        optional: ['application_method', 'rules', 'code', 'is_automatic', 'is_tax_inclusive', 'campaign_id', 'status'],
+        output: entityOutput('promotion')
+      },
+      delete_promotion: { required: ['promotion_id'], output: deleteOutput() },
+      list_campaigns: { optional: ['limit', 'offset', 'q'], output: listOutput('campaigns') },
+      get_campaign: { required: ['campaign_id'], output: entityOutput('campaign') },
+      create_campaign: {
+        required: ['name', 'campaign_identifier'],
+        optional: ['description', 'starts_at', 'ends_at', 'budget'],
+        output: entityOutput('campaign')
+      },
+      update_campaign: {
+        required: ['campaign_id'],
+        optional: ['name', 'campaign_identifier', 'description', 'starts_at', 'ends_at', 'budget'],
+        output: entityOutput('campaign')
+      },
+      delete_campaign: { required: ['campaign_id'], output: deleteOutput() }
     }
   },
   function: handlePricingOperation
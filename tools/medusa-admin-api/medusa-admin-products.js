@@ -3,43 +3,16 @@
  * Supports CRUD operations for products, variants, categories, tags, and types
  */
 
-import { Buffer } from "buffer";
-
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-// Utility function to create proper headers for Medusa API
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-// Utility function to make API requests
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
 /**
  * Main function to handle all product-related operations.
  *
  * @param {Object} args - Arguments object.
  * @param {string} args.action - The action to perform.
+ * @param {Object} [context] - Execution context.
+ * @param {MedusaClient} [context.client] - Client to use instead of the default one.
  * @param {string} [args.id] - Product ID (required for get, update, delete, variants operations).
  * @param {number} [args.limit=20] - Maximum number of items to return.
  * @param {number} [args.offset=0] - Number of items to skip.
@@ -65,83 +38,71 @@ async function makeRequest(url, options = {}) {
  * @param {string} [args.variant_id] - Variant ID.
  * @param {Object} [args.variant_data] - Variant data for create/update.
  */
-async function handleProductsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const cleanBaseUrl = baseUrl;
-  const headers = createHeaders(apiKey);
+async function handleProductsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list':
-      return await listProducts(cleanBaseUrl, headers, args);
+      return await listProducts(client, args);
     case 'get':
-      return await getProduct(cleanBaseUrl, headers, args);
+      return await getProduct(client, args);
     case 'create':
-      return await createProduct(cleanBaseUrl, headers, args);
+      return await createProduct(client, args);
     case 'update':
-      return await updateProduct(cleanBaseUrl, headers, args);
+      return await updateProduct(client, args);
     case 'delete':
-      return await deleteProduct(cleanBaseUrl, headers, args);
+      return await deleteProduct(client, args);
     case 'list_variants':
-      return await listProductVariants(cleanBaseUrl, headers, args);
+      return await listProductVariants(client, args);
     case 'get_variant':
-      return await getProductVariant(cleanBaseUrl, headers, args);
+      return await getProductVariant(client, args);
     case 'create_variant':
-      return await createProductVariant(cleanBaseUrl, headers, args);
+      return await createProductVariant(client, args);
     case 'update_variant':
-      return await updateProductVariant(cleanBaseUrl, headers, args);
+      return await updateProductVariant(client, args);
     case 'delete_variant':
-      return await deleteProductVariant(cleanBaseUrl, headers, args);
+      return await deleteProductVariant(client, args);
     case 'list_categories':
-      return await listProductCategories(cleanBaseUrl, headers, args);
+      return await listProductCategories(client, args);
     case 'get_category':
-      return await getProductCategory(cleanBaseUrl, headers, args);
+      return await getProductCategory(client, args);
     case 'create_category':
-      return await createProductCategory(cleanBaseUrl, headers, args);
+      return await createProductCategory(client, args);
     case 'update_category':
-      return await updateProductCategory(cleanBaseUrl, headers, args);
+      return await updateProductCategory(client, args);
     case 'delete_category':
-      return await deleteProductCategory(cleanBaseUrl, headers, args);
+      return await deleteProductCategory(client, args);
     case 'list_tags':
-      return await listProductTags(cleanBaseUrl, headers, args);
+      return await listProductTags(client, args);
     case 'list_types':
-      return await listProductTypes(cleanBaseUrl, headers, args);
+      return await listProductTypes(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Products operations
-async function listProducts(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-  if (args.collection_id) args.collection_id.forEach(id => params.append('collection_id[]', id));
-  if (args.category_id) args.category_id.forEach(id => params.append('category_id[]', id));
-  if (args.tag_id) args.tag_id.forEach(id => params.append('tag_id[]', id));
-  if (args.type_id) args.type_id.forEach(id => params.append('type_id[]', id));
-  if (args.status) params.append('status', args.status);
-  if (args.created_at) params.append('created_at', args.created_at);
-  if (args.updated_at) params.append('updated_at', args.updated_at);
-
-  const url = `${baseUrl}/admin/products?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listProducts(client, args) {
+  return await client.get('/admin/products', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q,
+    collection_id: args.collection_id,
+    category_id: args.category_id,
+    tag_id: args.tag_id,
+    type_id: args.type_id,
+    status: args.status,
+    created_at: args.created_at,
+    updated_at: args.updated_at
+  });
 }
 
-async function getProduct(baseUrl, headers, args) {
+async function getProduct(client, args) {
   if (!args.id) throw new Error('Product ID is required');
-  const url = `${baseUrl}/admin/products/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/products/${args.id}`);
 }
 
-async function createProduct(baseUrl, headers, args) {
+async function createProduct(client, args) {
   const productData = {};
   if (args.title) productData.title = args.title;
   if (args.subtitle) productData.subtitle = args.subtitle;
@@ -155,15 +116,10 @@ async function createProduct(baseUrl, headers, args) {
   if (args.variants) productData.variants = args.variants;
   if (args.options) productData.options = args.options;
 
-  const url = `${baseUrl}/admin/products`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(productData)
-  });
+  return await client.post('/admin/products', productData);
 }
 
-async function updateProduct(baseUrl, headers, args) {
+async function updateProduct(client, args) {
   if (!args.id) throw new Error('Product ID is required');
   
   const productData = {};
@@ -178,88 +134,65 @@ async function updateProduct(baseUrl, headers, args) {
   if (args.metadata) productData.metadata = args.metadata;
   if (args.status) productData.status = args.status;
 
-  const url = `${baseUrl}/admin/products/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(productData)
-  });
+  return await client.post(`/admin/products/${args.id}`, productData);
 }
 
-async function deleteProduct(baseUrl, headers, args) {
+async function deleteProduct(client, args) {
   if (!args.id) throw new Error('Product ID is required');
-  const url = `${baseUrl}/admin/products/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/products/${args.id}`);
 }
 
 // Product variants operations
-async function listProductVariants(baseUrl, headers, args) {
+async function listProductVariants(client, args) {
   if (!args.id) throw new Error('Product ID is required');
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/products/${args.id}/variants?${params.toString()}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/products/${args.id}/variants`, {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getProductVariant(baseUrl, headers, args) {
+async function getProductVariant(client, args) {
   if (!args.id) throw new Error('Product ID is required');
   if (!args.variant_id) throw new Error('Variant ID is required');
-  const url = `${baseUrl}/admin/products/${args.id}/variants/${args.variant_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/products/${args.id}/variants/${args.variant_id}`);
 }
 
-async function createProductVariant(baseUrl, headers, args) {
+async function createProductVariant(client, args) {
   if (!args.id) throw new Error('Product ID is required');
   if (!args.variant_data) throw new Error('Variant data is required');
 
-  const url = `${baseUrl}/admin/products/${args.id}/variants`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(args.variant_data)
-  });
+  return await client.post(`/admin/products/${args.id}/variants`, args.variant_data);
 }
 
-async function updateProductVariant(baseUrl, headers, args) {
+async function updateProductVariant(client, args) {
   if (!args.id) throw new Error('Product ID is required');
   if (!args.variant_id) throw new Error('Variant ID is required');
   if (!args.variant_data) throw new Error('Variant data is required');
 
-  const url = `${baseUrl}/admin/products/${args.id}/variants/${args.variant_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(args.variant_data)
-  });
+  return await client.post(`/admin/products/${args.id}/variants/${args.variant_id}`, args.variant_data);
 }
 
-async function deleteProductVariant(baseUrl, headers, args) {
+async function deleteProductVariant(client, args) {
   if (!args.id) throw new Error('Product ID is required');
   if (!args.variant_id) throw new Error('Variant ID is required');
-  const url = `${baseUrl}/admin/products/${args.id}/variants/${args.variant_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/products/${args.id}/variants/${args.variant_id}`);
 }
 
 // Product categories operations
-async function listProductCategories(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/product-categories?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listProductCategories(client, args) {
+  return await client.get('/admin/product-categories', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getProductCategory(baseUrl, headers, args) {
+async function getProductCategory(client, args) {
   if (!args.id) throw new Error('Category ID is required');
-  const url = `${baseUrl}/admin/product-categories/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/product-categories/${args.id}`);
 }
 
-async function createProductCategory(baseUrl, headers, args) {
+async function createProductCategory(client, args) {
   if (!args.title) throw new Error('Category title is required');
   
   const categoryData = { name: args.title };
@@ -267,15 +200,10 @@ async function createProductCategory(baseUrl, headers, args) {
   if (args.handle) categoryData.handle = args.handle;
   if (args.metadata) categoryData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/product-categories`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(categoryData)
-  });
+  return await client.post('/admin/product-categories', categoryData);
 }
 
-async function updateProductCategory(baseUrl, headers, args) {
+async function updateProductCategory(client, args) {
   if (!args.id) throw new Error('Category ID is required');
   
   const categoryData = {};
@@ -284,40 +212,30 @@ async function updateProductCategory(baseUrl, headers, args) {
   if (args.handle) categoryData.handle = args.handle;
   if (args.metadata) categoryData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/product-categories/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(categoryData)
-  });
+  return await client.post(`/admin/product-categories/${args.id}`, categoryData);
 }
 
-async function deleteProductCategory(baseUrl, headers, args) {
+async function deleteProductCategory(client, args) {
   if (!args.id) throw new Error('Category ID is required');
-  const url = `${baseUrl}/admin/product-categories/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/product-categories/${args.id}`);
 }
 
 // Product tags operations
-async function listProductTags(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/product-tags?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listProductTags(client, args) {
+  return await client.get('/admin/product-tags', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
 // Product types operations
-async function listProductTypes(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/product-types?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listProductTypes(client, args) {
+  return await client.get('/admin/product-types', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
 export const apiTool = {
@@ -444,6 +362,56 @@ export const apiTool = {
         }
       },
       required: ['action']
+    },
+    actions: {
+      list: {
+        optional: ['limit', 'offset', 'q', 'collection_id', 'category_id', 'tag_id', 'type_id', 'status', 'created_at', 'updated_at'],
+        output: listOutput('products')
+      },
+      get: { required: ['id'], output: entityOutput('product') },
+      create: {
+        optional: ['title', 'subtitle', 'description', 'handle', 'tags', 'categories', 'type', 'images', 'metadata', 'variants', 'options'],
+        output: entityOutput('product')
+      },
+      update: {
+        required: ['id'],
+        optional: ['title', 'subtitle', 'description', 'handle', 'tags', 'categories', 'type', 'images', 'metadata', 'status'],
+        output: entityOutput('product')
+      },
+      delete: { required: ['id'], output: deleteOutput() },
+      list_variants: { required: ['id'], optional: ['limit', 'offset'], output: listOutput('variants') },
+      get_variant: { required: ['id', 'variant_id'], output: entityOutput('variant') },
+      create_variant: { required: ['id', 'variant_data'], output: entityOutput('product') },
+      update_variant: { required: ['id', 'variant_id', 'variant_data'], output: entityOutput('product') },
+      delete_variant: { required: ['id', 'variant_id'], output: deleteOutput() },
+      list_categories: {
+        optional: ['limit', 'offset', 'q'],
+        output: listOutput('product_categories', 'product_category')
+      },
+      get_category: {
+        required: ['id'],
+        properties: { id: { description: 'Category ID.' } },
+        output: entityOutput('product_category')
+      },
+      create_category: {
+        required: ['title'],
+        optional: ['description', 'handle', 'metadata'],
+        properties: { title: { description: 'Category name.' } },
+        output: entityOutput('product_category')
+      },
+      update_category: {
+        required: ['id'],
+        optional: ['title', 'description', 'handle', 'metadata'],
+        properties: { id: { description: 'Category ID.' } },
+        output: entityOutput('product_category')
+      },
+      delete_category: {
+        required: ['id'],
+        properties: { id: { description: 'Category ID.' } },
+        output: deleteOutput()
+      },
+      list_tags: { optional: ['limit', 'offset', 'q'], output: listOutput('product_tags') },
+      list_types: { optional: ['limit', 'offset', 'q'], output: listOutput('product_types') }
     }
   },
   function: handleProductsOperation
@@ -3,111 +3,73 @@
  * Supports regions, shipping options, profiles, and fulfillment management
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handleRegionsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handleRegionsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_regions':
-      return await listRegions(baseUrl, headers, args);
+      return await listRegions(client, args);
     case 'get_region':
-      return await getRegion(baseUrl, headers, args);
+      return await getRegion(client, args);
     case 'create_region':
-      return await createRegion(baseUrl, headers, args);
+      return await createRegion(client, args);
     case 'update_region':
-      return await updateRegion(baseUrl, headers, args);
+      return await updateRegion(client, args);
     case 'delete_region':
-      return await deleteRegion(baseUrl, headers, args);
+      return await deleteRegion(client, args);
     case 'list_shipping_options':
-      return await listShippingOptions(baseUrl, headers, args);
+      return await listShippingOptions(client, args);
     case 'get_shipping_option':
-      return await getShippingOption(baseUrl, headers, args);
+      return await getShippingOption(client, args);
     case 'create_shipping_option':
-      return await createShippingOption(baseUrl, headers, args);
+      return await createShippingOption(client, args);
     case 'update_shipping_option':
-      return await updateShippingOption(baseUrl, headers, args);
+      return await updateShippingOption(client, args);
     case 'delete_shipping_option':
-      return await deleteShippingOption(baseUrl, headers, args);
+      return await deleteShippingOption(client, args);
     case 'list_shipping_profiles':
-      return await listShippingProfiles(baseUrl, headers, args);
+      return await listShippingProfiles(client, args);
     case 'get_shipping_profile':
-      return await getShippingProfile(baseUrl, headers, args);
+      return await getShippingProfile(client, args);
     case 'create_shipping_profile':
-      return await createShippingProfile(baseUrl, headers, args);
+      return await createShippingProfile(client, args);
     case 'update_shipping_profile':
-      return await updateShippingProfile(baseUrl, headers, args);
+      return await updateShippingProfile(client, args);
     case 'delete_shipping_profile':
-      return await deleteShippingProfile(baseUrl, headers, args);
+      return await deleteShippingProfile(client, args);
     case 'list_fulfillment_providers':
-      return await listFulfillmentProviders(baseUrl, headers, args);
+      return await listFulfillmentProviders(client, args);
     case 'list_fulfillment_sets':
-      return await listFulfillmentSets(baseUrl, headers, args);
+      return await listFulfillmentSets(client, args);
     case 'create_fulfillment_set':
-      return await createFulfillmentSet(baseUrl, headers, args);
+      return await createFulfillmentSet(client, args);
     case 'update_fulfillment_set':
-      return await updateFulfillmentSet(baseUrl, headers, args);
+      return await updateFulfillmentSet(client, args);
     case 'delete_fulfillment_set':
-      return await deleteFulfillmentSet(baseUrl, headers, args);
+      return await deleteFulfillmentSet(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Region operations
-async function listRegions(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/regions?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listRegions(client, args) {
+  return await client.get('/admin/regions', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getRegion(baseUrl, headers, args) {
+async function getRegion(client, args) {
   if (!args.id) throw new Error('Region ID is required');
-  const url = `${baseUrl}/admin/regions/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/regions/${args.id}`);
 }
 
-async function createRegion(baseUrl, headers, args) {
+async function createRegion(client, args) {
   if (!args.name) throw new Error('Region name is required');
   if (!args.currency_code) throw new Error('Currency code is required');
   
@@ -123,15 +85,10 @@ async function createRegion(baseUrl, headers, args) {
   if (args.includes_tax) regionData.includes_tax = args.includes_tax;
   if (args.metadata) regionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/regions`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(regionData)
-  });
+  return await client.post('/admin/regions', regionData);
 }
 
-async function updateRegion(baseUrl, headers, args) {
+async function updateRegion(client, args) {
   if (!args.id) throw new Error('Region ID is required');
   
   const regionData = {};
@@ -145,39 +102,30 @@ async function updateRegion(baseUrl, headers, args) {
   if (args.includes_tax !== undefined) regionData.includes_tax = args.includes_tax;
   if (args.metadata) regionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/regions/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(regionData)
-  });
+  return await client.post(`/admin/regions/${args.id}`, regionData);
 }
 
-async function deleteRegion(baseUrl, headers, args) {
+async function deleteRegion(client, args) {
   if (!args.id) throw new Error('Region ID is required');
-  const url = `${baseUrl}/admin/regions/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/regions/${args.id}`);
 }
 
 // Shipping Options operations
-async function listShippingOptions(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.region_id) params.append('region_id', args.region_id);
-  if (args.is_return) params.append('is_return', args.is_return.toString());
-
-  const url = `${baseUrl}/admin/shipping-options?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listShippingOptions(client, args) {
+  return await client.get('/admin/shipping-options', {
+    limit: args.limit,
+    offset: args.offset,
+    region_id: args.region_id,
+    is_return: args.is_return
+  });
 }
 
-async function getShippingOption(baseUrl, headers, args) {
+async function getShippingOption(client, args) {
   if (!args.shipping_option_id) throw new Error('Shipping option ID is required');
-  const url = `${baseUrl}/admin/shipping-options/${args.shipping_option_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/shipping-options/${args.shipping_option_id}`);
 }
 
-async function createShippingOption(baseUrl, headers, args) {
+async function createShippingOption(client, args) {
   if (!args.name) throw new Error('Shipping option name is required');
   if (!args.region_id) throw new Error('Region ID is required');
   if (!args.provider_id) throw new Error('Provider ID is required');
@@ -195,15 +143,10 @@ async function createShippingOption(baseUrl, headers, args) {
   if (args.data) optionData.data = args.data;
   if (args.metadata) optionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/shipping-options`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(optionData)
-  });
+  return await client.post('/admin/shipping-options', optionData);
 }
 
-async function updateShippingOption(baseUrl, headers, args) {
+async function updateShippingOption(client, args) {
   if (!args.shipping_option_id) throw new Error('Shipping option ID is required');
   
   const optionData = {};
@@ -214,37 +157,28 @@ async function updateShippingOption(baseUrl, headers, args) {
   if (args.data) optionData.data = args.data;
   if (args.metadata) optionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/shipping-options/${args.shipping_option_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(optionData)
-  });
+  return await client.post(`/admin/shipping-options/${args.shipping_option_id}`, optionData);
 }
 
-async function deleteShippingOption(baseUrl, headers, args) {
+async function deleteShippingOption(client, args) {
   if (!args.shipping_option_id) throw new Error('Shipping option ID is required');
-  const url = `${baseUrl}/admin/shipping-options/${args.shipping_option_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/shipping-options/${args.shipping_option_id}`);
 }
 
 // Shipping Profiles operations
-async function listShippingProfiles(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/shipping-profiles?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listShippingProfiles(client, args) {
+  return await client.get('/admin/shipping-profiles', {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getShippingProfile(baseUrl, headers, args) {
+async function getShippingProfile(client, args) {
   if (!args.profile_id) throw new Error('Shipping profile ID is required');
-  const url = `${baseUrl}/admin/shipping-profiles/${args.profile_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/shipping-profiles/${args.profile_id}`);
 }
 
-async function createShippingProfile(baseUrl, headers, args) {
+async function createShippingProfile(client, args) {
   if (!args.name) throw new Error('Shipping profile name is required');
   if (!args.type) throw new Error('Shipping profile type is required');
   
@@ -254,51 +188,37 @@ async function createShippingProfile(baseUrl, headers, args) {
   };
   if (args.metadata) profileData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/shipping-profiles`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(profileData)
-  });
+  return await client.post('/admin/shipping-profiles', profileData);
 }
 
-async function updateShippingProfile(baseUrl, headers, args) {
+async function updateShippingProfile(client, args) {
   if (!args.profile_id) throw new Error('Shipping profile ID is required');
   
   const profileData = {};
   if (args.name) profileData.name = args.name;
   if (args.metadata) profileData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/shipping-profiles/${args.profile_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(profileData)
-  });
+  return await client.post(`/admin/shipping-profiles/${args.profile_id}`, profileData);
 }
 
-async function deleteShippingProfile(baseUrl, headers, args) {
+async function deleteShippingProfile(client, args) {
   if (!args.profile_id) throw new Error('Shipping profile ID is required');
-  const url = `${baseUrl}/admin/shipping-profiles/${args.profile_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/shipping-profiles/${args.profile_id}`);
 }
 
 // Fulfillment operations
-async function listFulfillmentProviders(baseUrl, headers, args) {
-  const url = `${baseUrl}/admin/fulfillment-providers`;
-  return await makeRequest(url, { headers });
+async function listFulfillmentProviders(client, args) {
+  return await client.get('/admin/fulfillment-providers');
 }
 
-async function listFulfillmentSets(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/fulfillment-sets?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listFulfillmentSets(client, args) {
+  return await client.get('/admin/fulfillment-sets', {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function createFulfillmentSet(baseUrl, headers, args) {
+async function createFulfillmentSet(client, args) {
   if (!args.name) throw new Error('Fulfillment set name is required');
   if (!args.type) throw new Error('Fulfillment set type is required');
   
@@ -308,33 +228,22 @@ async function createFulfillmentSet(baseUrl, headers, args) {
   };
   if (args.metadata) setData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/fulfillment-sets`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(setData)
-  });
+  return await client.post('/admin/fulfillment-sets', setData);
 }
 
-async function updateFulfillmentSet(baseUrl, headers, args) {
+async function updateFulfillmentSet(client, args) {
   if (!args.fulfillment_set_id) throw new Error('Fulfillment set ID is required');
   
   const setData = {};
   if (args.name) setData.name = args.name;
   if (args.metadata) setData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/fulfillment-sets/${args.fulfillment_set_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(setData)
-  });
+  return await client.post(`/admin/fulfillment-sets/${args.fulfillment_set_id}`, setData);
 }
 
-async function deleteFulfillmentSet(baseUrl, headers, args) {
+async function deleteFulfillmentSet(client, args) {
   if (!args.fulfillment_set_id) throw new Error('Fulfillment set ID is required');
-  const url = `${baseUrl}/admin/fulfillment-sets/${args.fulfillment_set_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/fulfillment-sets/${args.fulfillment_set_id}`);
 }
 
 export const apiTool = {
@@ -380,6 +289,55 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list_regions: { optional: ['limit', 'offset', 'q'], output: listOutput('regions') },
+      get_region: { required: ['id'], output: entityOutput('region') },
+      create_region: {
+        required: ['name', 'currency_code'],
+        optional: ['countries', 'payment_providers', 'fulfillment_providers', 'tax_rate', 'tax_code', 'includes_tax', 'metadata'],
+        output: entityOutput('region')
+      },
+      update_region: {
+        required: ['id'],
+        optional: ['name', 'currency_code', 'countries', 'payment_providers', 'fulfillment_providers', 'tax_rate', 'tax_code', 'includes_tax', 'metadata'],
+        output: entityOutput('region')
+      },
+      delete_region: { required: ['id'], output: deleteOutput() },
+      list_shipping_options: {
+        optional: ['limit', 'offset', 'region_id', 'is_return'],
+        output: listOutput('shipping_options')
+      },
+      get_shipping_option: { required: ['shipping_option_id'], output: entityOutput('shipping_option') },
+      create_shipping_option: {
+        required: ['name', 'region_id', 'provider_id', 'price_type'],
+        optional: ['amount', 'is_return', 'admin_only', 'data', 'metadata'],
+        output: entityOutput('shipping_option')
+      },
+      update_shipping_option: {
+        required: ['shipping_option_id'],
+        optional: ['name', 'amount', 'is_return', 'admin_only', 'data', 'metadata'],
+        output: entityOutput('shipping_option')
+      },
+      delete_shipping_option: { required: ['shipping_option_id'], output: deleteOutput() },
+      list_shipping_profiles: { optional: ['limit', 'offset'], output: listOutput('shipping_profiles') },
+      get_shipping_profile: { required: ['profile_id'], output: entityOutput('shipping_profile') },
+      create_shipping_profile: {
+        required: ['name', 'type'],
+        optional: ['metadata'],
+        output: entityOutput('shipping_profile')
+      },
+      update_shipping_profile: {
+        required: ['profile_id'],
+        optional: ['name', 'metadata'],
+        output: entityOutput('shipping_profile')
+      },
+      delete_shipping_profile: { required: ['profile_id'], output: deleteOutput() },
+      list_fulfillment_providers: { output: listOutput('fulfillment_providers') },
+      list_fulfillment_sets: { optional: ['limit', 'offset'] },
+      create_fulfillment_set: { required: ['name', 'type'], optional: ['metadata'] },
+      update_fulfillment_set: { required: ['fulfillment_set_id'], optional: ['name', 'metadata'] },
+      delete_fulfillment_set: { required: ['fulfillment_set_id'], output: deleteOutput() }
     }
   },
   function: handleRegionsOperation
@@ -3,174 +3,115 @@
  * Supports returns, swaps, claims, and order edits
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handleReturnsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handleReturnsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_returns':
-      return await listReturns(baseUrl, headers, args);
+      return await listReturns(client, args);
     case 'get_return':
-      return await getReturn(baseUrl, headers, args);
+      return await getReturn(client, args);
     case 'cancel_return':
-      return await cancelReturn(baseUrl, headers, args);
+      return await cancelReturn(client, args);
     case 'receive_return':
-      return await receiveReturn(baseUrl, headers, args);
+      return await receiveReturn(client, args);
     case 'list_exchanges':
-      return await listExchanges(baseUrl, headers, args);
+      return await listExchanges(client, args);
     case 'get_exchange':
-      return await getExchange(baseUrl, headers, args);
+      return await getExchange(client, args);
     case 'cancel_exchange':
-      return await cancelExchange(baseUrl, headers, args);
+      return await cancelExchange(client, args);
     case 'list_claims':
-      return await listClaims(baseUrl, headers, args);
+      return await listClaims(client, args);
     case 'get_claim':
-      return await getClaim(baseUrl, headers, args);
+      return await getClaim(client, args);
     case 'update_claim':
-      return await updateClaim(baseUrl, headers, args);
+      return await updateClaim(client, args);
     case 'cancel_claim':
-      return await cancelClaim(baseUrl, headers, args);
+      return await cancelClaim(client, args);
     case 'list_order_edits':
-      return await listOrderEdits(baseUrl, headers, args);
+      return await listOrderEdits(client, args);
     case 'get_order_edit':
-      return await getOrderEdit(baseUrl, headers, args);
+      return await getOrderEdit(client, args);
     case 'update_order_edit':
-      return await updateOrderEdit(baseUrl, headers, args);
+      return await updateOrderEdit(client, args);
     case 'delete_order_edit':
-      return await deleteOrderEdit(baseUrl, headers, args);
+      return await deleteOrderEdit(client, args);
     case 'complete_order_edit':
-      return await completeOrderEdit(baseUrl, headers, args);
+      return await completeOrderEdit(client, args);
     case 'cancel_order_edit':
-      return await cancelOrderEdit(baseUrl, headers, args);
+      return await cancelOrderEdit(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Returns operations
-async function listReturns(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.order_id) params.append('order_id', args.order_id);
-
-  const url = `${baseUrl}/admin/returns?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listReturns(client, args) {
+  return await client.get('/admin/returns', {
+    limit: args.limit,
+    offset: args.offset,
+    order_id: args.order_id
+  });
 }
 
-async function getReturn(baseUrl, headers, args) {
+async function getReturn(client, args) {
   if (!args.id) throw new Error('Return ID is required');
-  const url = `${baseUrl}/admin/returns/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/returns/${args.id}`);
 }
 
-async function cancelReturn(baseUrl, headers, args) {
+async function cancelReturn(client, args) {
   if (!args.id) throw new Error('Return ID is required');
-  const url = `${baseUrl}/admin/returns/${args.id}/cancel`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/returns/${args.id}/cancel`, {});
 }
 
-async function receiveReturn(baseUrl, headers, args) {
+async function receiveReturn(client, args) {
   if (!args.id) throw new Error('Return ID is required');
   
   const receiveData = {};
   if (args.items) receiveData.items = args.items;
   if (args.refund) receiveData.refund = args.refund;
 
-  const url = `${baseUrl}/admin/returns/${args.id}/receive`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(receiveData)
-  });
+  return await client.post(`/admin/returns/${args.id}/receive`, receiveData);
 }
 
 // Exchanges operations
-async function listExchanges(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.order_id) params.append('order_id', args.order_id);
-
-  const url = `${baseUrl}/admin/exchanges?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listExchanges(client, args) {
+  return await client.get('/admin/exchanges', {
+    limit: args.limit,
+    offset: args.offset,
+    order_id: args.order_id
+  });
 }
 
-async function getExchange(baseUrl, headers, args) {
+async function getExchange(client, args) {
   if (!args.exchange_id) throw new Error('Exchange ID is required');
-  const url = `${baseUrl}/admin/exchanges/${args.exchange_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/exchanges/${args.exchange_id}`);
 }
 
-async function cancelExchange(baseUrl, headers, args) {
+async function cancelExchange(client, args) {
   if (!args.exchange_id) throw new Error('Exchange ID is required');
-  const url = `${baseUrl}/admin/exchanges/${args.exchange_id}/cancel`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/exchanges/${args.exchange_id}/cancel`, {});
 }
 
 // Claims operations
-async function listClaims(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.order_id) params.append('order_id', args.order_id);
-
-  const url = `${baseUrl}/admin/claims?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listClaims(client, args) {
+  return await client.get('/admin/claims', {
+    limit: args.limit,
+    offset: args.offset,
+    order_id: args.order_id
+  });
 }
 
-async function getClaim(baseUrl, headers, args) {
+async function getClaim(client, args) {
   if (!args.claim_id) throw new Error('Claim ID is required');
-  const url = `${baseUrl}/admin/claims/${args.claim_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/claims/${args.claim_id}`);
 }
 
-async function updateClaim(baseUrl, headers, args) {
+async function updateClaim(client, args) {
   if (!args.claim_id) throw new Error('Claim ID is required');
   
   const claimData = {};
@@ -179,79 +120,50 @@ async function updateClaim(baseUrl, headers, args) {
   if (args.no_notification !== undefined) claimData.no_notification = args.no_notification;
   if (args.metadata) claimData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/claims/${args.claim_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(claimData)
-  });
+  return await client.post(`/admin/claims/${args.claim_id}`, claimData);
 }
 
-async function cancelClaim(baseUrl, headers, args) {
+async function cancelClaim(client, args) {
   if (!args.claim_id) throw new Error('Claim ID is required');
-  const url = `${baseUrl}/admin/claims/${args.claim_id}/cancel`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/claims/${args.claim_id}/cancel`, {});
 }
 
 // Order Edits operations
-async function listOrderEdits(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.order_id) params.append('order_id', args.order_id);
-
-  const url = `${baseUrl}/admin/order-edits?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listOrderEdits(client, args) {
+  return await client.get('/admin/order-edits', {
+    limit: args.limit,
+    offset: args.offset,
+    order_id: args.order_id
+  });
 }
 
-async function getOrderEdit(baseUrl, headers, args) {
+async function getOrderEdit(client, args) {
   if (!args.order_edit_id) throw new Error('Order edit ID is required');
-  const url = `${baseUrl}/admin/order-edits/${args.order_edit_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/order-edits/${args.order_edit_id}`);
 }
 
-async function updateOrderEdit(baseUrl, headers, args) {
+async function updateOrderEdit(client, args) {
   if (!args.order_edit_id) throw new Error('Order edit ID is required');
   
   const editData = {};
   if (args.internal_note) editData.internal_note = args.internal_note;
 
-  const url = `${baseUrl}/admin/order-edits/${args.order_edit_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(editData)
-  });
+  return await client.post(`/admin/order-edits/${args.order_edit_id}`, editData);
 }
 
-async function deleteOrderEdit(baseUrl, headers, args) {
+async function deleteOrderEdit(client, args) {
   if (!args.order_edit_id) throw new Error('Order edit ID is required');
-  const url = `${baseUrl}/admin/order-edits/${args.order_edit_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/order-edits/${args.order_edit_id}`);
 }
 
-async function completeOrderEdit(baseUrl, headers, args) {
+async function completeOrderEdit(client, args) {
   if (!args.order_edit_id) throw new Error('Order edit ID is required');
-  const url = `${baseUrl}/admin/order-edits/${args.order_edit_id}/complete`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/order-edits/${args.order_edit_id}/complete`, {});
 }
 
-async function cancelOrderEdit(baseUrl, headers, args) {
+async function cancelOrderEdit(client, args) {
   if (!args.order_edit_id) throw new Error('Order edit ID is required');
-  const url = `${baseUrl}/admin/order-edits/${args.order_edit_id}/cancel`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/order-edits/${args.order_edit_id}/cancel`, {});
 }
 
 export const apiTool = {
@@ -287,6 +199,29 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list_returns: { optional: ['limit', 'offset', 'order_id'], output: listOutput('returns') },
+      get_return: { required: ['id'], output: entityOutput('return') },
+      cancel_return: { required: ['id'], output: entityOutput('return') },
+      receive_return: { required: ['id'], optional: ['items', 'refund'], output: entityOutput('return') },
+      list_exchanges: { optional: ['limit', 'offset', 'order_id'], output: listOutput('exchanges') },
+      get_exchange: { required: ['exchange_id'], output: entityOutput('exchange') },
+      cancel_exchange: { required: ['exchange_id'], output: entityOutput('exchange') },
+      list_claims: { optional: ['limit', 'offset', 'order_id'], output: listOutput('claims') },
+      get_claim: { required: ['claim_id'], output: entityOutput('claim') },
+      update_claim: {
+        required: ['claim_id'],
+        optional: ['claim_items', 'shipping_methods', 'no_notification', 'metadata'],
+        output: entityOutput('claim')
+      },
+      cancel_claim: { required: ['claim_id'], output: entityOutput('claim') },
+      list_order_edits: { optional: ['limit', 'offset', 'order_id'] },
+      get_order_edit: { required: ['order_edit_id'] },
+      update_order_edit: { required: ['order_edit_id'], optional: ['internal_note'] },
+      delete_order_edit: { required: ['order_edit_id'], output: deleteOutput() },
+      complete_order_edit: { required: ['order_edit_id'] },
+      cancel_order_edit: { required: ['order_edit_id'] }
     }
   },
   function: handleReturnsOperation
@@ -3,86 +3,49 @@
  * Supports sales channels operations and product associations
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
+import { processInBatches } from "../../lib/progress.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handleSalesChannelsOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handleSalesChannelsOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list':
-      return await listSalesChannels(baseUrl, headers, args);
+      return await listSalesChannels(client, args);
     case 'get':
-      return await getSalesChannel(baseUrl, headers, args);
+      return await getSalesChannel(client, args);
     case 'create':
-      return await createSalesChannel(baseUrl, headers, args);
+      return await createSalesChannel(client, args);
     case 'update':
-      return await updateSalesChannel(baseUrl, headers, args);
+      return await updateSalesChannel(client, args);
     case 'delete':
-      return await deleteSalesChannel(baseUrl, headers, args);
+      return await deleteSalesChannel(client, args);
     case 'add_products':
-      return await addProductsToChannel(baseUrl, headers, args);
+      return await addProductsToChannel(client, args, context);
     case 'remove_products':
-      return await removeProductsFromChannel(baseUrl, headers, args);
+      return await removeProductsFromChannel(client, args, context);
     case 'list_products':
-      return await listChannelProducts(baseUrl, headers, args);
+      return await listChannelProducts(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
-async function listSalesChannels(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/sales-channels?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listSalesChannels(client, args) {
+  return await client.get('/admin/sales-channels', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getSalesChannel(baseUrl, headers, args) {
+async function getSalesChannel(client, args) {
   if (!args.id) throw new Error('Sales channel ID is required');
-  const url = `${baseUrl}/admin/sales-channels/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/sales-channels/${args.id}`);
 }
 
-async function createSalesChannel(baseUrl, headers, args) {
+async function createSalesChannel(client, args) {
   if (!args.name) throw new Error('Sales channel name is required');
   
   const channelData = { name: args.name };
@@ -90,15 +53,10 @@ async function createSalesChannel(baseUrl, headers, args) {
   if (args.is_disabled !== undefined) channelData.is_disabled = args.is_disabled;
   if (args.metadata) channelData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/sales-channels`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(channelData)
-  });
+  return await client.post('/admin/sales-channels', channelData);
 }
 
-async function updateSalesChannel(baseUrl, headers, args) {
+async function updateSalesChannel(client, args) {
   if (!args.id) throw new Error('Sales channel ID is required');
   
   const channelData = {};
@@ -107,57 +65,50 @@ async function updateSalesChannel(baseUrl, headers, args) {
   if (args.is_disabled !== undefined) channelData.is_disabled = args.is_disabled;
   if (args.metadata) channelData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/sales-channels/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(channelData)
-  });
+  return await client.post(`/admin/sales-channels/${args.id}`, channelData);
 }
 
-async function deleteSalesChannel(baseUrl, headers, args) {
+async function deleteSalesChannel(client, args) {
   if (!args.id) throw new Error('Sales channel ID is required');
-  const url = `${baseUrl}/admin/sales-channels/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/sales-channels/${args.id}`);
 }
 
-async function addProductsToChannel(baseUrl, headers, args) {
+async function addProductsToChannel(client, args, context) {
   if (!args.id) throw new Error('Sales channel ID is required');
   if (!args.product_ids || !Array.isArray(args.product_ids)) {
     throw new Error('Product IDs array is required');
   }
 
-  const url = `${baseUrl}/admin/sales-channels/${args.id}/products`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ product_ids: args.product_ids })
-  });
+  // Large lists are split into batches when the caller asked for progress notifications
+  const results = await processInBatches(
+    args.product_ids,
+    (product_ids) => client.post(`/admin/sales-channels/${args.id}/products`, { product_ids }),
+    { onProgress: context.onProgress, signal: context.signal }
+  );
+  return results[results.length - 1];
 }
 
-async function removeProductsFromChannel(baseUrl, headers, args) {
+async function removeProductsFromChannel(client, args, context) {
   if (!args.id) throw new Error('Sales channel ID is required');
   if (!args.product_ids || !Array.isArray(args.product_ids)) {
     throw new Error('Product IDs array is required');
   }
 
-  const url = `${baseUrl}/admin/sales-channels/${args.id}/products`;
-  return await makeRequest(url, {
-    method: 'DELETE',
-    headers,
-    body: JSON.stringify({ product_ids: args.product_ids })
-  });
+  const results = await processInBatches(
+    args.product_ids,
+    (product_ids) => client.delete(`/admin/sales-channels/${args.id}/products`, { product_ids }),
+    { onProgress: context.onProgress, signal: context.signal }
+  );
+  return results[results.length - 1];
 }
 
-async function listChannelProducts(baseUrl, headers, args) {
+async function listChannelProducts(client, args) {
   if (!args.id) throw new Error('Sales channel ID is required');
   
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/sales-channels/${args.id}/products?${params.toString()}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/sales-channels/${args.id}/products`, {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
 export const apiTool = {
@@ -186,6 +137,28 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list: { optional: ['limit', 'offset', 'q'], output: listOutput('sales_channels') },
+      get: { required: ['id'], output: entityOutput('sales_channel') },
+      create: {
+        required: ['name'],
+        optional: ['description', 'is_disabled', 'metadata'],
+        output: entityOutput('sales_channel')
+      },
+      update: {
+        required: ['id'],
+        optional: ['name', 'description', 'is_disabled', 'metadata'],
+        output: entityOutput('sales_channel')
+      },
+      delete: { required: ['id'], output: deleteOutput() },
+      add_products: {
+        required: ['id', 'product_ids'],
+        annotations: { idempotentHint: true }, // a product already in the channel stays there once
+        output: entityOutput('sales_channel')
+      },
+      remove_products: { required: ['id', 'product_ids'] },
+      list_products: { required: ['id'], optional: ['limit', 'offset'] }
     }
   },
   function: handleSalesChannelsOperation
@@ -3,91 +3,53 @@
  * Supports tax rates, tax regions, and tax calculations
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handleTaxesOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handleTaxesOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_tax_rates':
-      return await listTaxRates(baseUrl, headers, args);
+      return await listTaxRates(client, args);
     case 'get_tax_rate':
-      return await getTaxRate(baseUrl, headers, args);
+      return await getTaxRate(client, args);
     case 'create_tax_rate':
-      return await createTaxRate(baseUrl, headers, args);
+      return await createTaxRate(client, args);
     case 'update_tax_rate':
-      return await updateTaxRate(baseUrl, headers, args);
+      return await updateTaxRate(client, args);
     case 'delete_tax_rate':
-      return await deleteTaxRate(baseUrl, headers, args);
+      return await deleteTaxRate(client, args);
     case 'list_tax_regions':
-      return await listTaxRegions(baseUrl, headers, args);
+      return await listTaxRegions(client, args);
     case 'get_tax_region':
-      return await getTaxRegion(baseUrl, headers, args);
+      return await getTaxRegion(client, args);
     case 'create_tax_region':
-      return await createTaxRegion(baseUrl, headers, args);
+      return await createTaxRegion(client, args);
     case 'update_tax_region':
-      return await updateTaxRegion(baseUrl, headers, args);
+      return await updateTaxRegion(client, args);
     case 'delete_tax_region':
-      return await deleteTaxRegion(baseUrl, headers, args);
+      return await deleteTaxRegion(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Tax Rates operations
-async function listTaxRates(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.tax_region_id) params.append('tax_region_id', args.tax_region_id);
-
-  const url = `${baseUrl}/admin/tax-rates?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listTaxRates(client, args) {
+  return await client.get('/admin/tax-rates', {
+    limit: args.limit,
+    offset: args.offset,
+    tax_region_id: args.tax_region_id
+  });
 }
 
-async function getTaxRate(baseUrl, headers, args) {
+async function getTaxRate(client, args) {
   if (!args.id) throw new Error('Tax rate ID is required');
-  const url = `${baseUrl}/admin/tax-rates/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/tax-rates/${args.id}`);
 }
 
-async function createTaxRate(baseUrl, headers, args) {
+async function createTaxRate(client, args) {
   if (!args.rate) throw new Error('Tax rate is required');
   if (!args.name) throw new Error('Tax rate name is required');
   
@@ -101,15 +63,10 @@ async function createTaxRate(baseUrl, headers, args) {
   if (args.is_combinable !== undefined) taxRateData.is_combinable = args.is_combinable;
   if (args.metadata) taxRateData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/tax-rates`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(taxRateData)
-  });
+  return await client.post('/admin/tax-rates', taxRateData);
 }
 
-async function updateTaxRate(baseUrl, headers, args) {
+async function updateTaxRate(client, args) {
   if (!args.id) throw new Error('Tax rate ID is required');
   
   const taxRateData = {};
@@ -120,37 +77,28 @@ async function updateTaxRate(baseUrl, headers, args) {
   if (args.is_combinable !== undefined) taxRateData.is_combinable = args.is_combinable;
   if (args.metadata) taxRateData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/tax-rates/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(taxRateData)
-  });
+  return await client.post(`/admin/tax-rates/${args.id}`, taxRateData);
 }
 
-async function deleteTaxRate(baseUrl, headers, args) {
+async function deleteTaxRate(client, args) {
   if (!args.id) throw new Error('Tax rate ID is required');
-  const url = `${baseUrl}/admin/tax-rates/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/tax-rates/${args.id}`);
 }
 
 // Tax Regions operations
-async function listTaxRegions(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/tax-regions?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listTaxRegions(client, args) {
+  return await client.get('/admin/tax-regions', {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getTaxRegion(baseUrl, headers, args) {
+async function getTaxRegion(client, args) {
   if (!args.tax_region_id) throw new Error('Tax region ID is required');
-  const url = `${baseUrl}/admin/tax-regions/${args.tax_region_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/tax-regions/${args.tax_region_id}`);
 }
 
-async function createTaxRegion(baseUrl, headers, args) {
+async function createTaxRegion(client, args) {
   if (!args.country_code) throw new Error('Country code is required');
   
   const taxRegionData = {
@@ -161,15 +109,10 @@ async function createTaxRegion(baseUrl, headers, args) {
   if (args.default_tax_rate) taxRegionData.default_tax_rate = args.default_tax_rate;
   if (args.metadata) taxRegionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/tax-regions`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(taxRegionData)
-  });
+  return await client.post('/admin/tax-regions', taxRegionData);
 }
 
-async function updateTaxRegion(baseUrl, headers, args) {
+async function updateTaxRegion(client, args) {
   if (!args.tax_region_id) throw new Error('Tax region ID is required');
   
   const taxRegionData = {};
@@ -179,18 +122,12 @@ async function updateTaxRegion(baseUrl, headers, args) {
   if (args.default_tax_rate) taxRegionData.default_tax_rate = args.default_tax_rate;
   if (args.metadata) taxRegionData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/tax-regions/${args.tax_region_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(taxRegionData)
-  });
+  return await client.post(`/admin/tax-regions/${args.tax_region_id}`, taxRegionData);
 }
 
-async function deleteTaxRegion(baseUrl, headers, args) {
+async function deleteTaxRegion(client, args) {
   if (!args.tax_region_id) throw new Error('Tax region ID is required');
-  const url = `${baseUrl}/admin/tax-regions/${args.tax_region_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/tax-regions/${args.tax_region_id}`);
 }
 
 export const apiTool = {
@@ -224,6 +161,34 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list_tax_rates: { optional: ['limit', 'offset', 'tax_region_id'], output: listOutput('tax_rates') },
+      get_tax_rate: { required: ['id'], output: entityOutput('tax_rate') },
+      create_tax_rate: {
+        required: ['rate', 'name'],
+        optional: ['tax_region_id', 'code', 'is_default', 'is_combinable', 'metadata'],
+        output: entityOutput('tax_rate')
+      },
+      update_tax_rate: {
+        required: ['id'],
+        optional: ['rate', 'name', 'code', 'is_default', 'is_combinable', 'metadata'],
+        output: entityOutput('tax_rate')
+      },
+      delete_tax_rate: { required: ['id'], output: deleteOutput() },
+      list_tax_regions: { optional: ['limit', 'offset'], output: listOutput('tax_regions') },
+      get_tax_region: { required: ['tax_region_id'], output: entityOutput('tax_region') },
+      create_tax_region: {
+        required: ['country_code'],
+        optional: ['province_code', 'parent_id', 'default_tax_rate', 'metadata'],
+        output: entityOutput('tax_region')
+      },
+      update_tax_region: {
+        required: ['tax_region_id'],
+        optional: ['country_code', 'province_code', 'parent_id', 'default_tax_rate', 'metadata'],
+        output: entityOutput('tax_region')
+      },
+      delete_tax_region: { required: ['tax_region_id'], output: deleteOutput() }
     }
   },
   function: handleTaxesOperation
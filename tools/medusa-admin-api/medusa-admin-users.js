@@ -3,103 +3,65 @@
  * Supports user management, invites, and API keys
  */
 
-import { Buffer } from "buffer";
+import { getDefaultClient } from "../../lib/medusa-client.js";
+import { entityOutput, listOutput, deleteOutput } from "../../lib/output-schemas.js";
 
-// Utility function to normalize base URL by removing trailing slashes
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
-}
-
-function createHeaders(apiKey) {
-  return {
-    'Authorization': `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
-    'Content-Type': 'application/json'
-  };
-}
-
-async function makeRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...options.headers
-    }
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorText}`);
-  }
-  
-  return await response.json();
-}
-
-async function handleUsersOperation(args) {
-  const rawBaseUrl = process.env.MEDUSA_BASE_URL || 'http://localhost:9000';
-  const baseUrl = normalizeBaseUrl(rawBaseUrl);
-  const apiKey = process.env.MEDUSA_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('MEDUSA_API_KEY environment variable is required');
-  }
-
-  const headers = createHeaders(apiKey);
+async function handleUsersOperation(args, context = {}) {
+  const client = context.client || getDefaultClient();
 
   switch (args.action) {
     case 'list_users':
-      return await listUsers(baseUrl, headers, args);
+      return await listUsers(client, args);
     case 'get_user':
-      return await getUser(baseUrl, headers, args);
+      return await getUser(client, args);
     case 'create_user':
-      return await createUser(baseUrl, headers, args);
+      return await createUser(client, args);
     case 'update_user':
-      return await updateUser(baseUrl, headers, args);
+      return await updateUser(client, args);
     case 'delete_user':
-      return await deleteUser(baseUrl, headers, args);
+      return await deleteUser(client, args);
     case 'list_invites':
-      return await listInvites(baseUrl, headers, args);
+      return await listInvites(client, args);
     case 'get_invite':
-      return await getInvite(baseUrl, headers, args);
+      return await getInvite(client, args);
     case 'create_invite':
-      return await createInvite(baseUrl, headers, args);
+      return await createInvite(client, args);
     case 'delete_invite':
-      return await deleteInvite(baseUrl, headers, args);
+      return await deleteInvite(client, args);
     case 'resend_invite':
-      return await resendInvite(baseUrl, headers, args);
+      return await resendInvite(client, args);
     case 'list_api_keys':
-      return await listApiKeys(baseUrl, headers, args);
+      return await listApiKeys(client, args);
     case 'get_api_key':
-      return await getApiKey(baseUrl, headers, args);
+      return await getApiKey(client, args);
     case 'create_api_key':
-      return await createApiKey(baseUrl, headers, args);
+      return await createApiKey(client, args);
     case 'update_api_key':
-      return await updateApiKey(baseUrl, headers, args);
+      return await updateApiKey(client, args);
     case 'delete_api_key':
-      return await deleteApiKey(baseUrl, headers, args);
+      return await deleteApiKey(client, args);
     case 'revoke_api_key':
-      return await revokeApiKey(baseUrl, headers, args);
+      return await revokeApiKey(client, args);
     default:
       throw new Error(`Unknown action: ${args.action}`);
   }
 }
 
 // Users operations
-async function listUsers(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-  if (args.q) params.append('q', args.q);
-
-  const url = `${baseUrl}/admin/users?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listUsers(client, args) {
+  return await client.get('/admin/users', {
+    limit: args.limit,
+    offset: args.offset,
+    q: args.q
+  });
 }
 
-async function getUser(baseUrl, headers, args) {
+async function getUser(client, args) {
   if (!args.id) throw new Error('User ID is required');
-  const url = `${baseUrl}/admin/users/${args.id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/users/${args.id}`);
 }
 
-async function createUser(baseUrl, headers, args) {
+async function createUser(client, args) {
   if (!args.email) throw new Error('User email is required');
   
   const userData = { email: args.email };
@@ -108,15 +70,10 @@ async function createUser(baseUrl, headers, args) {
   if (args.role) userData.role = args.role;
   if (args.metadata) userData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/users`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(userData)
-  });
+  return await client.post('/admin/users', userData);
 }
 
-async function updateUser(baseUrl, headers, args) {
+async function updateUser(client, args) {
   if (!args.id) throw new Error('User ID is required');
   
   const userData = {};
@@ -125,37 +82,28 @@ async function updateUser(baseUrl, headers, args) {
   if (args.role) userData.role = args.role;
   if (args.metadata) userData.metadata = args.metadata;
 
-  const url = `${baseUrl}/admin/users/${args.id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(userData)
-  });
+  return await client.post(`/admin/users/${args.id}`, userData);
 }
 
-async function deleteUser(baseUrl, headers, args) {
+async function deleteUser(client, args) {
   if (!args.id) throw new Error('User ID is required');
-  const url = `${baseUrl}/admin/users/${args.id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/users/${args.id}`);
 }
 
 // Invites operations
-async function listInvites(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/invites?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listInvites(client, args) {
+  return await client.get('/admin/invites', {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getInvite(baseUrl, headers, args) {
+async function getInvite(client, args) {
   if (!args.invite_id) throw new Error('Invite ID is required');
-  const url = `${baseUrl}/admin/invites/${args.invite_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/invites/${args.invite_id}`);
 }
 
-async function createInvite(baseUrl, headers, args) {
+async function createInvite(client, args) {
   if (!args.email) throw new Error('Email is required');
   if (!args.role) throw new Error('Role is required');
   
@@ -164,47 +112,33 @@ async function createInvite(baseUrl, headers, args) {
     role: args.role
   };
 
-  const url = `${baseUrl}/admin/invites`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(inviteData)
-  });
+  return await client.post('/admin/invites', inviteData);
 }
 
-async function deleteInvite(baseUrl, headers, args) {
+async function deleteInvite(client, args) {
   if (!args.invite_id) throw new Error('Invite ID is required');
-  const url = `${baseUrl}/admin/invites/${args.invite_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/invites/${args.invite_id}`);
 }
 
-async function resendInvite(baseUrl, headers, args) {
+async function resendInvite(client, args) {
   if (!args.invite_id) throw new Error('Invite ID is required');
-  const url = `${baseUrl}/admin/invites/${args.invite_id}/resend`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/invites/${args.invite_id}/resend`, {});
 }
 
 // API Keys operations
-async function listApiKeys(baseUrl, headers, args) {
-  const params = new URLSearchParams();
-  if (args.limit) params.append('limit', args.limit.toString());
-  if (args.offset) params.append('offset', args.offset.toString());
-
-  const url = `${baseUrl}/admin/api-keys?${params.toString()}`;
-  return await makeRequest(url, { headers });
+async function listApiKeys(client, args) {
+  return await client.get('/admin/api-keys', {
+    limit: args.limit,
+    offset: args.offset
+  });
 }
 
-async function getApiKey(baseUrl, headers, args) {
+async function getApiKey(client, args) {
   if (!args.api_key_id) throw new Error('API key ID is required');
-  const url = `${baseUrl}/admin/api-keys/${args.api_key_id}`;
-  return await makeRequest(url, { headers });
+  return await client.get(`/admin/api-keys/${args.api_key_id}`);
 }
 
-async function createApiKey(baseUrl, headers, args) {
+async function createApiKey(client, args) {
   if (!args.title) throw new Error('API key title is required');
   if (!args.type) throw new Error('API key type is required');
   
@@ -213,42 +147,26 @@ async function createApiKey(baseUrl, headers, args) {
     type: args.type
   };
 
-  const url = `${baseUrl}/admin/api-keys`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(apiKeyData)
-  });
+  return await client.post('/admin/api-keys', apiKeyData);
 }
 
-async function updateApiKey(baseUrl, headers, args) {
+async function updateApiKey(client, args) {
   if (!args.api_key_id) throw new Error('API key ID is required');
   
   const apiKeyData = {};
   if (args.title) apiKeyData.title = args.title;
 
-  const url = `${baseUrl}/admin/api-keys/${args.api_key_id}`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(apiKeyData)
-  });
+  return await client.post(`/admin/api-keys/${args.api_key_id}`, apiKeyData);
 }
 
-async function deleteApiKey(baseUrl, headers, args) {
+async function deleteApiKey(client, args) {
   if (!args.api_key_id) throw new Error('API key ID is required');
-  const url = `${baseUrl}/admin/api-keys/${args.api_key_id}`;
-  return await makeRequest(url, { method: 'DELETE', headers });
+  return await client.delete(`/admin/api-keys/${args.api_key_id}`);
 }
 
-async function revokeApiKey(baseUrl, headers, args) {
+async function revokeApiKey(client, args) {
   if (!args.api_key_id) throw new Error('API key ID is required');
-  const url = `${baseUrl}/admin/api-keys/${args.api_key_id}/revoke`;
-  return await makeRequest(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({})
-  });
+  return await client.post(`/admin/api-keys/${args.api_key_id}/revoke`, {});
 }
 
 export const apiTool = {
@@ -282,6 +200,32 @@ export const apiTool = {
         metadata: { type: 'object', description: 'Additional metadata.' }
       },
       required: ['action']
+    },
+    actions: {
+      list_users: { optional: ['limit', 'offset', 'q'], output: listOutput('users') },
+      get_user: { required: ['id'], output: entityOutput('user') },
+      create_user: {
+        required: ['email'],
+        optional: ['first_name', 'last_name', 'role', 'metadata'],
+        output: entityOutput('user')
+      },
+      update_user: {
+        required: ['id'],
+        optional: ['first_name', 'last_name', 'role', 'metadata'],
+        output: entityOutput('user')
+      },
+      delete_user: { required: ['id'], output: deleteOutput() },
+      list_invites: { optional: ['limit', 'offset'], output: listOutput('invites') },
+      get_invite: { required: ['invite_id'], output: entityOutput('invite') },
+      create_invite: { required: ['email', 'role'], output: entityOutput('invite') },
+      delete_invite: { required: ['invite_id'], output: deleteOutput() },
+      resend_invite: { required: ['invite_id'], output: entityOutput('invite') },
+      list_api_keys: { optional: ['limit', 'offset'], output: listOutput('api_keys') },
+      get_api_key: { required: ['api_key_id'], output: entityOutput('api_key') },
+      create_api_key: { required: ['title', 'type'], output: entityOutput('api_key') },
+      update_api_key: { required: ['api_key_id'], optional: ['title'], output: entityOutput('api_key') },
+      delete_api_key: { required: ['api_key_id'], output: deleteOutput() },
+      revoke_api_key: { required: ['api_key_id'], output: entityOutput('api_key') }
     }
   },
   function: handleUsersOperation